@@ -1,6 +1,7 @@
 require('dotenv').config();
 const app = require('./src/app');
 const { initDatabase } = require('./src/config/database');
+const aiService = require('./src/services/aiService');
 
 const PORT = process.env.PORT || 3000;
 
@@ -13,6 +14,9 @@ async function startServer() {
     await initDatabase();
     console.log('Database initialized successfully');
 
+    // The menu tables only exist once migrations have run
+    await aiService.refreshMenu();
+
     // Start the server
     const server = app.listen(PORT, () => {
       console.log(`Hotel Room Service Agent running on port ${PORT}`);
@@ -3,6 +3,13 @@ let currentSection = 'orders';
 let ordersData = [];
 let menuData = [];
 let currentFilter = 'all';
+let ordersCursor = null;
+let conversationsData = [];
+let conversationsCursor = null;
+let callbacksData = [];
+
+// Statuses shown under "All" in the active orders view
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery'];
 
 // Initialize dashboard
 document.addEventListener('DOMContentLoaded', function() {
@@ -18,6 +25,7 @@ document.addEventListener('DOMContentLoaded', function() {
         loadOrders();
         loadMenuItems();
         loadStats();
+        refreshCallbacksBadge();
 
         // Auto-refresh every 30 seconds
         setInterval(() => {
@@ -25,43 +33,47 @@ document.addEventListener('DOMContentLoaded', function() {
                 loadOrders();
                 loadStats();
             }
+            refreshCallbacksBadge();
         }, 30000);
     });
 });
 
 // Check if user is authenticated
 async function checkAuthentication() {
-    const token = localStorage.getItem('authToken');
-    if (!token) {
+    if (!localStorage.getItem('authToken')) {
         return false;
     }
 
     try {
-        const response = await fetch('/auth/verify', {
-            headers: {
-                'Authorization': `Bearer ${token}`
-            }
-        });
+        const response = await authenticatedFetch('/auth/verify');
 
         if (response.ok) {
             const data = await response.json();
+            // The login page asks for a new password or two-factor setup first
+            if (data.user.mustChangePassword || data.user.mfaEnrollmentRequired) {
+                return false;
+            }
             // Update user info display
             updateUserDisplay(data.user);
             return true;
         } else {
             // Token invalid, remove it
-            localStorage.removeItem('authToken');
-            localStorage.removeItem('user');
+            clearSession();
             return false;
         }
     } catch (error) {
         console.error('Auth check failed:', error);
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('user');
+        clearSession();
         return false;
     }
 }
 
+function clearSession() {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+}
+
 // Update user display in dashboard
 function updateUserDisplay(user) {
     const navbar = document.querySelector('.navbar');
@@ -69,7 +81,7 @@ function updateUserDisplay(user) {
         const userInfo = document.createElement('div');
         userInfo.className = 'ms-auto d-flex align-items-center';
         userInfo.innerHTML = `
-            <span class="me-3 text-muted">Welcome, ${user.name}</span>
+            <span class="me-3 text-muted">Welcome, ${escapeHtml(user.name)}</span>
             <button class="btn btn-outline-secondary btn-sm" onclick="logout()">
                 <i class="fas fa-sign-out-alt me-1"></i>Logout
             </button>
@@ -81,17 +93,73 @@ function updateUserDisplay(user) {
 
         navbar.appendChild(userInfo);
     }
+
+    // Only admins manage staff accounts
+    const staffLink = document.getElementById('staffNavLink');
+    if (staffLink && user && !(user.permissions || []).includes('staff:manage')) {
+        staffLink.style.display = 'none';
+    }
+
+    // Transcripts are for front desk and above
+    const conversationsLink = document.getElementById('conversationsNavLink');
+    if (conversationsLink && user && !(user.permissions || []).includes('conversations:read')) {
+        conversationsLink.style.display = 'none';
+    }
+
+    // Callback tasks are worked by the front desk
+    const callbacksLink = document.getElementById('callbacksNavLink');
+    if (callbacksLink && user && !(user.permissions || []).includes('callbacks:manage')) {
+        callbacksLink.style.display = 'none';
+    }
 }
 
 // Logout function
-function logout() {
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('user');
+async function logout() {
+    try {
+        await authenticatedFetch('/auth/logout', {
+            method: 'POST',
+            body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') })
+        });
+    } catch (error) {
+        console.error('Logout failed:', error);
+    }
+
+    clearSession();
     window.location.href = '/login';
 }
 
-// Helper function for authenticated API calls
-async function authenticatedFetch(url, options = {}) {
+// Access tokens are short-lived. Concurrent requests share one refresh,
+// because a refresh token can only be used once.
+let refreshInFlight = null;
+
+function refreshAccessToken() {
+    if (!refreshInFlight) {
+        refreshInFlight = (async () => {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (!refreshToken) return false;
+
+            const response = await fetch('/auth/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            if (!response.ok) return false;
+
+            const data = await response.json();
+            localStorage.setItem('authToken', data.token);
+            localStorage.setItem('refreshToken', data.refreshToken);
+            localStorage.setItem('user', JSON.stringify(data.user));
+            return true;
+        })().finally(() => {
+            refreshInFlight = null;
+        });
+    }
+    return refreshInFlight;
+}
+
+// Helper function for authenticated API calls. Refreshes the access token
+// once on a 401 and sends the user back to the login page if that fails.
+async function authenticatedFetch(url, options = {}, retried = false) {
     const token = localStorage.getItem('authToken');
     if (!token) {
         throw new Error('No authentication token found');
@@ -105,7 +173,17 @@ async function authenticatedFetch(url, options = {}) {
         }
     };
 
-    return fetch(url, { ...options, ...defaultOptions });
+    const response = await fetch(url, { ...options, ...defaultOptions });
+
+    if (response.status === 401 && !retried) {
+        if (await refreshAccessToken()) {
+            return authenticatedFetch(url, options, true);
+        }
+        clearSession();
+        window.location.href = '/login';
+    }
+
+    return response;
 }
 
 // Update current time display
@@ -143,6 +221,15 @@ function showSection(sectionName) {
         case 'rooms':
             loadRooms();
             break;
+        case 'conversations':
+            loadConversations();
+            break;
+        case 'callbacks':
+            loadCallbacks();
+            break;
+        case 'staff':
+            loadStaff();
+            break;
         case 'analytics':
             loadAnalytics();
             break;
@@ -152,15 +239,28 @@ function showSection(sectionName) {
     }
 }
 
-// Load orders data
-async function loadOrders() {
+// Load orders data (append = true loads the next page)
+async function loadOrders(append = false) {
     try {
-        const response = await authenticatedFetch('/api/orders');
+        const params = new URLSearchParams({
+            status: currentFilter === 'all' ? ACTIVE_STATUSES.join(',') : currentFilter,
+            limit: '30'
+        });
+
+        const searchInput = document.getElementById('orderSearch');
+        if (searchInput && searchInput.value.trim()) {
+            params.set('q', searchInput.value.trim());
+        }
+        if (append && ordersCursor) {
+            params.set('cursor', ordersCursor);
+        }
+
+        const response = await authenticatedFetch(`/api/orders?${params}`);
         if (!response.ok) throw new Error('Failed to load orders');
 
-        // For now, we'll simulate orders data since we don't have a specific endpoint
-        // In production, you'd have an endpoint that returns all orders
-        ordersData = await simulateOrdersData();
+        const data = await response.json();
+        ordersData = append ? ordersData.concat(data.orders) : data.orders;
+        ordersCursor = data.nextCursor;
         displayOrders(ordersData);
     } catch (error) {
         console.error('Error loading orders:', error);
@@ -168,48 +268,6 @@ async function loadOrders() {
     }
 }
 
-// Simulate orders data for demonstration
-async function simulateOrdersData() {
-    // This would normally come from your API
-    return [
-        {
-            id: 1,
-            room_number: '101',
-            guest_name: 'John Smith',
-            status: 'pending',
-            total_amount: 24.99,
-            created_at: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
-            items: [
-                { name: 'Caesar Salad', quantity: 1, price: 12.99 },
-                { name: 'Coffee', quantity: 1, price: 3.99 },
-                { name: 'Chocolate Cake', quantity: 1, price: 8.01 }
-            ]
-        },
-        {
-            id: 2,
-            room_number: '205',
-            guest_name: 'Sarah Johnson',
-            status: 'preparing',
-            total_amount: 32.99,
-            created_at: new Date(Date.now() - 25 * 60 * 1000).toISOString(),
-            items: [
-                { name: 'Ribeye Steak', quantity: 1, price: 32.99 }
-            ]
-        },
-        {
-            id: 3,
-            room_number: '312',
-            guest_name: 'Mike Wilson',
-            status: 'ready',
-            total_amount: 18.99,
-            created_at: new Date(Date.now() - 35 * 60 * 1000).toISOString(),
-            items: [
-                { name: 'Chicken Parmesan', quantity: 1, price: 18.99 }
-            ]
-        }
-    ];
-}
-
 // Display orders in the UI
 function displayOrders(orders) {
     const ordersList = document.getElementById('ordersList');
@@ -217,15 +275,17 @@ function displayOrders(orders) {
 
     if (orders.length === 0) {
         ordersList.innerHTML = '<div class="col-12"><div class="alert alert-info">No orders found</div></div>';
-        return;
     }
 
     orders.forEach(order => {
-        if (currentFilter !== 'all' && order.status !== currentFilter) return;
-
         const orderCard = createOrderCard(order);
         ordersList.appendChild(orderCard);
     });
+
+    const loadMore = document.getElementById('loadMoreOrders');
+    if (loadMore) {
+        loadMore.style.display = ordersCursor ? 'inline-block' : 'none';
+    }
 }
 
 // Create order card element
@@ -233,22 +293,22 @@ function createOrderCard(order) {
     const col = document.createElement('div');
     col.className = 'col-md-6 col-lg-4 mb-3';
 
-    const timeAgo = getTimeAgo(new Date(order.created_at));
+    const timeAgo = getTimeAgo(parseTimestamp(order.created_at));
     const statusClass = `status-${order.status}`;
 
     col.innerHTML = `
         <div class="card order-card h-100" onclick="showOrderDetails(${order.id})">
             <div class="card-body">
                 <div class="d-flex justify-content-between align-items-start mb-2">
-                    <h6 class="card-title mb-0">Room ${order.room_number}</h6>
-                    <span class="badge bg-${getStatusColor(order.status)}">${order.status}</span>
+                    <h6 class="card-title mb-0">Room ${escapeHtml(order.room_number)}</h6>
+                    <span class="badge bg-${getStatusColor(order.status)}">${escapeHtml(order.status)}</span>
                 </div>
-                <p class="card-text text-muted small mb-2">${order.guest_name}</p>
+                <p class="card-text text-muted small mb-2">${escapeHtml(order.guest_name || 'Guest')}</p>
                 <p class="card-text mb-2">
                     <strong>$${order.total_amount.toFixed(2)}</strong>
                 </p>
                 <div class="mb-2">
-                    ${order.items.slice(0, 2).map(item => `<small class="text-muted d-block">${item.quantity}x ${item.name}</small>`).join('')}
+                    ${order.items.slice(0, 2).map(item => `<small class="text-muted d-block">${item.quantity}x ${escapeHtml(item.name)}</small>`).join('')}
                     ${order.items.length > 2 ? `<small class="text-muted">+${order.items.length - 2} more items</small>` : ''}
                 </div>
                 <small class="text-muted">${timeAgo}</small>
@@ -262,7 +322,14 @@ function createOrderCard(order) {
 // Filter orders
 function filterOrders(filter) {
     currentFilter = filter;
-    displayOrders(ordersData);
+    loadOrders();
+}
+
+// Search order instructions as staff type
+let orderSearchTimer = null;
+function searchOrders() {
+    clearTimeout(orderSearchTimer);
+    orderSearchTimer = setTimeout(() => loadOrders(), 300);
 }
 
 // Get status color for badges
@@ -272,8 +339,10 @@ function getStatusColor(status) {
         'confirmed': 'info',
         'preparing': 'orange',
         'ready': 'success',
+        'out_for_delivery': 'primary',
         'delivered': 'secondary',
-        'cancelled': 'danger'
+        'cancelled': 'danger',
+        'refunded': 'dark'
     };
     return colors[status] || 'secondary';
 }
@@ -281,7 +350,8 @@ function getStatusColor(status) {
 // Load menu items
 async function loadMenuItems() {
     try {
-        const response = await authenticatedFetch('/api/menu');
+        // Admin list includes unavailable items so they can be switched back on
+        const response = await authenticatedFetch('/api/menu/items');
         if (!response.ok) throw new Error('Failed to load menu');
 
         menuData = await response.json();
@@ -313,7 +383,7 @@ function displayMenuItems(items) {
     Object.keys(categories).forEach(categoryName => {
         const categoryDiv = document.createElement('div');
         categoryDiv.className = 'mb-4';
-        categoryDiv.innerHTML = `<h4 class="mb-3">${categoryName}</h4>`;
+        categoryDiv.innerHTML = `<h4 class="mb-3">${escapeHtml(categoryName)}</h4>`;
 
         const row = document.createElement('div');
         row.className = 'row';
@@ -328,10 +398,10 @@ function displayMenuItems(items) {
             col.innerHTML = `
                 <div class="menu-item-card ${availabilityClass}">
                     <div class="d-flex justify-content-between align-items-start mb-2">
-                        <h6 class="mb-0">${item.name}</h6>
+                        <h6 class="mb-0">${escapeHtml(item.name)}</h6>
                         <span class="badge bg-${item.is_available ? 'success' : 'danger'}">${availabilityText}</span>
                     </div>
-                    <p class="text-muted small mb-2">${item.description}</p>
+                    <p class="text-muted small mb-2">${escapeHtml(item.description || '')}</p>
                     <div class="d-flex justify-content-between align-items-center">
                         <strong>$${item.price.toFixed(2)}</strong>
                         <small class="text-muted">${item.preparation_time} min</small>
@@ -344,6 +414,9 @@ function displayMenuItems(items) {
                                 onclick="toggleMenuItem(${item.id}, ${!item.is_available})">
                             <i class="fas fa-${item.is_available ? 'eye-slash' : 'eye'}"></i>
                         </button>
+                        <button class="btn btn-sm btn-outline-danger ms-1" onclick="deleteMenuItem(${item.id})">
+                            <i class="fas fa-trash"></i>
+                        </button>
                     </div>
                 </div>
             `;
@@ -369,10 +442,27 @@ async function loadStats() {
     }
 }
 
+// Labels and button styles for each status an order can move to
+const STATUS_ACTIONS = {
+    'confirmed': ['btn-success', 'Confirm Order'],
+    'preparing': ['btn-warning', 'Start Preparing'],
+    'ready': ['btn-info', 'Mark Ready'],
+    'out_for_delivery': ['btn-primary', 'Out for Delivery'],
+    'delivered': ['btn-secondary', 'Mark Delivered']
+};
+
 // Show order details modal
-function showOrderDetails(orderId) {
-    const order = ordersData.find(o => o.id === orderId);
-    if (!order) return;
+async function showOrderDetails(orderId) {
+    let order;
+    try {
+        const response = await authenticatedFetch(`/api/orders/${orderId}`);
+        if (!response.ok) throw new Error('Failed to load order');
+        order = await response.json();
+    } catch (error) {
+        console.error('Error loading order details:', error);
+        showAlert('Error loading order details', 'danger');
+        return;
+    }
 
     const modal = new bootstrap.Modal(document.getElementById('orderDetailsModal'));
     const content = document.getElementById('orderDetailsContent');
@@ -382,60 +472,104 @@ function showOrderDetails(orderId) {
         <div class="row">
             <div class="col-md-6">
                 <h6>Order #${order.id}</h6>
-                <p><strong>Room:</strong> ${order.room_number}</p>
-                <p><strong>Guest:</strong> ${order.guest_name}</p>
-                <p><strong>Status:</strong> <span class="badge bg-${getStatusColor(order.status)}">${order.status}</span></p>
+                <p><strong>Room:</strong> ${escapeHtml(order.room_number)}</p>
+                <p><strong>Guest:</strong> ${escapeHtml(order.guest_name || 'Unknown')}</p>
+                <p><strong>Status:</strong> <span class="badge bg-${getStatusColor(order.status)}">${escapeHtml(order.status)}</span></p>
+                <p><strong>Channel:</strong> ${escapeHtml(order.channel)}</p>
                 <p><strong>Total:</strong> $${order.total_amount.toFixed(2)}</p>
-                <p><strong>Ordered:</strong> ${new Date(order.created_at).toLocaleString()}</p>
+                <p><strong>Ordered:</strong> ${parseTimestamp(order.created_at).toLocaleString()}</p>
+                ${order.special_instructions ? `<p><strong>Instructions:</strong> ${escapeHtml(order.special_instructions)}</p>` : ''}
             </div>
             <div class="col-md-6">
                 <h6>Items</h6>
                 <ul class="list-group">
                     ${order.items.map(item => `
                         <li class="list-group-item d-flex justify-content-between align-items-center">
-                            ${item.name}
-                            <span class="badge bg-primary rounded-pill">${item.quantity}x $${item.price.toFixed(2)}</span>
+                            <span>
+                                ${escapeHtml(item.name)}
+                                ${item.special_instructions ? `<br><small class="text-muted">${escapeHtml(item.special_instructions)}</small>` : ''}
+                            </span>
+                            <span class="badge bg-primary rounded-pill">${item.quantity}x $${item.unit_price.toFixed(2)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        </div>
+        <div class="row mt-3">
+            <div class="col-md-6">
+                <h6>Status History</h6>
+                <ul class="list-unstyled small">
+                    ${order.status_history.map(change => `
+                        <li>${parseTimestamp(change.created_at).toLocaleTimeString()} &mdash;
+                            ${change.from_status ? `${escapeHtml(change.from_status)} → ` : ''}<strong>${escapeHtml(change.to_status)}</strong>
+                            ${change.changed_by_name ? `by ${escapeHtml(change.changed_by_name)}` : `(${escapeHtml(change.source)})`}
+                            ${change.reason ? `<br><span class="text-muted">${escapeHtml(change.reason)}</span>` : ''}
                         </li>
                     `).join('')}
                 </ul>
             </div>
+            <div class="col-md-6">
+                <h6>Notifications</h6>
+                <ul class="list-unstyled small">
+                    ${order.notifications.length === 0 ? '<li class="text-muted">None sent</li>' : ''}
+                    ${order.notifications.map(notification => `
+                        <li>${parseTimestamp(notification.sent_at).toLocaleTimeString()} &mdash; ${escapeHtml(notification.type)}: ${escapeHtml(notification.message)}</li>
+                    `).join('')}
+                </ul>
+            </div>
         </div>
     `;
 
-    // Action buttons based on status
+    // Action buttons for the statuses the lifecycle allows next
     actionButtons.innerHTML = '';
-    if (order.status === 'pending') {
-        actionButtons.innerHTML += `<button class="btn btn-success" onclick="updateOrderStatus(${order.id}, 'confirmed')">Confirm Order</button>`;
-    } else if (order.status === 'confirmed') {
-        actionButtons.innerHTML += `<button class="btn btn-warning" onclick="updateOrderStatus(${order.id}, 'preparing')">Start Preparing</button>`;
-    } else if (order.status === 'preparing') {
-        actionButtons.innerHTML += `<button class="btn btn-info" onclick="updateOrderStatus(${order.id}, 'ready')">Mark Ready</button>`;
-    } else if (order.status === 'ready') {
-        actionButtons.innerHTML += `<button class="btn btn-secondary" onclick="updateOrderStatus(${order.id}, 'delivered')">Mark Delivered</button>`;
+    order.allowed_transitions.forEach(nextStatus => {
+        if (STATUS_ACTIONS[nextStatus]) {
+            const [buttonClass, label] = STATUS_ACTIONS[nextStatus];
+            actionButtons.innerHTML += `<button class="btn ${buttonClass} ms-2" onclick="updateOrderStatus(${order.id}, '${nextStatus}')">${label}</button>`;
+        }
+    });
+
+    if (order.channel === 'voice' || order.channel === 'sms') {
+        actionButtons.innerHTML += `<button class="btn btn-outline-secondary ms-2" onclick="showOrderTranscript(${order.id})">Transcript</button>`;
     }
 
-    actionButtons.innerHTML += `<button class="btn btn-danger ms-2" onclick="updateOrderStatus(${order.id}, 'cancelled')">Cancel Order</button>`;
+    if (order.allowed_transitions.includes('cancelled')) {
+        actionButtons.innerHTML += `<button class="btn btn-danger ms-2" onclick="cancelOrder(${order.id})">Cancel Order</button>`;
+    } else if (order.allowed_transitions.includes('refunded')) {
+        actionButtons.innerHTML += `<button class="btn btn-outline-danger ms-2" onclick="refundOrder(${order.id})">Refund</button>`;
+    }
 
     modal.show();
 }
 
+// Cancel an order, asking staff for the reason
+function cancelOrder(orderId) {
+    const reason = prompt('Reason for cancelling this order?');
+    if (reason === null) return;
+    updateOrderStatus(orderId, 'cancelled', reason);
+}
+
+// Refund a delivered order, asking staff for the reason
+function refundOrder(orderId) {
+    const reason = prompt('Reason for the refund?');
+    if (reason === null) return;
+    updateOrderStatus(orderId, 'refunded', reason);
+}
+
 // Update order status
-async function updateOrderStatus(orderId, newStatus) {
+async function updateOrderStatus(orderId, newStatus, reason) {
     try {
         const response = await authenticatedFetch(`/api/orders/${orderId}/status`, {
             method: 'PUT',
-            body: JSON.stringify({ status: newStatus })
+            body: JSON.stringify({ status: newStatus, reason })
         });
 
-        if (!response.ok) throw new Error('Failed to update order status');
-
-        // Update local data
-        const order = ordersData.find(o => o.id === orderId);
-        if (order) {
-            order.status = newStatus;
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to update order status');
         }
 
-        displayOrders(ordersData);
+        loadOrders();
         loadStats();
 
         // Close modal
@@ -444,38 +578,49 @@ async function updateOrderStatus(orderId, newStatus) {
         showAlert(`Order status updated to ${newStatus}`, 'success');
     } catch (error) {
         console.error('Error updating order status:', error);
-        showAlert('Error updating order status', 'danger');
+        showAlert(error.message || 'Error updating order status', 'danger');
     }
 }
 
+// Fill the category dropdown in the menu item modal
+async function loadMenuItemCategories() {
+    const response = await authenticatedFetch('/api/menu/categories');
+    if (!response.ok) throw new Error('Failed to load categories');
+
+    const categories = await response.json();
+    const select = document.getElementById('menuItemCategory');
+    select.innerHTML = categories.map(cat => `<option value="${escapeHtml(cat.id)}">${escapeHtml(cat.name)}</option>`).join('');
+}
+
 // Show add menu item modal
-function showAddMenuItemModal() {
-    // Load categories
-    authenticatedFetch('/api/categories')
-        .then(response => response.json())
-        .then(categories => {
-            const select = document.getElementById('menuItemCategory');
-            select.innerHTML = categories.map(cat => `<option value="${cat.id}">${cat.name}</option>`).join('');
-
-            const modal = new bootstrap.Modal(document.getElementById('addMenuItemModal'));
-            modal.show();
-        })
-        .catch(error => {
-            console.error('Error loading categories:', error);
-            showAlert('Error loading categories', 'danger');
-        });
+async function showAddMenuItemModal() {
+    try {
+        await loadMenuItemCategories();
+
+        document.getElementById('addMenuItemForm').reset();
+        document.getElementById('menuItemId').value = '';
+        document.getElementById('menuItemModalTitle').textContent = 'Add Menu Item';
+        document.getElementById('saveMenuItemButton').textContent = 'Add Item';
+
+        const modal = new bootstrap.Modal(document.getElementById('addMenuItemModal'));
+        modal.show();
+    } catch (error) {
+        console.error('Error loading categories:', error);
+        showAlert('Error loading categories', 'danger');
+    }
 }
 
-// Add menu item
-async function addMenuItem() {
+// Create or update a menu item from the modal
+async function saveMenuItem() {
     const form = document.getElementById('addMenuItemForm');
     if (!form.checkValidity()) {
         form.reportValidity();
         return;
     }
 
+    const itemId = document.getElementById('menuItemId').value;
     const itemData = {
-        categoryId: document.getElementById('menuItemCategory').value,
+        categoryId: parseInt(document.getElementById('menuItemCategory').value),
         name: document.getElementById('menuItemName').value,
         description: document.getElementById('menuItemDescription').value,
         price: parseFloat(document.getElementById('menuItemPrice').value),
@@ -483,20 +628,38 @@ async function addMenuItem() {
     };
 
     try {
-        // In a real implementation, you'd have a POST endpoint for adding menu items
-        console.log('Adding menu item:', itemData);
-        showAlert('Menu item added successfully', 'success');
+        const response = await authenticatedFetch(itemId ? `/api/menu/items/${itemId}` : '/api/menu/items', {
+            method: itemId ? 'PUT' : 'POST',
+            body: JSON.stringify(itemData)
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to save menu item');
+        }
+
+        showAlert(`Menu item ${itemId ? 'updated' : 'added'} successfully`, 'success');
 
         // Close modal and refresh
         bootstrap.Modal.getInstance(document.getElementById('addMenuItemModal')).hide();
         loadMenuItems();
     } catch (error) {
-        console.error('Error adding menu item:', error);
-        showAlert('Error adding menu item', 'danger');
+        console.error('Error saving menu item:', error);
+        showAlert(error.message || 'Error saving menu item', 'danger');
     }
 }
 
 // Utility functions
+
+// The API returns SQLite timestamps as zone-less UTC text ("YYYY-MM-DD HH:MM:SS"),
+// which new Date() would read as local time
+function parseTimestamp(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value)) {
+        return new Date(value.replace(' ', 'T') + 'Z');
+    }
+    return new Date(value);
+}
+
 function getTimeAgo(date) {
     const now = new Date();
     const diffMs = now - date;
@@ -515,7 +678,7 @@ function showAlert(message, type = 'info') {
     alertDiv.className = `alert alert-${type} alert-dismissible fade show position-fixed`;
     alertDiv.style.cssText = 'top: 20px; right: 20px; z-index: 9999; min-width: 300px;';
     alertDiv.innerHTML = `
-        ${message}
+        ${escapeHtml(message)}
         <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
     `;
 
@@ -529,12 +692,579 @@ function showAlert(message, type = 'info') {
     }, 5000);
 }
 
-// Placeholder functions for other sections
-function loadRooms() {
+// Load rooms with their current guest
+async function loadRooms() {
+    try {
+        const response = await authenticatedFetch('/api/rooms');
+        if (!response.ok) throw new Error('Failed to load rooms');
+
+        displayRooms(await response.json());
+    } catch (error) {
+        console.error('Error loading rooms:', error);
+        showAlert('Error loading rooms', 'danger');
+    }
+}
+
+// Display rooms
+function displayRooms(rooms) {
     const roomsList = document.getElementById('roomsList');
-    roomsList.innerHTML = '<div class="alert alert-info">Room management feature coming soon</div>';
+
+    if (rooms.length === 0) {
+        roomsList.innerHTML = '<div class="alert alert-info">No rooms yet. Use "Add Rooms" to create them.</div>';
+        return;
+    }
+
+    const rows = rooms.map(room => {
+        const occupied = room.status === 'occupied';
+        const action = occupied
+            ? `<button class="btn btn-sm btn-outline-danger" onclick="checkOutRoom(${escapeHtml(JSON.stringify(room.room_number))})">Check out</button>`
+            : `<button class="btn btn-sm btn-outline-success" onclick="checkInRoom(${escapeHtml(JSON.stringify(room.room_number))})">Check in</button>`;
+
+        return `
+            <tr>
+                <td><strong>${escapeHtml(room.room_number)}</strong></td>
+                <td><span class="badge bg-${occupied ? 'primary' : 'secondary'}">${escapeHtml(room.status)}</span></td>
+                <td>${escapeHtml(room.guest_name || '')}</td>
+                <td>${room.checked_in_at ? parseTimestamp(room.checked_in_at).toLocaleString() : ''}</td>
+                <td>${room.expected_check_out ? parseTimestamp(room.expected_check_out).toLocaleDateString() : ''}</td>
+                <td>${action}</td>
+            </tr>
+        `;
+    }).join('');
+
+    roomsList.innerHTML = `
+        <table class="table table-hover align-middle">
+            <thead>
+                <tr><th>Room</th><th>Status</th><th>Guest</th><th>Checked in</th><th>Check-out</th><th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Create rooms from a comma or space separated list
+async function addRooms() {
+    const input = prompt('Room numbers to add (separated by commas or spaces):');
+    if (!input) return;
+
+    const rooms = input.split(/[\s,]+/).filter(Boolean);
+
+    try {
+        const response = await authenticatedFetch('/api/rooms', {
+            method: 'POST',
+            body: JSON.stringify({ rooms })
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || 'Failed to add rooms');
+
+        const skipped = data.skipped.length ? ` (${data.skipped.length} already existed)` : '';
+        showAlert(`Added ${data.created.length} room(s)${skipped}`, 'success');
+        loadRooms();
+    } catch (error) {
+        console.error('Error adding rooms:', error);
+        showAlert(error.message || 'Error adding rooms', 'danger');
+    }
+}
+
+// Check a guest in to a room
+async function checkInRoom(roomNumber) {
+    const guestName = prompt(`Guest name for room ${roomNumber}:`);
+    if (!guestName) return;
+    const phoneNumber = prompt('Guest mobile number for order updates (optional):') || null;
+    const expectedCheckOut = prompt('Check-out date, YYYY-MM-DD (optional):') || null;
+
+    try {
+        const response = await authenticatedFetch(`/api/rooms/${roomNumber}/check-in`, {
+            method: 'POST',
+            body: JSON.stringify({ guestName, phoneNumber, expectedCheckOut })
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to check guest in');
+        }
+
+        showAlert(`${guestName} checked in to room ${roomNumber}`, 'success');
+        loadRooms();
+    } catch (error) {
+        console.error('Error checking guest in:', error);
+        showAlert(error.message || 'Error checking guest in', 'danger');
+    }
+}
+
+// Check the current guest out of a room
+async function checkOutRoom(roomNumber) {
+    if (!confirm(`Check out the guest in room ${roomNumber}?`)) return;
+
+    try {
+        const response = await authenticatedFetch(`/api/rooms/${roomNumber}/check-out`, { method: 'POST' });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to check guest out');
+        }
+
+        showAlert(`Room ${roomNumber} checked out`, 'success');
+        loadRooms();
+    } catch (error) {
+        console.error('Error checking guest out:', error);
+        showAlert(error.message || 'Error checking guest out', 'danger');
+    }
+}
+
+// Search call and SMS transcripts (append = true loads the next page)
+async function loadConversations(append = false) {
+    try {
+        const params = new URLSearchParams({ limit: '25' });
+        const filters = {
+            room: 'conversationRoom',
+            orderId: 'conversationOrderId',
+            callSid: 'conversationCallSid',
+            q: 'conversationText'
+        };
+        Object.entries(filters).forEach(([param, inputId]) => {
+            const value = document.getElementById(inputId).value.trim();
+            if (value) params.set(param, value);
+        });
+        if (document.getElementById('conversationEscalated').checked) {
+            params.set('escalated', 'true');
+        }
+        if (document.getElementById('conversationOpenCart').checked) {
+            params.set('openCart', 'true');
+        }
+        if (append && conversationsCursor) {
+            params.set('cursor', conversationsCursor);
+        }
+
+        const response = await authenticatedFetch(`/api/conversations?${params}`);
+        if (!response.ok) throw new Error('Failed to load conversations');
+
+        const data = await response.json();
+        conversationsData = append ? conversationsData.concat(data.conversations) : data.conversations;
+        conversationsCursor = data.nextCursor;
+        displayConversations(conversationsData);
+    } catch (error) {
+        console.error('Error loading conversations:', error);
+        showAlert('Error loading transcripts', 'danger');
+    }
 }
 
+// Display transcript search results
+function displayConversations(conversations) {
+    const list = document.getElementById('conversationsList');
+    document.getElementById('loadMoreConversations').style.display = conversationsCursor ? 'inline-block' : 'none';
+
+    if (conversations.length === 0) {
+        list.innerHTML = '<div class="alert alert-info">No conversations found</div>';
+        return;
+    }
+
+    const rows = conversations.map(conversation => `
+        <tr style="cursor: pointer;" onclick="showTranscript(${conversation.id})">
+            <td>${parseTimestamp(conversation.started_at).toLocaleString()}</td>
+            <td><i class="fas fa-${conversation.channel === 'voice' ? 'phone' : 'sms'} me-1"></i>${escapeHtml(conversation.channel)}</td>
+            <td>${escapeHtml(conversation.room_number || '—')}</td>
+            <td>${escapeHtml(conversation.guest_name || '')}</td>
+            <td class="small text-muted">${escapeHtml(conversation.call_sid || conversation.phone_number || '')}</td>
+            <td>${conversation.turn_count}</td>
+            <td>${conversation.order_count > 0 ? `<span class="badge bg-success">${conversation.order_count}</span>` : ''}</td>
+            <td>${conversation.escalated_at ? `<span class="badge bg-warning text-dark">${escapeHtml(conversation.escalation_status || '')}</span>` : ''}</td>
+            <td>${conversation.cart ? `<span class="badge bg-info text-dark">$${conversation.cart_total.toFixed(2)}</span>` : ''}</td>
+        </tr>
+    `).join('');
+
+    list.innerHTML = `
+        <table class="table table-hover align-middle">
+            <thead>
+                <tr><th>Started</th><th>Channel</th><th>Room</th><th>Guest</th><th>Call / Phone</th><th>Turns</th><th>Orders</th><th>Escalated</th><th>Open cart</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Show every turn of a conversation
+async function showTranscript(conversationId) {
+    let conversation;
+    try {
+        const response = await authenticatedFetch(`/api/conversations/${conversationId}`);
+        if (!response.ok) throw new Error('Failed to load transcript');
+        conversation = await response.json();
+    } catch (error) {
+        console.error('Error loading transcript:', error);
+        showAlert('Error loading transcript', 'danger');
+        return;
+    }
+
+    document.getElementById('transcriptTitle').textContent =
+        `${conversation.channel === 'voice' ? 'Call' : 'SMS'} — room ${conversation.room_number || 'unknown'}, ${parseTimestamp(conversation.started_at).toLocaleString()}`;
+
+    const turns = conversation.turns.map(turn => `
+        ${turn.guest_text ? `
+            <div class="d-flex justify-content-end mb-1">
+                <div class="bg-primary text-white rounded p-2" style="max-width: 75%;">
+                    ${escapeHtml(turn.guest_text)}
+                    ${turn.speech_confidence !== null ? `<div class="small opacity-75">confidence ${Math.round(turn.speech_confidence * 100)}%</div>` : ''}
+                </div>
+            </div>
+        ` : ''}
+        <div class="d-flex mb-1">
+            <div class="bg-light rounded p-2" style="max-width: 75%;">
+                ${escapeHtml(turn.ai_text || '')}
+                ${turn.order_id ? `<div><a href="#" class="small" onclick="showOrderDetails(${turn.order_id}); return false;">Order #${turn.order_id}</a></div>` : ''}
+            </div>
+        </div>
+        <div class="small text-muted mb-3">
+            ${parseTimestamp(turn.created_at).toLocaleTimeString()}${turn.latency_ms !== null ? ` · ${turn.latency_ms} ms` : ''}
+        </div>
+    `).join('');
+
+    const escalation = conversation.escalated_at ? `
+        <div class="alert alert-warning py-2">
+            <i class="fas fa-headset me-1"></i>Escalated ${parseTimestamp(conversation.escalated_at).toLocaleTimeString()}:
+            ${escapeHtml(conversation.escalation_reason.replace(/_/g, ' '))} (${escapeHtml(conversation.escalation_status)})
+        </div>
+    ` : '';
+
+    const cart = conversation.cart ? `
+        <div class="alert alert-info py-2">
+            <i class="fas fa-shopping-cart me-1"></i>Not ordered
+            (${conversation.cart_status === 'read_back' ? 'read back, waiting for the guest to confirm' : 'still choosing'}):
+            ${conversation.cart.map(line => `${line.quantity} × ${escapeHtml(line.name)}${line.specialInstructions ? ` (${escapeHtml(line.specialInstructions)})` : ''}`).join(', ')}
+            — $${conversation.cart_total.toFixed(2)}
+        </div>
+    ` : '';
+
+    document.getElementById('transcriptContent').innerHTML = escalation + cart + (turns || '<p class="text-muted">No turns recorded.</p>');
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('transcriptModal')).show();
+}
+
+// Open the transcript of the conversation that placed an order
+async function showOrderTranscript(orderId) {
+    try {
+        const response = await authenticatedFetch(`/api/conversations?orderId=${orderId}&limit=1`);
+        if (!response.ok) throw new Error('Failed to find transcript');
+
+        const { conversations } = await response.json();
+        if (conversations.length === 0) {
+            showAlert('No transcript recorded for this order', 'info');
+            return;
+        }
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('orderDetailsModal')).hide();
+        showTranscript(conversations[0].id);
+    } catch (error) {
+        console.error('Error finding transcript:', error);
+        showAlert('Error loading transcript', 'danger');
+    }
+}
+
+// Load guests waiting for a call back
+async function loadCallbacks() {
+    try {
+        const status = document.getElementById('callbackStatusFilter').value;
+        const response = await authenticatedFetch(`/api/callbacks?status=${status}`);
+        if (!response.ok) throw new Error('Failed to load callbacks');
+
+        callbacksData = await response.json();
+        displayCallbacks(callbacksData);
+        if (status === 'open') {
+            updateCallbacksBadge(callbacksData.length);
+        }
+    } catch (error) {
+        console.error('Error loading callbacks:', error);
+        showAlert('Error loading callbacks', 'danger');
+    }
+}
+
+// Count waiting guests for staff who work callbacks
+async function refreshCallbacksBadge() {
+    if (document.getElementById('callbacksNavLink').style.display === 'none') return;
+    try {
+        const response = await authenticatedFetch('/api/callbacks?status=open');
+        if (!response.ok) return;
+        updateCallbacksBadge((await response.json()).length);
+    } catch (error) {
+        console.error('Error counting callbacks:', error);
+    }
+}
+
+// Show the number of waiting guests next to the nav link
+function updateCallbacksBadge(count) {
+    const badge = document.getElementById('callbacksBadge');
+    badge.textContent = count;
+    badge.style.display = count > 0 ? 'inline-block' : 'none';
+}
+
+// Display callback tasks
+function displayCallbacks(tasks) {
+    const list = document.getElementById('callbacksList');
+
+    if (tasks.length === 0) {
+        list.innerHTML = '<div class="alert alert-info">No callbacks</div>';
+        return;
+    }
+
+    const rows = tasks.map(task => `
+        <tr>
+            <td>${getTimeAgo(parseTimestamp(task.created_at))}</td>
+            <td><i class="fas fa-${task.channel === 'voice' ? 'phone' : 'sms'} me-1"></i>${escapeHtml(task.channel)}</td>
+            <td>${escapeHtml(task.room_number || '—')}</td>
+            <td>${escapeHtml(task.guest_name || '')}</td>
+            <td>${escapeHtml(task.phone_number || '')}</td>
+            <td>${escapeHtml(task.reason_label)}</td>
+            <td>
+                ${task.status === 'open' ? `
+                    <button class="btn btn-sm btn-success" onclick="closeCallback(${task.id}, 'done')">Done</button>
+                    <button class="btn btn-sm btn-outline-secondary" onclick="closeCallback(${task.id}, 'cancelled')">Cancel</button>
+                ` : `
+                    <span class="small text-muted">${task.status} by ${escapeHtml(task.completed_by_name || 'unknown')}${task.notes ? `: ${escapeHtml(task.notes)}` : ''}</span>
+                `}
+                ${task.conversation_id ? `<button class="btn btn-sm btn-link" onclick="showTranscript(${task.conversation_id})">Transcript</button>` : ''}
+            </td>
+        </tr>
+    `).join('');
+
+    list.innerHTML = `
+        <table class="table table-hover align-middle">
+            <thead>
+                <tr><th>Waiting</th><th>Channel</th><th>Room</th><th>Guest</th><th>Phone</th><th>Reason</th><th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Mark a callback done or cancelled, asking staff what happened
+async function closeCallback(taskId, status) {
+    const notes = prompt(status === 'done' ? 'Notes on the call back (optional)' : 'Why is this callback cancelled?');
+    if (notes === null) return;
+
+    try {
+        const response = await authenticatedFetch(`/api/callbacks/${taskId}/status`, {
+            method: 'PUT',
+            body: JSON.stringify({ status, notes })
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to update callback');
+        }
+
+        loadCallbacks();
+        showAlert(`Callback marked ${status}`, 'success');
+    } catch (error) {
+        console.error('Error updating callback:', error);
+        showAlert(error.message || 'Error updating callback', 'danger');
+    }
+}
+
+// Load staff accounts, recent changes and failed logins
+async function loadStaff() {
+    try {
+        const includeInactive = document.getElementById('showInactiveStaff').checked;
+        const [staffResponse, auditResponse, loginsResponse] = await Promise.all([
+            authenticatedFetch(`/api/staff?includeInactive=${includeInactive}`),
+            authenticatedFetch('/api/staff/audit?limit=20'),
+            authenticatedFetch('/api/staff/login-events?outcome=failed&limit=20')
+        ]);
+        if (!staffResponse.ok || !auditResponse.ok || !loginsResponse.ok) throw new Error('Failed to load staff');
+
+        displayStaff(await staffResponse.json());
+        displayStaffAudit(await auditResponse.json());
+        displayFailedLogins(await loginsResponse.json());
+    } catch (error) {
+        console.error('Error loading staff:', error);
+        showAlert('Error loading staff', 'danger');
+    }
+}
+
+// Display staff accounts
+function displayStaff(staff) {
+    const rows = staff.map(member => {
+        const active = !!member.is_active;
+        const toggle = active
+            ? `<button class="btn btn-sm btn-outline-danger" onclick="setStaffActive(${member.id}, false)">Deactivate</button>`
+            : `<button class="btn btn-sm btn-outline-success" onclick="setStaffActive(${member.id}, true)">Reactivate</button>`;
+
+        return `
+            <tr>
+                <td><strong>${escapeHtml(member.username)}</strong></td>
+                <td>${escapeHtml(member.name)}</td>
+                <td>${escapeHtml(member.role)}</td>
+                <td>
+                    <span class="badge bg-${active ? 'success' : 'secondary'}">${active ? 'active' : 'deactivated'}</span>
+                    ${member.must_change_password ? '<span class="badge bg-warning text-dark">password change pending</span>' : ''}
+                    ${member.totp_enabled ? '<span class="badge bg-info text-dark">2FA</span>' : ''}
+                </td>
+                <td class="text-end">
+                    <button class="btn btn-sm btn-outline-primary" onclick="editStaff(${member.id}, ${escapeHtml(JSON.stringify(member.name))}, ${escapeHtml(JSON.stringify(member.role))})">Edit</button>
+                    <button class="btn btn-sm btn-outline-warning" onclick="resetStaffPassword(${member.id}, ${escapeHtml(JSON.stringify(member.username))})">Reset password</button>
+                    ${member.totp_enabled ? `<button class="btn btn-sm btn-outline-warning" onclick="resetStaffMfa(${member.id}, ${escapeHtml(JSON.stringify(member.username))})">Reset 2FA</button>` : ''}
+                    ${toggle}
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    document.getElementById('staffList').innerHTML = `
+        <table class="table table-hover align-middle">
+            <thead>
+                <tr><th>Username</th><th>Name</th><th>Role</th><th>Status</th><th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Display the staff audit log
+function displayStaffAudit(entries) {
+    const auditLog = document.getElementById('staffAuditLog');
+
+    if (entries.length === 0) {
+        auditLog.innerHTML = '<p class="text-muted">No changes yet.</p>';
+        return;
+    }
+
+    auditLog.innerHTML = `<ul class="list-group">${entries.map(entry => `
+        <li class="list-group-item small">
+            <span class="text-muted">${parseTimestamp(entry.created_at).toLocaleString()}</span>
+            ${escapeHtml(entry.actor_username || 'system')} — ${escapeHtml(entry.action.replace(/_/g, ' '))} <strong>${escapeHtml(entry.staff_username)}</strong>
+            ${entry.details ? `<code>${escapeHtml(JSON.stringify(entry.details))}</code>` : ''}
+        </li>
+    `).join('')}</ul>`;
+}
+
+// Display recent failed login attempts
+function displayFailedLogins(events) {
+    const failedLogins = document.getElementById('failedLogins');
+
+    if (events.length === 0) {
+        failedLogins.innerHTML = '<p class="text-muted">No failed logins.</p>';
+        return;
+    }
+
+    const rows = events.map(event => `
+        <tr>
+            <td>${parseTimestamp(event.created_at).toLocaleString()}</td>
+            <td>${escapeHtml(event.username)}</td>
+            <td>${escapeHtml(event.ip_address || '')}</td>
+            <td>${failedLoginReason(event.reason)}</td>
+            <td class="small text-muted">${escapeHtml(event.user_agent || '')}</td>
+        </tr>
+    `).join('');
+
+    failedLogins.innerHTML = `
+        <table class="table table-sm align-middle">
+            <thead>
+                <tr><th>When</th><th>Username</th><th>IP</th><th>Result</th><th>Client</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// How each login_events reason reads in the failed logins table
+const LOGIN_FAILURE_REASONS = {
+    invalid_credentials: 'wrong username or password',
+    invalid_mfa_code: 'wrong two-factor code',
+    locked_out: '<span class="badge bg-danger">locked out</span>'
+};
+
+function failedLoginReason(reason) {
+    return LOGIN_FAILURE_REASONS[reason] || escapeHtml((reason || 'unknown').replace(/_/g, ' '));
+}
+
+// Anything a guest, caller or staff member typed must go through this
+// before it is put into innerHTML. Quotes are escaped too, so the result
+// is safe inside attribute values.
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Send a staff admin request and report the result
+async function staffRequest(url, options, successMessage) {
+    try {
+        const response = await authenticatedFetch(url, options);
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const problems = data.details && data.details.problems;
+            throw new Error(problems ? problems.join(', ') : (data.error || 'Request failed'));
+        }
+
+        showAlert(successMessage, 'success');
+        loadStaff();
+        return data;
+    } catch (error) {
+        console.error('Staff admin error:', error);
+        showAlert(error.message || 'Request failed', 'danger');
+        return null;
+    }
+}
+
+// Create a staff account with a temporary password
+async function addStaff() {
+    const username = prompt('Username:');
+    if (!username) return;
+    const name = prompt('Full name:');
+    if (!name) return;
+    const role = prompt('Role (kitchen, runner, front_desk, manager, admin):', 'front_desk');
+    if (!role) return;
+    const password = prompt('Temporary password (at least 10 characters, letters and numbers). They will change it at first login:');
+    if (!password) return;
+
+    await staffRequest('/api/staff', {
+        method: 'POST',
+        body: JSON.stringify({ username, name, role, password })
+    }, `Account ${username} created`);
+}
+
+// Change a staff member's name or role
+async function editStaff(staffId, currentName, currentRole) {
+    const name = prompt('Full name:', currentName);
+    if (!name) return;
+    const role = prompt('Role (kitchen, runner, front_desk, manager, admin):', currentRole);
+    if (!role) return;
+
+    await staffRequest(`/api/staff/${staffId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ name, role })
+    }, 'Account updated');
+}
+
+// Deactivate or reactivate an account
+async function setStaffActive(staffId, active) {
+    if (!active && !confirm('Deactivate this account? They will be logged out everywhere.')) return;
+
+    await staffRequest(`/api/staff/${staffId}/${active ? 'reactivate' : 'deactivate'}`, { method: 'POST' },
+        active ? 'Account reactivated' : 'Account deactivated');
+}
+
+// Reset a password; the server generates a temporary one
+async function resetStaffPassword(staffId, username) {
+    if (!confirm(`Reset the password for ${username}? They will be logged out everywhere.`)) return;
+
+    const data = await staffRequest(`/api/staff/${staffId}/reset-password`, { method: 'POST' }, 'Password reset');
+    if (data && data.temporaryPassword) {
+        alert(`Temporary password for ${username}: ${data.temporaryPassword}\n\nThey must change it at next login.`);
+    }
+}
+
+// Remove a staff member's second factor (lost phone)
+async function resetStaffMfa(staffId, username) {
+    if (!confirm(`Remove two-factor authentication for ${username}? They will be logged out everywhere.`)) return;
+
+    await staffRequest(`/api/staff/${staffId}/reset-mfa`, { method: 'POST' }, 'Two-factor authentication removed');
+}
+
+// Placeholder functions for other sections
+
 function loadAnalytics() {
     // Initialize charts if Chart.js is available
     if (typeof Chart !== 'undefined') {
@@ -576,6 +1306,134 @@ function loadAnalytics() {
 function loadSettings() {
     // Load system status
     checkSystemStatus();
+    loadMfaSettings();
+}
+
+// Show the caller's two-factor status with the matching actions
+async function loadMfaSettings() {
+    const container = document.getElementById('mfaSettings');
+
+    try {
+        const response = await authenticatedFetch('/auth/mfa');
+        if (!response.ok) throw new Error('Failed to load two-factor status');
+        const status = await response.json();
+
+        if (status.enabled) {
+            container.innerHTML = `
+                <p><i class="fas fa-shield-alt text-success me-2"></i>Enabled. ${status.recoveryCodesRemaining} recovery codes left.</p>
+                <button class="btn btn-outline-primary btn-sm" onclick="regenerateRecoveryCodes()">New recovery codes</button>
+                <button class="btn btn-outline-danger btn-sm" onclick="disableMfa(${status.required})">Turn off</button>
+            `;
+        } else {
+            container.innerHTML = `
+                <p class="text-muted">Protect your account with a code from an authenticator app when you log in.</p>
+                <button class="btn btn-primary btn-sm" onclick="setUpMfa()">Set up</button>
+            `;
+        }
+    } catch (error) {
+        console.error('Error loading two-factor status:', error);
+        container.innerHTML = '<p class="text-danger">Could not load two-factor status</p>';
+    }
+}
+
+// Enroll: show the QR code, then confirm with the first code
+async function setUpMfa() {
+    const container = document.getElementById('mfaSettings');
+
+    try {
+        const response = await authenticatedFetch('/auth/mfa/setup', { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Could not start two-factor setup');
+
+        container.innerHTML = `
+            <p>Scan this code with your authenticator app, then enter the 6-digit code it shows.</p>
+            <div id="mfaQrCode" class="mb-2"></div>
+            <p><small class="text-muted">Or enter this key: <code>${data.secret}</code></small></p>
+            <div class="input-group">
+                <input type="text" class="form-control" id="mfaEnableCode" placeholder="123456" autocomplete="one-time-code">
+                <button class="btn btn-primary" onclick="enableMfa()">Enable</button>
+            </div>
+        `;
+        if (typeof QRCode !== 'undefined') {
+            new QRCode(document.getElementById('mfaQrCode'), { text: data.otpauthUrl, width: 160, height: 160 });
+        }
+    } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+async function enableMfa() {
+    try {
+        const response = await authenticatedFetch('/auth/mfa/enable', {
+            method: 'POST',
+            body: JSON.stringify({ code: document.getElementById('mfaEnableCode').value.trim() })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Could not enable two-factor authentication');
+
+        showRecoveryCodes(data.recoveryCodes);
+    } catch (error) {
+        console.error('Error enabling two-factor authentication:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+async function regenerateRecoveryCodes() {
+    const code = prompt('Enter the current code from your authenticator app:');
+    if (!code) return;
+
+    try {
+        const response = await authenticatedFetch('/auth/mfa/recovery-codes', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Could not create recovery codes');
+
+        showRecoveryCodes(data.recoveryCodes);
+    } catch (error) {
+        console.error('Error creating recovery codes:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+// Recovery codes are only ever shown once
+function showRecoveryCodes(codes) {
+    document.getElementById('mfaSettings').innerHTML = `
+        <p>Save these recovery codes somewhere safe. Each one works once if you lose your phone; they will not be shown again.</p>
+        <pre class="bg-light p-3">${codes.join('\n')}</pre>
+        <button class="btn btn-primary btn-sm" onclick="loadMfaSettings()">Done</button>
+    `;
+}
+
+async function disableMfa(required) {
+    if (required && !confirm('Your role requires two-factor authentication. You will have to set it up again before you can keep working. Continue?')) return;
+    const password = prompt('Your password:');
+    if (!password) return;
+    const code = prompt('Code from your authenticator app (or a recovery code):');
+    if (!code) return;
+
+    const proof = /^\d{6}$/.test(code.trim()) ? { code } : { recoveryCode: code };
+
+    try {
+        const response = await authenticatedFetch('/auth/mfa/disable', {
+            method: 'POST',
+            body: JSON.stringify({ password, ...proof })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Could not turn off two-factor authentication');
+
+        showAlert('Two-factor authentication turned off', 'success');
+        if (required) {
+            window.location.href = '/login';
+            return;
+        }
+        loadMfaSettings();
+    } catch (error) {
+        console.error('Error turning off two-factor authentication:', error);
+        showAlert(error.message, 'danger');
+    }
 }
 
 async function checkSystemStatus() {
@@ -591,20 +1449,79 @@ function refreshData() {
         loadStats();
     } else if (currentSection === 'menu') {
         loadMenuItems();
+    } else if (currentSection === 'rooms') {
+        loadRooms();
+    } else if (currentSection === 'conversations') {
+        loadConversations();
+    } else if (currentSection === 'callbacks') {
+        loadCallbacks();
     }
     showAlert('Data refreshed', 'success');
 }
 
-// Toggle menu item availability
-function toggleMenuItem(itemId, available) {
-    console.log(`Toggling item ${itemId} to ${available ? 'available' : 'unavailable'}`);
-    // In a real implementation, you'd call an API endpoint
-    showAlert(`Menu item ${available ? 'enabled' : 'disabled'}`, 'success');
-    loadMenuItems();
+// Toggle menu item availability ("86" an item)
+async function toggleMenuItem(itemId, available) {
+    try {
+        const response = await authenticatedFetch(`/api/menu/items/${itemId}/availability`, {
+            method: 'PUT',
+            body: JSON.stringify({ available })
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to update menu item');
+        }
+
+        showAlert(`Menu item ${available ? 'enabled' : 'disabled'}`, 'success');
+        loadMenuItems();
+    } catch (error) {
+        console.error('Error toggling menu item:', error);
+        showAlert(error.message || 'Error updating menu item', 'danger');
+    }
+}
+
+// Edit menu item
+async function editMenuItem(itemId) {
+    const item = menuData.find(i => i.id === itemId);
+    if (!item) return;
+
+    try {
+        await loadMenuItemCategories();
+
+        document.getElementById('menuItemId').value = item.id;
+        document.getElementById('menuItemCategory').value = item.category_id;
+        document.getElementById('menuItemName').value = item.name;
+        document.getElementById('menuItemDescription').value = item.description || '';
+        document.getElementById('menuItemPrice').value = item.price.toFixed(2);
+        document.getElementById('menuItemPrepTime').value = item.preparation_time;
+        document.getElementById('menuItemModalTitle').textContent = 'Edit Menu Item';
+        document.getElementById('saveMenuItemButton').textContent = 'Save Changes';
+
+        const modal = new bootstrap.Modal(document.getElementById('addMenuItemModal'));
+        modal.show();
+    } catch (error) {
+        console.error('Error loading categories:', error);
+        showAlert('Error loading categories', 'danger');
+    }
 }
 
-// Edit menu item (placeholder)
-function editMenuItem(itemId) {
-    console.log('Editing menu item:', itemId);
-    showAlert('Edit functionality coming soon', 'info');
+// Delete menu item (past orders keep showing it)
+async function deleteMenuItem(itemId) {
+    const item = menuData.find(i => i.id === itemId);
+    if (!confirm(`Remove ${item ? item.name : 'this item'} from the menu?`)) return;
+
+    try {
+        const response = await authenticatedFetch(`/api/menu/items/${itemId}`, { method: 'DELETE' });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to delete menu item');
+        }
+
+        showAlert('Menu item deleted', 'success');
+        loadMenuItems();
+    } catch (error) {
+        console.error('Error deleting menu item:', error);
+        showAlert(error.message || 'Error deleting menu item', 'danger');
+    }
 }
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+/**
+ * Create or upgrade the database schema by applying all pending migrations
+ */
+require('dotenv').config();
+const { migrator, closeDatabase } = require('../src/config/database');
+
+async function main() {
+  const applied = await migrator.migrate();
+  console.log(applied.length > 0
+    ? `Database initialized: applied ${applied.length} migration(s)`
+    : 'Database schema is already up to date');
+}
+
+main()
+  .catch(error => {
+    console.error('Database initialization failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
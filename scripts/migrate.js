@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Schema migration CLI
+ *
+ * Usage:
+ *   node scripts/migrate.js up [--to <version>]   Apply pending migrations
+ *   node scripts/migrate.js down [--steps <n>]    Roll back the last n migrations (default 1)
+ *   node scripts/migrate.js status                List applied and pending migrations
+ */
+require('dotenv').config();
+const { migrator, closeDatabase } = require('../src/config/database');
+
+function getFlag(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrator.migrate({ to: getFlag(args, 'to') });
+      console.log(applied.length > 0
+        ? `Applied ${applied.length} migration(s)`
+        : 'No pending migrations');
+      break;
+    }
+
+    case 'down': {
+      const steps = parseInt(getFlag(args, 'steps') || '1', 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive integer');
+      }
+      const rolledBack = await migrator.rollback({ steps });
+      console.log(`Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
+
+    case 'status': {
+      const migrations = await migrator.status();
+      migrations.forEach(migration => {
+        const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`${migration.version}_${migration.name}  ${state}`);
+      });
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down or status.`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
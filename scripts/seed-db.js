@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+/**
+ * Insert the default menu and admin account. Existing rows are kept,
+ * so this is safe to run against a live database.
+ */
+require('dotenv').config();
+const { migrator, closeDatabase } = require('../src/config/database');
+const { seedDefaultData } = require('../src/config/seed');
+
+async function main() {
+  await migrator.withConnection(seedDefaultData);
+  console.log('Default data seeded');
+}
+
+main()
+  .catch(error => {
+    console.error('Seeding failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
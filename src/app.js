@@ -6,12 +6,28 @@ const path = require('path');
 
 // Routes
 const apiRoutes = require('./routes/api');
+const menuRoutes = require('./routes/menu');
+const roomRoutes = require('./routes/rooms');
+const staffRoutes = require('./routes/staff');
+const conversationRoutes = require('./routes/conversations');
+const callbackRoutes = require('./routes/callbacks');
 const twilioRoutes = require('./routes/twilio');
 const authRoutes = require('./routes/auth');
 const { authenticateToken } = require('./middleware/auth');
 
+// Subscribes guest and staff notifications to order events
+require('./services/notificationService');
+
 const app = express();
 
+// Behind a load balancer (e.g. Render), trust its X-Forwarded-For so
+// login throttling sees the real client IP. Set TRUST_PROXY to the number
+// of proxy hops or an Express trust proxy value.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors());
@@ -24,6 +40,12 @@ app.use(express.static(path.join(__dirname, '../public')));
 
 // Routes
 app.use('/api', apiRoutes);
+// After apiRoutes, so the public GET /api/menu is matched first
+app.use('/api/menu', menuRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/callbacks', callbackRoutes);
 app.use('/auth', authRoutes);
 app.use('/twilio', twilioRoutes);
 
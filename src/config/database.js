@@ -1,271 +1,316 @@
 const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Migrator } = require('./migrator');
+const { seedDefaultData } = require('./seed');
 
 // Check if PostgreSQL is available (Render provides DATABASE_URL)
 const isPostgres = !!process.env.DATABASE_URL;
-let db;
+const DEFAULT_SQLITE_PATH = './data/hotelagent.db';
+let sqliteDb = null;
+let pool = null;
 
 console.log('Database configuration:');
 console.log('- DATABASE_URL present:', !!process.env.DATABASE_URL);
 console.log('- DATABASE_URL value:', process.env.DATABASE_URL ? 'SET' : 'NOT SET');
 console.log('- Using PostgreSQL:', isPostgres);
+if (!isPostgres) {
+  console.log('- SQLite path:', process.env.DATABASE_PATH || DEFAULT_SQLITE_PATH);
+}
 
 if (isPostgres) {
   // Use PostgreSQL in production (Render)
-  const { Pool } = require('pg');
-  const pool = new Pool({
+  const { Pool, types } = require('pg');
+
+  // Return DECIMAL and COUNT(*) values as numbers, matching SQLite
+  types.setTypeParser(types.builtins.NUMERIC, value => parseFloat(value));
+  types.setTypeParser(types.builtins.INT8, value => parseInt(value, 10));
+
+  pool = new Pool({
     connectionString: process.env.DATABASE_URL,
     ssl: { rejectUnauthorized: false }
   });
 
-  // Create a db object that mimics sqlite3 interface for PostgreSQL
-  db = {
-    run: (sql, params, callback) => {
-      console.log('Executing SQL:', sql.substring(0, 100) + (sql.length > 100 ? '...' : ''));
-      pool.query(sql, params, (err, result) => {
-        if (err) {
-          console.error('Database error:', err.message);
-          console.error('SQL:', sql);
-        }
-        if (callback) {
-          // Mimic sqlite3's lastID behavior
-          let lastID = null;
-          if (result && result.rows && result.rows.length > 0) {
-            lastID = result.rows[0].id;
-          }
-          const mockResult = result ? { ...result, lastID } : { lastID };
-          callback(err, mockResult);
-        }
-      });
-    },
-    get: (sql, params, callback) => {
-      pool.query(sql, params, (err, result) => {
-        if (callback) callback(err, result ? result.rows[0] : null);
-      });
-    },
-    all: (sql, params, callback) => {
-      pool.query(sql, params, (err, result) => {
-        if (callback) callback(err, result ? result.rows : []);
-      });
-    },
-    serialize: (callback) => {
-      // PostgreSQL doesn't need explicit serialization like SQLite
-      if (callback) callback();
-    }
-  };
+  pool.on('error', (err) => {
+    console.error('Unexpected PostgreSQL pool error:', err.message);
+  });
 
   console.log('Connected to PostgreSQL database');
 } else {
-  // Use SQLite for development (in-memory to avoid file system issues)
-  db = new sqlite3.Database(':memory:', (err) => {
+  // Use SQLite for development and small properties. DATABASE_PATH=:memory:
+  // opts in to a throwaway in-memory database (used by tests).
+  const databasePath = process.env.DATABASE_PATH || DEFAULT_SQLITE_PATH;
+  const inMemory = databasePath === ':memory:';
+  const filename = inMemory ? ':memory:' : path.resolve(databasePath);
+
+  if (!inMemory) {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  sqliteDb = new sqlite3.Database(filename, (err) => {
     if (err) {
       console.error('Error opening database:', err.message);
     } else {
-      console.log('Connected to in-memory SQLite database');
+      console.log(inMemory
+        ? 'Connected to in-memory SQLite database (data will not persist)'
+        : `Connected to SQLite database at ${filename}`);
+    }
+  });
+
+  // Wait on locks held by other connections (e.g. the migrate CLI) instead of failing
+  sqliteDb.configure('busyTimeout', parseInt(process.env.SQLITE_BUSY_TIMEOUT || '5000', 10));
+
+  sqliteDb.serialize(() => {
+    // WAL lets readers continue while a write is in progress
+    if (!inMemory) {
+      sqliteDb.run('PRAGMA journal_mode = WAL');
+      sqliteDb.run('PRAGMA synchronous = NORMAL');
     }
+    sqliteDb.run('PRAGMA foreign_keys = ON');
   });
 }
 
-// Initialize database tables
-async function initDatabase() {
-  return new Promise(async (resolve, reject) => {
-    // Function to create all tables
-    const createTables = async () => {
-      // Rooms table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS rooms (
-          id ${isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
-          room_number ${isPostgres ? 'VARCHAR(255)' : 'TEXT'} UNIQUE NOT NULL,
-          guest_name ${isPostgres ? 'VARCHAR(255)' : 'TEXT'},
-          phone_number ${isPostgres ? 'VARCHAR(255)' : 'TEXT'},
-          check_in_date TIMESTAMP,
-          check_out_date TIMESTAMP,
-          status ${isPostgres ? 'VARCHAR(255)' : 'TEXT'} DEFAULT 'available',
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Menu categories table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS menu_categories (
-          id ${isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
-          name ${isPostgres ? 'VARCHAR(255)' : 'TEXT'} NOT NULL,
-          description ${isPostgres ? 'TEXT' : 'TEXT'},
-          is_active BOOLEAN DEFAULT TRUE,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Menu items table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS menu_items (
-          id ${isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
-          category_id INTEGER ${isPostgres ? 'REFERENCES menu_categories (id)' : ''},
-          name ${isPostgres ? 'VARCHAR(255)' : 'TEXT'} NOT NULL,
-          description ${isPostgres ? 'TEXT' : 'TEXT'},
-          price DECIMAL(10,2) NOT NULL,
-          image_url ${isPostgres ? 'VARCHAR(500)' : 'TEXT'},
-          is_available BOOLEAN DEFAULT TRUE,
-          preparation_time INTEGER DEFAULT 30,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )${isPostgres ? '' : ', FOREIGN KEY (category_id) REFERENCES menu_categories (id)'}
-      `);
-
-      // Orders table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS orders (
-          id ${isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
-          room_id INTEGER ${isPostgres ? 'REFERENCES rooms (id)' : ''} NOT NULL,
-          status ${isPostgres ? 'VARCHAR(255)' : 'TEXT'} DEFAULT 'pending',
-          total_amount DECIMAL(10,2) DEFAULT 0,
-          special_instructions ${isPostgres ? 'TEXT' : 'TEXT'},
-          estimated_delivery_time TIMESTAMP,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )${isPostgres ? '' : ', FOREIGN KEY (room_id) REFERENCES rooms (id)'}
-      `);
-
-      // Order items table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS order_items (
-          id ${isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
-          order_id INTEGER ${isPostgres ? 'REFERENCES orders (id)' : ''} NOT NULL,
-          menu_item_id INTEGER ${isPostgres ? 'REFERENCES menu_items (id)' : ''} NOT NULL,
-          quantity INTEGER NOT NULL,
-          unit_price DECIMAL(10,2) NOT NULL,
-          special_instructions ${isPostgres ? 'TEXT' : 'TEXT'},
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )${isPostgres ? '' : ', FOREIGN KEY (order_id) REFERENCES orders (id), FOREIGN KEY (menu_item_id) REFERENCES menu_items (id)'}
-      `);
-
-      // Staff table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS staff (
-          id ${isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
-          username ${isPostgres ? 'VARCHAR(255)' : 'TEXT'} UNIQUE NOT NULL,
-          password_hash ${isPostgres ? 'VARCHAR(500)' : 'TEXT'} NOT NULL,
-          name ${isPostgres ? 'VARCHAR(255)' : 'TEXT'} NOT NULL,
-          role ${isPostgres ? 'VARCHAR(255)' : 'TEXT'} DEFAULT 'staff',
-          is_active BOOLEAN DEFAULT TRUE,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Notifications table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS notifications (
-          id ${isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
-          order_id INTEGER ${isPostgres ? 'REFERENCES orders (id)' : ''} NOT NULL,
-          type ${isPostgres ? 'VARCHAR(255)' : 'TEXT'} NOT NULL,
-          status ${isPostgres ? 'VARCHAR(255)' : 'TEXT'},
-          message ${isPostgres ? 'TEXT' : 'TEXT'} NOT NULL,
-          recipient ${isPostgres ? 'VARCHAR(255)' : 'TEXT'},
-          sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )${isPostgres ? '' : ', FOREIGN KEY (order_id) REFERENCES orders (id)'}
-      `);
-
-      // Insert default data
-      await insertDefaultData();
-
-      // Check if database is ready
-      if (isPostgres) {
-        db.get("SELECT 1", [], (err, result) => {
-          if (err) {
-            reject(err);
-          } else {
-            console.log('Database tables created successfully');
-            resolve();
-          }
-        });
-      } else {
-        db.get("SELECT name FROM sqlite_master WHERE type='table' LIMIT 1", (err, row) => {
-          if (err) {
-            reject(err);
-          } else {
-            console.log('Database tables created successfully');
-            resolve();
-          }
-        });
-      }
-    };
-
-    // Execute table creation
-    if (isPostgres) {
-      await createTables();
+/**
+ * Convert `?` placeholders to PostgreSQL's `$1, $2, ...`, leaving
+ * question marks inside quoted strings alone
+ * @param {string} sql - SQL with `?` placeholders
+ * @returns {string} - SQL with numbered placeholders
+ */
+function toPostgresPlaceholders(sql) {
+  let index = 0;
+  let quote = null;
+  let result = '';
+
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '?') {
+      result += `$${++index}`;
+      continue;
+    }
+    result += char;
+  }
+
+  return result;
+}
+
+/**
+ * Run a statement on the SQLite connection
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Object} - { rows, rowCount }
+ */
+function sqliteQuery(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    const returnsRows = /^\s*(SELECT|WITH|PRAGMA)\b/i.test(sql) || /\bRETURNING\b/i.test(sql);
+
+    if (returnsRows) {
+      sqliteDb.all(sql, params, (err, rows) => {
+        if (err) return reject(err);
+        resolve({ rows, rowCount: rows.length });
+      });
     } else {
-      // For SQLite, serialize is synchronous but createTables is async
-      db.serialize(() => {
-        createTables().then(resolve).catch(reject);
+      sqliteDb.run(sql, params, function(err) {
+        if (err) return reject(err);
+        resolve({ rows: [], rowCount: this.changes });
       });
     }
   });
 }
 
-// Insert default data
-async function insertDefaultData() {
-  const categories = [
-    { name: 'Appetizers', description: 'Start your meal right' },
-    { name: 'Main Courses', description: 'Hearty and satisfying' },
-    { name: 'Desserts', description: 'Sweet endings' },
-    { name: 'Beverages', description: 'Refreshing drinks' }
-  ];
-
-  // Insert categories
-  for (const category of categories) {
-    await new Promise((resolve, reject) => {
-      const sql = isPostgres
-        ? `INSERT INTO menu_categories (name, description) VALUES ($1, $2) ON CONFLICT DO NOTHING`
-        : `INSERT OR IGNORE INTO menu_categories (name, description) VALUES (?, ?)`;
-      db.run(sql, [category.name, category.description], (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+/**
+ * Run a statement on a PostgreSQL pool or client
+ * @param {Object} target - pg Pool or PoolClient
+ * @param {string} sql - SQL statement with `?` placeholders
+ * @param {Array} params - Bound parameters
+ * @returns {Object} - { rows, rowCount }
+ */
+async function postgresQuery(target, sql, params = []) {
+  try {
+    const result = await target.query(toPostgresPlaceholders(sql), params);
+    return { rows: result.rows, rowCount: result.rowCount };
+  } catch (error) {
+    console.error('Database error:', error.message);
+    console.error('SQL:', sql);
+    throw error;
   }
+}
 
-  // Default menu items
-  const menuItems = [
-    [1, 'Caesar Salad', 'Crisp romaine lettuce with parmesan and croutons', 12.99],
-    [1, 'Buffalo Wings', 'Spicy chicken wings with blue cheese dip', 14.99],
-    [2, 'Grilled Salmon', 'Fresh Atlantic salmon with seasonal vegetables', 24.99],
-    [2, 'Ribeye Steak', '12oz prime ribeye with garlic mashed potatoes', 32.99],
-    [2, 'Chicken Parmesan', 'Breaded chicken breast with marinara and mozzarella', 18.99],
-    [3, 'Chocolate Cake', 'Rich chocolate cake with vanilla ice cream', 8.99],
-    [3, 'Tiramisu', 'Classic Italian dessert with coffee and mascarpone', 9.99],
-    [4, 'Coffee', 'Freshly brewed coffee', 3.99],
-    [4, 'Soda', 'Coca-Cola, Sprite, or Orange soda', 2.99],
-    [4, 'Wine', 'House red or white wine', 8.99]
-  ];
-
-  // Insert menu items
-  for (const item of menuItems) {
-    await new Promise((resolve, reject) => {
-      const sql = isPostgres
-        ? `INSERT INTO menu_items (category_id, name, description, price) VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING`
-        : `INSERT OR IGNORE INTO menu_items (category_id, name, description, price) VALUES (?, ?, ?, ?)`;
-      db.run(sql, item, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+/**
+ * Build the data-access helpers on top of a raw query function. The same
+ * helpers are exposed at module level and to transaction callbacks.
+ * @param {Function} rawQuery - (sql, params) => Promise<{ rows, rowCount }>
+ * @returns {Object} - Executor with query, get, all, run and insert
+ */
+function createExecutor(rawQuery) {
+  return {
+    query: rawQuery,
+
+    /**
+     * Fetch the first row, or null
+     */
+    async get(sql, params = []) {
+      const { rows } = await rawQuery(sql, params);
+      return rows[0] || null;
+    },
+
+    /**
+     * Fetch all rows
+     */
+    async all(sql, params = []) {
+      const { rows } = await rawQuery(sql, params);
+      return rows;
+    },
+
+    /**
+     * Run an UPDATE/DELETE (or any statement) and return the affected row count
+     */
+    async run(sql, params = []) {
+      const { rowCount } = await rawQuery(sql, params);
+      return { rowCount };
+    },
+
+    /**
+     * Run an INSERT and return the new row's id
+     */
+    async insert(sql, params = []) {
+      const { rows } = await rawQuery(`${sql.trim()} RETURNING id`, params);
+      return rows[0] ? rows[0].id : null;
+    }
+  };
+}
+
+// SQLite has a single connection, so transactions take turns
+let sqliteTransactionQueue = Promise.resolve();
+
+// The withClient call that currently holds the SQLite connection, so
+// statements made from inside it don't wait behind it
+const sqliteConnectionHolder = new AsyncLocalStorage();
+
+/**
+ * Run a function with a dedicated connection. On PostgreSQL this checks a
+ * client out of the pool; on SQLite it waits for any running transaction.
+ * @param {Function} fn - Receives an executor bound to the connection
+ * @returns {*} - Whatever fn returns
+ */
+async function withClient(fn) {
+  if (isPostgres) {
+    const client = await pool.connect();
+    try {
+      return await fn(createExecutor((sql, params) => postgresQuery(client, sql, params)));
+    } finally {
+      client.release();
+    }
   }
 
-  // Default staff user (password: admin123)
-  const bcrypt = require('bcryptjs');
-  const saltRounds = 10;
-  const defaultPassword = 'admin123';
-  const hashedPassword = bcrypt.hashSync(defaultPassword, saltRounds);
-
-  await new Promise((resolve, reject) => {
-    const sql = isPostgres
-      ? `INSERT INTO staff (username, password_hash, name, role) VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING`
-      : `INSERT OR IGNORE INTO staff (username, password_hash, name, role) VALUES (?, ?, ?, ?)`;
-    db.run(sql, ['admin', hashedPassword, 'Hotel Administrator', 'admin'], (err) => {
-      if (err) reject(err);
-      else resolve();
-    });
+  const previous = sqliteTransactionQueue;
+  let releaseQueue;
+  sqliteTransactionQueue = new Promise(resolve => { releaseQueue = resolve; });
+
+  await previous;
+  const holder = { active: true };
+  try {
+    return await sqliteConnectionHolder.run(holder, () => fn(createExecutor(sqliteQuery)));
+  } finally {
+    holder.active = false;
+    releaseQueue();
+  }
+}
+
+/**
+ * Run a module-level statement on SQLite. Outside a transaction it waits
+ * its turn on the connection, so it can't land inside (and be rolled
+ * back with) another request's transaction.
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Object} - { rows, rowCount }
+ */
+function queuedSqliteQuery(sql, params = []) {
+  const holder = sqliteConnectionHolder.getStore();
+  if (holder && holder.active) {
+    return sqliteQuery(sql, params);
+  }
+  return withClient(() => sqliteQuery(sql, params));
+}
+
+/**
+ * Run a function inside a database transaction. Queries must go through
+ * the `tx` executor passed to fn; the transaction is committed when fn
+ * resolves and rolled back if it throws.
+ * @param {Function} fn - async (tx) => result
+ * @returns {*} - Whatever fn returns
+ */
+async function transaction(fn) {
+  return withClient(async (tx) => {
+    await tx.query(isPostgres ? 'BEGIN' : 'BEGIN IMMEDIATE');
+    try {
+      const result = await fn(tx);
+      await tx.query('COMMIT');
+      return result;
+    } catch (error) {
+      await tx.query('ROLLBACK').catch(rollbackError => {
+        console.error('Rollback failed:', rollbackError.message);
+      });
+      throw error;
+    }
   });
 }
 
-module.exports = { db, initDatabase, isPostgres };
+/**
+ * Check whether an error is a unique-constraint violation on either backend
+ * @param {Error} error - Error thrown by a query
+ * @returns {boolean}
+ */
+function isUniqueViolation(error) {
+  return !!error && (error.code === '23505' ||
+    (error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(error.message)));
+}
+
+const executor = createExecutor(isPostgres
+  ? (sql, params) => postgresQuery(pool, sql, params)
+  : queuedSqliteQuery);
+
+const migrator = new Migrator({ withClient, isPostgres });
+
+/**
+ * Bring the schema up to date and make sure default data exists
+ */
+async function initDatabase() {
+  const applied = await migrator.migrate();
+  console.log(applied.length > 0
+    ? `Applied ${applied.length} migration(s)`
+    : 'Database schema is up to date');
+
+  await migrator.withConnection(seedDefaultData);
+}
+
+/**
+ * Close the database connection (used by CLI scripts)
+ */
+async function closeDatabase() {
+  if (isPostgres) {
+    await pool.end();
+  } else {
+    await new Promise((resolve, reject) => {
+      sqliteDb.close(err => (err ? reject(err) : resolve()));
+    });
+  }
+}
+
+module.exports = {
+  query: executor.query,
+  get: executor.get,
+  all: executor.all,
+  run: executor.run,
+  insert: executor.insert,
+  transaction,
+  withClient,
+  isUniqueViolation,
+  migrator,
+  initDatabase,
+  closeDatabase,
+  isPostgres
+};
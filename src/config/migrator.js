@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary key for pg_advisory_lock so two instances never migrate at once
+const MIGRATION_LOCK_KEY = 724001;
+
+/**
+ * Versioned schema migrations for both the SQLite and PostgreSQL backends.
+ *
+ * Each file in src/migrations is named `<version>_<name>.js` and exports
+ * async `up(schema)` and `down(schema)` functions. Applied versions are
+ * recorded in the `schema_migrations` table and every migration runs in
+ * its own transaction.
+ */
+class Migrator {
+  /**
+   * @param {Object} options
+   * @param {Function} options.withClient - Runs a function with a dedicated connection
+   * @param {boolean} options.isPostgres - Which backend is in use
+   * @param {string} options.directory - Directory containing migration files
+   */
+  constructor({ withClient, isPostgres, directory = MIGRATIONS_DIR }) {
+    this.withClient = withClient;
+    this.isPostgres = isPostgres;
+    this.directory = directory;
+  }
+
+  /**
+   * Read migration files from disk, ordered by version
+   * @returns {Array} - Migrations with version, name, up and down
+   */
+  loadMigrations() {
+    return fs.readdirSync(this.directory)
+      .map(file => {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        if (!match) return null;
+
+        const migration = require(path.join(this.directory, file));
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+          throw new Error(`Migration ${file} must export up() and down()`);
+        }
+
+        return {
+          version: match[1],
+          name: match[2],
+          up: migration.up,
+          down: migration.down
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  /**
+   * Apply all pending migrations (or up to a target version)
+   * @param {Object} options
+   * @param {string} options.to - Optional highest version to apply
+   * @returns {Array} - Migrations that were applied
+   */
+  async migrate({ to } = {}) {
+    return this.withConnection(async (conn) => {
+      const applied = new Set(await this.getAppliedVersions(conn));
+      const pending = this.loadMigrations().filter(migration =>
+        !applied.has(migration.version) &&
+        (to === undefined || Number(migration.version) <= Number(to))
+      );
+
+      for (const migration of pending) {
+        console.log(`Applying migration ${migration.version}_${migration.name}`);
+        await this.inTransaction(conn, async () => {
+          await migration.up(this.createSchemaContext(conn));
+          await conn.query(
+            'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+            [migration.version, migration.name]
+          );
+        });
+      }
+
+      return pending;
+    });
+  }
+
+  /**
+   * Roll back the most recently applied migrations
+   * @param {Object} options
+   * @param {number} options.steps - Number of migrations to roll back
+   * @returns {Array} - Migrations that were rolled back
+   */
+  async rollback({ steps = 1 } = {}) {
+    return this.withConnection(async (conn) => {
+      const applied = await this.getAppliedVersions(conn);
+      const migrations = this.loadMigrations();
+      const toRollback = applied.slice(-steps).reverse();
+      const rolledBack = [];
+
+      for (const version of toRollback) {
+        const migration = migrations.find(m => m.version === version);
+        if (!migration) {
+          throw new Error(`Migration file for applied version ${version} is missing`);
+        }
+
+        console.log(`Rolling back migration ${migration.version}_${migration.name}`);
+        await this.inTransaction(conn, async () => {
+          await migration.down(this.createSchemaContext(conn));
+          await conn.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+        });
+        rolledBack.push(migration);
+      }
+
+      return rolledBack;
+    });
+  }
+
+  /**
+   * Report which migrations are applied and which are pending
+   * @returns {Array} - Migrations with an `applied` flag and `appliedAt`
+   */
+  async status() {
+    return this.withConnection(async (conn) => {
+      const rows = await conn.all('SELECT version, applied_at FROM schema_migrations');
+      const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+      return this.loadMigrations().map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: appliedAt.has(migration.version),
+        appliedAt: appliedAt.get(migration.version) || null
+      }));
+    });
+  }
+
+  /**
+   * Get applied migration versions in ascending order
+   * @param {Object} conn - Migration connection
+   * @returns {Array} - Version strings
+   */
+  async getAppliedVersions(conn) {
+    const rows = await conn.all('SELECT version FROM schema_migrations');
+    return rows.map(row => row.version).sort((a, b) => Number(a) - Number(b));
+  }
+
+  /**
+   * Run a function with a dedicated connection, making sure the
+   * schema_migrations table exists and holding the migration lock
+   * @param {Function} fn - Receives the connection executor
+   */
+  async withConnection(fn) {
+    return this.withClient(async (conn) => {
+      if (this.isPostgres) {
+        await conn.query('SELECT pg_advisory_lock(?)', [MIGRATION_LOCK_KEY]);
+      }
+
+      try {
+        await conn.query(`
+          CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(50) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        return await fn(conn);
+      } finally {
+        if (this.isPostgres) {
+          await conn.query('SELECT pg_advisory_unlock(?)', [MIGRATION_LOCK_KEY]).catch(() => {});
+        }
+      }
+    });
+  }
+
+  /**
+   * Run a function inside BEGIN/COMMIT, rolling back on error
+   * @param {Object} conn - Migration connection
+   * @param {Function} fn - Work to run inside the transaction
+   */
+  async inTransaction(conn, fn) {
+    await conn.query('BEGIN');
+    try {
+      await fn();
+      await conn.query('COMMIT');
+    } catch (error) {
+      await conn.query('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Build the object passed to migration up()/down() functions
+   * @param {Object} conn - Migration connection
+   * @returns {Object} - Schema helpers
+   */
+  createSchemaContext(conn) {
+    return {
+      isPostgres: this.isPostgres,
+      query: conn.query,
+      get: conn.get,
+      all: conn.all,
+      types: {
+        primaryKey: this.isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'
+      }
+    };
+  }
+}
+
+module.exports = { Migrator };
@@ -0,0 +1,85 @@
+/**
+ * Staff roles and what each one may do.
+ *
+ * Routes check permissions, never role names, so changing what a role can
+ * do only means editing ROLE_PERMISSIONS. The `guest` role belongs to
+ * guest-scoped tokens (POST /auth/guest), which can only see and order
+ * for their own stay.
+ */
+
+const STAFF_ROLES = ['kitchen', 'runner', 'front_desk', 'manager', 'admin'];
+
+const ALL_STAFF = ['orders:read', 'menu:read'];
+
+const ROLE_PERMISSIONS = {
+  kitchen: [...ALL_STAFF, 'orders:assign', 'orders:prepare', 'menu:availability'],
+  runner: [...ALL_STAFF, 'orders:deliver', 'rooms:read'],
+  front_desk: [
+    ...ALL_STAFF, 'orders:create', 'orders:cancel', 'rooms:read', 'stays:manage',
+    'conversations:read', 'callbacks:manage'
+  ],
+  manager: [
+    ...ALL_STAFF, 'orders:create', 'orders:assign', 'orders:prepare', 'orders:deliver',
+    'orders:cancel', 'orders:refund', 'menu:availability', 'menu:manage',
+    'rooms:read', 'rooms:manage', 'stays:manage', 'conversations:read', 'callbacks:manage'
+  ],
+  admin: [
+    ...ALL_STAFF, 'orders:create', 'orders:assign', 'orders:prepare', 'orders:deliver',
+    'orders:cancel', 'orders:refund', 'menu:availability', 'menu:manage',
+    'rooms:read', 'rooms:manage', 'stays:manage', 'conversations:read', 'callbacks:manage',
+    'staff:manage'
+  ],
+  guest: ['guest:orders']
+};
+
+// Roles that must use two-factor authentication (TOTP) to log in
+const MFA_REQUIRED_ROLES = ['admin'];
+
+// Permission needed to move an order into each status
+const STATUS_PERMISSIONS = {
+  confirmed: 'orders:prepare',
+  preparing: 'orders:prepare',
+  ready: 'orders:prepare',
+  out_for_delivery: 'orders:deliver',
+  delivered: 'orders:deliver',
+  cancelled: 'orders:cancel',
+  refunded: 'orders:refund'
+};
+
+/**
+ * List the permissions granted to a role
+ * @param {string} role - Role name
+ * @returns {Array<string>} - Empty for unknown roles
+ */
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+/**
+ * Whether a role must enroll in two-factor authentication
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+function requiresMfa(role) {
+  return MFA_REQUIRED_ROLES.includes(role);
+}
+
+module.exports = {
+  STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  STATUS_PERMISSIONS,
+  MFA_REQUIRED_ROLES,
+  permissionsFor,
+  hasPermission,
+  requiresMfa
+};
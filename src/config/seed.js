@@ -0,0 +1,78 @@
+const bcrypt = require('bcryptjs');
+
+// Default menu, keyed by category name
+const DEFAULT_MENU = [
+  {
+    name: 'Appetizers',
+    description: 'Start your meal right',
+    items: [
+      ['Caesar Salad', 'Crisp romaine lettuce with parmesan and croutons', 12.99],
+      ['Buffalo Wings', 'Spicy chicken wings with blue cheese dip', 14.99]
+    ]
+  },
+  {
+    name: 'Main Courses',
+    description: 'Hearty and satisfying',
+    items: [
+      ['Grilled Salmon', 'Fresh Atlantic salmon with seasonal vegetables', 24.99],
+      ['Ribeye Steak', '12oz prime ribeye with garlic mashed potatoes', 32.99],
+      ['Chicken Parmesan', 'Breaded chicken breast with marinara and mozzarella', 18.99]
+    ]
+  },
+  {
+    name: 'Desserts',
+    description: 'Sweet endings',
+    items: [
+      ['Chocolate Cake', 'Rich chocolate cake with vanilla ice cream', 8.99],
+      ['Tiramisu', 'Classic Italian dessert with coffee and mascarpone', 9.99]
+    ]
+  },
+  {
+    name: 'Beverages',
+    description: 'Refreshing drinks',
+    items: [
+      ['Coffee', 'Freshly brewed coffee', 3.99],
+      ['Soda', 'Coca-Cola, Sprite, or Orange soda', 2.99],
+      ['Wine', 'House red or white wine', 8.99]
+    ]
+  }
+];
+
+/**
+ * Insert the default menu and admin account. Safe to run repeatedly:
+ * rows that already exist (matched by name/username) are left alone.
+ * @param {Object} conn - Database executor (see config/database.js)
+ */
+async function seedDefaultData(conn) {
+  for (const category of DEFAULT_MENU) {
+    const existing = await conn.get('SELECT id FROM menu_categories WHERE name = ?', [category.name]);
+    const categoryId = existing
+      ? existing.id
+      : await conn.insert(
+        'INSERT INTO menu_categories (name, description) VALUES (?, ?)',
+        [category.name, category.description]
+      );
+
+    for (const [name, description, price] of category.items) {
+      const item = await conn.get('SELECT id FROM menu_items WHERE name = ?', [name]);
+      if (!item) {
+        await conn.run(
+          'INSERT INTO menu_items (category_id, name, description, price) VALUES (?, ?, ?, ?)',
+          [categoryId, name, description, price]
+        );
+      }
+    }
+  }
+
+  // Default staff user (password: admin123, which must be changed at first login)
+  const admin = await conn.get('SELECT id FROM staff WHERE username = ?', ['admin']);
+  if (!admin) {
+    const hashedPassword = bcrypt.hashSync('admin123', 10);
+    await conn.run(
+      'INSERT INTO staff (username, password_hash, name, role, must_change_password) VALUES (?, ?, ?, ?, TRUE)',
+      ['admin', hashedPassword, 'Hotel Administrator', 'admin']
+    );
+  }
+}
+
+module.exports = { seedDefaultData, DEFAULT_MENU };
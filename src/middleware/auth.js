@@ -1,12 +1,15 @@
-const jwt = require('jsonwebtoken');
-const { db } = require('../config/database');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const bcrypt = require('bcryptjs');
+const staffRepository = require('../repositories/staffRepository');
+const roomRepository = require('../repositories/roomRepository');
+const stayRepository = require('../repositories/stayRepository');
+const authService = require('../services/authService');
+const { hasPermission } = require('../config/permissions');
 
 /**
- * Middleware to verify JWT token
+ * Middleware to verify the access token. Expired, revoked and invalid
+ * tokens get a 401 so clients know to refresh or log in again.
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -14,101 +17,96 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  try {
+    req.user = await authService.verifyAccessToken(token);
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({ error: error.message, code: error.code });
     }
-    req.user = user;
-    next();
-  });
+    console.error('Token check error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  next();
 };
 
 /**
- * Middleware to check if user is admin
+ * Middleware to require at least one of the given permissions.
+ * Use after authenticateToken. Staff who still have to change their
+ * password (POST /auth/password) or enroll in two-factor authentication
+ * (POST /auth/mfa/setup) are refused until they do.
+ * @param {...string} permissions - Permission names (see config/permissions.js)
  */
-const requireAdmin = (req, res, next) => {
-  if (!req.user || req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (req.user && req.user.mustChangePassword) {
+    return res.status(403).json({ error: 'You must change your password first', code: 'PASSWORD_CHANGE_REQUIRED' });
+  }
+  if (req.user && req.user.mfaEnrollmentRequired) {
+    return res.status(403).json({ error: 'You must set up two-factor authentication first', code: 'MFA_ENROLLMENT_REQUIRED' });
+  }
+  if (!req.user || !permissions.some(permission => hasPermission(req.user.role, permission))) {
+    return res.status(403).json({ error: 'You do not have permission to do this', required: permissions });
   }
   next();
 };
 
 /**
- * Generate JWT token for user
+ * Whether the request was made with a guest-scoped token
+ * @param {Object} req - Express request
+ * @returns {boolean}
  */
-const generateToken = (user) => {
-  return jwt.sign(
-    {
-      id: user.id,
-      username: user.username,
-      name: user.name,
-      role: user.role
-    },
-    JWT_SECRET,
-    { expiresIn: '24h' }
-  );
-};
+const isGuest = (req) => !!req.user && req.user.type === 'guest';
 
 /**
- * Verify staff credentials
+ * Verify a guest by room number and the last name on the open stay
+ * @returns {Object|null} - { room, stay }, or null if they don't match
  */
-const verifyCredentials = async (username, password) => {
-  return new Promise((resolve, reject) => {
-    db.get(
-      'SELECT * FROM staff WHERE username = ? AND is_active = 1',
-      [username],
-      (err, user) => {
-        if (err) {
-          return reject(err);
-        }
-
-        if (!user) {
-          return resolve(null);
-        }
-
-        // Verify password
-        const bcrypt = require('bcryptjs');
-        const isValidPassword = bcrypt.compareSync(password, user.password_hash);
-
-        if (isValidPassword) {
-          // Remove password hash from response
-          const { password_hash, ...userWithoutPassword } = user;
-          resolve(userWithoutPassword);
-        } else {
-          resolve(null);
-        }
-      }
-    );
-  });
+const verifyGuest = async (roomNumber, lastName) => {
+  const room = await roomRepository.findByNumber(roomNumber);
+  if (!room) {
+    return null;
+  }
+
+  const stay = await stayRepository.findOpenByRoom(room.id);
+  if (!stay) {
+    return null;
+  }
+
+  const nameParts = stay.guest_name.trim().toLowerCase().split(/\s+/);
+  if (nameParts[nameParts.length - 1] !== String(lastName).trim().toLowerCase()) {
+    return null;
+  }
+
+  return { room, stay };
 };
 
+// Compared against when the username doesn't exist, so unknown and known
+// usernames take the same time to reject
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
 /**
- * Create new staff user (admin only)
+ * Verify staff credentials
+ * @returns {Object|null} - Staff row without the password hash, or null
  */
-const createStaffUser = async (username, password, name, role = 'staff') => {
-  return new Promise((resolve, reject) => {
-    const bcrypt = require('bcryptjs');
-    const saltRounds = 10;
-    const hashedPassword = bcrypt.hashSync(password, saltRounds);
-
-    db.run(
-      'INSERT INTO staff (username, password_hash, name, role) VALUES (?, ?, ?, ?)',
-      [username, hashedPassword, name, role],
-      function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ id: this.lastID, username, name, role });
-        }
-      }
-    );
-  });
+const verifyCredentials = async (username, password) => {
+  const user = await staffRepository.findActiveByUsername(username);
+
+  // Verify password (async, so hashing doesn't block other requests)
+  const isValidPassword = await bcrypt.compare(String(password), user ? user.password_hash : DUMMY_PASSWORD_HASH);
+
+  if (!user || !isValidPassword) {
+    return null;
+  }
+
+  // Remove password hash from response
+  const { password_hash, ...userWithoutPassword } = user;
+  return userWithoutPassword;
 };
 
 module.exports = {
   authenticateToken,
-  requireAdmin,
-  generateToken,
+  requirePermission,
+  isGuest,
   verifyCredentials,
-  createStaffUser
+  verifyGuest
 };
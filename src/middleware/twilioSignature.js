@@ -0,0 +1,80 @@
+const twilio = require('twilio');
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Local testing (curl, ngrok without a configured number) can turn the
+// check off, but never in production
+const skipValidation = process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === 'true' && !isProduction;
+
+if (skipValidation) {
+  console.warn('⚠️  Twilio signature validation is DISABLED (TWILIO_SKIP_SIGNATURE_VALIDATION=true)');
+}
+
+/**
+ * Build the URLs Twilio may have signed for this request. Twilio signs the
+ * exact public URL it called, including the query string (e.g.
+ * /twilio/conversation?callSid=...), so this uses req.originalUrl rather
+ * than the router-relative req.url.
+ *
+ * With PUBLIC_BASE_URL set that is the only candidate. Otherwise the URL
+ * is rebuilt from the request, as seen directly and as reported by a
+ * proxy's X-Forwarded-Proto / X-Forwarded-Host, since TLS usually ends at
+ * the load balancer.
+ * @param {Object} req - Express request
+ * @returns {Array<string>}
+ */
+function candidateUrls(req) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return [process.env.PUBLIC_BASE_URL.replace(/\/+$/, '') + req.originalUrl];
+  }
+
+  const forwardedProto = (req.get('x-forwarded-proto') || '').split(',')[0].trim();
+  const forwardedHost = (req.get('x-forwarded-host') || '').split(',')[0].trim();
+
+  const urls = [`${req.protocol}://${req.get('host')}${req.originalUrl}`];
+  if (forwardedProto || forwardedHost) {
+    urls.push(`${forwardedProto || req.protocol}://${forwardedHost || req.get('host')}${req.originalUrl}`);
+  }
+  return [...new Set(urls)];
+}
+
+/**
+ * Middleware that rejects webhook requests not signed by Twilio.
+ *
+ * Checks X-Twilio-Signature (HMAC-SHA1 of the URL and POST parameters,
+ * keyed with TWILIO_AUTH_TOKEN) and answers 403 when it is missing or
+ * wrong, so forged SpeechResult or Body parameters can't place orders.
+ */
+const validateTwilioSignature = (req, res, next) => {
+  if (skipValidation) {
+    return next();
+  }
+
+  const reject = (reason) => {
+    console.warn(`Rejected Twilio webhook ${req.method} ${req.originalUrl} from ${req.ip}: ${reason}`);
+    res.status(403).type('text/plain').send('Forbidden');
+  };
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    console.error('TWILIO_AUTH_TOKEN is not set; cannot validate Twilio webhooks');
+    return reject('no auth token configured');
+  }
+
+  const signature = req.get('x-twilio-signature');
+  if (!signature) {
+    return reject('missing X-Twilio-Signature header');
+  }
+
+  const params = req.method === 'POST' ? (req.body || {}) : {};
+  const urls = candidateUrls(req);
+  const valid = urls.some(url => twilio.validateRequest(authToken, signature, url, params));
+
+  if (!valid) {
+    return reject(`signature does not match (checked ${urls.join(', ')})`);
+  }
+
+  next();
+};
+
+module.exports = { validateTwilioSignature };
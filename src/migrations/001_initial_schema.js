@@ -0,0 +1,106 @@
+/**
+ * Initial schema: rooms, menu, orders, staff and notifications.
+ *
+ * Uses IF NOT EXISTS so databases created by the old inline
+ * initDatabase() are adopted without changes.
+ */
+async function up({ query, types }) {
+  await query(`
+    CREATE TABLE IF NOT EXISTS rooms (
+      id ${types.primaryKey},
+      room_number VARCHAR(255) UNIQUE NOT NULL,
+      guest_name VARCHAR(255),
+      phone_number VARCHAR(255),
+      check_in_date TIMESTAMP,
+      check_out_date TIMESTAMP,
+      status VARCHAR(255) DEFAULT 'available',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS menu_categories (
+      id ${types.primaryKey},
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS menu_items (
+      id ${types.primaryKey},
+      category_id INTEGER REFERENCES menu_categories (id),
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      price DECIMAL(10,2) NOT NULL,
+      image_url VARCHAR(500),
+      is_available BOOLEAN DEFAULT TRUE,
+      preparation_time INTEGER DEFAULT 30,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS orders (
+      id ${types.primaryKey},
+      room_id INTEGER NOT NULL REFERENCES rooms (id),
+      status VARCHAR(255) DEFAULT 'pending',
+      total_amount DECIMAL(10,2) DEFAULT 0,
+      special_instructions TEXT,
+      estimated_delivery_time TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS order_items (
+      id ${types.primaryKey},
+      order_id INTEGER NOT NULL REFERENCES orders (id),
+      menu_item_id INTEGER NOT NULL REFERENCES menu_items (id),
+      quantity INTEGER NOT NULL,
+      unit_price DECIMAL(10,2) NOT NULL,
+      special_instructions TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS staff (
+      id ${types.primaryKey},
+      username VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(500) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      role VARCHAR(255) DEFAULT 'staff',
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id ${types.primaryKey},
+      order_id INTEGER NOT NULL REFERENCES orders (id),
+      type VARCHAR(255) NOT NULL,
+      status VARCHAR(255),
+      message TEXT NOT NULL,
+      recipient VARCHAR(255),
+      sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function down({ query }) {
+  await query('DROP TABLE IF EXISTS notifications');
+  await query('DROP TABLE IF EXISTS order_items');
+  await query('DROP TABLE IF EXISTS orders');
+  await query('DROP TABLE IF EXISTS menu_items');
+  await query('DROP TABLE IF EXISTS menu_categories');
+  await query('DROP TABLE IF EXISTS staff');
+  await query('DROP TABLE IF EXISTS rooms');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,12 @@
+/**
+ * Record which channel (api, voice, sms) each order came in through.
+ */
+async function up({ query }) {
+  await query(`ALTER TABLE orders ADD COLUMN channel VARCHAR(20) DEFAULT 'api'`);
+}
+
+async function down({ query }) {
+  await query('ALTER TABLE orders DROP COLUMN channel');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,13 @@
+/**
+ * Store the server-computed subtotal on each order.
+ */
+async function up({ query }) {
+  await query('ALTER TABLE orders ADD COLUMN subtotal DECIMAL(10,2) DEFAULT 0');
+  await query('UPDATE orders SET subtotal = total_amount');
+}
+
+async function down({ query }) {
+  await query('ALTER TABLE orders DROP COLUMN subtotal');
+}
+
+module.exports = { up, down };
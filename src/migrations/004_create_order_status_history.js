@@ -0,0 +1,30 @@
+/**
+ * Record every order status change: who made it, when and why.
+ * Existing orders get a single row for their current status.
+ */
+async function up({ query, types }) {
+  await query(`
+    CREATE TABLE order_status_history (
+      id ${types.primaryKey},
+      order_id INTEGER NOT NULL REFERENCES orders (id),
+      from_status VARCHAR(50),
+      to_status VARCHAR(50) NOT NULL,
+      changed_by INTEGER REFERENCES staff (id),
+      source VARCHAR(50) NOT NULL DEFAULT 'system',
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX idx_order_status_history_order ON order_status_history (order_id)');
+
+  await query(`
+    INSERT INTO order_status_history (order_id, from_status, to_status, source, created_at)
+    SELECT id, NULL, status, 'migration', updated_at FROM orders
+  `);
+}
+
+async function down({ query }) {
+  await query('DROP TABLE IF EXISTS order_status_history');
+}
+
+module.exports = { up, down };
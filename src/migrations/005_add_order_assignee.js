@@ -0,0 +1,19 @@
+/**
+ * Track which staff member an order is assigned to, and index the
+ * columns the staff order list filters and sorts on.
+ */
+async function up({ query }) {
+  await query('ALTER TABLE orders ADD COLUMN assigned_staff_id INTEGER REFERENCES staff (id)');
+  await query('CREATE INDEX idx_orders_created_at ON orders (created_at)');
+  await query('CREATE INDEX idx_orders_status ON orders (status)');
+  await query('CREATE INDEX idx_orders_room ON orders (room_id)');
+}
+
+async function down({ query }) {
+  await query('DROP INDEX IF EXISTS idx_orders_room');
+  await query('DROP INDEX IF EXISTS idx_orders_status');
+  await query('DROP INDEX IF EXISTS idx_orders_created_at');
+  await query('ALTER TABLE orders DROP COLUMN assigned_staff_id');
+}
+
+module.exports = { up, down };
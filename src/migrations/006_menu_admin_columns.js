@@ -0,0 +1,36 @@
+/**
+ * Columns for menu administration: manual ordering, soft delete (so
+ * historical order_items keep resolving) and last-modified times.
+ */
+async function up({ query }) {
+  for (const table of ['menu_categories', 'menu_items']) {
+    await query(`ALTER TABLE ${table} ADD COLUMN sort_order INTEGER DEFAULT 0`);
+    await query(`ALTER TABLE ${table} ADD COLUMN deleted_at TIMESTAMP`);
+    // SQLite can't add a column with a non-constant default, so backfill instead
+    await query(`ALTER TABLE ${table} ADD COLUMN updated_at TIMESTAMP`);
+    await query(`UPDATE ${table} SET updated_at = created_at`);
+  }
+
+  // Keep today's alphabetical display order as the starting sort order
+  await query(`
+    UPDATE menu_categories SET sort_order = (
+      SELECT COUNT(*) FROM menu_categories other WHERE other.name < menu_categories.name
+    )
+  `);
+  await query(`
+    UPDATE menu_items SET sort_order = (
+      SELECT COUNT(*) FROM menu_items other
+      WHERE other.category_id = menu_items.category_id AND other.name < menu_items.name
+    )
+  `);
+}
+
+async function down({ query }) {
+  for (const table of ['menu_items', 'menu_categories']) {
+    await query(`ALTER TABLE ${table} DROP COLUMN updated_at`);
+    await query(`ALTER TABLE ${table} DROP COLUMN deleted_at`);
+    await query(`ALTER TABLE ${table} DROP COLUMN sort_order`);
+  }
+}
+
+module.exports = { up, down };
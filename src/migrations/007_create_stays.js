@@ -0,0 +1,52 @@
+/**
+ * Guest stays: one row per check-in, closed at check-out. The rooms
+ * table keeps a copy of the current occupant for quick lookups, and
+ * orders remember which stay they were placed during.
+ *
+ * Rooms that already have a guest recorded are adopted as open stays.
+ */
+async function up({ query, types }) {
+  await query(`
+    CREATE TABLE stays (
+      id ${types.primaryKey},
+      room_id INTEGER NOT NULL REFERENCES rooms (id),
+      guest_name VARCHAR(255) NOT NULL,
+      phone_number VARCHAR(255),
+      checked_in_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expected_check_out TIMESTAMP,
+      checked_out_at TIMESTAMP,
+      checked_in_by INTEGER REFERENCES staff (id),
+      checked_out_by INTEGER REFERENCES staff (id),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // At most one open stay per room
+  await query('CREATE UNIQUE INDEX idx_stays_open_room ON stays (room_id) WHERE checked_out_at IS NULL');
+  await query('CREATE INDEX idx_stays_room ON stays (room_id, checked_in_at)');
+
+  await query('ALTER TABLE orders ADD COLUMN stay_id INTEGER REFERENCES stays (id)');
+
+  await query(`
+    INSERT INTO stays (room_id, guest_name, phone_number, checked_in_at, expected_check_out)
+    SELECT id, guest_name, phone_number, COALESCE(check_in_date, updated_at), check_out_date
+    FROM rooms
+    WHERE guest_name IS NOT NULL AND guest_name <> ''
+  `);
+  await query(`
+    UPDATE rooms SET status = CASE
+      WHEN guest_name IS NOT NULL AND guest_name <> '' THEN 'occupied'
+      ELSE 'available'
+    END
+  `);
+}
+
+async function down({ query }) {
+  await query('ALTER TABLE orders DROP COLUMN stay_id');
+  await query('DROP INDEX IF EXISTS idx_stays_room');
+  await query('DROP INDEX IF EXISTS idx_stays_open_room');
+  await query('DROP TABLE IF EXISTS stays');
+}
+
+module.exports = { up, down };
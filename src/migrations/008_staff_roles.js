@@ -0,0 +1,13 @@
+/**
+ * Replace the generic 'staff' role with front_desk, the closest of the
+ * new roles (kitchen, runner, front_desk, manager, admin).
+ */
+async function up({ query }) {
+  await query(`UPDATE staff SET role = 'front_desk' WHERE role = 'staff' OR role IS NULL`);
+}
+
+async function down({ query }) {
+  await query(`UPDATE staff SET role = 'staff' WHERE role <> 'admin'`);
+}
+
+module.exports = { up, down };
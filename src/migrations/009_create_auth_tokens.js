@@ -0,0 +1,46 @@
+/**
+ * Server-side staff sessions: rotating refresh tokens (stored as SHA-256
+ * hashes), a revocation list for access tokens that were logged out
+ * before they expired, and a per-staff token version that invalidates
+ * every outstanding access token at once ("log out all sessions").
+ */
+async function up({ query, types }) {
+  await query(`
+    CREATE TABLE refresh_tokens (
+      id ${types.primaryKey},
+      staff_id INTEGER NOT NULL REFERENCES staff (id),
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      family_id VARCHAR(64) NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      replaced_by INTEGER REFERENCES refresh_tokens (id),
+      user_agent VARCHAR(500),
+      ip_address VARCHAR(64),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX idx_refresh_tokens_staff ON refresh_tokens (staff_id)');
+  await query('CREATE INDEX idx_refresh_tokens_family ON refresh_tokens (family_id)');
+
+  await query(`
+    CREATE TABLE revoked_tokens (
+      jti VARCHAR(64) PRIMARY KEY,
+      staff_id INTEGER REFERENCES staff (id),
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await query('ALTER TABLE staff ADD COLUMN token_version INTEGER DEFAULT 0');
+  await query('UPDATE staff SET token_version = 0');
+}
+
+async function down({ query }) {
+  await query('ALTER TABLE staff DROP COLUMN token_version');
+  await query('DROP TABLE IF EXISTS revoked_tokens');
+  await query('DROP INDEX IF EXISTS idx_refresh_tokens_family');
+  await query('DROP INDEX IF EXISTS idx_refresh_tokens_staff');
+  await query('DROP TABLE IF EXISTS refresh_tokens');
+}
+
+module.exports = { up, down };
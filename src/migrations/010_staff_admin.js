@@ -0,0 +1,45 @@
+const bcrypt = require('bcryptjs');
+
+/**
+ * Staff account administration: forced password changes, a record of
+ * when each account was last changed, and an audit log of who changed
+ * what.
+ *
+ * Accounts still using the seeded admin123 password must pick a new one
+ * at their next login.
+ */
+async function up({ query, all, types }) {
+  await query('ALTER TABLE staff ADD COLUMN must_change_password BOOLEAN DEFAULT FALSE');
+  await query('ALTER TABLE staff ADD COLUMN password_changed_at TIMESTAMP');
+  await query('ALTER TABLE staff ADD COLUMN updated_at TIMESTAMP');
+  await query('UPDATE staff SET must_change_password = FALSE, updated_at = created_at');
+
+  const accounts = await all('SELECT id, password_hash FROM staff');
+  for (const account of accounts) {
+    if (bcrypt.compareSync('admin123', account.password_hash)) {
+      await query('UPDATE staff SET must_change_password = TRUE WHERE id = ?', [account.id]);
+    }
+  }
+
+  await query(`
+    CREATE TABLE staff_audit_log (
+      id ${types.primaryKey},
+      staff_id INTEGER NOT NULL REFERENCES staff (id),
+      actor_id INTEGER REFERENCES staff (id),
+      action VARCHAR(50) NOT NULL,
+      details TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX idx_staff_audit_log_staff ON staff_audit_log (staff_id, created_at)');
+}
+
+async function down({ query }) {
+  await query('DROP INDEX IF EXISTS idx_staff_audit_log_staff');
+  await query('DROP TABLE IF EXISTS staff_audit_log');
+  await query('ALTER TABLE staff DROP COLUMN updated_at');
+  await query('ALTER TABLE staff DROP COLUMN password_changed_at');
+  await query('ALTER TABLE staff DROP COLUMN must_change_password');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+/**
+ * Login audit trail: one row per staff login attempt, successful or not.
+ * Login throttling counts recent failures per username and per IP from
+ * this table, so limits hold across restarts and multiple instances.
+ */
+async function up({ query, types }) {
+  await query(`
+    CREATE TABLE login_events (
+      id ${types.primaryKey},
+      username VARCHAR(255) NOT NULL,
+      staff_id INTEGER REFERENCES staff (id),
+      ip_address VARCHAR(64),
+      user_agent VARCHAR(500),
+      success BOOLEAN NOT NULL,
+      reason VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX idx_login_events_username ON login_events (username, created_at)');
+  await query('CREATE INDEX idx_login_events_ip ON login_events (ip_address, created_at)');
+  await query('CREATE INDEX idx_login_events_created ON login_events (created_at)');
+}
+
+async function down({ query }) {
+  await query('DROP INDEX IF EXISTS idx_login_events_created');
+  await query('DROP INDEX IF EXISTS idx_login_events_ip');
+  await query('DROP INDEX IF EXISTS idx_login_events_username');
+  await query('DROP TABLE IF EXISTS login_events');
+}
+
+module.exports = { up, down };
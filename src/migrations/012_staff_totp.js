@@ -0,0 +1,34 @@
+/**
+ * TOTP two-factor authentication for staff: the (encrypted) shared
+ * secret, whether enrollment was completed, the last time step used so a
+ * code can't be replayed, and single-use recovery codes stored as hashes.
+ */
+async function up({ query, types }) {
+  await query('ALTER TABLE staff ADD COLUMN totp_secret TEXT');
+  await query('ALTER TABLE staff ADD COLUMN totp_enabled BOOLEAN DEFAULT FALSE');
+  await query('ALTER TABLE staff ADD COLUMN totp_enabled_at TIMESTAMP');
+  await query('ALTER TABLE staff ADD COLUMN totp_last_step INTEGER');
+  await query('UPDATE staff SET totp_enabled = FALSE');
+
+  await query(`
+    CREATE TABLE staff_recovery_codes (
+      id ${types.primaryKey},
+      staff_id INTEGER NOT NULL REFERENCES staff (id),
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX idx_staff_recovery_codes_staff ON staff_recovery_codes (staff_id)');
+}
+
+async function down({ query }) {
+  await query('DROP INDEX IF EXISTS idx_staff_recovery_codes_staff');
+  await query('DROP TABLE IF EXISTS staff_recovery_codes');
+  await query('ALTER TABLE staff DROP COLUMN totp_last_step');
+  await query('ALTER TABLE staff DROP COLUMN totp_enabled_at');
+  await query('ALTER TABLE staff DROP COLUMN totp_enabled');
+  await query('ALTER TABLE staff DROP COLUMN totp_secret');
+}
+
+module.exports = { up, down };
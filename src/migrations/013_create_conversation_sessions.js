@@ -0,0 +1,32 @@
+/**
+ * Voice and SMS conversation state (room, guest, recent history, cart),
+ * keyed by call SID or phone number. Kept in the database so a restart or
+ * a second instance doesn't drop a call mid-order; rows expire after a
+ * period of inactivity.
+ */
+async function up({ query }) {
+  await query(`
+    CREATE TABLE conversation_sessions (
+      session_key VARCHAR(128) PRIMARY KEY,
+      channel VARCHAR(10) NOT NULL,
+      call_sid VARCHAR(64),
+      phone_number VARCHAR(32),
+      room_number VARCHAR(255),
+      guest_name VARCHAR(255),
+      history TEXT NOT NULL,
+      cart TEXT NOT NULL,
+      state TEXT,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX idx_conversation_sessions_expires ON conversation_sessions (expires_at)');
+}
+
+async function down({ query }) {
+  await query('DROP INDEX IF EXISTS idx_conversation_sessions_expires');
+  await query('DROP TABLE IF EXISTS conversation_sessions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+/**
+ * Conversation transcripts: one row per voice call or SMS thread, and one
+ * turn per exchange (what the guest said, how confident speech
+ * recognition was, what the AI answered, any order it extracted or
+ * placed, and how long it took). Kept after the call ends so staff can
+ * check what a guest actually asked for.
+ */
+async function up({ query, types }) {
+  await query(`
+    CREATE TABLE conversations (
+      id ${types.primaryKey},
+      channel VARCHAR(10) NOT NULL,
+      call_sid VARCHAR(64),
+      phone_number VARCHAR(32),
+      room_number VARCHAR(255),
+      guest_name VARCHAR(255),
+      turn_count INTEGER DEFAULT 0,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_activity_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX idx_conversations_call_sid ON conversations (call_sid)');
+  await query('CREATE INDEX idx_conversations_room ON conversations (room_number, started_at)');
+  await query('CREATE INDEX idx_conversations_started ON conversations (started_at)');
+
+  await query(`
+    CREATE TABLE conversation_turns (
+      id ${types.primaryKey},
+      conversation_id INTEGER NOT NULL REFERENCES conversations (id),
+      guest_text TEXT,
+      speech_confidence DECIMAL(4,3),
+      ai_text TEXT,
+      extracted_order TEXT,
+      order_id INTEGER REFERENCES orders (id),
+      latency_ms INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX idx_conversation_turns_conversation ON conversation_turns (conversation_id, id)');
+  await query('CREATE INDEX idx_conversation_turns_order ON conversation_turns (order_id)');
+}
+
+async function down({ query }) {
+  await query('DROP INDEX IF EXISTS idx_conversation_turns_order');
+  await query('DROP INDEX IF EXISTS idx_conversation_turns_conversation');
+  await query('DROP TABLE IF EXISTS conversation_turns');
+  await query('DROP INDEX IF EXISTS idx_conversations_started');
+  await query('DROP INDEX IF EXISTS idx_conversations_room');
+  await query('DROP INDEX IF EXISTS idx_conversations_call_sid');
+  await query('DROP TABLE IF EXISTS conversations');
+}
+
+module.exports = { up, down };
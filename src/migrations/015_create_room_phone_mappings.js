@@ -0,0 +1,26 @@
+/**
+ * Which room a call or text comes from: explicit mappings from a caller
+ * ID, dialled number (DID) or PBX extension to a room, for phone systems
+ * where the room can't be read off the number itself.
+ */
+async function up({ query, types }) {
+  await query(`
+    CREATE TABLE room_phone_mappings (
+      id ${types.primaryKey},
+      kind VARCHAR(20) NOT NULL,
+      value VARCHAR(255) NOT NULL,
+      room_id INTEGER NOT NULL REFERENCES rooms (id),
+      created_by INTEGER REFERENCES staff (id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (kind, value)
+    )
+  `);
+  await query('CREATE INDEX idx_room_phone_mappings_room ON room_phone_mappings (room_id)');
+}
+
+async function down({ query }) {
+  await query('DROP INDEX IF EXISTS idx_room_phone_mappings_room');
+  await query('DROP TABLE IF EXISTS room_phone_mappings');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+/**
+ * Handing guests over to a person: why and when a conversation was
+ * escalated and how it ended (transferred call or callback), plus the
+ * callback tasks the front desk works through when nobody could take the
+ * call, or the guest was texting.
+ */
+async function up({ query, types }) {
+  await query('ALTER TABLE conversations ADD COLUMN escalation_reason VARCHAR(50)');
+  await query('ALTER TABLE conversations ADD COLUMN escalation_status VARCHAR(20)');
+  await query('ALTER TABLE conversations ADD COLUMN escalated_at TIMESTAMP');
+  await query('CREATE INDEX idx_conversations_escalated ON conversations (escalated_at)');
+
+  await query(`
+    CREATE TABLE callback_tasks (
+      id ${types.primaryKey},
+      conversation_id INTEGER REFERENCES conversations (id),
+      channel VARCHAR(10) NOT NULL,
+      phone_number VARCHAR(32),
+      room_number VARCHAR(255),
+      guest_name VARCHAR(255),
+      reason VARCHAR(50) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'open',
+      notes TEXT,
+      completed_by INTEGER REFERENCES staff (id),
+      completed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX idx_callback_tasks_status ON callback_tasks (status, created_at)');
+  await query('CREATE INDEX idx_callback_tasks_conversation ON callback_tasks (conversation_id)');
+}
+
+async function down({ query }) {
+  await query('DROP INDEX IF EXISTS idx_callback_tasks_conversation');
+  await query('DROP INDEX IF EXISTS idx_callback_tasks_status');
+  await query('DROP TABLE IF EXISTS callback_tasks');
+  await query('DROP INDEX IF EXISTS idx_conversations_escalated');
+  await query('ALTER TABLE conversations DROP COLUMN escalated_at');
+  await query('ALTER TABLE conversations DROP COLUMN escalation_status');
+  await query('ALTER TABLE conversations DROP COLUMN escalation_reason');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+/**
+ * The guest's unconfirmed cart, copied onto the conversation after every
+ * turn so staff can see what a guest was ordering when a call drops or
+ * an SMS thread goes quiet. Cleared once the order is placed.
+ */
+async function up({ query }) {
+  await query('ALTER TABLE conversations ADD COLUMN cart TEXT');
+  await query('ALTER TABLE conversations ADD COLUMN cart_total DECIMAL(10,2)');
+  await query('ALTER TABLE conversations ADD COLUMN cart_status VARCHAR(20)');
+  await query('ALTER TABLE conversations ADD COLUMN cart_updated_at TIMESTAMP');
+}
+
+async function down({ query }) {
+  await query('ALTER TABLE conversations DROP COLUMN cart_updated_at');
+  await query('ALTER TABLE conversations DROP COLUMN cart_status');
+  await query('ALTER TABLE conversations DROP COLUMN cart_total');
+  await query('ALTER TABLE conversations DROP COLUMN cart');
+}
+
+module.exports = { up, down };
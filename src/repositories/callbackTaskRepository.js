@@ -0,0 +1,109 @@
+const database = require('../config/database');
+
+/**
+ * @typedef {Object} CallbackTask
+ * @property {number} id
+ * @property {number|null} conversation_id
+ * @property {string} channel - voice or sms
+ * @property {string|null} phone_number - Number to call back
+ * @property {string|null} room_number
+ * @property {string|null} guest_name
+ * @property {string} reason - Escalation reason code
+ * @property {string} status - open, done or cancelled
+ * @property {string|null} notes - What staff did about it
+ * @property {number|null} completed_by - Staff ID
+ * @property {string|null} completed_by_name
+ * @property {string|null} completed_at
+ * @property {string} created_at
+ */
+
+/**
+ * Data access for callback_tasks
+ */
+class CallbackTaskRepository {
+  /**
+   * @param {Object} task
+   * @param {number|null} task.conversationId - Conversation ID
+   * @param {string} task.channel - voice or sms
+   * @param {string|null} task.phoneNumber - Number to call back
+   * @param {string|null} task.roomNumber - Room number
+   * @param {string|null} task.guestName - Guest name
+   * @param {string} task.reason - Escalation reason code
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - New task ID
+   */
+  async create({ conversationId, channel, phoneNumber, roomNumber, guestName, reason }, db = database) {
+    return db.insert(`
+      INSERT INTO callback_tasks (conversation_id, channel, phone_number, room_number, guest_name, reason)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [conversationId ?? null, channel, phoneNumber ?? null, roomNumber ?? null, guestName ?? null, reason]);
+  }
+
+  /**
+   * @param {number} id - Task ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {CallbackTask|null}
+   */
+  async findById(id, db = database) {
+    return db.get(`
+      SELECT t.*, s.name as completed_by_name
+      FROM callback_tasks t
+      LEFT JOIN staff s ON t.completed_by = s.id
+      WHERE t.id = ?
+    `, [id]);
+  }
+
+  /**
+   * The open task for a conversation, if there is one
+   * @param {number} conversationId - Conversation ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {CallbackTask|null}
+   */
+  async findOpenByConversation(conversationId, db = database) {
+    return db.get(
+      'SELECT * FROM callback_tasks WHERE conversation_id = ? AND status = \'open\' ORDER BY id DESC LIMIT 1',
+      [conversationId]
+    );
+  }
+
+  /**
+   * List tasks, oldest first so the longest-waiting guest is at the top
+   * @param {Object} filter
+   * @param {string} filter.status - Only this status
+   * @param {number} filter.limit - Maximum rows
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array<CallbackTask>}
+   */
+  async list({ status, limit = 100 } = {}, db = database) {
+    const where = status ? 'WHERE t.status = ?' : '';
+    return db.all(`
+      SELECT t.*, s.name as completed_by_name
+      FROM callback_tasks t
+      LEFT JOIN staff s ON t.completed_by = s.id
+      ${where}
+      ORDER BY t.created_at, t.id
+      LIMIT ?
+    `, status ? [status, limit] : [limit]);
+  }
+
+  /**
+   * Close an open task
+   * @param {number} id - Task ID
+   * @param {Object} update
+   * @param {string} update.status - done or cancelled
+   * @param {string|null} update.notes - What staff did about it
+   * @param {number|null} update.staffId - Staff member closing it
+   * @param {Object} db - Optional transaction executor
+   * @returns {boolean} - False if the task was not open
+   */
+  async close(id, { status, notes, staffId }, db = database) {
+    const { rowCount } = await db.run(`
+      UPDATE callback_tasks
+      SET status = ?, notes = ?, completed_by = ?, completed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'open'
+    `, [status, notes ?? null, staffId ?? null, id]);
+    return rowCount > 0;
+  }
+}
+
+module.exports = new CallbackTaskRepository();
@@ -0,0 +1,260 @@
+const database = require('../config/database');
+
+/**
+ * @typedef {Object} Conversation
+ * @property {number} id
+ * @property {string} channel - voice or sms
+ * @property {string|null} call_sid
+ * @property {string|null} phone_number
+ * @property {string|null} room_number
+ * @property {string|null} guest_name
+ * @property {number} turn_count
+ * @property {string} started_at
+ * @property {string} last_activity_at
+ * @property {string|null} escalation_reason - Why the guest was handed to a person
+ * @property {string|null} escalation_status - transferring, connected or callback
+ * @property {string|null} escalated_at
+ * @property {Array|null} cart - Unconfirmed cart lines at the last turn (see services/cart)
+ * @property {number|null} cart_total
+ * @property {string|null} cart_status - building or read_back
+ * @property {string|null} cart_updated_at
+ */
+
+/**
+ * @typedef {Object} ConversationTurn
+ * @property {number} id
+ * @property {number} conversation_id
+ * @property {string|null} guest_text - Speech result or SMS body (null for the greeting)
+ * @property {number|null} speech_confidence - Twilio's 0-1 speech recognition confidence
+ * @property {string|null} ai_text - What the guest was told
+ * @property {Array|null} extracted_order - Tool calls the AI made ({ name, arguments, error })
+ * @property {number|null} order_id - Order placed on this turn
+ * @property {number|null} latency_ms - Time spent producing the reply
+ * @property {string} created_at
+ */
+
+/**
+ * Data access for conversations and conversation_turns
+ */
+class ConversationRepository {
+  /**
+   * Start a conversation
+   * @param {Object} conversation
+   * @param {string} conversation.channel - voice or sms
+   * @param {string|null} conversation.callSid - Twilio call SID
+   * @param {string|null} conversation.phoneNumber - Caller or sender
+   * @param {string|null} conversation.roomNumber - Room number
+   * @param {string|null} conversation.guestName - Guest name
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - New conversation ID
+   */
+  async create({ channel, callSid, phoneNumber, roomNumber, guestName }, db = database) {
+    return db.insert(`
+      INSERT INTO conversations (channel, call_sid, phone_number, room_number, guest_name)
+      VALUES (?, ?, ?, ?, ?)
+    `, [channel, callSid ?? null, phoneNumber ?? null, roomNumber ?? null, guestName ?? null]);
+  }
+
+  /**
+   * Record one exchange and bump the conversation's activity
+   * @param {number} conversationId - Conversation ID
+   * @param {Object} turn
+   * @param {string|null} turn.guestText - What the guest said or wrote
+   * @param {number|null} turn.speechConfidence - Speech recognition confidence (0-1)
+   * @param {string|null} turn.aiText - What the guest was told
+   * @param {Array|null} turn.extractedOrder - Tool calls the AI made
+   * @param {number|null} turn.orderId - Order placed on this turn
+   * @param {number|null} turn.latencyMs - Time spent producing the reply
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - New turn ID
+   */
+  async addTurn(conversationId, { guestText, speechConfidence, aiText, extractedOrder, orderId, latencyMs }, db = database) {
+    const id = await db.insert(`
+      INSERT INTO conversation_turns
+        (conversation_id, guest_text, speech_confidence, ai_text, extracted_order, order_id, latency_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      conversationId,
+      guestText ?? null,
+      speechConfidence ?? null,
+      aiText ?? null,
+      extractedOrder ? JSON.stringify(extractedOrder) : null,
+      orderId ?? null,
+      latencyMs ?? null
+    ]);
+
+    await db.run(`
+      UPDATE conversations
+      SET turn_count = turn_count + 1, last_activity_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [conversationId]);
+
+    return id;
+  }
+
+  /**
+   * Copy the guest's unconfirmed cart onto the conversation; an empty
+   * cart clears it
+   * @param {number} conversationId - Conversation ID
+   * @param {Object} cart
+   * @param {Array} cart.lines - session.cart
+   * @param {number} cart.total - Cart total
+   * @param {string|null} cart.status - building or read_back
+   * @param {Object} db - Optional transaction executor
+   */
+  async saveCart(conversationId, { lines, total, status }, db = database) {
+    const empty = lines.length === 0;
+    await db.run(`
+      UPDATE conversations
+      SET cart = ?, cart_total = ?, cart_status = ?, cart_updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [empty ? null : JSON.stringify(lines), empty ? null : total, empty ? null : status, conversationId]);
+  }
+
+  /**
+   * @param {number} conversationId - Conversation ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {Conversation|null}
+   */
+  async findById(conversationId, db = database) {
+    const row = await db.get('SELECT * FROM conversations WHERE id = ?', [conversationId]);
+    return row ? fromRow(row) : null;
+  }
+
+  /**
+   * Record that a conversation was handed to a person
+   * @param {number} conversationId - Conversation ID
+   * @param {Object} escalation
+   * @param {string} escalation.reason - Reason code
+   * @param {string} escalation.status - transferring, connected or callback
+   * @param {Object} db - Optional transaction executor
+   */
+  async markEscalated(conversationId, { reason, status }, db = database) {
+    await db.run(`
+      UPDATE conversations
+      SET escalation_reason = ?, escalation_status = ?, escalated_at = COALESCE(escalated_at, CURRENT_TIMESTAMP)
+      WHERE id = ?
+    `, [reason, status, conversationId]);
+  }
+
+  /**
+   * @param {number} conversationId - Conversation ID
+   * @param {string} status - transferring, connected or callback
+   * @param {Object} db - Optional transaction executor
+   */
+  async setEscalationStatus(conversationId, status, db = database) {
+    await db.run('UPDATE conversations SET escalation_status = ? WHERE id = ?', [status, conversationId]);
+  }
+
+  /**
+   * Search conversations, most recently started first
+   * @param {Object} filter
+   * @param {string} filter.roomNumber - Only this room
+   * @param {number} filter.orderId - Only conversations that placed this order
+   * @param {string} filter.callSid - Only this call
+   * @param {string} filter.phoneNumber - Only this caller or sender
+   * @param {string} filter.channel - voice or sms
+   * @param {string} filter.from - Started at or after (YYYY-MM-DD HH:MM:SS, UTC)
+   * @param {string} filter.to - Started before (YYYY-MM-DD HH:MM:SS, UTC)
+   * @param {string} filter.search - Text in anything the guest or AI said
+   * @param {boolean} filter.escalated - Only conversations handed to a person
+   * @param {boolean} filter.openCart - Only conversations that left items unordered
+   * @param {Object} page - { limit, before } where before is the last ID seen
+   * @param {Object} db - Optional transaction executor
+   * @returns {Object} - { conversations, hasMore }
+   */
+  async search(filter = {}, { limit = 25, before = null } = {}, db = database) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.roomNumber) {
+      conditions.push('c.room_number = ?');
+      params.push(String(filter.roomNumber));
+    }
+    if (filter.orderId) {
+      conditions.push('EXISTS (SELECT 1 FROM conversation_turns ot WHERE ot.conversation_id = c.id AND ot.order_id = ?)');
+      params.push(filter.orderId);
+    }
+    if (filter.callSid) {
+      conditions.push('c.call_sid = ?');
+      params.push(filter.callSid);
+    }
+    if (filter.phoneNumber) {
+      conditions.push('c.phone_number = ?');
+      params.push(filter.phoneNumber);
+    }
+    if (filter.channel) {
+      conditions.push('c.channel = ?');
+      params.push(filter.channel);
+    }
+    if (filter.from) {
+      conditions.push('c.started_at >= ?');
+      params.push(filter.from);
+    }
+    if (filter.to) {
+      conditions.push('c.started_at < ?');
+      params.push(filter.to);
+    }
+    if (filter.search) {
+      const pattern = `%${filter.search.toLowerCase()}%`;
+      conditions.push(`EXISTS (
+        SELECT 1 FROM conversation_turns st
+        WHERE st.conversation_id = c.id AND (LOWER(st.guest_text) LIKE ? OR LOWER(st.ai_text) LIKE ?)
+      )`);
+      params.push(pattern, pattern);
+    }
+    if (filter.escalated) {
+      conditions.push('c.escalated_at IS NOT NULL');
+    }
+    if (filter.openCart) {
+      conditions.push('c.cart IS NOT NULL');
+    }
+    if (before) {
+      conditions.push('c.id < ?');
+      params.push(before);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await db.all(`
+      SELECT c.*,
+        (SELECT COUNT(*) FROM conversation_turns t WHERE t.conversation_id = c.id AND t.order_id IS NOT NULL) as order_count
+      FROM conversations c
+      ${where}
+      ORDER BY c.id DESC
+      LIMIT ?
+    `, [...params, limit + 1]);
+
+    return { conversations: rows.slice(0, limit).map(fromRow), hasMore: rows.length > limit };
+  }
+
+  /**
+   * All turns of a conversation, in order
+   * @param {number} conversationId - Conversation ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array<ConversationTurn>}
+   */
+  async listTurns(conversationId, db = database) {
+    const rows = await db.all(
+      'SELECT * FROM conversation_turns WHERE conversation_id = ? ORDER BY id',
+      [conversationId]
+    );
+    return rows.map(row => ({
+      ...row,
+      extracted_order: row.extracted_order ? JSON.parse(row.extracted_order) : null
+    }));
+  }
+}
+
+/**
+ * @param {Object} row - conversations row
+ * @returns {Conversation}
+ */
+function fromRow(row) {
+  return {
+    ...row,
+    cart: row.cart ? JSON.parse(row.cart) : null,
+    cart_total: row.cart_total === null ? null : Number(row.cart_total)
+  };
+}
+
+module.exports = new ConversationRepository();
@@ -0,0 +1,103 @@
+const database = require('../config/database');
+
+/**
+ * @typedef {Object} ConversationSessionRow
+ * @property {string} session_key - e.g. "voice:CA123..." or "sms:+15551234567"
+ * @property {string} channel - voice or sms
+ * @property {string|null} call_sid
+ * @property {string|null} phone_number - Caller or sender
+ * @property {string|null} room_number
+ * @property {string|null} guest_name
+ * @property {string} history - JSON array of { role, content }
+ * @property {string} cart - JSON array of cart lines
+ * @property {string|null} state - JSON object for flow-specific state
+ * @property {string} expires_at
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * Data access for conversation_sessions
+ */
+class ConversationSessionRepository {
+  /**
+   * Find a session that hasn't expired
+   * @param {string} sessionKey - Session key
+   * @param {string} now - Current time (YYYY-MM-DD HH:MM:SS, UTC)
+   * @param {Object} db - Optional transaction executor
+   * @returns {ConversationSessionRow|null}
+   */
+  async findActive(sessionKey, now, db = database) {
+    return db.get(
+      'SELECT * FROM conversation_sessions WHERE session_key = ? AND expires_at > ?',
+      [sessionKey, now]
+    );
+  }
+
+  /**
+   * Insert or replace a session
+   * @param {Object} session
+   * @param {string} session.sessionKey - Session key
+   * @param {string} session.channel - voice or sms
+   * @param {string|null} session.callSid - Twilio call SID
+   * @param {string|null} session.phoneNumber - Caller or sender
+   * @param {string|null} session.roomNumber - Room number
+   * @param {string|null} session.guestName - Guest name
+   * @param {string} session.history - JSON history
+   * @param {string} session.cart - JSON cart
+   * @param {string|null} session.state - JSON flow state
+   * @param {string} session.expiresAt - Expiry (YYYY-MM-DD HH:MM:SS, UTC)
+   * @param {Object} db - Optional transaction executor
+   */
+  async upsert({ sessionKey, channel, callSid, phoneNumber, roomNumber, guestName, history, cart, state, expiresAt }, db = database) {
+    await db.run(`
+      INSERT INTO conversation_sessions
+        (session_key, channel, call_sid, phone_number, room_number, guest_name, history, cart, state, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (session_key) DO UPDATE SET
+        channel = excluded.channel,
+        call_sid = excluded.call_sid,
+        phone_number = excluded.phone_number,
+        room_number = excluded.room_number,
+        guest_name = excluded.guest_name,
+        history = excluded.history,
+        cart = excluded.cart,
+        state = excluded.state,
+        expires_at = excluded.expires_at,
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      sessionKey,
+      channel,
+      callSid ?? null,
+      phoneNumber ?? null,
+      roomNumber ?? null,
+      guestName ?? null,
+      history,
+      cart,
+      state ?? null,
+      expiresAt
+    ]);
+  }
+
+  /**
+   * Delete a session
+   * @param {string} sessionKey - Session key
+   * @param {Object} db - Optional transaction executor
+   */
+  async delete(sessionKey, db = database) {
+    await db.run('DELETE FROM conversation_sessions WHERE session_key = ?', [sessionKey]);
+  }
+
+  /**
+   * Delete sessions that expired before the given time
+   * @param {string} now - Current time (YYYY-MM-DD HH:MM:SS, UTC)
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - Sessions deleted
+   */
+  async deleteExpired(now, db = database) {
+    const { rowCount } = await db.run('DELETE FROM conversation_sessions WHERE expires_at <= ?', [now]);
+    return rowCount;
+  }
+}
+
+module.exports = new ConversationSessionRepository();
@@ -0,0 +1,173 @@
+const database = require('../config/database');
+
+/**
+ * @typedef {Object} LoginEvent
+ * @property {number} id
+ * @property {string} username - Username as typed, even if no such account exists
+ * @property {number|null} staff_id
+ * @property {string|null} ip_address
+ * @property {string|null} user_agent
+ * @property {boolean} success
+ * @property {string|null} reason - invalid_credentials, invalid_mfa_code, locked_out,
+ *   or pending while the attempt is being checked
+ * @property {string} created_at
+ */
+
+// Failures that count towards lockout; refused attempts while locked out
+// don't. Attempts still being checked count too, but only while recent:
+// one left pending by a crash mid-login is not a failure forever.
+const COUNTED_FAILURES = ['invalid_credentials', 'invalid_mfa_code'];
+const COUNTED_FAILURES_SQL = `(reason IN (${COUNTED_FAILURES.map(() => '?').join(', ')}) OR (reason = 'pending' AND created_at > ?))`;
+
+// Arbitrary key for pg_advisory_xact_lock so lockout checks take turns
+const LOGIN_LOCK_KEY = 724002;
+
+/**
+ * Data access for login_events
+ */
+class LoginEventRepository {
+  /**
+   * Record a login attempt
+   * @param {Object} event
+   * @param {string} event.username - Username as typed
+   * @param {number|null} event.staffId - Matching account, if any
+   * @param {string} event.ipAddress - Client IP
+   * @param {string} event.userAgent - Client user agent
+   * @param {boolean} event.success - Whether the login succeeded
+   * @param {string|null} event.reason - Why it failed
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - The new event's id
+   */
+  async create({ username, staffId, ipAddress, userAgent, success, reason }, db = database) {
+    return db.insert(`
+      INSERT INTO login_events (username, staff_id, ip_address, user_agent, success, reason)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      String(username).slice(0, 255),
+      staffId ?? null,
+      ipAddress || null,
+      userAgent ? String(userAgent).slice(0, 500) : null,
+      success,
+      reason ?? null
+    ]);
+  }
+
+  /**
+   * Set the outcome of a pending attempt
+   * @param {number} id - Event id
+   * @param {Object} outcome
+   * @param {number|null} outcome.staffId - Matching account, if any
+   * @param {boolean} outcome.success - Whether the login succeeded
+   * @param {string|null} outcome.reason - Why it failed
+   * @param {Object} db - Optional transaction executor
+   */
+  async setOutcome(id, { staffId, success, reason }, db = database) {
+    await db.run(`
+      UPDATE login_events SET staff_id = ?, success = ?, reason = ? WHERE id = ?
+    `, [staffId ?? null, success, reason ?? null, id]);
+  }
+
+  /**
+   * Delete one attempt
+   * @param {number} id - Event id
+   * @param {Object} db - Optional transaction executor
+   */
+  async delete(id, db = database) {
+    await db.run('DELETE FROM login_events WHERE id = ?', [id]);
+  }
+
+  /**
+   * Make lockout checks in concurrent transactions wait for each other.
+   * SQLite transactions already run one at a time; on PostgreSQL this
+   * takes an advisory lock held until the transaction ends.
+   * @param {Object} db - Transaction executor
+   */
+  async lockForCheck(db) {
+    if (database.isPostgres) {
+      await db.query('SELECT pg_advisory_xact_lock(?)', [LOGIN_LOCK_KEY]);
+    }
+  }
+
+  /**
+   * Failed attempts for a username since its last successful login
+   * @param {string} username - Username as typed
+   * @param {string} since - Ignore failures before this time (YYYY-MM-DD HH:MM:SS, UTC)
+   * @param {string} pendingSince - Ignore pending attempts before this time
+   * @param {Object} db - Optional transaction executor
+   * @returns {Object} - { failures, last_failure }
+   */
+  async usernameFailures(username, since, pendingSince, db = database) {
+    const row = await db.get(`
+      SELECT COUNT(*) as failures, MAX(created_at) as last_failure
+      FROM login_events
+      WHERE username = ? AND success = FALSE AND ${COUNTED_FAILURES_SQL} AND created_at > ?
+        AND id > COALESCE((SELECT MAX(id) FROM login_events WHERE username = ? AND success = TRUE), 0)
+    `, [username, ...COUNTED_FAILURES, pendingSince, since, username]);
+    return { failures: Number(row.failures), last_failure: row.last_failure };
+  }
+
+  /**
+   * Failed attempts from an IP address, for any username
+   * @param {string} ipAddress - Client IP
+   * @param {string} since - Start of the window (YYYY-MM-DD HH:MM:SS, UTC)
+   * @param {string} pendingSince - Ignore pending attempts before this time
+   * @param {Object} db - Optional transaction executor
+   * @returns {Object} - { failures, first_failure }
+   */
+  async ipFailures(ipAddress, since, pendingSince, db = database) {
+    const row = await db.get(`
+      SELECT COUNT(*) as failures, MIN(created_at) as first_failure
+      FROM login_events
+      WHERE ip_address = ? AND success = FALSE AND ${COUNTED_FAILURES_SQL} AND created_at > ?
+    `, [ipAddress, ...COUNTED_FAILURES, pendingSince, since]);
+    return { failures: Number(row.failures), first_failure: row.first_failure };
+  }
+
+  /**
+   * List finished login attempts, newest first
+   * @param {Object} filters
+   * @param {boolean} filters.success - Only successes (true) or failures (false)
+   * @param {string} filters.username - Only this username
+   * @param {string} filters.ipAddress - Only this IP
+   * @param {number} filters.limit - Maximum number of rows
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array<LoginEvent>}
+   */
+  async list({ success, username, ipAddress, limit = 100 } = {}, db = database) {
+    // Pending attempts are still running or were cut short; neither is a result
+    const conditions = ["(reason IS NULL OR reason <> 'pending')"];
+    const params = [];
+
+    if (success !== undefined) {
+      conditions.push('success = ?');
+      params.push(success);
+    }
+    if (username) {
+      conditions.push('username = ?');
+      params.push(username);
+    }
+    if (ipAddress) {
+      conditions.push('ip_address = ?');
+      params.push(ipAddress);
+    }
+    params.push(limit);
+
+    return db.all(`
+      SELECT * FROM login_events
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `, params);
+  }
+
+  /**
+   * Delete attempts older than the retention period
+   * @param {string} before - Cutoff (YYYY-MM-DD HH:MM:SS, UTC)
+   * @param {Object} db - Optional transaction executor
+   */
+  async deleteOlderThan(before, db = database) {
+    await db.run('DELETE FROM login_events WHERE created_at < ?', [before]);
+  }
+}
+
+module.exports = new LoginEventRepository();
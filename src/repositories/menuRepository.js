@@ -0,0 +1,327 @@
+const database = require('../config/database');
+
+/**
+ * @typedef {Object} MenuItem
+ * @property {number} id
+ * @property {number} category_id
+ * @property {string} name
+ * @property {string} description
+ * @property {number} price
+ * @property {boolean} is_available
+ * @property {number} preparation_time
+ * @property {number} sort_order
+ * @property {string|null} deleted_at - Set when the item is soft-deleted
+ */
+
+/**
+ * Data access for menu_categories and menu_items
+ */
+class MenuRepository {
+  /**
+   * List available items in active categories, with their category name
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array<MenuItem>}
+   */
+  async listAvailableItems(db = database) {
+    return db.all(`
+      SELECT mi.*, mc.name as category_name
+      FROM menu_items mi
+      JOIN menu_categories mc ON mi.category_id = mc.id
+      WHERE mi.is_available = TRUE AND mc.is_active = TRUE
+        AND mi.deleted_at IS NULL AND mc.deleted_at IS NULL
+      ORDER BY mc.sort_order, mc.name, mi.sort_order, mi.name
+    `);
+  }
+
+  /**
+   * List active categories
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array}
+   */
+  async listActiveCategories(db = database) {
+    return db.all(`
+      SELECT * FROM menu_categories
+      WHERE is_active = TRUE AND deleted_at IS NULL
+      ORDER BY sort_order, name
+    `);
+  }
+
+  /**
+   * List the fields order parsing needs for every available item
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array<MenuItem>}
+   */
+  async listOrderableItems(db = database) {
+    return db.all(`
+      SELECT mi.id, mi.name, mi.price, mi.description
+      FROM menu_items mi
+      JOIN menu_categories mc ON mi.category_id = mc.id
+      WHERE mi.is_available = TRUE AND mc.is_active = TRUE
+        AND mi.deleted_at IS NULL AND mc.deleted_at IS NULL
+      ORDER BY mi.name
+    `);
+  }
+
+  /**
+   * Find menu items by ID, with whether their category is active
+   * @param {Array<number>} ids - Menu item IDs
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array<MenuItem>} - Items with a `category_active` flag
+   */
+  async findItemsByIds(ids, db = database) {
+    if (ids.length === 0) return [];
+
+    const placeholders = ids.map(() => '?').join(', ');
+    return db.all(`
+      SELECT mi.*, (mc.is_active = TRUE AND mc.deleted_at IS NULL) as category_active
+      FROM menu_items mi
+      LEFT JOIN menu_categories mc ON mi.category_id = mc.id
+      WHERE mi.id IN (${placeholders})
+    `, ids);
+  }
+
+  /**
+   * List every category that hasn't been deleted, including inactive ones
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array}
+   */
+  async listCategoriesForAdmin(db = database) {
+    return db.all(`
+      SELECT mc.*,
+        (SELECT COUNT(*) FROM menu_items mi
+         WHERE mi.category_id = mc.id AND mi.deleted_at IS NULL) as item_count
+      FROM menu_categories mc
+      WHERE mc.deleted_at IS NULL
+      ORDER BY mc.sort_order, mc.name
+    `);
+  }
+
+  /**
+   * List every item that hasn't been deleted, including unavailable ones
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array<MenuItem>} - Items with category_name and category_active
+   */
+  async listItemsForAdmin(db = database) {
+    return db.all(`
+      SELECT mi.*, mc.name as category_name, mc.is_active as category_active
+      FROM menu_items mi
+      JOIN menu_categories mc ON mi.category_id = mc.id
+      WHERE mi.deleted_at IS NULL AND mc.deleted_at IS NULL
+      ORDER BY mc.sort_order, mc.name, mi.sort_order, mi.name
+    `);
+  }
+
+  /**
+   * Find a category that hasn't been deleted
+   * @param {number} id - Category ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {Object|null}
+   */
+  async findCategoryById(id, db = database) {
+    return db.get('SELECT * FROM menu_categories WHERE id = ? AND deleted_at IS NULL', [id]);
+  }
+
+  /**
+   * Find a category by name (case-insensitive), ignoring deleted ones
+   * @param {string} name - Category name
+   * @param {Object} db - Optional transaction executor
+   * @returns {Object|null}
+   */
+  async findCategoryByName(name, db = database) {
+    return db.get(
+      'SELECT * FROM menu_categories WHERE LOWER(name) = LOWER(?) AND deleted_at IS NULL',
+      [name]
+    );
+  }
+
+  /**
+   * Find an item that hasn't been deleted
+   * @param {number} id - Menu item ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {MenuItem|null}
+   */
+  async findItemById(id, db = database) {
+    return db.get('SELECT * FROM menu_items WHERE id = ? AND deleted_at IS NULL', [id]);
+  }
+
+  /**
+   * Find an item by name (case-insensitive), ignoring deleted ones
+   * @param {string} name - Item name
+   * @param {Object} db - Optional transaction executor
+   * @returns {MenuItem|null}
+   */
+  async findItemByName(name, db = database) {
+    return db.get(
+      'SELECT * FROM menu_items WHERE LOWER(name) = LOWER(?) AND deleted_at IS NULL',
+      [name]
+    );
+  }
+
+  /**
+   * Create a category at the end of the menu
+   * @param {Object} category
+   * @param {string} category.name - Category name
+   * @param {string} category.description - Description
+   * @param {boolean} category.isActive - Whether guests can order from it
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - New category ID
+   */
+  async createCategory({ name, description = null, isActive = true }, db = database) {
+    return db.insert(`
+      INSERT INTO menu_categories (name, description, is_active, sort_order, updated_at)
+      VALUES (?, ?, ?, (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM menu_categories WHERE deleted_at IS NULL), CURRENT_TIMESTAMP)
+    `, [name, description, isActive]);
+  }
+
+  /**
+   * Update a category's name, description or active flag
+   * @param {number} id - Category ID
+   * @param {Object} fields - name, description and/or isActive
+   * @param {Object} db - Optional transaction executor
+   * @returns {boolean} - Whether the category was found
+   */
+  async updateCategory(id, fields, db = database) {
+    return this.updateColumns('menu_categories', id, {
+      name: fields.name,
+      description: fields.description,
+      is_active: fields.isActive
+    }, db);
+  }
+
+  /**
+   * Create an item at the end of its category
+   * @param {Object} item
+   * @param {number} item.categoryId - Category ID
+   * @param {string} item.name - Item name
+   * @param {string} item.description - Description
+   * @param {number} item.price - Price
+   * @param {string} item.imageUrl - Image URL
+   * @param {boolean} item.isAvailable - Whether guests can order it
+   * @param {number} item.preparationTime - Minutes to prepare
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - New menu item ID
+   */
+  async createItem({ categoryId, name, description = null, price, imageUrl = null, isAvailable = true, preparationTime = 30 }, db = database) {
+    return db.insert(`
+      INSERT INTO menu_items
+        (category_id, name, description, price, image_url, is_available, preparation_time, sort_order, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?,
+        (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM menu_items WHERE category_id = ? AND deleted_at IS NULL),
+        CURRENT_TIMESTAMP)
+    `, [categoryId, name, description, price, imageUrl, isAvailable, preparationTime, categoryId]);
+  }
+
+  /**
+   * Update any of an item's editable fields
+   * @param {number} id - Menu item ID
+   * @param {Object} fields - categoryId, name, description, price, imageUrl, isAvailable, preparationTime
+   * @param {Object} db - Optional transaction executor
+   * @returns {boolean} - Whether the item was found
+   */
+  async updateItem(id, fields, db = database) {
+    return this.updateColumns('menu_items', id, {
+      category_id: fields.categoryId,
+      name: fields.name,
+      description: fields.description,
+      price: fields.price,
+      image_url: fields.imageUrl,
+      is_available: fields.isAvailable,
+      preparation_time: fields.preparationTime
+    }, db);
+  }
+
+  /**
+   * Soft-delete a category
+   * @param {number} id - Category ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {boolean} - Whether the category was found
+   */
+  async softDeleteCategory(id, db = database) {
+    const { rowCount } = await db.run(`
+      UPDATE menu_categories
+      SET deleted_at = CURRENT_TIMESTAMP, is_active = FALSE, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND deleted_at IS NULL
+    `, [id]);
+    return rowCount > 0;
+  }
+
+  /**
+   * Soft-delete an item. The row stays so past order_items still join to it.
+   * @param {number} id - Menu item ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {boolean} - Whether the item was found
+   */
+  async softDeleteItem(id, db = database) {
+    const { rowCount } = await db.run(`
+      UPDATE menu_items
+      SET deleted_at = CURRENT_TIMESTAMP, is_available = FALSE, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND deleted_at IS NULL
+    `, [id]);
+    return rowCount > 0;
+  }
+
+  /**
+   * Count items in a category that haven't been deleted
+   * @param {number} categoryId - Category ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {number}
+   */
+  async countItemsInCategory(categoryId, db = database) {
+    const row = await db.get(
+      'SELECT COUNT(*) as count FROM menu_items WHERE category_id = ? AND deleted_at IS NULL',
+      [categoryId]
+    );
+    return row.count;
+  }
+
+  /**
+   * Set sort_order on categories to their position in the given list
+   * @param {Array<number>} ids - Category IDs in display order
+   * @param {Object} db - Optional transaction executor
+   */
+  async reorderCategories(ids, db = database) {
+    for (const [position, id] of ids.entries()) {
+      await db.run(
+        'UPDATE menu_categories SET sort_order = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [position, id]
+      );
+    }
+  }
+
+  /**
+   * Set sort_order on a category's items to their position in the given list
+   * @param {number} categoryId - Category ID
+   * @param {Array<number>} ids - Menu item IDs in display order
+   * @param {Object} db - Optional transaction executor
+   */
+  async reorderItems(categoryId, ids, db = database) {
+    for (const [position, id] of ids.entries()) {
+      await db.run(
+        'UPDATE menu_items SET sort_order = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND category_id = ?',
+        [position, id, categoryId]
+      );
+    }
+  }
+
+  /**
+   * Update the given columns of a non-deleted row, skipping undefined values
+   * @param {string} table - menu_categories or menu_items
+   * @param {number} id - Row ID
+   * @param {Object} columns - Column name to new value
+   * @param {Object} db - Transaction executor
+   * @returns {boolean} - Whether the row was found
+   */
+  async updateColumns(table, id, columns, db) {
+    const entries = Object.entries(columns).filter(([, value]) => value !== undefined);
+    const assignments = entries.map(([column]) => `${column} = ?`);
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+
+    const { rowCount } = await db.run(
+      `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = ? AND deleted_at IS NULL`,
+      [...entries.map(([, value]) => value), id]
+    );
+    return rowCount > 0;
+  }
+}
+
+module.exports = new MenuRepository();
@@ -0,0 +1,40 @@
+const database = require('../config/database');
+
+/**
+ * Data access for the notifications log
+ */
+class NotificationRepository {
+  /**
+   * Record a sent notification
+   * @param {Object} notification
+   * @param {number} notification.orderId - Order ID
+   * @param {string} notification.type - Notification type (sms, email, etc.)
+   * @param {string} notification.status - Order status that triggered it
+   * @param {string} notification.message - Message content
+   * @param {string} notification.recipient - Recipient contact info
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - Notification ID
+   */
+  async create({ orderId, type, status, message, recipient }, db = database) {
+    return db.insert(`
+      INSERT INTO notifications (order_id, type, status, message, recipient, sent_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [orderId, type, status, message, recipient]);
+  }
+
+  /**
+   * List notifications for an order, newest first
+   * @param {number} orderId - Order ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array}
+   */
+  async listByOrder(orderId, db = database) {
+    return db.all(`
+      SELECT * FROM notifications
+      WHERE order_id = ?
+      ORDER BY sent_at DESC
+    `, [orderId]);
+  }
+}
+
+module.exports = new NotificationRepository();
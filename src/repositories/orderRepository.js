@@ -0,0 +1,320 @@
+const database = require('../config/database');
+
+/**
+ * @typedef {Object} Order
+ * @property {number} id
+ * @property {number} room_id
+ * @property {number|null} stay_id - Guest stay the order was placed during
+ * @property {string} status
+ * @property {number} subtotal
+ * @property {number} total_amount
+ * @property {string|null} special_instructions
+ * @property {string} channel
+ * @property {number|null} assigned_staff_id
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {Object} OrderItem
+ * @property {number} id
+ * @property {number} order_id
+ * @property {number} menu_item_id
+ * @property {string} name
+ * @property {number} quantity
+ * @property {number} unit_price
+ * @property {string|null} special_instructions
+ */
+
+/**
+ * Data access for orders and order_items
+ */
+class OrderRepository {
+  /**
+   * Insert an order row
+   * @param {Object} order
+   * @param {number} order.roomId - Room ID
+   * @param {number} order.stayId - Open stay for the room
+   * @param {number} order.subtotal - Sum of line totals
+   * @param {number} order.totalAmount - Order total
+   * @param {string} order.specialInstructions - Special instructions
+   * @param {string} order.channel - Where the order came from (api, voice, sms)
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - New order ID
+   */
+  async create({ roomId, stayId, subtotal, totalAmount, specialInstructions, channel = 'api' }, db = database) {
+    return db.insert(`
+      INSERT INTO orders (room_id, stay_id, subtotal, total_amount, special_instructions, channel)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [roomId, stayId || null, subtotal, totalAmount, specialInstructions || null, channel]);
+  }
+
+  /**
+   * Insert an order line
+   * @param {number} orderId - Order ID
+   * @param {Object} item
+   * @param {number} item.menuItemId - Menu item ID
+   * @param {number} item.quantity - Quantity
+   * @param {number} item.unitPrice - Price per unit
+   * @param {string} item.specialInstructions - Line-level instructions
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - New order item ID
+   */
+  async addItem(orderId, { menuItemId, quantity, unitPrice, specialInstructions }, db = database) {
+    return db.insert(`
+      INSERT INTO order_items (order_id, menu_item_id, quantity, unit_price, special_instructions)
+      VALUES (?, ?, ?, ?, ?)
+    `, [orderId, menuItemId, quantity, unitPrice, specialInstructions || null]);
+  }
+
+  /**
+   * Find an order by ID
+   * @param {number} orderId - Order ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {Order|null}
+   */
+  async findById(orderId, db = database) {
+    return db.get('SELECT * FROM orders WHERE id = ?', [orderId]);
+  }
+
+  /**
+   * Find an order with the room and guest it belongs to. The guest comes
+   * from the order's stay, not the room, so it stays right after check-out.
+   * @param {number} orderId - Order ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {Object|null} - Order with room_number, guest_name and room_phone
+   */
+  async findWithRoom(orderId, db = database) {
+    return db.get(`
+      SELECT
+        o.*,
+        r.room_number, st.guest_name, st.phone_number as room_phone
+      FROM orders o
+      JOIN rooms r ON o.room_id = r.id
+      LEFT JOIN stays st ON o.stay_id = st.id
+      WHERE o.id = ?
+    `, [orderId]);
+  }
+
+  /**
+   * Find an order with its room details and line items
+   * @param {number} orderId - Order ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {Object|null} - Order with an `items` array
+   */
+  async findOrderWithItems(orderId, db = database) {
+    const order = await this.findWithRoom(orderId, db);
+    if (!order) return null;
+
+    order.items = await this.listItems([orderId], db);
+    return order;
+  }
+
+  /**
+   * List line items for a set of orders
+   * @param {Array<number>} orderIds - Order IDs
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array<OrderItem>}
+   */
+  async listItems(orderIds, db = database) {
+    if (orderIds.length === 0) return [];
+
+    const placeholders = orderIds.map(() => '?').join(', ');
+    return db.all(`
+      SELECT oi.*, mi.name, mi.description
+      FROM order_items oi
+      JOIN menu_items mi ON oi.menu_item_id = mi.id
+      WHERE oi.order_id IN (${placeholders})
+      ORDER BY oi.id
+    `, orderIds);
+  }
+
+  /**
+   * List orders with filters, search and keyset (cursor) pagination.
+   * Each order includes its room, guest and line items.
+   * @param {Object} filter
+   * @param {number} filter.roomId - Only orders for this room ID
+   * @param {string} filter.roomNumber - Only orders for this room number
+   * @param {number} filter.stayId - Only orders placed during this stay
+   * @param {Array<string>} filter.statuses - Only orders in these statuses
+   * @param {string} filter.channel - Only orders from this channel
+   * @param {number} filter.assignedStaffId - Only orders assigned to this staff member
+   * @param {string} filter.from - Created at or after (YYYY-MM-DD HH:MM:SS)
+   * @param {string} filter.to - Created before (YYYY-MM-DD HH:MM:SS)
+   * @param {string} filter.search - Text to find in order or line instructions
+   * @param {Object} page
+   * @param {string} page.sort - created_at, updated_at or total_amount
+   * @param {string} page.direction - asc or desc
+   * @param {number} page.limit - Page size
+   * @param {Array} page.after - [sortValue, id] of the last row already seen
+   * @param {Object} db - Optional transaction executor
+   * @returns {Object} - { orders, hasMore, last } where last is the
+   *   [sortValue, id] to continue after, the sort value as the database's
+   *   own text so timestamps keep their full precision
+   */
+  async listOrders(filter = {}, page = {}, db = database) {
+    const { sort = 'created_at', direction = 'desc', limit = 25, after = null } = page;
+    const conditions = [];
+    const params = [];
+
+    if (filter.roomId) {
+      conditions.push('o.room_id = ?');
+      params.push(filter.roomId);
+    }
+    if (filter.roomNumber) {
+      conditions.push('r.room_number = ?');
+      params.push(String(filter.roomNumber));
+    }
+    if (filter.stayId) {
+      conditions.push('o.stay_id = ?');
+      params.push(filter.stayId);
+    }
+    if (filter.statuses && filter.statuses.length > 0) {
+      conditions.push(`o.status IN (${filter.statuses.map(() => '?').join(', ')})`);
+      params.push(...filter.statuses);
+    }
+    if (filter.channel) {
+      conditions.push('o.channel = ?');
+      params.push(filter.channel);
+    }
+    if (filter.assignedStaffId) {
+      conditions.push('o.assigned_staff_id = ?');
+      params.push(filter.assignedStaffId);
+    }
+    if (filter.from) {
+      conditions.push('o.created_at >= ?');
+      params.push(filter.from);
+    }
+    if (filter.to) {
+      conditions.push('o.created_at < ?');
+      params.push(filter.to);
+    }
+    if (filter.search) {
+      // Match %, _ and \ in the search text literally
+      const escaped = filter.search.toLowerCase().replace(/[\\%_]/g, '\\$&');
+      const pattern = `%${escaped}%`;
+      conditions.push(`(
+        LOWER(o.special_instructions) LIKE ? ESCAPE '\\'
+        OR EXISTS (
+          SELECT 1 FROM order_items si
+          WHERE si.order_id = o.id AND LOWER(si.special_instructions) LIKE ? ESCAPE '\\'
+        )
+      )`);
+      params.push(pattern, pattern);
+    }
+    if (after) {
+      // Keyset pagination: continue strictly past the last row seen
+      const op = direction === 'asc' ? '>' : '<';
+      conditions.push(`(o.${sort} ${op} ? OR (o.${sort} = ? AND o.id ${op} ?))`);
+      params.push(after[0], after[0], after[1]);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const order = direction === 'asc' ? 'ASC' : 'DESC';
+    const rows = await db.all(`
+      SELECT o.*, r.room_number, st.guest_name, s.name as assigned_staff_name,
+        CAST(o.${sort} AS TEXT) as sort_key
+      FROM orders o
+      JOIN rooms r ON o.room_id = r.id
+      LEFT JOIN stays st ON o.stay_id = st.id
+      LEFT JOIN staff s ON o.assigned_staff_id = s.id
+      ${where}
+      ORDER BY o.${sort} ${order}, o.id ${order}
+      LIMIT ?
+    `, [...params, limit + 1]);
+
+    const hasMore = rows.length > limit;
+    const orders = rows.slice(0, limit);
+    const items = await this.listItems(orders.map(o => o.id), db);
+    const last = orders[orders.length - 1];
+
+    return {
+      orders: orders.map(({ sort_key: sortKey, ...o }) => ({
+        ...o,
+        items: items.filter(item => item.order_id === o.id)
+      })),
+      hasMore,
+      last: last ? [last.sort_key, last.id] : null
+    };
+  }
+
+  /**
+   * Assign an order to a staff member (or unassign with null)
+   * @param {number} orderId - Order ID
+   * @param {number|null} staffId - Staff ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {boolean} - Whether the order existed
+   */
+  async assign(orderId, staffId, db = database) {
+    const { rowCount } = await db.run(`
+      UPDATE orders
+      SET assigned_staff_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [staffId, orderId]);
+
+    return rowCount > 0;
+  }
+
+  /**
+   * Set an order's status, optionally only if it is still in an expected
+   * status (so two concurrent changes can't both succeed)
+   * @param {number} orderId - Order ID
+   * @param {string} status - New status
+   * @param {string} expectedStatus - Status the order must currently have
+   * @param {Object} db - Optional transaction executor
+   * @returns {boolean} - Whether a row was updated
+   */
+  async updateStatus(orderId, status, expectedStatus = null, db = database) {
+    const params = [status, orderId];
+    let condition = '';
+    if (expectedStatus) {
+      condition = ' AND status = ?';
+      params.push(expectedStatus);
+    }
+
+    const { rowCount } = await db.run(`
+      UPDATE orders
+      SET status = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?${condition}
+    `, params);
+
+    return rowCount > 0;
+  }
+
+  /**
+   * Append a row to an order's status history
+   * @param {Object} change
+   * @param {number} change.orderId - Order ID
+   * @param {string|null} change.fromStatus - Previous status (null on creation)
+   * @param {string} change.toStatus - New status
+   * @param {number|null} change.changedBy - Staff ID, if a person made the change
+   * @param {string} change.source - staff, guest, system, ...
+   * @param {string|null} change.reason - Why the change was made
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - History row ID
+   */
+  async recordStatusChange({ orderId, fromStatus, toStatus, changedBy = null, source = 'system', reason = null }, db = database) {
+    return db.insert(`
+      INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, source, reason)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [orderId, fromStatus, toStatus, changedBy, source, reason]);
+  }
+
+  /**
+   * List an order's status changes, oldest first
+   * @param {number} orderId - Order ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array} - History rows with the staff member's name
+   */
+  async listStatusHistory(orderId, db = database) {
+    return db.all(`
+      SELECT h.*, s.name as changed_by_name
+      FROM order_status_history h
+      LEFT JOIN staff s ON h.changed_by = s.id
+      WHERE h.order_id = ?
+      ORDER BY h.created_at, h.id
+    `, [orderId]);
+  }
+}
+
+module.exports = new OrderRepository();
@@ -0,0 +1,64 @@
+const database = require('../config/database');
+
+/**
+ * Data access for staff_recovery_codes: single-use codes that stand in
+ * for a TOTP code when the authenticator is lost. Only SHA-256 hashes
+ * are stored.
+ */
+class RecoveryCodeRepository {
+  /**
+   * Replace a staff member's recovery codes
+   * @param {number} staffId - Staff ID
+   * @param {Array<string>} codeHashes - SHA-256 hex of each code
+   * @param {Object} db - Optional transaction executor
+   */
+  async replaceAll(staffId, codeHashes, db = database) {
+    await db.run('DELETE FROM staff_recovery_codes WHERE staff_id = ?', [staffId]);
+    for (const codeHash of codeHashes) {
+      await db.run(
+        'INSERT INTO staff_recovery_codes (staff_id, code_hash) VALUES (?, ?)',
+        [staffId, codeHash]
+      );
+    }
+  }
+
+  /**
+   * Use up a recovery code
+   * @param {number} staffId - Staff ID
+   * @param {string} codeHash - SHA-256 hex of the code
+   * @param {Object} db - Optional transaction executor
+   * @returns {boolean} - Whether an unused code matched
+   */
+  async consume(staffId, codeHash, db = database) {
+    const { rowCount } = await db.run(`
+      UPDATE staff_recovery_codes SET used_at = CURRENT_TIMESTAMP
+      WHERE staff_id = ? AND code_hash = ? AND used_at IS NULL
+    `, [staffId, codeHash]);
+    return rowCount > 0;
+  }
+
+  /**
+   * Count unused recovery codes
+   * @param {number} staffId - Staff ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {number}
+   */
+  async countUnused(staffId, db = database) {
+    const row = await db.get(
+      'SELECT COUNT(*) as count FROM staff_recovery_codes WHERE staff_id = ? AND used_at IS NULL',
+      [staffId]
+    );
+    return Number(row.count);
+  }
+
+  /**
+   * Delete all of a staff member's recovery codes
+   * @param {number} staffId - Staff ID
+   * @param {Object} db - Optional transaction executor
+   */
+  async deleteAll(staffId, db = database) {
+    await db.run('DELETE FROM staff_recovery_codes WHERE staff_id = ?', [staffId]);
+  }
+}
+
+module.exports = new RecoveryCodeRepository();
@@ -0,0 +1,93 @@
+const database = require('../config/database');
+
+/**
+ * @typedef {Object} RoomPhoneMapping
+ * @property {number} id
+ * @property {string} kind - caller_id, did or extension
+ * @property {string} value - Normalized number or extension
+ * @property {number} room_id
+ * @property {string} room_number
+ * @property {number|null} created_by
+ * @property {string} created_at
+ */
+
+/**
+ * Data access for room_phone_mappings
+ */
+class RoomPhoneMappingRepository {
+  /**
+   * Find the mapping for a number or extension
+   * @param {string} kind - caller_id, did or extension
+   * @param {string} value - Normalized value
+   * @param {Object} db - Optional transaction executor
+   * @returns {RoomPhoneMapping|null}
+   */
+  async find(kind, value, db = database) {
+    return db.get(`
+      SELECT m.*, r.room_number
+      FROM room_phone_mappings m
+      JOIN rooms r ON m.room_id = r.id
+      WHERE m.kind = ? AND m.value = ?
+    `, [kind, value]);
+  }
+
+  /**
+   * @param {number} id - Mapping ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {RoomPhoneMapping|null}
+   */
+  async findById(id, db = database) {
+    return db.get(`
+      SELECT m.*, r.room_number
+      FROM room_phone_mappings m
+      JOIN rooms r ON m.room_id = r.id
+      WHERE m.id = ?
+    `, [id]);
+  }
+
+  /**
+   * List mappings, optionally for one room
+   * @param {Object} filter
+   * @param {number} filter.roomId - Only this room
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array<RoomPhoneMapping>}
+   */
+  async list({ roomId } = {}, db = database) {
+    const where = roomId ? 'WHERE m.room_id = ?' : '';
+    return db.all(`
+      SELECT m.*, r.room_number
+      FROM room_phone_mappings m
+      JOIN rooms r ON m.room_id = r.id
+      ${where}
+      ORDER BY r.room_number, m.kind, m.value
+    `, roomId ? [roomId] : []);
+  }
+
+  /**
+   * @param {Object} mapping
+   * @param {string} mapping.kind - caller_id, did or extension
+   * @param {string} mapping.value - Normalized value
+   * @param {number} mapping.roomId - Room ID
+   * @param {number|null} mapping.createdBy - Staff ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - New mapping ID
+   */
+  async create({ kind, value, roomId, createdBy }, db = database) {
+    return db.insert(
+      'INSERT INTO room_phone_mappings (kind, value, room_id, created_by) VALUES (?, ?, ?, ?)',
+      [kind, value, roomId, createdBy ?? null]
+    );
+  }
+
+  /**
+   * @param {number} id - Mapping ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {boolean} - Whether a mapping was deleted
+   */
+  async delete(id, db = database) {
+    const { rowCount } = await db.run('DELETE FROM room_phone_mappings WHERE id = ?', [id]);
+    return rowCount > 0;
+  }
+}
+
+module.exports = new RoomPhoneMappingRepository();
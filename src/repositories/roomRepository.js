@@ -0,0 +1,93 @@
+const database = require('../config/database');
+
+/**
+ * @typedef {Object} Room
+ * @property {number} id
+ * @property {string} room_number
+ * @property {string|null} guest_name - Current occupant (copied from the open stay)
+ * @property {string|null} phone_number - Current occupant's phone number
+ * @property {string|null} check_in_date
+ * @property {string|null} check_out_date
+ * @property {string} status - available or occupied
+ */
+
+/**
+ * Data access for the rooms table
+ */
+class RoomRepository {
+  /**
+   * Find a room by ID
+   * @param {number} id - Room ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {Room|null}
+   */
+  async findById(id, db = database) {
+    return db.get('SELECT * FROM rooms WHERE id = ?', [id]);
+  }
+
+  /**
+   * Find a room by its room number
+   * @param {string} roomNumber - Room number as guests know it
+   * @param {Object} db - Optional transaction executor
+   * @returns {Room|null}
+   */
+  async findByNumber(roomNumber, db = database) {
+    return db.get('SELECT * FROM rooms WHERE room_number = ?', [String(roomNumber)]);
+  }
+
+  /**
+   * List rooms with their open stay, if any
+   * @param {Object} filter
+   * @param {string} filter.status - Only rooms with this status
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array<Room>} - Rooms with stay_id and checked_in_at
+   */
+  async list({ status } = {}, db = database) {
+    const params = [];
+    let where = '';
+    if (status) {
+      where = 'WHERE r.status = ?';
+      params.push(status);
+    }
+
+    return db.all(`
+      SELECT r.*, s.id as stay_id, s.checked_in_at, s.expected_check_out
+      FROM rooms r
+      LEFT JOIN stays s ON s.room_id = r.id AND s.checked_out_at IS NULL
+      ${where}
+      ORDER BY r.room_number
+    `, params);
+  }
+
+  /**
+   * Insert a vacant room
+   * @param {string} roomNumber - Room number
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - New room ID
+   */
+  async create(roomNumber, db = database) {
+    return db.insert(
+      'INSERT INTO rooms (room_number, status) VALUES (?, ?)',
+      [String(roomNumber), 'available']
+    );
+  }
+
+  /**
+   * Copy the current occupant onto the room row (or clear it at check-out)
+   * @param {number} roomId - Room ID
+   * @param {Object|null} stay - Open stay, or null when the room is vacated
+   * @param {Object} db - Optional transaction executor
+   */
+  async setOccupant(roomId, stay, db = database) {
+    await db.run(`
+      UPDATE rooms
+      SET guest_name = ?, phone_number = ?, check_in_date = ?, check_out_date = ?,
+          status = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, stay
+      ? [stay.guest_name, stay.phone_number, stay.checked_in_at, stay.expected_check_out, 'occupied', roomId]
+      : [null, null, null, null, 'available', roomId]);
+  }
+}
+
+module.exports = new RoomRepository();
@@ -0,0 +1,277 @@
+const database = require('../config/database');
+
+/**
+ * @typedef {Object} Staff
+ * @property {number} id
+ * @property {string} username
+ * @property {string} password_hash
+ * @property {string} name
+ * @property {string} role
+ * @property {boolean} is_active
+ * @property {number} token_version - Bumped to invalidate every access token
+ * @property {boolean} must_change_password - Set for new and reset accounts
+ * @property {string|null} password_changed_at
+ * @property {string|null} totp_secret - Encrypted TOTP secret (pending until totp_enabled)
+ * @property {boolean} totp_enabled - Two-factor login is on
+ * @property {number|null} totp_last_step - Last TOTP time step accepted
+ */
+
+// Columns that are safe to return from the admin API
+const PUBLIC_COLUMNS = `
+  id, username, name, role, is_active, must_change_password,
+  password_changed_at, totp_enabled, created_at, updated_at
+`;
+
+/**
+ * Data access for the staff table
+ */
+class StaffRepository {
+  /**
+   * Find an active staff member by username
+   * @param {string} username - Login username
+   * @param {Object} db - Optional transaction executor
+   * @returns {Staff|null}
+   */
+  async findActiveByUsername(username, db = database) {
+    return db.get(
+      'SELECT * FROM staff WHERE username = ? AND is_active = TRUE',
+      [username]
+    );
+  }
+
+  /**
+   * Find a staff member by ID, active or not
+   * @param {number} id - Staff ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {Staff|null}
+   */
+  async findById(id, db = database) {
+    return db.get('SELECT * FROM staff WHERE id = ?', [id]);
+  }
+
+  /**
+   * Find a staff member by username, active or not
+   * @param {string} username - Login username
+   * @param {Object} db - Optional transaction executor
+   * @returns {Staff|null}
+   */
+  async findByUsername(username, db = database) {
+    return db.get('SELECT * FROM staff WHERE username = ?', [username]);
+  }
+
+  /**
+   * List staff members without their password hashes
+   * @param {Object} filters
+   * @param {boolean} filters.includeInactive - Include deactivated accounts
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array<Staff>}
+   */
+  async list({ includeInactive = false } = {}, db = database) {
+    const where = includeInactive ? '' : 'WHERE is_active = TRUE';
+    return db.all(`SELECT ${PUBLIC_COLUMNS} FROM staff ${where} ORDER BY name, id`);
+  }
+
+  /**
+   * Find a staff member by ID without the password hash
+   * @param {number} id - Staff ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {Staff|null}
+   */
+  async findPublicById(id, db = database) {
+    return db.get(`SELECT ${PUBLIC_COLUMNS} FROM staff WHERE id = ?`, [id]);
+  }
+
+  /**
+   * Count active staff with a role
+   * @param {string} role - Role
+   * @param {Object} db - Optional transaction executor
+   * @returns {number}
+   */
+  async countActiveWithRole(role, db = database) {
+    const row = await db.get(
+      'SELECT COUNT(*) as count FROM staff WHERE role = ? AND is_active = TRUE',
+      [role]
+    );
+    return Number(row.count);
+  }
+
+  /**
+   * Update name and/or role
+   * @param {number} id - Staff ID
+   * @param {Object} fields - name, role (omitted fields are left alone)
+   * @param {Object} db - Optional transaction executor
+   * @returns {boolean} - Whether the staff member exists
+   */
+  async updateProfile(id, { name, role }, db = database) {
+    const { rowCount } = await db.run(`
+      UPDATE staff
+      SET name = COALESCE(?, name), role = COALESCE(?, role), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [name ?? null, role ?? null, id]);
+    return rowCount > 0;
+  }
+
+  /**
+   * Activate or deactivate an account
+   * @param {number} id - Staff ID
+   * @param {boolean} active - New state
+   * @param {Object} db - Optional transaction executor
+   */
+  async setActive(id, active, db = database) {
+    await db.run(
+      'UPDATE staff SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [active, id]
+    );
+  }
+
+  /**
+   * Replace the password hash
+   * @param {number} id - Staff ID
+   * @param {string} passwordHash - bcrypt hash
+   * @param {boolean} mustChange - Whether the password must be changed at next login
+   * @param {Object} db - Optional transaction executor
+   */
+  async setPassword(id, passwordHash, mustChange, db = database) {
+    await db.run(`
+      UPDATE staff
+      SET password_hash = ?, must_change_password = ?,
+          password_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [passwordHash, mustChange, id]);
+  }
+
+  /**
+   * Store a new TOTP secret. Two-factor login stays off until the
+   * secret is confirmed with enableTotp.
+   * @param {number} id - Staff ID
+   * @param {string} encryptedSecret - Encrypted secret
+   * @param {Object} db - Optional transaction executor
+   */
+  async setTotpSecret(id, encryptedSecret, db = database) {
+    await db.run(`
+      UPDATE staff
+      SET totp_secret = ?, totp_enabled = FALSE, totp_enabled_at = NULL, totp_last_step = NULL
+      WHERE id = ?
+    `, [encryptedSecret, id]);
+  }
+
+  /**
+   * Turn two-factor login on
+   * @param {number} id - Staff ID
+   * @param {number} step - Time step of the code that confirmed enrollment
+   * @param {Object} db - Optional transaction executor
+   */
+  async enableTotp(id, step, db = database) {
+    await db.run(`
+      UPDATE staff
+      SET totp_enabled = TRUE, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [step, id]);
+  }
+
+  /**
+   * Turn two-factor login off and forget the secret
+   * @param {number} id - Staff ID
+   * @param {Object} db - Optional transaction executor
+   */
+  async disableTotp(id, db = database) {
+    await db.run(`
+      UPDATE staff
+      SET totp_secret = NULL, totp_enabled = FALSE, totp_enabled_at = NULL, totp_last_step = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [id]);
+  }
+
+  /**
+   * Mark a TOTP time step as used. Fails if that step (or a later one) was
+   * already used, so a code can't be replayed.
+   * @param {number} id - Staff ID
+   * @param {number} step - Time step of the accepted code
+   * @param {Object} db - Optional transaction executor
+   * @returns {boolean} - Whether the step was still unused
+   */
+  async claimTotpStep(id, step, db = database) {
+    const { rowCount } = await db.run(`
+      UPDATE staff SET totp_last_step = ?
+      WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+    `, [step, id, step]);
+    return rowCount > 0;
+  }
+
+  /**
+   * Record a change to a staff account
+   * @param {Object} entry
+   * @param {number} entry.staffId - Account that was changed
+   * @param {number|null} entry.actorId - Staff member who made the change
+   * @param {string} entry.action - created, updated, deactivated, ...
+   * @param {Object} entry.details - What changed (stored as JSON)
+   * @param {Object} db - Optional transaction executor
+   */
+  async addAuditEntry({ staffId, actorId, action, details }, db = database) {
+    await db.run(
+      'INSERT INTO staff_audit_log (staff_id, actor_id, action, details) VALUES (?, ?, ?, ?)',
+      [staffId, actorId ?? null, action, details ? JSON.stringify(details) : null]
+    );
+  }
+
+  /**
+   * List audit entries, newest first
+   * @param {Object} filters
+   * @param {number} filters.staffId - Only entries about this account
+   * @param {number} filters.limit - Maximum number of entries
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array} - Entries with actor and staff usernames
+   */
+  async listAuditEntries({ staffId, limit = 100 } = {}, db = database) {
+    const params = [];
+    let where = '';
+    if (staffId) {
+      where = 'WHERE l.staff_id = ?';
+      params.push(staffId);
+    }
+    params.push(limit);
+
+    const rows = await db.all(`
+      SELECT l.*, s.username as staff_username, a.username as actor_username
+      FROM staff_audit_log l
+      JOIN staff s ON s.id = l.staff_id
+      LEFT JOIN staff a ON a.id = l.actor_id
+      ${where}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT ?
+    `, params);
+
+    return rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+  }
+
+  /**
+   * Invalidate every access token issued to a staff member so far
+   * @param {number} id - Staff ID
+   * @param {Object} db - Optional transaction executor
+   */
+  async incrementTokenVersion(id, db = database) {
+    await db.run('UPDATE staff SET token_version = COALESCE(token_version, 0) + 1 WHERE id = ?', [id]);
+  }
+
+  /**
+   * Create a staff member
+   * @param {Object} staff
+   * @param {string} staff.username - Login username
+   * @param {string} staff.passwordHash - bcrypt hash
+   * @param {string} staff.name - Display name
+   * @param {string} staff.role - Role
+   * @param {boolean} staff.mustChangePassword - Require a new password at first login
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - New staff ID
+   */
+  async create({ username, passwordHash, name, role, mustChangePassword = false }, db = database) {
+    return db.insert(
+      'INSERT INTO staff (username, password_hash, name, role, must_change_password) VALUES (?, ?, ?, ?, ?)',
+      [username, passwordHash, name, role, mustChangePassword]
+    );
+  }
+}
+
+module.exports = new StaffRepository();
@@ -0,0 +1,106 @@
+const database = require('../config/database');
+
+/**
+ * @typedef {Object} Stay
+ * @property {number} id
+ * @property {number} room_id
+ * @property {string} guest_name
+ * @property {string|null} phone_number
+ * @property {string} checked_in_at
+ * @property {string|null} expected_check_out
+ * @property {string|null} checked_out_at - Null while the guest is in the room
+ * @property {number|null} checked_in_by
+ * @property {number|null} checked_out_by
+ * @property {string|null} notes
+ */
+
+/**
+ * Data access for the stays table
+ */
+class StayRepository {
+  /**
+   * Open a stay
+   * @param {Object} stay
+   * @param {number} stay.roomId - Room ID
+   * @param {string} stay.guestName - Guest name
+   * @param {string} stay.phoneNumber - Guest phone number
+   * @param {string} stay.expectedCheckOut - Planned check-out time
+   * @param {number} stay.checkedInBy - Staff ID
+   * @param {string} stay.notes - Front desk notes
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - New stay ID
+   */
+  async create({ roomId, guestName, phoneNumber, expectedCheckOut, checkedInBy, notes }, db = database) {
+    return db.insert(`
+      INSERT INTO stays (room_id, guest_name, phone_number, expected_check_out, checked_in_by, notes)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [roomId, guestName, phoneNumber || null, expectedCheckOut || null, checkedInBy || null, notes || null]);
+  }
+
+  /**
+   * Find a stay by ID
+   * @param {number} id - Stay ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {Stay|null}
+   */
+  async findById(id, db = database) {
+    return db.get('SELECT * FROM stays WHERE id = ?', [id]);
+  }
+
+  /**
+   * Find the open stay for a room
+   * @param {number} roomId - Room ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {Stay|null}
+   */
+  async findOpenByRoom(roomId, db = database) {
+    return db.get('SELECT * FROM stays WHERE room_id = ? AND checked_out_at IS NULL', [roomId]);
+  }
+
+  /**
+   * Open stays that have a guest phone number, with their room number
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array<Stay>} - With room_number
+   */
+  async listOpenWithPhone(db = database) {
+    return db.all(`
+      SELECT s.*, r.room_number
+      FROM stays s
+      JOIN rooms r ON s.room_id = r.id
+      WHERE s.checked_out_at IS NULL AND s.phone_number IS NOT NULL AND s.phone_number <> ''
+    `);
+  }
+
+  /**
+   * Close a stay
+   * @param {number} id - Stay ID
+   * @param {number|null} checkedOutBy - Staff ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {boolean} - Whether an open stay was closed
+   */
+  async close(id, checkedOutBy, db = database) {
+    const { rowCount } = await db.run(`
+      UPDATE stays SET checked_out_at = CURRENT_TIMESTAMP, checked_out_by = ?
+      WHERE id = ? AND checked_out_at IS NULL
+    `, [checkedOutBy || null, id]);
+    return rowCount > 0;
+  }
+
+  /**
+   * List a room's stays, newest first
+   * @param {number} roomId - Room ID
+   * @param {number} limit - Maximum rows
+   * @param {Object} db - Optional transaction executor
+   * @returns {Array<Stay>}
+   */
+  async listByRoom(roomId, limit = 50, db = database) {
+    return db.all(`
+      SELECT * FROM stays
+      WHERE room_id = ?
+      ORDER BY checked_in_at DESC, id DESC
+      LIMIT ?
+    `, [roomId, limit]);
+  }
+}
+
+module.exports = new StayRepository();
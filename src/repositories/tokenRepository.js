@@ -0,0 +1,133 @@
+const database = require('../config/database');
+
+/**
+ * @typedef {Object} RefreshToken
+ * @property {number} id
+ * @property {number} staff_id
+ * @property {string} token_hash - SHA-256 of the token; the token itself is never stored
+ * @property {string} family_id - Shared by every token rotated from the same login
+ * @property {string} expires_at
+ * @property {string|null} revoked_at
+ * @property {number|null} replaced_by - Token issued when this one was rotated
+ */
+
+/**
+ * Data access for refresh_tokens and revoked_tokens
+ */
+class TokenRepository {
+  /**
+   * Store a refresh token
+   * @param {Object} token
+   * @param {number} token.staffId - Staff ID
+   * @param {string} token.tokenHash - SHA-256 hex of the token
+   * @param {string} token.familyId - Login the token belongs to
+   * @param {string} token.expiresAt - Expiry (YYYY-MM-DD HH:MM:SS, UTC)
+   * @param {string} token.userAgent - Client user agent
+   * @param {string} token.ipAddress - Client IP
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - New token ID
+   */
+  async createRefreshToken({ staffId, tokenHash, familyId, expiresAt, userAgent, ipAddress }, db = database) {
+    return db.insert(`
+      INSERT INTO refresh_tokens (staff_id, token_hash, family_id, expires_at, user_agent, ip_address)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [staffId, tokenHash, familyId, expiresAt, userAgent ? String(userAgent).slice(0, 500) : null, ipAddress || null]);
+  }
+
+  /**
+   * Find a refresh token by its hash
+   * @param {string} tokenHash - SHA-256 hex of the token
+   * @param {string} now - Current time (YYYY-MM-DD HH:MM:SS, UTC)
+   * @param {Object} db - Optional transaction executor
+   * @returns {RefreshToken|null} - With an `is_expired` flag
+   */
+  async findRefreshTokenByHash(tokenHash, now, db = database) {
+    return db.get(
+      'SELECT rt.*, (rt.expires_at <= ?) as is_expired FROM refresh_tokens rt WHERE rt.token_hash = ?',
+      [now, tokenHash]
+    );
+  }
+
+  /**
+   * Revoke one refresh token, optionally recording its replacement
+   * @param {number} id - Token ID
+   * @param {number|null} replacedBy - ID of the rotated token
+   * @param {Object} db - Optional transaction executor
+   * @returns {boolean} - Whether a live token was revoked
+   */
+  async revokeRefreshToken(id, replacedBy = null, db = database) {
+    const { rowCount } = await db.run(`
+      UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = ?
+      WHERE id = ? AND revoked_at IS NULL
+    `, [replacedBy, id]);
+    return rowCount > 0;
+  }
+
+  /**
+   * Revoke every token rotated from the same login
+   * @param {string} familyId - Token family
+   * @param {Object} db - Optional transaction executor
+   */
+  async revokeFamily(familyId, db = database) {
+    await db.run(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = ? AND revoked_at IS NULL',
+      [familyId]
+    );
+  }
+
+  /**
+   * Revoke all of a staff member's refresh tokens
+   * @param {number} staffId - Staff ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {number} - How many were revoked
+   */
+  async revokeAllForStaff(staffId, db = database) {
+    const { rowCount } = await db.run(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE staff_id = ? AND revoked_at IS NULL',
+      [staffId]
+    );
+    return rowCount;
+  }
+
+  /**
+   * Put an access token on the revocation list until it expires
+   * @param {Object} token
+   * @param {string} token.jti - JWT ID
+   * @param {number} token.staffId - Staff ID
+   * @param {string} token.expiresAt - When the JWT expires (YYYY-MM-DD HH:MM:SS, UTC)
+   * @param {Object} db - Optional transaction executor
+   */
+  async revokeAccessToken({ jti, staffId, expiresAt }, db = database) {
+    await db.run(`
+      INSERT INTO revoked_tokens (jti, staff_id, expires_at) VALUES (?, ?, ?)
+      ON CONFLICT (jti) DO NOTHING
+    `, [jti, staffId, expiresAt]);
+  }
+
+  /**
+   * Check the revocation list
+   * @param {string} jti - JWT ID
+   * @param {Object} db - Optional transaction executor
+   * @returns {boolean}
+   */
+  async isAccessTokenRevoked(jti, db = database) {
+    const row = await db.get('SELECT jti FROM revoked_tokens WHERE jti = ?', [jti]);
+    return !!row;
+  }
+
+  /**
+   * Delete revocation entries and refresh tokens that have expired anyway
+   * @param {string} now - Current time (YYYY-MM-DD HH:MM:SS, UTC)
+   * @param {Object} db - Optional transaction executor
+   */
+  async deleteExpired(now, db = database) {
+    await db.run('DELETE FROM revoked_tokens WHERE expires_at < ?', [now]);
+    await db.run(`
+      DELETE FROM refresh_tokens
+      WHERE expires_at < ?
+        AND id NOT IN (SELECT replaced_by FROM refresh_tokens WHERE replaced_by IS NOT NULL)
+    `, [now]);
+  }
+}
+
+module.exports = new TokenRepository();
@@ -1,174 +1,111 @@
 const express = require('express');
 const router = express.Router();
-const { db } = require('../config/database');
-const notificationService = require('../services/notificationService');
+const menuRepository = require('../repositories/menuRepository');
+const orderService = require('../services/orderService');
+const { STATUS_PERMISSIONS, hasPermission } = require('../config/permissions');
+const { authenticateToken, requirePermission, isGuest } = require('../middleware/auth');
+const { sendError } = require('../utils/errors');
 
 // Get menu items
-router.get('/menu', (req, res) => {
-  db.all(`
-    SELECT mi.*, mc.name as category_name
-    FROM menu_items mi
-    JOIN menu_categories mc ON mi.category_id = mc.id
-    WHERE mi.is_available = true AND mc.is_active = true
-    ORDER BY mc.name, mi.name
-  `, [], (err, rows) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
-    }
+router.get('/menu', async (req, res) => {
+  try {
+    const rows = await menuRepository.listAvailableItems();
     res.json(rows);
-  });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Get menu categories
-router.get('/categories', (req, res) => {
-  db.all(`
-    SELECT * FROM menu_categories
-    WHERE is_active = 1
-    ORDER BY name
-  `, [], (err, rows) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
-    }
+router.get('/categories', async (req, res) => {
+  try {
+    const rows = await menuRepository.listActiveCategories();
     res.json(rows);
-  });
-});
-
-// Create new order
-router.post('/orders', (req, res) => {
-  const { roomId, items, specialInstructions } = req.body;
-
-  if (!roomId || !items || items.length === 0) {
-    return res.status(400).json({ error: 'Room ID and items are required' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Calculate total amount
-  let totalAmount = 0;
-  items.forEach(item => {
-    totalAmount += item.price * item.quantity;
-  });
-
-  // Start transaction
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
-
-    // Insert order
-    db.run(`
-      INSERT INTO orders (room_id, total_amount, special_instructions)
-      VALUES (?, ?, ?)
-    `, [roomId, totalAmount, specialInstructions], function(err) {
-      if (err) {
-        db.run('ROLLBACK');
-        return res.status(500).json({ error: err.message });
-      }
-
-      const orderId = this.lastID;
-
-      // Insert order items
-      let completed = 0;
-      items.forEach((item, index) => {
-        db.run(`
-          INSERT INTO order_items (order_id, menu_item_id, quantity, unit_price, special_instructions)
-          VALUES (?, ?, ?, ?, ?)
-        `, [orderId, item.id, item.quantity, item.price, item.specialInstructions], (err) => {
-          if (err) {
-            db.run('ROLLBACK');
-            return res.status(500).json({ error: err.message });
-          }
-
-          completed++;
-          if (completed === items.length) {
-            db.run('COMMIT');
+// Create new order. Guests always order for their own room.
+router.post('/orders', authenticateToken, requirePermission('orders:create', 'guest:orders'), async (req, res) => {
+  const { items, specialInstructions } = req.body;
+  const { roomId, roomNumber } = isGuest(req) ? { roomId: req.user.roomId } : req.body;
 
-          // Send new order alert to staff
-          notificationService.sendNewOrderAlert(orderId);
+  try {
+    const order = await orderService.createOrder({
+      roomId,
+      roomNumber,
+      items,
+      specialInstructions,
+      channel: 'api'
+    });
 
-          res.status(201).json({
-            orderId,
-            message: 'Order created successfully',
-            totalAmount
-          });
-          }
-        });
-      });
+    res.status(201).json({
+      orderId: order.id,
+      message: 'Order created successfully',
+      subtotal: order.subtotal,
+      totalAmount: order.total_amount
     });
-  });
+  } catch (error) {
+    sendError(res, error, 'Error creating order');
+  }
+});
+
+// List orders for staff (filter, search, paginate)
+router.get('/orders', authenticateToken, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const result = await orderService.listOrders(req.query);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Error listing orders');
+  }
 });
 
-// Get orders for a room
-router.get('/orders/:roomId', (req, res) => {
-  const { roomId } = req.params;
+// Get one order with items, room, guest and history (guests: only their own orders)
+router.get('/orders/:orderId', authenticateToken, requirePermission('orders:read', 'guest:orders'), async (req, res) => {
+  try {
+    const order = isGuest(req)
+      ? await orderService.getGuestOrder(req.params.orderId, req.user.stayId)
+      : await orderService.getOrderDetails(req.params.orderId);
+    res.json(order);
+  } catch (error) {
+    sendError(res, error, 'Error loading order');
+  }
+});
 
-  db.all(`
-    SELECT o.*, oi.quantity, oi.unit_price, oi.special_instructions,
-           mi.name as item_name, mi.description as item_description
-    FROM orders o
-    JOIN order_items oi ON o.id = oi.order_id
-    JOIN menu_items mi ON oi.menu_item_id = mi.id
-    WHERE o.room_id = ?
-    ORDER BY o.created_at DESC
-  `, [roomId], (err, rows) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
-    }
-    res.json(rows);
-  });
+// Assign an order to a staff member
+router.put('/orders/:orderId/assignee', authenticateToken, requirePermission('orders:assign'), async (req, res) => {
+  try {
+    await orderService.assignOrder(req.params.orderId, req.body.staffId);
+    res.json({ message: 'Order assignment updated' });
+  } catch (error) {
+    sendError(res, error, 'Error assigning order');
+  }
 });
 
-// Update order status
-router.put('/orders/:orderId/status', async (req, res) => {
+// Update order status. Each role may only move orders into the statuses it handles
+// (e.g. kitchen prepares, runners deliver, refunds need a manager).
+router.put('/orders/:orderId/status', authenticateToken, requirePermission(...new Set(Object.values(STATUS_PERMISSIONS))), async (req, res) => {
   const { orderId } = req.params;
-  const { status } = req.body;
+  const { status, reason } = req.body;
 
-  const validStatuses = ['pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled'];
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({ error: 'Invalid status' });
+  const permission = STATUS_PERMISSIONS[status];
+  if (permission && !hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ error: `Your role cannot mark orders as ${status}`, required: [permission] });
   }
 
   try {
-    // Update order status in database
-    const updateResult = await new Promise((resolve, reject) => {
-      db.run(`
-        UPDATE orders
-        SET status = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `, [status, orderId], function(err) {
-        if (err) reject(err);
-        else resolve(this.changes);
-      });
+    const { order } = await orderService.updateStatus(orderId, status, {
+      changedBy: req.user.id,
+      source: 'staff',
+      reason
     });
 
-    if (updateResult === 0) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-
-    // Send notification about status change
-    await notificationService.sendOrderStatusNotification(orderId, status);
-
-    res.json({ message: 'Order status updated successfully' });
+    res.json({ message: 'Order status updated successfully', status: order.status });
 
   } catch (error) {
-    console.error('Error updating order status:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error, 'Error updating order status');
   }
 });
 
-// Get room information
-router.get('/rooms/:roomNumber', (req, res) => {
-  const { roomNumber } = req.params;
-
-  db.get(`
-    SELECT * FROM rooms WHERE room_number = ?
-  `, [roomNumber], (err, row) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
-    }
-
-    if (!row) {
-      return res.status(404).json({ error: 'Room not found' });
-    }
-
-    res.json(row);
-  });
-});
-
 module.exports = router;
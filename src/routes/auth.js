@@ -1,8 +1,20 @@
 const express = require('express');
 const router = express.Router();
-const { generateToken, verifyCredentials, createStaffUser, authenticateToken, requireAdmin } = require('../middleware/auth');
+const { permissionsFor, requiresMfa } = require('../config/permissions');
+const authService = require('../services/authService');
+const loginAttemptService = require('../services/loginAttemptService');
+const mfaService = require('../services/mfaService');
+const staffService = require('../services/staffService');
+const { sendError } = require('../utils/errors');
+const {
+  verifyCredentials,
+  verifyGuest,
+  authenticateToken,
+  requirePermission
+} = require('../middleware/auth');
 
-// Login route
+// Login route. Repeated failures lock the username (and the caller's IP)
+// out for a while; every attempt is recorded in login_events.
 router.post('/login', async (req, res) => {
   try {
     const { username, password } = req.body;
@@ -11,28 +23,120 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Username and password are required' });
     }
 
+    const attemptId = await loginAttemptService.assertAllowed(username, clientInfo(req));
+
     const user = await verifyCredentials(username, password);
 
+    if (user && user.totp_enabled) {
+      await loginAttemptService.release(attemptId);
+      // Password is right; the session starts at POST /auth/login/mfa
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        mfaRequired: true,
+        mfaToken: authService.issueMfaChallenge(user)
+      });
+    }
+
+    await loginAttemptService.recordOutcome(attemptId, {
+      staffId: user ? user.id : null,
+      success: !!user,
+      reason: user ? null : 'invalid_credentials'
+    });
+
     if (!user) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = generateToken(user);
+    await sendSession(req, res, user);
+
+  } catch (error) {
+    sendError(res, error, 'Login error');
+  }
+});
+
+// Second step of a two-factor login: { mfaToken, code } or { mfaToken, recoveryCode }
+router.post('/login/mfa', async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'mfaToken and a code or recovery code are required' });
+    }
+
+    const staff = await authService.verifyMfaChallenge(mfaToken);
+    const attemptId = await loginAttemptService.assertAllowed(staff.username, clientInfo(req));
+
+    const verified = await mfaService.verifySecondFactor(staff, { code, recoveryCode });
+
+    await loginAttemptService.recordOutcome(attemptId, {
+      staffId: staff.id,
+      success: verified,
+      reason: verified ? null : 'invalid_mfa_code'
+    });
+
+    if (!verified) {
+      return res.status(401).json({ error: 'Invalid authentication code', code: 'INVALID_MFA_CODE' });
+    }
+
+    const { password_hash, ...user } = staff;
+    await sendSession(req, res, user);
+  } catch (error) {
+    sendError(res, error, 'Two-factor login error');
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token rotates too)
+router.post('/refresh', async (req, res) => {
+  try {
+    const session = await authService.refreshSession(req.body.refreshToken, clientInfo(req));
+
+    res.json({
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      user: { ...session.user, permissions: permissionsFor(session.user.role) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Token refresh error');
+  }
+});
+
+// Guest login: room number plus the last name the stay was checked in under.
+// The token only covers that room's current stay. Failures lock the room
+// (and the caller's IP) out like staff logins; attempts are recorded as room:<number>.
+router.post('/guest', async (req, res) => {
+  try {
+    const { roomNumber, lastName } = req.body;
+
+    if (!roomNumber || !lastName) {
+      return res.status(400).json({ error: 'Room number and last name are required' });
+    }
+
+    const attemptId = await loginAttemptService.assertAllowed(`room:${String(roomNumber).trim()}`, clientInfo(req));
+
+    const guest = await verifyGuest(roomNumber, lastName);
+
+    await loginAttemptService.recordOutcome(attemptId, {
+      staffId: null,
+      success: !!guest,
+      reason: guest ? null : 'invalid_credentials'
+    });
+
+    if (!guest) {
+      return res.status(401).json({ error: 'Room number and name do not match a current stay' });
+    }
 
     res.json({
       message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        name: user.name,
-        role: user.role
+      token: authService.issueGuestToken(guest.room, guest.stay),
+      guest: {
+        name: guest.stay.guest_name,
+        roomNumber: guest.room.room_number
       }
     });
 
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, error, 'Guest login error');
   }
 });
 
@@ -40,25 +144,14 @@ router.post('/login', async (req, res) => {
 router.get('/verify', authenticateToken, (req, res) => {
   res.json({
     valid: true,
-    user: req.user
+    user: { ...req.user, permissions: permissionsFor(req.user.role) }
   });
 });
 
-// Create staff user (admin only)
-router.post('/staff', authenticateToken, requireAdmin, async (req, res) => {
+// Create staff user (kept for older clients; see POST /api/staff)
+router.post('/staff', authenticateToken, requirePermission('staff:manage'), async (req, res) => {
   try {
-    const { username, password, name, role } = req.body;
-
-    if (!username || !password || !name) {
-      return res.status(400).json({ error: 'Username, password, and name are required' });
-    }
-
-    const validRoles = ['staff', 'admin'];
-    if (role && !validRoles.includes(role)) {
-      return res.status(400).json({ error: 'Invalid role. Must be staff or admin' });
-    }
-
-    const newUser = await createStaffUser(username, password, name, role || 'staff');
+    const newUser = await staffService.createStaff(req.body, req.user.id);
 
     res.status(201).json({
       message: 'Staff user created successfully',
@@ -69,21 +162,151 @@ router.post('/staff', authenticateToken, requireAdmin, async (req, res) => {
         role: newUser.role
       }
     });
+  } catch (error) {
+    sendError(res, error, 'Create staff error');
+  }
+});
 
+// Change your own password. Other sessions are logged out; this one gets new tokens.
+router.post('/password', authenticateToken, async (req, res) => {
+  if (req.user.type !== 'staff') {
+    return res.status(403).json({ error: 'Only staff accounts have passwords' });
+  }
+
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const staff = await staffService.changePassword(req.user.id, currentPassword, newPassword);
+    const session = await authService.startSession(staff, clientInfo(req));
+
+    res.json({
+      message: 'Password changed',
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
+    });
   } catch (error) {
-    console.error('Create staff error:', error);
+    sendError(res, error, 'Change password error');
+  }
+});
 
-    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-      return res.status(409).json({ error: 'Username already exists' });
-    }
+// Logout: revoke this access token and the refresh token from the same login
+router.post('/logout', authenticateToken, async (req, res) => {
+  if (req.user.type !== 'staff') {
+    return res.json({ message: 'Logged out successfully' });
+  }
+
+  try {
+    await authService.logout(req.user, req.body.refreshToken);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    sendError(res, error, 'Logout error');
+  }
+});
+
+// Log out of every session on every device
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  if (req.user.type !== 'staff') {
+    return res.status(403).json({ error: 'Only staff sessions can be logged out everywhere' });
+  }
+
+  try {
+    const revoked = await authService.logoutAll(req.user.id);
+    res.json({ message: 'All sessions logged out', revokedSessions: revoked });
+  } catch (error) {
+    sendError(res, error, 'Logout-all error');
+  }
+});
+
+// Log another staff member out everywhere
+router.post('/staff/:staffId/logout-all', authenticateToken, requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const revoked = await authService.logoutAll(req.params.staffId);
+    res.json({ message: 'All sessions logged out', revokedSessions: revoked });
+  } catch (error) {
+    sendError(res, error, 'Logout-all error');
+  }
+});
+
+// Two-factor status for the caller
+router.get('/mfa', authenticateToken, staffOnly, async (req, res) => {
+  try {
+    res.json(await mfaService.getStatus(req.user.id));
+  } catch (error) {
+    sendError(res, error, 'Two-factor status error');
+  }
+});
+
+// Start two-factor enrollment: returns the secret and an otpauth:// URL for the QR code
+router.post('/mfa/setup', authenticateToken, staffOnly, async (req, res) => {
+  try {
+    res.json(await mfaService.beginEnrollment(req.user.id));
+  } catch (error) {
+    sendError(res, error, 'Two-factor setup error');
+  }
+});
+
+// Confirm enrollment with the first code ({ code }); returns the recovery codes once
+router.post('/mfa/enable', authenticateToken, staffOnly, async (req, res) => {
+  try {
+    const result = await mfaService.completeEnrollment(req.user.id, req.body.code);
+    res.json({ message: 'Two-factor authentication enabled', ...result });
+  } catch (error) {
+    sendError(res, error, 'Two-factor enable error');
+  }
+});
 
-    res.status(500).json({ error: 'Internal server error' });
+// Turn two-factor login off ({ password, code } or { password, recoveryCode })
+router.post('/mfa/disable', authenticateToken, staffOnly, async (req, res) => {
+  try {
+    await mfaService.disable(req.user.id, req.body);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    sendError(res, error, 'Two-factor disable error');
   }
 });
 
-// Logout route (client-side token removal)
-router.post('/logout', authenticateToken, (req, res) => {
-  res.json({ message: 'Logged out successfully' });
+// Replace the recovery codes ({ code })
+router.post('/mfa/recovery-codes', authenticateToken, staffOnly, async (req, res) => {
+  try {
+    res.json(await mfaService.regenerateRecoveryCodes(req.user.id, req.body.code));
+  } catch (error) {
+    sendError(res, error, 'Recovery code error');
+  }
 });
 
+// Start a session and send the tokens and user the login page expects
+async function sendSession(req, res, user) {
+  const session = await authService.startSession(user, clientInfo(req));
+
+  res.json({
+    message: 'Login successful',
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
+    user: {
+      id: user.id,
+      username: user.username,
+      name: user.name,
+      role: user.role,
+      mustChangePassword: !!user.must_change_password,
+      mfaEnabled: !!user.totp_enabled,
+      mfaEnrollmentRequired: requiresMfa(user.role) && !user.totp_enabled,
+      permissions: permissionsFor(user.role)
+    }
+  });
+}
+
+// Two-factor settings only exist for staff accounts
+function staffOnly(req, res, next) {
+  if (req.user.type !== 'staff') {
+    return res.status(403).json({ error: 'Only staff accounts can use two-factor authentication' });
+  }
+  next();
+}
+
+// Who is calling, for refresh-token bookkeeping
+function clientInfo(req) {
+  return { userAgent: req.get('user-agent'), ipAddress: req.ip };
+}
+
 module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const escalationService = require('../services/escalationService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { sendError } = require('../utils/errors');
+
+// Guests waiting for a call back from the front desk
+router.use(authenticateToken, requirePermission('callbacks:manage'));
+
+// List callback tasks, longest waiting first (?status=open|done|cancelled|all)
+router.get('/', async (req, res) => {
+  try {
+    const tasks = await escalationService.listCallbacks(req.query);
+    res.json(tasks);
+  } catch (error) {
+    sendError(res, error, 'Error listing callback tasks');
+  }
+});
+
+// Close a callback task ({ status: 'done' | 'cancelled', notes })
+router.put('/:taskId/status', async (req, res) => {
+  try {
+    const task = await escalationService.closeCallback(req.params.taskId, req.body, req.user.id);
+    res.json(task);
+  } catch (error) {
+    sendError(res, error, 'Error updating callback task');
+  }
+});
+
+module.exports = router;
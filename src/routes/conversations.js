@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const transcriptService = require('../services/transcriptService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { sendError } = require('../utils/errors');
+
+// Guest transcripts are staff-only
+router.use(authenticateToken, requirePermission('conversations:read'));
+
+// Search transcripts (?room, orderId, callSid, phone, channel, from, to, q, escalated, openCart, limit, cursor)
+router.get('/', async (req, res) => {
+  try {
+    const result = await transcriptService.search(req.query);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Error searching conversations');
+  }
+});
+
+// Full transcript of one conversation
+router.get('/:conversationId', async (req, res) => {
+  try {
+    const transcript = await transcriptService.getTranscript(req.params.conversationId);
+    res.json(transcript);
+  } catch (error) {
+    sendError(res, error, 'Error loading conversation');
+  }
+});
+
+module.exports = router;
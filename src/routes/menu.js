@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const menuService = require('../services/menuService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { sendError } = require('../utils/errors');
+
+// Menu administration is staff-only; the guest-facing menu is GET /api/menu
+router.use(authenticateToken);
+
+// List all categories, including inactive ones
+router.get('/categories', requirePermission('menu:read'), async (req, res) => {
+  try {
+    const categories = await menuService.listCategories();
+    res.json(categories);
+  } catch (error) {
+    sendError(res, error, 'Error listing menu categories');
+  }
+});
+
+// Create a category
+router.post('/categories', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    const category = await menuService.createCategory(req.body);
+    res.status(201).json(category);
+  } catch (error) {
+    sendError(res, error, 'Error creating menu category');
+  }
+});
+
+// Set category display order
+router.put('/categories/order', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    await menuService.reorderCategories(req.body.ids);
+    res.json({ message: 'Category order updated' });
+  } catch (error) {
+    sendError(res, error, 'Error reordering menu categories');
+  }
+});
+
+// Update a category
+router.put('/categories/:categoryId', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    const category = await menuService.updateCategory(req.params.categoryId, req.body);
+    res.json(category);
+  } catch (error) {
+    sendError(res, error, 'Error updating menu category');
+  }
+});
+
+// Delete (soft) an empty category
+router.delete('/categories/:categoryId', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    await menuService.deleteCategory(req.params.categoryId);
+    res.json({ message: 'Category deleted' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting menu category');
+  }
+});
+
+// Set item display order within a category
+router.put('/categories/:categoryId/items/order', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    await menuService.reorderItems(req.params.categoryId, req.body.ids);
+    res.json({ message: 'Item order updated' });
+  } catch (error) {
+    sendError(res, error, 'Error reordering menu items');
+  }
+});
+
+// List all items, including unavailable ones
+router.get('/items', requirePermission('menu:read'), async (req, res) => {
+  try {
+    const items = await menuService.listItems();
+    res.json(items);
+  } catch (error) {
+    sendError(res, error, 'Error listing menu items');
+  }
+});
+
+// Create a menu item
+router.post('/items', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    const item = await menuService.createItem(req.body);
+    res.status(201).json(item);
+  } catch (error) {
+    sendError(res, error, 'Error creating menu item');
+  }
+});
+
+// Update a menu item (name, price, category, preparation time, ...)
+router.put('/items/:itemId', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    const item = await menuService.updateItem(req.params.itemId, req.body);
+    res.json(item);
+  } catch (error) {
+    sendError(res, error, 'Error updating menu item');
+  }
+});
+
+// Mark an item available or unavailable ("86" it)
+router.put('/items/:itemId/availability', requirePermission('menu:availability'), async (req, res) => {
+  try {
+    const item = await menuService.setItemAvailability(req.params.itemId, req.body.available);
+    res.json(item);
+  } catch (error) {
+    sendError(res, error, 'Error updating menu item availability');
+  }
+});
+
+// Delete (soft) a menu item; past orders still show it
+router.delete('/items/:itemId', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    await menuService.deleteItem(req.params.itemId);
+    res.json({ message: 'Menu item deleted' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting menu item');
+  }
+});
+
+module.exports = router;
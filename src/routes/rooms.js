@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const orderRepository = require('../repositories/orderRepository');
+const orderService = require('../services/orderService');
+const roomService = require('../services/roomService');
+const roomResolver = require('../services/roomResolver');
+const { authenticateToken, requirePermission, isGuest } = require('../middleware/auth');
+const { sendError } = require('../utils/errors');
+
+// Guests may only look at their own room
+const ownRoomOnly = (req, res, next) => {
+  if (isGuest(req) && req.params.roomNumber !== req.user.roomNumber) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  next();
+};
+
+// List rooms with their current occupant
+router.get('/', authenticateToken, requirePermission('rooms:read'), async (req, res) => {
+  try {
+    const rooms = await roomService.listRooms(req.query);
+    res.json(rooms);
+  } catch (error) {
+    sendError(res, error, 'Error listing rooms');
+  }
+});
+
+// Create rooms in bulk ({ rooms: ['101', '102', ...] })
+router.post('/', authenticateToken, requirePermission('rooms:manage'), async (req, res) => {
+  try {
+    const result = await roomService.createRooms(req.body.rooms);
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, 'Error creating rooms');
+  }
+});
+
+// List caller ID / DID / extension → room mappings (?room=101 for one room)
+router.get('/phone-mappings', authenticateToken, requirePermission('rooms:read'), async (req, res) => {
+  try {
+    const mappings = await roomResolver.listMappings(req.query);
+    res.json(mappings);
+  } catch (error) {
+    sendError(res, error, 'Error listing phone mappings');
+  }
+});
+
+// Map a caller ID, dialled number or PBX extension to a room
+router.post('/phone-mappings', authenticateToken, requirePermission('rooms:manage'), async (req, res) => {
+  try {
+    const mapping = await roomResolver.addMapping(req.body, req.user.id);
+    res.status(201).json(mapping);
+  } catch (error) {
+    sendError(res, error, 'Error adding phone mapping');
+  }
+});
+
+// Remove a phone mapping
+router.delete('/phone-mappings/:mappingId', authenticateToken, requirePermission('rooms:manage'), async (req, res) => {
+  try {
+    await roomResolver.removeMapping(req.params.mappingId);
+    res.json({ message: 'Phone mapping removed' });
+  } catch (error) {
+    sendError(res, error, 'Error removing phone mapping');
+  }
+});
+
+// Get room information
+router.get('/:roomNumber', authenticateToken, requirePermission('rooms:read', 'guest:orders'), ownRoomOnly, async (req, res) => {
+  try {
+    const { room } = await roomService.getOccupancy(req.params.roomNumber);
+    res.json(room);
+  } catch (error) {
+    sendError(res, error, 'Error loading room');
+  }
+});
+
+// Get the guest currently staying in a room
+router.get('/:roomNumber/occupant', authenticateToken, requirePermission('rooms:read'), async (req, res) => {
+  try {
+    const { room, stay } = await roomService.getOccupancy(req.params.roomNumber);
+    if (!stay) {
+      return res.status(404).json({ error: `Room ${room.room_number} is vacant`, code: 'ROOM_VACANT' });
+    }
+    res.json(stay);
+  } catch (error) {
+    sendError(res, error, 'Error loading room occupant');
+  }
+});
+
+// Check a guest in
+router.post('/:roomNumber/check-in', authenticateToken, requirePermission('stays:manage'), async (req, res) => {
+  try {
+    const stay = await roomService.checkIn(req.params.roomNumber, req.body, req.user.id);
+    res.status(201).json(stay);
+  } catch (error) {
+    sendError(res, error, 'Error checking guest in');
+  }
+});
+
+// Check the current guest out
+router.post('/:roomNumber/check-out', authenticateToken, requirePermission('stays:manage'), async (req, res) => {
+  try {
+    const stay = await roomService.checkOut(req.params.roomNumber, req.user.id);
+    res.json(stay);
+  } catch (error) {
+    sendError(res, error, 'Error checking guest out');
+  }
+});
+
+// Stay history for a room
+router.get('/:roomNumber/stays', authenticateToken, requirePermission('rooms:read'), async (req, res) => {
+  try {
+    const stays = await roomService.listStays(req.params.roomNumber);
+    res.json(stays);
+  } catch (error) {
+    sendError(res, error, 'Error loading stays');
+  }
+});
+
+// Get orders for a room (guests see only orders from their current stay)
+router.get('/:roomNumber/orders', authenticateToken, requirePermission('orders:read', 'guest:orders'), ownRoomOnly, async (req, res) => {
+  try {
+    if (isGuest(req)) {
+      return res.json(await orderService.listGuestOrders(req.user.stayId));
+    }
+
+    const { orders } = await orderRepository.listOrders(
+      { roomNumber: req.params.roomNumber },
+      { limit: 100 }
+    );
+    res.json(orders);
+  } catch (error) {
+    sendError(res, error, 'Error loading room orders');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const staffService = require('../services/staffService');
+const loginAttemptService = require('../services/loginAttemptService');
+const mfaService = require('../services/mfaService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { sendError } = require('../utils/errors');
+
+// Staff account administration is admin-only
+router.use(authenticateToken, requirePermission('staff:manage'));
+
+// List staff (?includeInactive=true to include deactivated accounts)
+router.get('/', async (req, res) => {
+  try {
+    const staff = await staffService.listStaff(req.query);
+    res.json(staff);
+  } catch (error) {
+    sendError(res, error, 'Error listing staff');
+  }
+});
+
+// Create a staff account; the password must be changed at first login
+router.post('/', async (req, res) => {
+  try {
+    const staff = await staffService.createStaff(req.body, req.user.id);
+    res.status(201).json(staff);
+  } catch (error) {
+    sendError(res, error, 'Error creating staff account');
+  }
+});
+
+// Audit log of account changes, newest first (?limit=100)
+router.get('/audit', async (req, res) => {
+  try {
+    const entries = await staffService.listAuditLog({ limit: req.query.limit });
+    res.json(entries);
+  } catch (error) {
+    sendError(res, error, 'Error loading staff audit log');
+  }
+});
+
+// Recent login attempts (?outcome=failed|success, username, ip, limit)
+router.get('/login-events', async (req, res) => {
+  try {
+    const events = await loginAttemptService.listEvents(req.query);
+    res.json(events);
+  } catch (error) {
+    sendError(res, error, 'Error loading login events');
+  }
+});
+
+// Get one staff account
+router.get('/:staffId', async (req, res) => {
+  try {
+    const staff = await staffService.getStaff(req.params.staffId);
+    res.json(staff);
+  } catch (error) {
+    sendError(res, error, 'Error loading staff account');
+  }
+});
+
+// Change name and/or role
+router.put('/:staffId', async (req, res) => {
+  try {
+    const staff = await staffService.updateStaff(req.params.staffId, req.body, req.user.id);
+    res.json(staff);
+  } catch (error) {
+    sendError(res, error, 'Error updating staff account');
+  }
+});
+
+// Deactivate an account; its sessions end immediately
+router.post('/:staffId/deactivate', async (req, res) => {
+  try {
+    const staff = await staffService.deactivateStaff(req.params.staffId, req.user.id);
+    res.json(staff);
+  } catch (error) {
+    sendError(res, error, 'Error deactivating staff account');
+  }
+});
+
+// Reactivate an account
+router.post('/:staffId/reactivate', async (req, res) => {
+  try {
+    const staff = await staffService.reactivateStaff(req.params.staffId, req.user.id);
+    res.json(staff);
+  } catch (error) {
+    sendError(res, error, 'Error reactivating staff account');
+  }
+});
+
+// Set a temporary password (generated if none is given) and log the account out
+router.post('/:staffId/reset-password', async (req, res) => {
+  try {
+    // A request without a body has no req.body at all
+    const { password } = req.body || {};
+    const result = await staffService.resetPassword(req.params.staffId, password, req.user.id);
+    res.json({ message: 'Password reset; it must be changed at next login', ...result });
+  } catch (error) {
+    sendError(res, error, 'Error resetting password');
+  }
+});
+
+// Remove an account's second factor (lost phone) and log it out everywhere
+router.post('/:staffId/reset-mfa', async (req, res) => {
+  try {
+    await mfaService.reset(req.params.staffId, req.user.id);
+    res.json({ message: 'Two-factor authentication removed; it must be set up again at next login if required' });
+  } catch (error) {
+    sendError(res, error, 'Error resetting two-factor authentication');
+  }
+});
+
+// Audit log for one account
+router.get('/:staffId/audit', async (req, res) => {
+  try {
+    const entries = await staffService.listAuditLog({ staffId: req.params.staffId, limit: req.query.limit });
+    res.json(entries);
+  } catch (error) {
+    sendError(res, error, 'Error loading staff audit log');
+  }
+});
+
+module.exports = router;
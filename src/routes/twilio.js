@@ -2,10 +2,13 @@ const express = require('express');
 const router = express.Router();
 const twilio = require('twilio');
 const { VoiceResponse } = twilio.twiml;
-const { db } = require('../config/database');
 const elevenLabsService = require('../services/elevenlabs');
-const orderProcessor = require('../services/orderProcessor');
 const aiService = require('../services/aiService');
+const roomResolver = require('../services/roomResolver');
+const sessionStore = require('../services/sessionStore');
+const transcriptService = require('../services/transcriptService');
+const escalationService = require('../services/escalationService');
+const { validateTwilioSignature } = require('../middleware/twilioSignature');
 
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
@@ -13,12 +16,24 @@ const twilioPhoneNumber = process.env.TWILIO_PHONE_NUMBER;
 
 const client = twilio(accountSid, authToken);
 
-// Store conversation context (in production, use Redis/database)
-const conversationContext = new Map();
+// Keypad room entry for callers the room resolver can't place
+const MAX_ROOM_ATTEMPTS = parseInt(process.env.IVR_MAX_ROOM_ATTEMPTS || '3', 10);
+const MAX_NAME_ATTEMPTS = parseInt(process.env.IVR_MAX_NAME_ATTEMPTS || '2', 10);
 
-// Handle incoming voice calls
-router.post('/voice', async (req, res) => {
+// Call statuses after which the call is over
+const ENDED_CALL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
+
+const CALLBACK_PROMISE = ' I\'ve asked the front desk to call you back as soon as possible.';
+
+// Every webhook must be signed by Twilio
+router.use(validateTwilioSignature);
+
+// Handle incoming voice calls. The legacy /menu and /order webhooks are
+// answered the same way, so the room is identified and verified before
+// the conversation and orders only come from a confirmed cart.
+router.post(['/voice', '/menu', '/order'], async (req, res) => {
   const twiml = new VoiceResponse();
+  const startedAt = Date.now();
 
   // Get caller information
   const from = req.body.From;
@@ -27,72 +42,140 @@ router.post('/voice', async (req, res) => {
 
   console.log(`Incoming call from ${from} to ${to}`);
 
-  // Extract room number from the called number or ask for it
-  const roomNumber = extractRoomNumber(from);
+  // Work out the room from the caller ID or PBX extension, or ask for it
+  let occupant = null;
+  try {
+    occupant = await roomResolver.resolve({ from, to });
+  } catch (error) {
+    console.error('Room resolution error:', error);
+  }
 
-  if (roomNumber) {
-    // Room number identified, get welcome message from AI
-    try {
-      const context = { roomNumber, callSid };
-      const aiResponse = await aiService.processMessage('Hello', context);
-
-      let welcomeMessage = aiResponse.text;
-
-      // Use ElevenLabs for voice response if available
-      if (process.env.ELEVENLABS_API_KEY) {
-        const audioUrl = await elevenLabsService.generateSpeech(welcomeMessage);
-        if (audioUrl) {
-          twiml.play(audioUrl);
-        } else {
-          twiml.say(welcomeMessage);
-        }
-      } else {
-        twiml.say(welcomeMessage);
-      }
+  if (occupant) {
+    console.log(`Call ${callSid} is from room ${occupant.roomNumber} (${occupant.source})`);
 
-      // Store context for conversation
-      conversationContext.set(callSid, {
-        roomNumber,
-        history: [{ role: 'assistant', content: welcomeMessage }],
-        lastActivity: Date.now()
+    try {
+      const session = await sessionStore.start(sessionStore.voiceKey(callSid), {
+        channel: 'voice',
+        callSid,
+        phoneNumber: from,
+        roomNumber: occupant.roomNumber,
+        guestName: occupant.guestName
       });
-
+      await greetGuest(twiml, session, startedAt);
     } catch (error) {
       console.error('AI welcome message error:', error);
-      twiml.say('Welcome to Hotel Room Service. I understand you are calling from room ' + roomNumber + '.');
+      twiml.say('Welcome to Hotel Room Service. I understand you are calling from room ' + occupant.roomNumber + '.');
     }
 
     twiml.pause({ length: 1 });
     twiml.redirect('/twilio/conversation?callSid=' + callSid);
   } else {
-    // Ask for room number
-    twiml.say('Welcome to Hotel Room Service. Please enter your room number followed by the pound key.');
-    twiml.gather({
-      input: 'dtmf',
-      timeout: 10,
-      finishOnKey: '#',
-      action: '/twilio/room-input'
-    });
+    // Ask for the room number; the attempt counts live in the call's session
+    try {
+      await startRoomEntry(callSid, from);
+    } catch (error) {
+      console.error('Error starting room entry:', error);
+    }
+    askForRoom(twiml, 'Welcome to Hotel Room Service. Please enter your room number followed by the pound key.');
   }
 
   res.type('text/xml');
   res.send(twiml.toString());
 });
 
-// Handle room number input
-router.post('/room-input', (req, res) => {
+// Handle room number input: the room must have a guest checked in, and
+// the caller confirms the name it is booked under
+router.post('/room-input', async (req, res) => {
   const twiml = new VoiceResponse();
-  const digits = req.body.Digits;
+  const callSid = req.body.CallSid;
+  const digits = (req.body.Digits || '').trim();
 
-  console.log(`Room number entered: ${digits}`);
+  console.log(`Room number entered on ${callSid}: ${digits || '(none)'}`);
 
-  if (!digits || digits.length < 3 || digits.length > 4) {
-    twiml.say('Invalid room number. Please try again.');
-    twiml.redirect('/twilio/voice');
-  } else {
-    twiml.say(`Room ${digits} confirmed. Connecting you to room service.`);
-    twiml.pause({ length: 1 });
-    twiml.redirect('/twilio/menu?room=' + digits);
+  try {
+    const session = await loadRoomEntry(callSid, req.body.From);
+    const ivr = session.state.ivr;
+    const occupant = /^\d{1,6}$/.test(digits) ? await roomResolver.verifyRoom(digits) : null;
+
+    if (occupant) {
+      ivr.pendingRoom = occupant.roomNumber;
+      await sessionStore.save(session);
+      askForLastName(twiml, `Room ${occupant.roomNumber}. To confirm, please say the last name the room is booked under.`);
+    } else {
+      ivr.roomAttempts += 1;
+      await sessionStore.save(session);
+
+      if (ivr.roomAttempts >= MAX_ROOM_ATTEMPTS) {
+        console.log(`Call ${callSid} gave up after ${ivr.roomAttempts} room number attempts`);
+        endCall(twiml, 'Sorry, we could not find your room.');
+      } else {
+        const problem = digits
+          ? 'Sorry, we could not find a checked-in guest in that room.'
+          : 'Sorry, I didn\'t receive a room number.';
+        askForRoom(twiml, `${problem} Please enter your room number followed by the pound key.`);
+      }
+    }
+  } catch (error) {
+    console.error('Error checking room number:', error);
+    twiml.say('Sorry, we could not check that room number. Please call the front desk. Goodbye.');
+    twiml.hangup();
+  }
+
+  res.type('text/xml');
+  res.send(twiml.toString());
+});
+
+// Check the last name the caller gave against the guest checked in, then
+// hand the call over to the AI conversation
+router.post('/room-verify', async (req, res) => {
+  const twiml = new VoiceResponse();
+  const callSid = req.body.CallSid;
+  const speechResult = req.body.SpeechResult;
+  const startedAt = Date.now();
+
+  try {
+    const session = await loadRoomEntry(callSid, req.body.From);
+    const ivr = session.state.ivr;
+
+    // The guest may have checked out since the room number was entered
+    const occupant = ivr.pendingRoom ? await roomResolver.verifyRoom(ivr.pendingRoom) : null;
+
+    if (!occupant) {
+      askForRoom(twiml, 'Please enter your room number followed by the pound key.');
+    } else if (roomResolver.matchesGuestName(speechResult, occupant.guestName)) {
+      console.log(`Call ${callSid} verified for room ${occupant.roomNumber}`);
+
+      session.roomNumber = occupant.roomNumber;
+      session.guestName = occupant.guestName;
+      delete session.state.ivr;
+
+      try {
+        await greetGuest(twiml, session, startedAt);
+      } catch (error) {
+        console.error('AI welcome message error:', error);
+        twiml.say('Thank you. Welcome to Hotel Room Service, room ' + occupant.roomNumber + '.');
+        await sessionStore.save(session);
+      }
+
+      twiml.pause({ length: 1 });
+      twiml.redirect('/twilio/conversation?callSid=' + callSid);
+    } else {
+      // Not reset when another room is entered, so a caller can't go
+      // through rooms guessing names
+      ivr.nameAttempts += 1;
+      await sessionStore.save(session);
+      console.log(`Guest name check failed for room ${occupant.roomNumber} on ${callSid} (attempt ${ivr.nameAttempts})`);
+
+      if (ivr.nameAttempts >= MAX_NAME_ATTEMPTS) {
+        endCall(twiml, 'Sorry, that name does not match our records.');
+      } else {
+        askForLastName(twiml, 'Sorry, that name does not match our records. Please say the last name the room is booked under.');
+      }
+    }
+  } catch (error) {
+    console.error('Error verifying guest name:', error);
+    twiml.say('Sorry, we could not check that name. Please call the front desk. Goodbye.');
+    twiml.hangup();
   }
 
   res.type('text/xml');
@@ -104,206 +187,235 @@ router.post('/conversation', async (req, res) => {
   const twiml = new VoiceResponse();
   const callSid = req.query.callSid;
   const speechResult = req.body.SpeechResult;
+  const startedAt = Date.now();
 
   try {
-    const context = conversationContext.get(callSid) || {};
-    context.callSid = callSid;
+    const session = await sessionStore.get(sessionStore.voiceKey(callSid));
+
+    // Only callers whose room has been identified get this far
+    if (!session || !session.roomNumber) {
+      await loadRoomEntry(callSid, req.body.From);
+      askForRoom(twiml, 'Please enter your room number followed by the pound key.');
+      res.type('text/xml');
+      return res.send(twiml.toString());
+    }
 
     let responseText;
-    let orderInfo = null;
+    let toolCalls = null;
+    let orderId = null;
+    let escalationReason = null;
 
     if (speechResult) {
-      // Process speech with AI
-      const aiResponse = await aiService.processMessage(speechResult, context);
+      // Process speech with AI; its tools keep the cart and place the order once the guest confirms
+      const aiResponse = await aiService.processMessage(speechResult, session);
 
       responseText = aiResponse.text;
-      orderInfo = aiResponse.orderInfo;
-
-      // Update conversation context
-      context.history = context.history || [];
-      context.history.push(
-        { role: 'user', content: speechResult },
-        { role: 'assistant', content: responseText }
-      );
-      context.lastActivity = Date.now();
-
-      // If AI extracted order info, process it
-      if (orderInfo && orderInfo.items && orderInfo.items.length > 0) {
-        try {
-          const orderId = await orderProcessor.createOrder(context.roomNumber, orderInfo.items);
-          responseText += ` Your order number is ${orderId}. We'll start preparing it right away.`;
-        } catch (orderError) {
-          console.error('Order creation error:', orderError);
-          responseText += ' However, there was an issue processing your order. Please try again or speak to a staff member.';
-        }
+      toolCalls = aiResponse.toolCalls.length > 0 ? aiResponse.toolCalls : null;
+      escalationReason = aiResponse.needsHuman ? aiResponse.escalationReason : null;
+
+      if (aiResponse.readBack) {
+        responseText += ` ${aiResponse.readBack}`;
       }
+      if (aiResponse.order) {
+        orderId = aiResponse.order.id;
+        responseText += ` Your order number is ${orderId}. We'll start preparing it right away.`;
+      }
+
+      // Update conversation history
+      sessionStore.addTurn(session, 'user', speechResult);
+      sessionStore.addTurn(session, 'assistant', responseText);
     } else {
       // No speech detected, ask them to speak
       responseText = 'I didn\'t catch that. Could you please repeat your request?';
     }
 
-    // Use ElevenLabs for voice response if available
-    if (process.env.ELEVENLABS_API_KEY) {
-      const audioUrl = await elevenLabsService.generateSpeech(responseText);
-      if (audioUrl) {
-        twiml.play(audioUrl);
-      } else {
-        twiml.say(responseText);
+    // Hand the guest to a person if they asked for one or the AI can't help
+    let transferring = false;
+    if (escalationReason) {
+      const alreadyWaiting = session.state.escalation && session.state.escalation.status === 'callback';
+      transferring = await escalationService.escalate(session, escalationReason) === 'transferring';
+      if (!transferring && !alreadyWaiting) {
+        responseText += CALLBACK_PROMISE;
       }
+    }
+
+    await speak(twiml, responseText);
+
+    if (transferring) {
+      transferCall(twiml);
     } else {
-      twiml.say(responseText);
+      // Continue the conversation
+      gatherSpeech(twiml, callSid);
     }
 
-    // Continue the conversation
-    twiml.gather({
-      input: 'speech',
-      timeout: 10,
-      action: `/twilio/conversation?callSid=${callSid}`,
-      speechTimeout: 'auto'
+    // Keep the exchange in the transcript, then save history and extend the session
+    await transcriptService.recordTurn(session, {
+      guestText: speechResult || null,
+      speechConfidence: req.body.Confidence,
+      aiText: responseText,
+      extractedOrder: toolCalls,
+      orderId,
+      latencyMs: Date.now() - startedAt
     });
-
-    // Update context
-    conversationContext.set(callSid, context);
+    await sessionStore.save(session);
 
   } catch (error) {
     console.error('Error in conversation:', error);
-    twiml.say('I apologize, but I\'m having trouble processing your request. Please hold for a staff member.');
+    if (escalationService.transferTarget) {
+      twiml.say('I apologize, but I\'m having trouble processing your request.');
+      transferCall(twiml);
+    } else {
+      twiml.say('I apologize, but I\'m having trouble processing your request. Please call the front desk. Goodbye.');
+      twiml.hangup();
+    }
   }
 
   res.type('text/xml');
   res.send(twiml.toString());
 });
 
-// Legacy menu endpoint (redirects to conversation)
-router.post('/menu', async (req, res) => {
-  const roomNumber = req.query.room;
-  const callSid = `legacy_${Date.now()}_${Math.random()}`;
+// Hold music for callers waiting in the front desk queue. Twilio fetches
+// this again each time the music ends; after ESCALATION_MAX_HOLD_SECONDS
+// the caller leaves the queue and gets the no-answer fallback.
+router.post('/escalation/hold', (req, res) => {
+  const twiml = new VoiceResponse();
+  const queueTime = parseInt(req.body.QueueTime || '0', 10);
 
-  // Set up context for legacy calls
-  conversationContext.set(callSid, {
-    roomNumber,
-    history: [],
-    lastActivity: Date.now()
-  });
+  if (queueTime >= escalationService.maxHoldSeconds) {
+    twiml.leave();
+  } else {
+    twiml.play(escalationService.holdMusicUrl);
+  }
 
-  // Redirect to conversation handler
-  res.redirect(307, `/twilio/conversation?callSid=${callSid}`);
+  res.type('text/xml');
+  res.send(twiml.toString());
 });
 
-// Handle order placement
-router.post('/order', async (req, res) => {
+// Outcome of dialling the front desk (<Dial> action)
+router.post('/escalation/dial-status', async (req, res) => {
   const twiml = new VoiceResponse();
-  const roomNumber = req.query.room;
-  const speechResult = req.body.SpeechResult;
+  const dialStatus = req.body.DialCallStatus;
 
-  console.log(`Order request from room ${roomNumber}: ${speechResult}`);
+  console.log(`Transfer of ${req.body.CallSid}: ${dialStatus}`);
 
   try {
-    // Parse speech result using enhanced order processor
-    const orderItems = orderProcessor.parseOrderFromSpeech(speechResult);
-
-    if (orderItems.length === 0) {
-      twiml.say('I could not understand your order. Please try again.');
-      twiml.redirect(`/twilio/menu?room=${roomNumber}`);
-    } else {
-      // Create order in database using order processor
-      const orderId = await orderProcessor.createOrder(roomNumber, orderItems);
-
-      let confirmationText = `Your order has been placed successfully. Order number ${orderId}. `;
+    const answered = dialStatus === 'completed' || dialStatus === 'answered';
+    await finishTransfer(twiml, req.body.CallSid, answered ? 'connected' : 'no_answer');
+  } catch (error) {
+    console.error('Error finishing transfer:', error);
+    twiml.say('Sorry, we could not connect you. Please call the front desk. Goodbye.');
+    twiml.hangup();
+  }
 
-      orderItems.forEach(item => {
-        confirmationText += `${item.quantity} ${item.name}. `;
-      });
+  res.type('text/xml');
+  res.send(twiml.toString());
+});
 
-      confirmationText += 'Your order will be delivered within 45 minutes. Thank you for choosing our room service.';
+// Outcome of waiting in the front desk queue (<Enqueue> action)
+router.post('/escalation/queue-status', async (req, res) => {
+  const twiml = new VoiceResponse();
+  const queueResult = req.body.QueueResult;
 
-      // Use ElevenLabs for confirmation
-      if (process.env.ELEVENLABS_API_KEY) {
-        const audioUrl = await elevenLabsService.generateSpeech(confirmationText);
-        if (audioUrl) {
-          twiml.play(audioUrl);
-        } else {
-          twiml.say(confirmationText);
-        }
-      } else {
-        twiml.say(confirmationText);
-      }
-    }
+  console.log(`Queued transfer of ${req.body.CallSid}: ${queueResult}`);
 
+  try {
+    const outcome = queueResult === 'bridged' ? 'connected'
+      : queueResult === 'hangup' ? 'abandoned'
+        : 'no_answer';
+    await finishTransfer(twiml, req.body.CallSid, outcome);
   } catch (error) {
-    console.error('Error processing order:', error);
-    twiml.say('Sorry, there was an error processing your order. Please try again.');
-    twiml.redirect(`/twilio/menu?room=${roomNumber}`);
+    console.error('Error finishing transfer:', error);
+    twiml.say('Sorry, we could not connect you. Please call the front desk. Goodbye.');
+    twiml.hangup();
   }
 
   res.type('text/xml');
   res.send(twiml.toString());
 });
 
+// Call status callback: the conversation is over once the call ends
+router.post('/call-status', async (req, res) => {
+  const callSid = req.body.CallSid;
+  const callStatus = req.body.CallStatus;
+
+  if (ENDED_CALL_STATUSES.includes(callStatus)) {
+    try {
+      await sessionStore.end(sessionStore.voiceKey(callSid));
+      console.log(`Call ${callSid} ${callStatus}; session ended`);
+    } catch (error) {
+      console.error('Error ending call session:', error);
+    }
+  }
+
+  res.status(204).send();
+});
+
 // Handle SMS messages with AI
 router.post('/sms', async (req, res) => {
-  const { From, Body } = req.body;
+  const { From, To, Body } = req.body;
   const smsSid = req.body.SmsSid;
+  const startedAt = Date.now();
 
   console.log(`SMS from ${From}: ${Body}`);
 
   try {
-    const roomNumber = extractRoomNumber(From);
-    if (!roomNumber) {
-      await sendSMS(From, 'Please call from your hotel room phone for room service orders.');
+    const occupant = await roomResolver.resolve({ from: From, to: To });
+    if (!occupant) {
+      await sendSMS(From, 'We could not match this number to a checked-in room. Please call room service from your room phone, or ask the front desk to add this number to your stay.');
       return res.status(200).send();
     }
-
-    // Get or create conversation context for SMS
-    let context = conversationContext.get(`sms_${From}`) || {
-      roomNumber,
-      from: From,
-      history: [],
-      lastActivity: Date.now()
-    };
+    const roomNumber = occupant.roomNumber;
+
+    // Get the conversation session for this number, starting over if the guest changed rooms
+    let session = await sessionStore.get(sessionStore.smsKey(From));
+    if (!session || session.roomNumber !== roomNumber) {
+      session = await sessionStore.start(sessionStore.smsKey(From), {
+        channel: 'sms',
+        phoneNumber: From,
+        roomNumber,
+        guestName: occupant.guestName
+      });
+    }
 
     // Process message with AI
-    const aiResponse = await aiService.processMessage(Body, context);
+    const aiResponse = await aiService.processMessage(Body, session);
 
     let responseMessage = aiResponse.text;
+    const order = aiResponse.order;
 
-    // If AI extracted order info, process it
-    if (aiResponse.orderInfo && aiResponse.orderInfo.items && aiResponse.orderInfo.items.length > 0) {
-      try {
-        const orderId = await orderProcessor.createOrder(roomNumber, aiResponse.orderInfo.items);
-        const total = aiResponse.orderInfo.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        responseMessage += ` Order #${orderId} confirmed. Total: $${total.toFixed(2)}`;
-      } catch (orderError) {
-        console.error('SMS order creation error:', orderError);
-        responseMessage += ' However, there was an issue processing your order. Please call for assistance.';
-      }
+    // The AI reads the cart back, then places the order once the guest confirms it
+    if (aiResponse.readBack) {
+      responseMessage += ` ${aiResponse.readBack}`;
+    }
+    if (order) {
+      responseMessage += ` Order #${order.id} confirmed. Total: $${order.total_amount.toFixed(2)}`;
     }
 
-    // If AI indicates human assistance needed, add note
+    // If AI indicates human assistance needed, open a callback task for the
+    // front desk; a guest already waiting for one isn't promised it again
     if (aiResponse.needsHuman) {
-      responseMessage += ' A staff member will contact you shortly.';
+      const alreadyWaiting = session.state.escalation && session.state.escalation.status === 'callback';
+      await escalationService.escalate(session, aiResponse.escalationReason);
+      if (!alreadyWaiting) {
+        responseMessage += ' A staff member will contact you shortly.';
+      }
     }
 
     // Send response
+    const latencyMs = Date.now() - startedAt;
     await sendSMS(From, responseMessage);
 
-    // Update conversation context
-    context.history = context.history || [];
-    context.history.push(
-      { role: 'user', content: Body },
-      { role: 'assistant', content: responseMessage }
-    );
-    context.lastActivity = Date.now();
-
-    // Keep only last 10 messages to prevent memory issues
-    if (context.history.length > 20) {
-      context.history = context.history.slice(-20);
-    }
-
-    conversationContext.set(`sms_${From}`, context);
-
-    // Clean up old conversations (older than 1 hour)
-    cleanupOldConversations();
+    // Update conversation history and transcript
+    sessionStore.addTurn(session, 'user', Body);
+    sessionStore.addTurn(session, 'assistant', responseMessage);
+    await transcriptService.recordTurn(session, {
+      guestText: Body,
+      aiText: responseMessage,
+      extractedOrder: aiResponse.toolCalls.length > 0 ? aiResponse.toolCalls : null,
+      orderId: order ? order.id : null,
+      latencyMs
+    });
+    await sessionStore.save(session);
 
   } catch (error) {
     console.error('Error processing SMS:', error);
@@ -314,10 +426,144 @@ router.post('/sms', async (req, res) => {
 });
 
 // Helper functions
-function extractRoomNumber(phoneNumber) {
-  // Extract last 4 digits as room number (customize based on hotel's phone system)
-  const match = phoneNumber.match(/(\d{4})$/);
-  return match ? match[1] : null;
+
+// Say something with ElevenLabs if available, otherwise with Twilio's voice
+async function speak(twiml, text) {
+  if (process.env.ELEVENLABS_API_KEY) {
+    const audioUrl = await elevenLabsService.generateSpeech(text);
+    if (audioUrl) {
+      twiml.play(audioUrl);
+      return;
+    }
+  }
+  twiml.say(text);
+}
+
+// Open the AI conversation for a caller whose room is known
+async function greetGuest(twiml, session, startedAt) {
+  const aiResponse = await aiService.processMessage('Hello', session);
+  const welcomeMessage = aiResponse.text;
+
+  await speak(twiml, welcomeMessage);
+
+  // Store the greeting for the rest of the conversation
+  sessionStore.addTurn(session, 'assistant', welcomeMessage);
+  await transcriptService.recordTurn(session, { aiText: welcomeMessage, latencyMs: Date.now() - startedAt });
+  await sessionStore.save(session);
+}
+
+// Start the call's session with no room yet, counting room entry attempts
+async function startRoomEntry(callSid, from) {
+  const session = await sessionStore.start(sessionStore.voiceKey(callSid), {
+    channel: 'voice',
+    callSid,
+    phoneNumber: from
+  });
+  session.state.ivr = { roomAttempts: 0, nameAttempts: 0, pendingRoom: null };
+  await sessionStore.save(session);
+  return session;
+}
+
+// The call's session part way through room entry, restarted if it expired
+async function loadRoomEntry(callSid, from) {
+  const session = await sessionStore.get(sessionStore.voiceKey(callSid));
+  if (!session || !session.state.ivr) {
+    return startRoomEntry(callSid, from);
+  }
+  return session;
+}
+
+// Listen for the guest's next request
+function gatherSpeech(twiml, callSid) {
+  twiml.gather({
+    input: 'speech',
+    timeout: 10,
+    action: `/twilio/conversation?callSid=${callSid}`,
+    speechTimeout: 'auto'
+  });
+}
+
+// Put the caller through to ESCALATION_TRANSFER_TO. A phone number, SIP
+// URI or client is dialled; a queue plays hold music until someone
+// answers. Either way the action URL handles nobody answering.
+function transferCall(twiml) {
+  const target = escalationService.transferTarget;
+  twiml.say('Please hold while I connect you to the front desk.');
+
+  if (target.type === 'queue') {
+    twiml.enqueue({
+      waitUrl: '/twilio/escalation/hold',
+      action: '/twilio/escalation/queue-status'
+    }, target.value);
+    return;
+  }
+
+  const dial = twiml.dial({
+    timeout: escalationService.dialTimeout,
+    action: '/twilio/escalation/dial-status'
+  });
+  dial[target.type](target.value);
+}
+
+// Record how a transfer ended. Connected calls are over; otherwise the
+// front desk gets a callback task and a caller still on the line can
+// carry on with the AI.
+async function finishTransfer(twiml, callSid, outcome) {
+  const session = await sessionStore.get(sessionStore.voiceKey(callSid));
+
+  if (outcome === 'connected') {
+    if (session) {
+      await escalationService.recordConnected(session);
+      await sessionStore.save(session);
+    }
+    twiml.hangup();
+    return;
+  }
+
+  if (!session) {
+    twiml.say('Sorry, nobody at the front desk could take your call. Please try again later. Goodbye.');
+    twiml.hangup();
+    return;
+  }
+
+  await escalationService.requestCallback(session, outcome);
+  if (outcome === 'no_answer') {
+    const text = 'Sorry, nobody at the front desk could take your call.' + CALLBACK_PROMISE +
+      ' In the meantime, I can still help with your order.';
+    await speak(twiml, text);
+    gatherSpeech(twiml, callSid);
+
+    sessionStore.addTurn(session, 'assistant', text);
+    await transcriptService.recordTurn(session, { aiText: text });
+  }
+  await sessionStore.save(session);
+}
+
+// Gather the room number on the keypad; a timeout counts as an attempt
+function askForRoom(twiml, prompt) {
+  twiml.gather({
+    input: 'dtmf',
+    timeout: 10,
+    finishOnKey: '#',
+    action: '/twilio/room-input'
+  }).say(prompt);
+  twiml.redirect('/twilio/room-input');
+}
+
+// Gather the guest's last name by speech; silence counts as an attempt
+function askForLastName(twiml, prompt) {
+  twiml.gather({
+    input: 'speech',
+    timeout: 5,
+    speechTimeout: 'auto',
+    action: '/twilio/room-verify'
+  }).say(prompt);
+  twiml.redirect('/twilio/room-verify');
+}
+
+function endCall(twiml, reason) {
+  twiml.say(`${reason} Please call the front desk for help. Goodbye.`);
+  twiml.hangup();
 }
 
 async function sendSMS(to, message) {
@@ -332,18 +578,4 @@ async function sendSMS(to, message) {
   }
 }
 
-// Clean up old conversation contexts to prevent memory leaks
-function cleanupOldConversations() {
-  const oneHourAgo = Date.now() - (60 * 60 * 1000); // 1 hour ago
-
-  for (const [key, context] of conversationContext.entries()) {
-    if (context.lastActivity < oneHourAgo) {
-      conversationContext.delete(key);
-    }
-  }
-}
-
-// Clean up conversations every 30 minutes
-setInterval(cleanupOldConversations, 30 * 60 * 1000);
-
 module.exports = router;
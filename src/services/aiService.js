@@ -1,16 +1,49 @@
-const OpenAI = require('openai');
-
-// AI Service for enhanced conversation and order processing
+const menuRepository = require('../repositories/menuRepository');
+const menuService = require('./menuService');
+const conciergeTools = require('./conciergeTools');
+const llm = require('./llm');
+const { cartStatus } = require('./cart');
+
+// Model round trips allowed for tool calls before giving up on a turn
+const MAX_TOOL_ROUNDS = 4;
+
+// Longest a turn may spend waiting on the model, across tool rounds,
+// retries and failover. Twilio gives up on a webhook after 15 seconds,
+// and the reply still has to be turned into speech.
+const TURN_TIMEOUT_MS = parseInt(process.env.AI_TURN_TIMEOUT_MS || '10000', 10);
+
+// Who a guest may ask for instead of the AI
+const PERSON = '(?:a |an |the |your |some )?(?:real |live |actual )?(?:person|human|human being|someone|somebody|staff(?: member)?|manager|operator|agent|representative|receptionist|front desk|reception)';
+
+// Explicit requests for a person, e.g. "can I speak to a human", "transfer me to the front desk", "operator"
+const HUMAN_REQUEST_PATTERNS = [
+  new RegExp(`\\b(?:speak|talk|chat)(?:ing)? (?:to|with) ${PERSON}\\b`),
+  new RegExp(`\\b(?:transfer|connect|put) me (?:through )?(?:to|with) ${PERSON}\\b`),
+  new RegExp(`\\b(?:get|give|find) me ${PERSON}\\b`),
+  /\b(?:real|live|actual) (?:person|human)\b/,
+  /^(?:an? )?(?:operator|agent|representative|human|front desk|reception)[.!]*$/
+];
+
+// Reload the menu at least this often, for changes made by other instances
+const MENU_CONTEXT_TTL_MS = parseInt(process.env.MENU_CONTEXT_TTL_SECONDS || '300', 10) * 1000;
+
+/**
+ * AI Service for enhanced conversation and order processing.
+ *
+ * Every conversation is grounded in the current menu: available items in
+ * active categories, with IDs, prices, descriptions and preparation
+ * times. The copy is reloaded when staff change the menu and at least
+ * every MENU_CONTEXT_TTL_SECONDS, and carts are repriced against it each
+ * turn, so the agent never offers a dish that was taken off or quotes an
+ * old price.
+ */
 class AIService {
   constructor() {
-    this.openai = null;
-    this.provider = process.env.AI_PROVIDER || 'openai'; // 'openai' or 'grok'
+    this.menuItems = new Map();
+    this.menuPrompt = null;
+    this.menuLoadedAt = 0;
 
-    if (process.env.OPENAI_API_KEY) {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
-    }
+    menuService.on('changed', () => this.refreshMenu());
 
     // System prompt for hotel agent
     this.systemPrompt = `You are a professional hotel room service concierge AI assistant.
@@ -31,45 +64,104 @@ Key capabilities:
 7. Confirm orders and provide delivery estimates
 
 Always be concise but friendly in your responses. If you need clarification, ask specific questions.
-For orders, clearly list items, quantities, and any special instructions.`;
+
+Orders are taken with tools, never by describing them:
+- The current menu is given below with item IDs and prices; only offer what it lists. Use view_menu if you need to check it again.
+- Guests build their order over several turns. Use add_to_cart, update_cart_item and remove_from_cart as they choose and change items.
+- When the guest is done, call review_order; it reads the cart and total back and asks them to confirm. Call it again after any change.
+- Call confirm_order only when the guest's latest message clearly confirms the read-back. Nothing is ordered until then.
+- Use request_human when the guest asks for a person, has a complaint, or needs something you cannot do.`;
   }
 
   /**
-   * Process a guest message and return AI response
+   * Process a guest message and return AI response. The model may call
+   * tools (see services/conciergeTools) before answering, which change
+   * the session's cart and can place an order. When the cart was read
+   * back, `readBack` is what the guest must hear after `text`.
    * @param {string} message - Guest's message
-   * @param {Object} context - Conversation context (previous messages, room info, etc.)
-   * @returns {Object} - Response with text and any extracted order info
+   * @param {Object} context - Conversation session (room, guest, history, cart; see services/sessionStore)
+   * @returns {Object} - { text, order, readBack, toolCalls, needsHuman, escalationReason, confidence }
    */
   async processMessage(message, context = {}) {
+    const outcome = { order: null, readBack: null, humanReason: null };
+    const toolCalls = [];
+    const deadline = Date.now() + TURN_TIMEOUT_MS;
+
     try {
-      if (!this.openai && this.provider === 'openai') {
+      if (!llm.isConfigured()) {
         return {
           text: "I'm sorry, but AI services are currently unavailable. Please call back or text your order details.",
-          orderInfo: null,
-          needsHuman: true
+          order: null,
+          readBack: null,
+          toolCalls,
+          needsHuman: true,
+          escalationReason: 'ai_unavailable'
         };
       }
 
+      if (!Array.isArray(context.cart)) {
+        context.cart = [];
+      }
+
+      await this.ensureMenu();
+      const removed = this.repriceCart(context.cart);
+
       const messages = this.buildConversationHistory(message, context);
+      if (removed.length > 0) {
+        // Just before the guest's message, so the model mentions it in this reply
+        messages.splice(messages.length - 1, 0, {
+          role: 'system',
+          content: `No longer available and removed from the guest's cart: ${removed.join(', ')}. Tell the guest.`
+        });
+      }
+      let response = null;
 
-      const response = await this.callAI(messages);
+      for (let round = 0; round < MAX_TOOL_ROUNDS && response === null; round++) {
+        const reply = await this.callAI(messages, conciergeTools.definitions, deadline);
 
-      // Parse the response for order information
-      const orderInfo = this.extractOrderInfo(response);
+        if (!reply.tool_calls || reply.tool_calls.length === 0) {
+          response = reply.content || '';
+          break;
+        }
+
+        messages.push(reply);
+        for (const call of reply.tool_calls) {
+          const result = await conciergeTools.run(call.function.name, call.function.arguments,
+            { session: context, guestMessage: message, outcome });
+          toolCalls.push({ name: call.function.name, arguments: call.function.arguments, error: result.error || null });
+          messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+        }
+      }
+
+      if (response === null) {
+        throw new Error(`No answer after ${MAX_TOOL_ROUNDS} rounds of tool calls`);
+      }
+
+      const escalationReason = this.escalationReason(message, outcome);
 
       return {
         text: response,
-        orderInfo: orderInfo,
-        needsHuman: this.needsHumanAssistance(response),
+        order: outcome.order,
+        readBack: outcome.readBack,
+        toolCalls,
+        needsHuman: escalationReason !== null,
+        escalationReason,
         confidence: this.calculateConfidence(response, message)
       };
 
     } catch (error) {
       console.error('AI Service Error:', error);
+      if (outcome.readBack && context.state) {
+        // The guest won't hear it, so it can't be confirmed
+        delete context.state.cartReadBack;
+      }
       return {
         text: "I apologize, but I'm having trouble processing your request. A staff member will assist you shortly.",
-        orderInfo: null,
+        order: outcome.order,
+        readBack: null,
+        toolCalls,
         needsHuman: true,
+        escalationReason: 'ai_error',
         error: error.message
       };
     }
@@ -83,7 +175,8 @@ For orders, clearly list items, quantities, and any special instructions.`;
    */
   buildConversationHistory(currentMessage, context) {
     const messages = [
-      { role: 'system', content: this.systemPrompt }
+      { role: 'system', content: this.systemPrompt },
+      { role: 'system', content: this.menuPrompt || 'The menu could not be loaded. Use view_menu before offering anything.' }
     ];
 
     // Add room context
@@ -94,6 +187,18 @@ For orders, clearly list items, quantities, and any special instructions.`;
       });
     }
 
+    // Add anything the guest has put in their cart but not ordered yet
+    if (Array.isArray(context.cart) && context.cart.length > 0) {
+      const lines = context.cart.map(line => `${line.quantity} x ${line.name} (item ${line.menuItemId}, $${line.price.toFixed(2)} each)`).join(', ');
+      const status = cartStatus(context) === 'read_back'
+        ? 'Read back to the guest; waiting for them to confirm.'
+        : 'Not read back since the last change.';
+      messages.push({
+        role: 'system',
+        content: `Items in the guest's cart (not ordered yet): ${lines}. ${status}`
+      });
+    }
+
     // Add previous conversation history (last few messages)
     if (context.history && Array.isArray(context.history)) {
       const recentHistory = context.history.slice(-6); // Last 6 messages for context
@@ -107,149 +212,89 @@ For orders, clearly list items, quantities, and any special instructions.`;
   }
 
   /**
-   * Call the appropriate AI service
-   * @param {Array} messages - Conversation messages
-   * @returns {string} - AI response
+   * Reload the menu the AI is grounded in
    */
-  async callAI(messages) {
-    if (this.provider === 'grok') {
-      return await this.callGrok(messages);
-    } else {
-      return await this.callOpenAI(messages);
+  async refreshMenu() {
+    try {
+      const items = await menuRepository.listAvailableItems();
+      this.menuItems = new Map(items.map(item => [item.id, item]));
+      this.menuPrompt = formatMenu(items);
+      this.menuLoadedAt = Date.now();
+      console.log(`Loaded ${items.length} menu items for the AI`);
+    } catch (error) {
+      console.error('Error loading menu for the AI:', error);
     }
   }
 
   /**
-   * Call OpenAI API
-   * @param {Array} messages - Conversation messages
-   * @returns {string} - AI response
-   */
-  async callOpenAI(messages) {
-    const completion = await this.openai.chat.completions.create({
-      model: 'gpt-4o-mini', // Cost-effective model
-      messages: messages,
-      max_tokens: 500,
-      temperature: 0.7,
-    });
-
-    return completion.choices[0].message.content;
-  }
-
-  /**
-   * Call Grok API (xAI)
-   * @param {Array} messages - Conversation messages
-   * @returns {string} - AI response
+   * Reload the menu if it was never loaded or is older than the TTL
    */
-  async callGrok(messages) {
-    // Note: Grok API integration would go here
-    // This is a placeholder - you'd need to implement Grok API calls
-    // For now, fall back to OpenAI
-    console.log('Grok integration not implemented yet, using OpenAI fallback');
-    return await this.callOpenAI(messages);
+  async ensureMenu() {
+    if (!this.menuPrompt || Date.now() - this.menuLoadedAt > MENU_CONTEXT_TTL_MS) {
+      await this.refreshMenu();
+    }
   }
 
   /**
-   * Extract order information from AI response
-   * @param {string} response - AI response text
-   * @returns {Object|null} - Extracted order information
+   * Bring cart lines in line with the current menu: current names and
+   * prices, and no items that are no longer available
+   * @param {Array} cart - session.cart
+   * @returns {Array<string>} - Names of the items removed
    */
-  extractOrderInfo(response) {
-    // Look for order patterns in the response
-    const orderPatterns = [
-      /order.*?:?\s*(.+?)(?:\n|$)/i,
-      /I'll place an order for:?\s*(.+?)(?:\n|$)/i,
-      /Your order includes:?\s*(.+?)(?:\n|$)/i
-    ];
+  repriceCart(cart) {
+    if (!this.menuPrompt) {
+      return [];
+    }
 
-    for (const pattern of orderPatterns) {
-      const match = response.match(pattern);
-      if (match) {
-        return {
-          items: this.parseOrderItems(match[1]),
-          rawText: match[1]
-        };
+    const removed = [];
+    for (let i = cart.length - 1; i >= 0; i--) {
+      const item = this.menuItems.get(cart[i].menuItemId);
+      if (!item) {
+        removed.unshift(cart[i].name);
+        cart.splice(i, 1);
+      } else {
+        cart[i].name = item.name;
+        cart[i].price = Number(item.price);
       }
     }
-
-    return null;
+    return removed;
   }
 
   /**
-   * Parse order items from text
-   * @param {string} orderText - Text describing order items
-   * @returns {Array} - Parsed order items
+   * Call the configured AI provider, with retries and failover (see services/llm)
+   * @param {Array} messages - Conversation messages
+   * @param {Array} tools - Tool definitions the model may call
+   * @param {number} deadline - Give up at this time (ms since epoch)
+   * @returns {Object} - Assistant message ({ content, tool_calls })
    */
-  parseOrderItems(orderText) {
-    const items = [];
-    const lines = orderText.split('\n');
-
-    for (const line of lines) {
-      // Look for patterns like "2 Caesar Salads" or "- 1 Coffee"
-      const itemMatch = line.match(/^[-•*]?\s*(\d+)\s+(.+?)(?:\s*[-$]\s*[\d.]+)?$/i);
-      if (itemMatch) {
-        const quantity = parseInt(itemMatch[1]);
-        const itemName = itemMatch[2].trim();
-
-        // Try to match with menu items (simplified)
-        const menuItem = this.findMenuItemByName(itemName);
-        if (menuItem) {
-          items.push({
-            id: menuItem.id,
-            name: menuItem.name,
-            quantity: quantity,
-            price: menuItem.price
-          });
-        }
-      }
-    }
-
-    return items;
+  async callAI(messages, tools, deadline = Infinity) {
+    return llm.complete(messages, tools, { deadline });
   }
 
   /**
-   * Find menu item by fuzzy name matching
-   * @param {string} name - Item name to search for
-   * @returns {Object|null} - Menu item or null
+   * Why the conversation should be handed to a person, if it should
+   * @param {string} message - Guest's message
+   * @param {Object} outcome - Tool outcome; humanReason is set by request_human
+   * @returns {string|null} - guest_request, ai_referral or null
    */
-  findMenuItemByName(name) {
-    // This would integrate with the order processor's menu data
-    // For now, return a placeholder
-    const menuItems = [
-      { id: 1, name: 'Caesar Salad', price: 12.99 },
-      { id: 2, name: 'Buffalo Wings', price: 14.99 },
-      { id: 3, name: 'Grilled Salmon', price: 24.99 },
-      { id: 4, name: 'Ribeye Steak', price: 32.99 },
-      { id: 5, name: 'Chicken Parmesan', price: 18.99 },
-      { id: 8, name: 'Coffee', price: 3.99 },
-      { id: 9, name: 'Soda', price: 2.99 }
-    ];
-
-    const searchName = name.toLowerCase();
-    return menuItems.find(item =>
-      item.name.toLowerCase().includes(searchName) ||
-      searchName.includes(item.name.toLowerCase())
-    ) || null;
+  escalationReason(message, outcome) {
+    if (this.guestAskedForHuman(message)) {
+      return 'guest_request';
+    }
+    return outcome.humanReason ? 'ai_referral' : null;
   }
 
   /**
-   * Determine if the response indicates human assistance is needed
-   * @param {string} response - AI response
-   * @returns {boolean} - Whether human assistance is needed
+   * Determine if the guest explicitly asked to speak to a person. Only
+   * requests count: "what's the manager's special?" mentions a manager
+   * but must not transfer the call. Anything subtler is left to the
+   * model's request_human tool.
+   * @param {string} message - Guest's message
+   * @returns {boolean}
    */
-  needsHumanAssistance(response) {
-    const humanTriggers = [
-      'staff member',
-      'manager',
-      'supervisor',
-      'human assistance',
-      'speak to someone',
-      'transfer',
-      'escalate'
-    ];
-
-    return humanTriggers.some(trigger =>
-      response.toLowerCase().includes(trigger)
-    );
+  guestAskedForHuman(message) {
+    const text = String(message || '').toLowerCase().trim();
+    return HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(text));
   }
 
   /**
@@ -273,49 +318,28 @@ For orders, clearly list items, quantities, and any special instructions.`;
 
     return Math.max(0, Math.min(1, confidence));
   }
+}
 
-  /**
-   * Generate a welcome message for new conversations
-   * @param {Object} context - Room/guest context
-   * @returns {string} - Welcome message
-   */
-  getWelcomeMessage(context = {}) {
-    const timeOfDay = this.getTimeOfDay();
-    const roomInfo = context.roomNumber ? ` from room ${context.roomNumber}` : '';
-
-    return `Good ${timeOfDay}${roomInfo}! Welcome to ${process.env.HOTEL_NAME || 'our hotel'} room service. I'm here to help you with your dining needs. Would you like to hear our menu or place an order?`;
-  }
-
-  /**
-   * Get time of day greeting
-   * @returns {string} - Time-appropriate greeting
-   */
-  getTimeOfDay() {
-    const hour = new Date().getHours();
-    if (hour < 12) return 'morning';
-    if (hour < 17) return 'afternoon';
-    return 'evening';
+/**
+ * @param {Array} items - Available menu items with category_name, in menu order
+ * @returns {string} - The menu as a system message
+ */
+function formatMenu(items) {
+  if (items.length === 0) {
+    return 'Nothing can be ordered from room service right now.';
   }
 
-  /**
-   * Check if AI service is available
-   * @returns {boolean} - Whether AI is configured and working
-   */
-  async isAvailable() {
-    try {
-      if (this.provider === 'openai' && !process.env.OPENAI_API_KEY) {
-        return false;
-      }
-
-      // Test with a simple query
-      const testResponse = await this.processMessage('Hello', {});
-      return testResponse && !testResponse.error;
-
-    } catch (error) {
-      console.error('AI availability check failed:', error);
-      return false;
+  const lines = ['Current room service menu. Only these items can be ordered; anything not listed is unavailable. Quote these prices exactly.'];
+  let category = null;
+  for (const item of items) {
+    if (item.category_name !== category) {
+      category = item.category_name;
+      lines.push(`${category}:`);
     }
+    const description = item.description ? ` ${item.description}.` : '';
+    lines.push(`- [${item.id}] ${item.name}: $${Number(item.price).toFixed(2)}, about ${item.preparation_time} min.${description}`);
   }
+  return lines.join('\n');
 }
 
 module.exports = new AIService();
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { transaction } = require('../config/database');
+const staffRepository = require('../repositories/staffRepository');
+const stayRepository = require('../repositories/stayRepository');
+const tokenRepository = require('../repositories/tokenRepository');
+const { requiresMfa } = require('../config/permissions');
+const { UnauthorizedError } = require('../utils/errors');
+const { toDbTimestamp } = require('../utils/dates');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7', 10);
+const GUEST_TOKEN_TTL = process.env.GUEST_TOKEN_TTL || '12h';
+const MFA_CHALLENGE_TTL = '5m';
+
+/**
+ * Issues and checks the tokens staff and guests authenticate with.
+ *
+ * Staff get a short-lived access token (JWT) plus an opaque refresh token
+ * that is stored hashed and rotated on every use. Presenting a refresh
+ * token that was already rotated revokes every token from that login,
+ * since a copy of it may be in someone else's hands.
+ *
+ * Staff with two-factor login get an MFA challenge ticket instead of
+ * tokens after the password step (see issueMfaChallenge).
+ *
+ * Each request re-reads the staff row, so deactivation, role changes,
+ * forced password changes and "log out all sessions" (which bumps staff.token_version) take effect
+ * immediately. Access tokens logged out individually go on the
+ * revoked_tokens list until they expire.
+ */
+class AuthService {
+  /**
+   * Start a staff session after a successful login
+   * @param {Object} user - Staff row (without password hash)
+   * @param {Object} client - { userAgent, ipAddress } of the caller
+   * @returns {Object} - { token, refreshToken, expiresIn }
+   */
+  async startSession(user, client = {}) {
+    await tokenRepository.deleteExpired(toDbTimestamp());
+
+    const { token: refreshToken } = await this.storeRefreshToken(
+      user.id, crypto.randomUUID(), client
+    );
+
+    return { ...this.issueAccessToken(user), refreshToken };
+  }
+
+  /**
+   * Swap a refresh token for a new access token and a new refresh token
+   * @param {string} refreshToken - Token from startSession or a previous refresh
+   * @param {Object} client - { userAgent, ipAddress } of the caller
+   * @returns {Object} - { token, refreshToken, expiresIn, user }
+   * @throws {UnauthorizedError} - If the token is unknown, expired, reused or the account is inactive
+   */
+  async refreshSession(refreshToken, client = {}) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw new UnauthorizedError('Refresh token required');
+    }
+
+    // Revocations must commit even when the refresh is refused, so the
+    // transaction returns a failure reason instead of throwing
+    const result = await transaction(async (tx) => {
+      const stored = await tokenRepository.findRefreshTokenByHash(hashToken(refreshToken), toDbTimestamp(), tx);
+      if (!stored) {
+        return { failure: 'Invalid refresh token' };
+      }
+
+      if (stored.revoked_at) {
+        await tokenRepository.revokeFamily(stored.family_id, tx);
+        console.warn(`Refresh token reuse detected for staff ${stored.staff_id}; session revoked`);
+        return { failure: 'Refresh token has already been used' };
+      }
+
+      if (stored.is_expired) {
+        return { failure: 'Refresh token expired' };
+      }
+
+      const staff = await staffRepository.findById(stored.staff_id, tx);
+      if (!staff || !staff.is_active) {
+        await tokenRepository.revokeAllForStaff(stored.staff_id, tx);
+        return { failure: 'Account is deactivated' };
+      }
+
+      const rotated = await this.storeRefreshToken(staff.id, stored.family_id, client, tx);
+      await tokenRepository.revokeRefreshToken(stored.id, rotated.id, tx);
+
+      return { staff, refreshToken: rotated.token };
+    });
+
+    if (result.failure) {
+      throw new UnauthorizedError(result.failure, 'INVALID_REFRESH_TOKEN');
+    }
+
+    return {
+      ...this.issueAccessToken(result.staff),
+      refreshToken: result.refreshToken,
+      user: publicUser(result.staff)
+    };
+  }
+
+  /**
+   * Check an access token and return the caller it belongs to
+   * @param {string} token - Bearer token
+   * @returns {Object} - Token payload; for staff, role and name are current from the database
+   * @throws {UnauthorizedError} - If the token is invalid, expired, revoked or the account is inactive
+   */
+  async verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      throw error.name === 'TokenExpiredError'
+        ? new UnauthorizedError('Access token expired', 'TOKEN_EXPIRED')
+        : new UnauthorizedError('Invalid token', 'INVALID_TOKEN');
+    }
+
+    if (payload.type === 'guest') {
+      const stay = await stayRepository.findById(payload.stayId);
+      if (!stay || stay.checked_out_at) {
+        throw new UnauthorizedError('This stay has ended', 'STAY_ENDED');
+      }
+      return payload;
+    }
+    if (payload.type !== 'staff') {
+      throw new UnauthorizedError('Invalid token', 'INVALID_TOKEN');
+    }
+
+    const staff = await staffRepository.findById(payload.id);
+    if (!staff || !staff.is_active) {
+      throw new UnauthorizedError('Account is deactivated', 'ACCOUNT_INACTIVE');
+    }
+    if ((payload.tv || 0) !== (staff.token_version || 0) ||
+        await tokenRepository.isAccessTokenRevoked(payload.jti)) {
+      throw new UnauthorizedError('Session has been revoked', 'TOKEN_REVOKED');
+    }
+
+    return { ...payload, ...publicUser(staff) };
+  }
+
+  /**
+   * End one session: revoke the access token and its refresh token family
+   * @param {Object} user - Verified access token payload (req.user)
+   * @param {string} refreshToken - Refresh token from the same login, if the client has it
+   */
+  async logout(user, refreshToken) {
+    await tokenRepository.revokeAccessToken({
+      jti: user.jti,
+      staffId: user.id,
+      expiresAt: toDbTimestamp(new Date(user.exp * 1000))
+    });
+
+    if (refreshToken) {
+      const stored = await tokenRepository.findRefreshTokenByHash(hashToken(refreshToken), toDbTimestamp());
+      if (stored && stored.staff_id === user.id) {
+        await tokenRepository.revokeFamily(stored.family_id);
+      }
+    }
+  }
+
+  /**
+   * End every session a staff member has, on every device
+   * @param {number} staffId - Staff ID
+   * @returns {number} - Number of refresh tokens revoked
+   */
+  async logoutAll(staffId) {
+    return transaction(async (tx) => {
+      await staffRepository.incrementTokenVersion(staffId, tx);
+      return tokenRepository.revokeAllForStaff(staffId, tx);
+    });
+  }
+
+  /**
+   * Sign a short-lived staff access token
+   * @param {Object} user - Staff row
+   * @returns {Object} - { token, expiresIn } (expiresIn in seconds)
+   */
+  issueAccessToken(user) {
+    const token = jwt.sign(
+      {
+        type: 'staff',
+        id: user.id,
+        username: user.username,
+        name: user.name,
+        role: user.role,
+        tv: user.token_version || 0
+      },
+      JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+    );
+
+    const { exp, iat } = jwt.decode(token);
+    return { token, expiresIn: exp - iat };
+  }
+
+  /**
+   * Sign the short-lived ticket that proves the password step of a
+   * two-factor login. It is not an access token.
+   * @param {Object} user - Staff row
+   * @returns {string}
+   */
+  issueMfaChallenge(user) {
+    return jwt.sign(
+      { type: 'mfa', id: user.id, tv: user.token_version || 0 },
+      JWT_SECRET,
+      { expiresIn: MFA_CHALLENGE_TTL }
+    );
+  }
+
+  /**
+   * Check a two-factor login ticket
+   * @param {string} mfaToken - Ticket from issueMfaChallenge
+   * @returns {Object} - Current staff row
+   * @throws {UnauthorizedError} - If the ticket is invalid or expired, or the account changed since
+   */
+  async verifyMfaChallenge(mfaToken) {
+    let payload;
+    try {
+      payload = jwt.verify(String(mfaToken || ''), JWT_SECRET);
+    } catch (error) {
+      throw new UnauthorizedError('Login expired, please start again', 'MFA_CHALLENGE_INVALID');
+    }
+
+    const staff = payload.type === 'mfa' ? await staffRepository.findById(payload.id) : null;
+    if (!staff || !staff.is_active || !staff.totp_enabled ||
+        (payload.tv || 0) !== (staff.token_version || 0)) {
+      throw new UnauthorizedError('Login expired, please start again', 'MFA_CHALLENGE_INVALID');
+    }
+    return staff;
+  }
+
+  /**
+   * Sign a guest-scoped token that only covers one room and stay
+   * @param {Object} room - Room row
+   * @param {Object} stay - Open stay
+   * @returns {string}
+   */
+  issueGuestToken(room, stay) {
+    return jwt.sign(
+      {
+        type: 'guest',
+        role: 'guest',
+        roomId: room.id,
+        roomNumber: room.room_number,
+        stayId: stay.id,
+        name: stay.guest_name
+      },
+      JWT_SECRET,
+      { expiresIn: GUEST_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Create and store a refresh token
+   * @param {number} staffId - Staff ID
+   * @param {string} familyId - Login the token belongs to
+   * @param {Object} client - { userAgent, ipAddress }
+   * @param {Object} tx - Optional transaction executor
+   * @returns {Object} - { id, token }
+   */
+  async storeRefreshToken(staffId, familyId, { userAgent, ipAddress } = {}, tx = undefined) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const id = await tokenRepository.createRefreshToken({
+      staffId,
+      tokenHash: hashToken(token),
+      familyId,
+      expiresAt: toDbTimestamp(expiresAt),
+      userAgent,
+      ipAddress
+    }, tx);
+
+    return { id, token };
+  }
+}
+
+/**
+ * Refresh tokens are stored as SHA-256 hashes so a database leak doesn't
+ * hand out working sessions
+ * @param {string} token - Refresh token
+ * @returns {string} - Hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * The staff fields that are safe to put in tokens and responses
+ * @param {Object} staff - Staff row
+ * @returns {Object}
+ */
+function publicUser(staff) {
+  return {
+    id: staff.id,
+    username: staff.username,
+    name: staff.name,
+    role: staff.role,
+    mustChangePassword: !!staff.must_change_password,
+    mfaEnabled: !!staff.totp_enabled,
+    mfaEnrollmentRequired: requiresMfa(staff.role) && !staff.totp_enabled
+  };
+}
+
+module.exports = new AuthService();
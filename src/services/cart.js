@@ -0,0 +1,70 @@
+/**
+ * The conversational cart kept in session.cart while a guest builds an
+ * order over several turns:
+ *
+ *   building → read_back → (guest says yes) → order placed, cart emptied
+ *
+ * Each line is { menuItemId, name, price, quantity, specialInstructions }.
+ * A read-back covers the cart exactly as it was read, so adding, changing
+ * or removing anything (or a price change) puts it back to building and
+ * it has to be read back again before it can be ordered.
+ */
+
+/**
+ * @param {Array} cart - session.cart
+ * @returns {number} - Total price, rounded to cents
+ */
+function cartTotal(cart) {
+  const total = cart.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * @param {Array} cart - session.cart
+ * @returns {string} - Changes whenever anything that was read back changes
+ */
+function cartSignature(cart) {
+  return JSON.stringify(cart.map(line => [line.menuItemId, line.quantity, line.price, line.specialInstructions || null]));
+}
+
+/**
+ * What the guest hears before confirming: every line and the total
+ * @param {Array} cart - session.cart
+ * @returns {string}
+ */
+function readBackText(cart) {
+  const lines = cart.map(line => {
+    const instructions = line.specialInstructions ? ` (${line.specialInstructions})` : '';
+    return `${line.quantity} ${line.name}${instructions}`;
+  });
+  const items = lines.length > 1
+    ? `${lines.slice(0, -1).join(', ')} and ${lines[lines.length - 1]}`
+    : lines[0];
+  return `That's ${items}. Your total is $${cartTotal(cart).toFixed(2)}. Shall I place the order?`;
+}
+
+/**
+ * Record that the guest has been read the cart as it is now
+ * @param {Object} session - Conversation session (see services/sessionStore)
+ */
+function markReadBack(session) {
+  session.state.cartReadBack = cartSignature(session.cart);
+}
+
+/**
+ * @param {Object} session - Conversation session
+ * @returns {string|null} - building or read_back, or null when the cart is empty
+ */
+function cartStatus(session) {
+  if (!session.cart || session.cart.length === 0) {
+    return null;
+  }
+  return session.state && session.state.cartReadBack === cartSignature(session.cart) ? 'read_back' : 'building';
+}
+
+module.exports = {
+  cartTotal,
+  readBackText,
+  markReadBack,
+  cartStatus
+};
@@ -0,0 +1,384 @@
+const menuRepository = require('../repositories/menuRepository');
+const orderService = require('./orderService');
+const { cartTotal, readBackText, markReadBack, cartStatus } = require('./cart');
+const { validateSchema } = require('../utils/jsonSchema');
+const { ValidationError, ConflictError } = require('../utils/errors');
+
+const MAX_ITEM_QUANTITY = parseInt(process.env.MAX_ITEM_QUANTITY || '10', 10);
+const MAX_CART_LINES = parseInt(process.env.MAX_ORDER_LINES || '25', 10);
+
+// A yes to the read-back, on its own: "yes", "yes please, go ahead", "that's right, place the order"
+const YES_PHRASE = "(?:yes|yeah|yep|yup|sure|ok|okay|correct|confirm|confirmed|i confirm|perfect|please|please do|go ahead|sounds good|that's (?:right|correct|all|it|everything)|place (?:it|the order|my order))";
+const CONFIRMATION = new RegExp(`^${YES_PHRASE}(?:[ ,.!]+(?:${YES_PHRASE}|thanks|thank you))*[.!]*$`);
+
+/**
+ * Tools the AI calls instead of describing orders in prose, in the
+ * OpenAI function-calling format. Arguments are JSON Schema, checked
+ * before anything runs.
+ */
+const DEFINITIONS = [
+  {
+    name: 'view_menu',
+    description: 'List what can be ordered right now, with item IDs and prices. Call this before adding items if you do not know an item ID.',
+    parameters: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', maxLength: 100, description: 'Only items in this category, e.g. "Desserts"' }
+      },
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'add_to_cart',
+    description: 'Add a menu item to the guest\'s cart. Nothing is ordered until confirm_order.',
+    parameters: {
+      type: 'object',
+      properties: {
+        menu_item_id: { type: 'integer', minimum: 1, description: 'Item ID from view_menu' },
+        quantity: { type: 'integer', minimum: 1, maximum: MAX_ITEM_QUANTITY },
+        special_instructions: { type: 'string', maxLength: 500, description: 'e.g. "no onions"' }
+      },
+      required: ['menu_item_id', 'quantity'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'update_cart_item',
+    description: 'Change the quantity or special instructions of an item already in the cart, e.g. when the guest says "actually, make it one".',
+    parameters: {
+      type: 'object',
+      properties: {
+        menu_item_id: { type: 'integer', minimum: 1 },
+        quantity: { type: 'integer', minimum: 1, maximum: MAX_ITEM_QUANTITY, description: 'New quantity' },
+        special_instructions: { type: 'string', maxLength: 500, description: 'New instructions; an empty string clears them' }
+      },
+      required: ['menu_item_id'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'remove_from_cart',
+    description: 'Take an item out of the guest\'s cart, or reduce its quantity.',
+    parameters: {
+      type: 'object',
+      properties: {
+        menu_item_id: { type: 'integer', minimum: 1 },
+        quantity: { type: 'integer', minimum: 1, description: 'How many to remove; all of them if left out' }
+      },
+      required: ['menu_item_id'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'review_order',
+    description: 'Read the whole cart and total back to the guest and ask them to confirm. Call this when the guest has finished choosing, and again after any change.',
+    parameters: { type: 'object', properties: {}, additionalProperties: false }
+  },
+  {
+    name: 'confirm_order',
+    description: 'Place the order for everything in the cart. Only call this when the cart was read back with review_order on an earlier turn and the guest clearly says yes in their latest message.',
+    parameters: { type: 'object', properties: {}, additionalProperties: false }
+  },
+  {
+    name: 'request_human',
+    description: 'Hand the guest over to a member of staff: when they ask for a person, have a complaint, or need something you cannot do.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', maxLength: 200, description: 'Short note for staff' }
+      },
+      required: ['reason'],
+      additionalProperties: false
+    }
+  }
+];
+
+/**
+ * Runs the AI's tool calls against a conversation session.
+ *
+ * The cart lives in session.cart (see services/cart). Items are checked
+ * against the live menu when added, and again by OrderService when the
+ * order is placed. An order is only created by confirm_order, and only
+ * when the guest was read the cart exactly as it stands on an earlier
+ * turn and their latest message actually says yes.
+ *
+ * Every call returns a plain object for the AI; problems come back as
+ * { error } so the AI can tell the guest instead of the turn failing.
+ */
+class ConciergeTools {
+  constructor() {
+    this.definitions = DEFINITIONS.map(tool => ({ type: 'function', function: tool }));
+    this.handlers = {
+      view_menu: (args) => this.viewMenu(args),
+      add_to_cart: (args, context) => this.addToCart(args, context),
+      update_cart_item: (args, context) => this.updateCartItem(args, context),
+      remove_from_cart: (args, context) => this.removeFromCart(args, context),
+      review_order: (args, context) => this.reviewOrder(context),
+      confirm_order: (args, context) => this.confirmOrder(context),
+      request_human: (args, context) => this.requestHuman(args, context)
+    };
+  }
+
+  /**
+   * Run one tool call
+   * @param {string} name - Tool name
+   * @param {string} rawArguments - JSON arguments as sent by the model
+   * @param {Object} context
+   * @param {Object} context.session - Conversation session (see services/sessionStore)
+   * @param {string} context.guestMessage - What the guest said this turn
+   * @param {Object} context.outcome - Collects { order, readBack, humanReason } for the caller
+   * @returns {Object} - Result for the model
+   */
+  async run(name, rawArguments, context) {
+    const tool = DEFINITIONS.find(definition => definition.name === name);
+    if (!tool) {
+      return { error: `Unknown tool ${name}` };
+    }
+
+    let args;
+    try {
+      args = rawArguments ? JSON.parse(rawArguments) : {};
+    } catch (error) {
+      return { error: 'Arguments are not valid JSON' };
+    }
+
+    const problems = validateSchema(tool.parameters, args);
+    if (problems.length > 0) {
+      return { error: 'Invalid arguments', problems };
+    }
+
+    try {
+      return await this.handlers[name](args, context);
+    } catch (error) {
+      console.error(`Tool ${name} failed:`, error);
+      return { error: 'That did not work. Please try again or offer to connect the guest with staff.' };
+    }
+  }
+
+  /**
+   * @param {Object} args - { category }
+   * @returns {Object} - { items } or { error, categories }
+   */
+  async viewMenu({ category }) {
+    const available = await menuRepository.listAvailableItems();
+    const items = category
+      ? available.filter(item => item.category_name.toLowerCase() === category.trim().toLowerCase())
+      : available;
+
+    if (category && items.length === 0) {
+      return {
+        error: `No category called ${category}`,
+        categories: [...new Set(available.map(item => item.category_name))]
+      };
+    }
+    return {
+      items: items.map(item => ({
+        id: item.id,
+        name: item.name,
+        price: Number(item.price),
+        category: item.category_name,
+        description: item.description || undefined
+      }))
+    };
+  }
+
+  /**
+   * @param {Object} args - { menu_item_id, quantity, special_instructions }
+   * @param {Object} context - { session }
+   * @returns {Object} - { cart } or { error }
+   */
+  async addToCart({ menu_item_id: menuItemId, quantity, special_instructions: specialInstructions }, { session }) {
+    const [item] = await menuRepository.findItemsByIds([menuItemId]);
+    if (!item || item.deleted_at) {
+      return { error: `There is no menu item ${menuItemId}. Use view_menu to find the right ID.` };
+    }
+    if (!item.is_available || !item.category_active) {
+      return { error: `${item.name} is not available right now. Suggest something else.` };
+    }
+
+    const cart = session.cart;
+    const line = cart.find(existing => existing.menuItemId === item.id);
+    const newQuantity = (line ? line.quantity : 0) + quantity;
+    if (newQuantity > MAX_ITEM_QUANTITY) {
+      return { error: `At most ${MAX_ITEM_QUANTITY} of one item per order` };
+    }
+    if (!line && cart.length >= MAX_CART_LINES) {
+      return { error: `An order can have at most ${MAX_CART_LINES} different items` };
+    }
+
+    if (line) {
+      line.quantity = newQuantity;
+      if (specialInstructions) line.specialInstructions = specialInstructions.trim();
+    } else {
+      cart.push({
+        menuItemId: item.id,
+        name: item.name,
+        price: Number(item.price),
+        quantity,
+        specialInstructions: specialInstructions ? specialInstructions.trim() : null
+      });
+    }
+    return { cart: describeCart(session) };
+  }
+
+  /**
+   * @param {Object} args - { menu_item_id, quantity, special_instructions }
+   * @param {Object} context - { session }
+   * @returns {Object} - { cart } or { error }
+   */
+  async updateCartItem({ menu_item_id: menuItemId, quantity, special_instructions: specialInstructions }, { session }) {
+    const line = session.cart.find(existing => existing.menuItemId === menuItemId);
+    if (!line) {
+      return { error: 'That item is not in the cart', cart: describeCart(session) };
+    }
+    if (quantity === undefined && specialInstructions === undefined) {
+      return { error: 'Give a new quantity or special instructions' };
+    }
+
+    if (quantity !== undefined) line.quantity = quantity;
+    if (specialInstructions !== undefined) line.specialInstructions = specialInstructions.trim() || null;
+    return { cart: describeCart(session) };
+  }
+
+  /**
+   * @param {Object} args - { menu_item_id, quantity }
+   * @param {Object} context - { session }
+   * @returns {Object} - { cart } or { error }
+   */
+  async removeFromCart({ menu_item_id: menuItemId, quantity }, { session }) {
+    const cart = session.cart;
+    const index = cart.findIndex(line => line.menuItemId === menuItemId);
+    if (index === -1) {
+      return { error: 'That item is not in the cart', cart: describeCart(session) };
+    }
+
+    if (quantity && quantity < cart[index].quantity) {
+      cart[index].quantity -= quantity;
+    } else {
+      cart.splice(index, 1);
+    }
+    return { cart: describeCart(session) };
+  }
+
+  /**
+   * Read the cart back to the guest. The read-back is added to the reply
+   * by the caller, so the guest hears exactly what will be ordered.
+   * @param {Object} context - { session, outcome }
+   * @returns {Object} - { cart } or { error }
+   */
+  async reviewOrder({ session, outcome }) {
+    if (session.cart.length === 0) {
+      return { error: 'The cart is empty' };
+    }
+
+    markReadBack(session);
+    outcome.readBack = readBackText(session.cart);
+    return {
+      cart: describeCart(session),
+      note: 'The items, total and a question asking the guest to confirm are added to the end of your reply automatically. Do not repeat them or ask anything else.'
+    };
+  }
+
+  /**
+   * Place the cart as an order
+   * @param {Object} context - { session, guestMessage, outcome }
+   * @returns {Object} - { order_id, total } or { error }
+   */
+  async confirmOrder({ session, guestMessage, outcome }) {
+    if (session.cart.length === 0) {
+      return { error: 'The cart is empty' };
+    }
+    if (cartStatus(session) !== 'read_back' || outcome.readBack) {
+      return {
+        error: 'The guest has not heard the cart as it is now. Call review_order and wait for them to confirm.',
+        cart: describeCart(session)
+      };
+    }
+    if (!isExplicitConfirmation(guestMessage)) {
+      return {
+        error: 'The guest has not confirmed. Ask them whether to place the order, or what they would like to change.',
+        cart: describeCart(session)
+      };
+    }
+
+    try {
+      const order = await orderService.createOrder({
+        roomNumber: session.roomNumber,
+        items: session.cart.map(line => ({
+          menuItemId: line.menuItemId,
+          quantity: line.quantity,
+          specialInstructions: line.specialInstructions
+        })),
+        channel: session.channel
+      });
+
+      session.cart = [];
+      delete session.state.cartReadBack;
+      outcome.order = order;
+      return {
+        order_id: order.id,
+        total: Number(order.total_amount),
+        note: 'Order placed. The order number and total are added to your reply automatically; just thank the guest.'
+      };
+    } catch (error) {
+      if (error instanceof ConflictError && error.details && error.details.reason === 'room_vacant') {
+        return { error: 'This room has no guest checked in, so it cannot order. Ask the guest to contact the front desk.' };
+      }
+      if (error instanceof ValidationError) {
+        const reasons = error.details && error.details.lines
+          ? error.details.lines.map(line => line.reason)
+          : [error.message];
+        return { error: 'The order could not be placed', problems: reasons, cart: describeCart(session) };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} args - { reason }
+   * @param {Object} context - { session, outcome }
+   * @returns {Object}
+   */
+  async requestHuman({ reason }, { session, outcome }) {
+    console.log(`AI asked for staff on ${session.key}: ${reason}`);
+    outcome.humanReason = reason;
+    return { note: 'Staff have been asked to help. Tell the guest a member of staff will be with them shortly.' };
+  }
+}
+
+/**
+ * @param {Object} session - Conversation session
+ * @returns {Object} - Cart as the model sees it
+ */
+function describeCart(session) {
+  return {
+    status: cartStatus(session) || 'empty',
+    lines: session.cart.map(line => ({
+      menu_item_id: line.menuItemId,
+      name: line.name,
+      quantity: line.quantity,
+      price: line.price,
+      special_instructions: line.specialInstructions || undefined
+    })),
+    total: cartTotal(session.cart)
+  };
+}
+
+/**
+ * Placing the order can't be undone, so only a plain yes counts. Anything
+ * more ("yes, no onions", "sure, wait", "is that right?") is a change or
+ * a question for the AI to deal with first.
+ * @param {string} message - Guest's latest message
+ * @returns {boolean} - Whether the whole message is a confirmation
+ */
+function isExplicitConfirmation(message) {
+  const text = String(message || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/\bthat is\b/g, "that's")
+    .replace(/\s+/g, ' ')
+    .trim();
+  return !text.endsWith('?') && CONFIRMATION.test(text);
+}
+
+module.exports = new ConciergeTools();
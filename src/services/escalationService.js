@@ -0,0 +1,190 @@
+const EventEmitter = require('events');
+const callbackTaskRepository = require('../repositories/callbackTaskRepository');
+const conversationRepository = require('../repositories/conversationRepository');
+const transcriptService = require('./transcriptService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const TRANSFER_TO = (process.env.ESCALATION_TRANSFER_TO || '').trim();
+const DIAL_TIMEOUT_SECONDS = parseInt(process.env.ESCALATION_DIAL_TIMEOUT || '20', 10);
+const MAX_HOLD_SECONDS = parseInt(process.env.ESCALATION_MAX_HOLD_SECONDS || '120', 10);
+const HOLD_MUSIC_URL = process.env.ESCALATION_HOLD_MUSIC_URL ||
+  'http://com.twilio.music.classical.s3.amazonaws.com/BusyStrings.mp3';
+
+// Why a conversation was handed to a person
+const REASONS = {
+  guest_request: 'Guest asked for a person',
+  ai_referral: 'AI referred the guest to staff',
+  ai_unavailable: 'AI service unavailable',
+  ai_error: 'AI service error',
+  no_answer: 'Nobody answered the transfer',
+  abandoned: 'Guest hung up while on hold'
+};
+
+const TASK_STATUSES = ['open', 'done', 'cancelled'];
+
+/**
+ * Hands guests over to a person when the AI can't (or shouldn't) help.
+ *
+ * Voice calls are transferred to ESCALATION_TRANSFER_TO: a phone number,
+ * a sip: URI, a client: identity, or queue:<name> to wait in a Twilio
+ * queue with hold music. When nothing is configured, nobody answers, or
+ * the guest is texting, a callback task is opened for the front desk
+ * instead. The reason and outcome are kept on the conversation.
+ *
+ * Emits `callbackRequested` with each new task.
+ */
+class EscalationService extends EventEmitter {
+  constructor() {
+    super();
+    this.transferTarget = parseTransferTarget(TRANSFER_TO);
+    this.dialTimeout = DIAL_TIMEOUT_SECONDS;
+    this.maxHoldSeconds = MAX_HOLD_SECONDS;
+    this.holdMusicUrl = HOLD_MUSIC_URL;
+  }
+
+  /**
+   * Hand a conversation to a person. Voice calls are transferred when a
+   * target is configured; otherwise a callback task is opened. Only the
+   * first escalation of a voice call transfers it, so a guest who was not
+   * answered isn't put through the same wait again.
+   * @param {Object} session - Conversation session (see services/sessionStore)
+   * @param {string} reason - Reason code
+   * @returns {string} - transferring or callback
+   */
+  async escalate(session, reason) {
+    const transfer = session.channel === 'voice' && this.transferTarget && !session.state.escalation;
+    const status = transfer ? 'transferring' : 'callback';
+    session.state.escalation = { reason, status };
+
+    console.log(`Escalating ${session.key} (${reason}): ${status}`);
+
+    if (transfer) {
+      await this.updateConversation(session, { reason, status });
+    } else {
+      await this.requestCallback(session, reason);
+    }
+    return status;
+  }
+
+  /**
+   * A transferred call reached a person
+   * @param {Object} session - Conversation session
+   */
+  async recordConnected(session) {
+    const reason = session.state.escalation ? session.state.escalation.reason : 'ai_error';
+    session.state.escalation = { reason, status: 'connected' };
+    await this.updateConversation(session, { reason, status: 'connected' });
+  }
+
+  /**
+   * Open a callback task for the conversation, unless one is already open
+   * @param {Object} session - Conversation session
+   * @param {string} reason - Reason code
+   * @returns {Object|null} - The open task, or null if it couldn't be saved
+   */
+  async requestCallback(session, reason) {
+    try {
+      const conversationId = await transcriptService.ensureConversation(session);
+      const original = session.state.escalation ? session.state.escalation.reason : reason;
+      session.state.escalation = { reason: original, status: 'callback' };
+      await conversationRepository.markEscalated(conversationId, { reason: original, status: 'callback' });
+
+      const open = await callbackTaskRepository.findOpenByConversation(conversationId);
+      if (open) {
+        return open;
+      }
+
+      const id = await callbackTaskRepository.create({
+        conversationId,
+        channel: session.channel,
+        phoneNumber: session.phoneNumber,
+        roomNumber: session.roomNumber,
+        guestName: session.guestName,
+        reason
+      });
+      const task = await callbackTaskRepository.findById(id);
+      this.emit('callbackRequested', task);
+      return task;
+    } catch (error) {
+      console.error(`Failed to open callback task for ${session.key}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List callback tasks, longest waiting first
+   * @param {Object} query
+   * @param {string} query.status - open (default), done, cancelled or all
+   * @returns {Array}
+   */
+  async listCallbacks({ status = 'open' } = {}) {
+    if (status !== 'all' && !TASK_STATUSES.includes(status)) {
+      throw new ValidationError(`Invalid status. Must be one of: ${TASK_STATUSES.join(', ')}, all`);
+    }
+    const tasks = await callbackTaskRepository.list({ status: status === 'all' ? null : status });
+    return tasks.map(task => ({ ...task, reason_label: REASONS[task.reason] || task.reason }));
+  }
+
+  /**
+   * Close a callback task
+   * @param {number} taskId - Task ID
+   * @param {Object} update
+   * @param {string} update.status - done or cancelled
+   * @param {string} update.notes - What was done (optional)
+   * @param {number} staffId - Staff member closing it
+   * @returns {Object} - The closed task
+   * @throws {ValidationError|NotFoundError|ConflictError}
+   */
+  async closeCallback(taskId, { status, notes } = {}, staffId = null) {
+    if (!['done', 'cancelled'].includes(status)) {
+      throw new ValidationError('Invalid status. Must be one of: done, cancelled');
+    }
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+      throw new ValidationError('Notes must be a string');
+    }
+
+    const task = await callbackTaskRepository.findById(taskId);
+    if (!task) {
+      throw new NotFoundError('Callback task not found');
+    }
+    const closed = await callbackTaskRepository.close(task.id, { status, notes: notes ? notes.trim() : null, staffId });
+    if (!closed) {
+      throw new ConflictError(`Callback task is already ${task.status}`);
+    }
+    return callbackTaskRepository.findById(task.id);
+  }
+
+  /**
+   * Keep the escalation on the conversation's transcript. Never fails the
+   * call: errors are logged.
+   * @param {Object} session - Conversation session
+   * @param {Object} escalation - { reason, status }
+   */
+  async updateConversation(session, escalation) {
+    try {
+      const conversationId = await transcriptService.ensureConversation(session);
+      await conversationRepository.markEscalated(conversationId, escalation);
+    } catch (error) {
+      console.error(`Failed to record escalation for ${session.key}:`, error.message);
+    }
+  }
+}
+
+/**
+ * @param {string} value - ESCALATION_TRANSFER_TO
+ * @returns {Object|null} - { type: number|sip|client|queue, value }
+ */
+function parseTransferTarget(value) {
+  if (!value) {
+    return null;
+  }
+  const prefixed = /^(sip|client|queue):(.+)$/i.exec(value);
+  if (!prefixed) {
+    return { type: 'number', value };
+  }
+  const type = prefixed[1].toLowerCase();
+  // Twilio's <Sip> noun takes the whole URI
+  return { type, value: type === 'sip' ? value : prefixed[2] };
+}
+
+module.exports = new EscalationService();
@@ -0,0 +1,229 @@
+const OpenAI = require('openai');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const MockProvider = require('./mockProvider');
+
+// Defaults for each AI_PROVIDER / AI_FALLBACK_PROVIDER value
+const PROVIDERS = {
+  openai: {
+    Provider: OpenAICompatibleProvider,
+    apiKey: () => process.env.OPENAI_API_KEY,
+    baseURL: null,
+    model: 'gpt-4o-mini'
+  },
+  xai: {
+    Provider: OpenAICompatibleProvider,
+    apiKey: () => process.env.XAI_API_KEY || process.env.GROK_API_KEY,
+    baseURL: 'https://api.x.ai/v1',
+    model: 'grok-3-mini'
+  },
+  // Any OpenAI-compatible server (Ollama, vLLM, LM Studio...); most ignore the key
+  local: {
+    Provider: OpenAICompatibleProvider,
+    apiKey: () => 'local',
+    baseURL: null,
+    model: null
+  },
+  mock: {
+    Provider: MockProvider
+  }
+};
+
+// Older name for xai
+PROVIDERS.grok = PROVIDERS.xai;
+
+const TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS || '4000', 10);
+const MAX_RETRIES = parseInt(process.env.AI_MAX_RETRIES || '1', 10);
+const RETRY_DELAY_MS = parseInt(process.env.AI_RETRY_DELAY_MS || '200', 10);
+const FAILOVER_COOLDOWN_MS = parseInt(process.env.AI_FAILOVER_COOLDOWN_SECONDS || '60', 10) * 1000;
+const MAX_TOKENS = parseInt(process.env.AI_MAX_TOKENS || '500', 10);
+const TEMPERATURE = parseFloat(process.env.AI_TEMPERATURE || '0.7');
+
+// HTTP statuses worth trying again; anything else goes straight to the fallback
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+/**
+ * Chat completions with the tool-calling message format of the OpenAI
+ * API, from a primary provider and an optional fallback.
+ *
+ * Each attempt is abandoned after AI_TIMEOUT_MS, or sooner when the
+ * caller's deadline is nearer. Connection errors, rate limits and server
+ * errors are retried up to AI_MAX_RETRIES times, waiting
+ * AI_RETRY_DELAY_MS and doubling; then the fallback is tried. A provider
+ * that timed out is only retried when there is no fallback, and nothing
+ * is started past the deadline. After the primary fails, the fallback
+ * goes first for AI_FAILOVER_COOLDOWN_SECONDS so guests aren't kept
+ * waiting on a provider that is down.
+ */
+class LLMClient {
+  /**
+   * @param {Object|null} primary - Provider with name and complete()
+   * @param {Object|null} fallback - Provider tried when the primary fails
+   */
+  constructor(primary, fallback = null) {
+    this.primary = primary;
+    this.fallback = fallback;
+    this.primaryDownUntil = 0;
+  }
+
+  /**
+   * @returns {boolean} - Whether any provider is configured
+   */
+  isConfigured() {
+    return Boolean(this.primary || this.fallback);
+  }
+
+  /**
+   * Get the model's next message
+   * @param {Array} messages - Conversation messages
+   * @param {Array} tools - Tool definitions the model may call
+   * @param {Object} options
+   * @param {number} options.deadline - Time (ms since epoch) by which to have an answer or give up
+   * @returns {Object} - Assistant message ({ content, tool_calls })
+   * @throws {Error} - The last provider's error when every provider failed
+   */
+  async complete(messages, tools, { deadline = Infinity } = {}) {
+    const providers = this.providersInOrder();
+    if (providers.length === 0) {
+      throw new Error('No AI provider is configured');
+    }
+
+    let lastError;
+    for (const [index, provider] of providers.entries()) {
+      if (Date.now() >= deadline) {
+        throw lastError || deadlineError();
+      }
+      try {
+        const canFailOver = index < providers.length - 1;
+        const reply = await this.completeWithRetries(provider, messages, tools, { deadline, canFailOver });
+        if (provider === this.primary) {
+          this.primaryDownUntil = 0;
+        }
+        return reply;
+      } catch (error) {
+        lastError = error;
+        if (provider === this.primary && this.fallback) {
+          this.primaryDownUntil = Date.now() + FAILOVER_COOLDOWN_MS;
+          console.warn(`AI provider ${provider.name} failed, failing over to ${this.fallback.name}: ${error.message}`);
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * @returns {Array} - Providers to try, fallback first while the primary is cooling down
+   */
+  providersInOrder() {
+    const providers = [this.primary, this.fallback].filter(Boolean);
+    return Date.now() < this.primaryDownUntil ? providers.reverse() : providers;
+  }
+
+  /**
+   * @param {Object} provider - Provider
+   * @param {Array} messages - Conversation messages
+   * @param {Array} tools - Tool definitions
+   * @param {Object} options - { deadline, canFailOver }
+   * @returns {Object} - Assistant message
+   */
+  async completeWithRetries(provider, messages, tools, { deadline, canFailOver }) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await completeWithTimeout(provider, messages, tools, deadline);
+      } catch (error) {
+        const delay = RETRY_DELAY_MS * 2 ** attempt;
+        const timedOut = error.code === 'ETIMEDOUT';
+        if (attempt >= MAX_RETRIES || !isRetryable(error) || (timedOut && canFailOver) ||
+            Date.now() + delay >= deadline) {
+          throw error;
+        }
+        console.warn(`AI provider ${provider.name} failed (${error.message}), retrying in ${delay} ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+/**
+ * @param {Object} provider - Provider
+ * @param {Array} messages - Conversation messages
+ * @param {Array} tools - Tool definitions
+ * @param {number} deadline - Give up at this time at the latest
+ * @returns {Object} - Assistant message, or rejects after AI_TIMEOUT_MS or at the deadline
+ */
+async function completeWithTimeout(provider, messages, tools, deadline) {
+  const timeoutMs = Math.max(0, Math.min(TIMEOUT_MS, deadline - Date.now()));
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const error = new Error(`${provider.name} timed out after ${timeoutMs} ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([provider.complete(messages, tools, { signal: controller.signal }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * @returns {Error} - Error for a turn that ran out of time before a provider was tried
+ */
+function deadlineError() {
+  const error = new Error('AI turn deadline passed');
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+/**
+ * @param {Error} error - Provider error
+ * @returns {boolean} - Whether trying the same provider again may help
+ */
+function isRetryable(error) {
+  return error.code === 'ETIMEDOUT' ||
+    error instanceof OpenAI.APIConnectionError ||
+    RETRYABLE_STATUSES.includes(error.status) ||
+    error.status >= 500;
+}
+
+/**
+ * Build a provider from environment variables with the given prefix:
+ * <prefix>PROVIDER, <prefix>MODEL, <prefix>BASE_URL and <prefix>API_KEY
+ * @param {string} prefix - AI_ or AI_FALLBACK_
+ * @param {string|null} defaultName - Provider when <prefix>PROVIDER is unset
+ * @returns {Object|null} - Provider, or null if unset or missing its key
+ */
+function createProvider(prefix, defaultName = null) {
+  const name = (process.env[`${prefix}PROVIDER`] || defaultName || '').trim().toLowerCase();
+  if (!name) {
+    return null;
+  }
+
+  const preset = PROVIDERS[name];
+  if (!preset) {
+    throw new Error(`Unknown ${prefix}PROVIDER "${name}". Must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (preset.Provider === MockProvider) {
+    return new MockProvider({ name });
+  }
+
+  const apiKey = process.env[`${prefix}API_KEY`] || preset.apiKey();
+  const baseURL = process.env[`${prefix}BASE_URL`] || preset.baseURL;
+  const model = process.env[`${prefix}MODEL`] || preset.model;
+  if (!apiKey) {
+    console.warn(`⚠️  AI provider ${name} has no API key; it will not be used`);
+    return null;
+  }
+  if (!model || (name === 'local' && !baseURL)) {
+    console.warn(`⚠️  AI provider ${name} needs ${prefix}BASE_URL and ${prefix}MODEL; it will not be used`);
+    return null;
+  }
+
+  return new preset.Provider({ name, apiKey, baseURL, model, maxTokens: MAX_TOKENS, temperature: TEMPERATURE });
+}
+
+module.exports = new LLMClient(createProvider('AI_', 'openai'), createProvider('AI_FALLBACK_'));
@@ -0,0 +1,73 @@
+// Requests kept for tests to inspect; older ones are dropped so a
+// long-running dev server doesn't keep every conversation
+const MAX_RECORDED_REQUESTS = 100;
+
+/**
+ * Deterministic stand-in for a model, for tests and development without
+ * an API key (AI_PROVIDER=mock).
+ *
+ * Replies queued with script() are returned in order. Each one is an
+ * assistant message, an Error to throw (to exercise retries and
+ * failover), or an async function (messages, tools, { signal }) for
+ * anything else, such as a slow reply. With nothing queued it answers
+ * tool results with "Done." and anything else by echoing the guest's
+ * last message, never calling a tool. The last MAX_RECORDED_REQUESTS
+ * completions are kept in `requests`, oldest first.
+ */
+class MockProvider {
+  /**
+   * @param {Object} config - { name }
+   */
+  constructor({ name = 'mock' } = {}) {
+    this.name = name;
+    this.model = 'mock';
+    this.queue = [];
+    this.requests = [];
+  }
+
+  /**
+   * Queue replies for the next completions
+   * @param {Array} replies - Assistant messages, Errors or functions
+   */
+  script(replies) {
+    this.queue.push(...replies);
+  }
+
+  /**
+   * Forget queued replies and recorded requests
+   */
+  reset() {
+    this.queue = [];
+    this.requests = [];
+  }
+
+  /**
+   * @param {Array} messages - Conversation messages
+   * @param {Array} tools - Tool definitions the model may call
+   * @param {Object} options - { signal }
+   * @returns {Object} - Assistant message ({ content, tool_calls })
+   */
+  async complete(messages, tools, options = {}) {
+    this.requests.push({ messages, tools });
+    if (this.requests.length > MAX_RECORDED_REQUESTS) {
+      this.requests.shift();
+    }
+
+    if (this.queue.length > 0) {
+      const reply = this.queue.shift();
+      if (reply instanceof Error) {
+        throw reply;
+      }
+      return typeof reply === 'function' ? reply(messages, tools, options) : reply;
+    }
+
+    const last = messages[messages.length - 1];
+    if (last && last.role === 'tool') {
+      return { role: 'assistant', content: 'Done.' };
+    }
+    const guest = [...messages].reverse().find(message => message.role === 'user');
+    return { role: 'assistant', content: `You said: ${guest ? guest.content : ''}` };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,47 @@
+const OpenAI = require('openai');
+
+/**
+ * Chat completions from any OpenAI-compatible API: OpenAI itself, xAI,
+ * or a local server such as Ollama, vLLM or LM Studio.
+ *
+ * Retries and timeouts are left to the LLM client, so the SDK's own
+ * retries are turned off.
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.name - Provider name for logs
+   * @param {string} config.apiKey - API key
+   * @param {string|null} config.baseURL - API base URL; OpenAI's when null
+   * @param {string} config.model - Model name
+   * @param {number} config.maxTokens - Most tokens in a reply
+   * @param {number} config.temperature - Sampling temperature
+   */
+  constructor({ name, apiKey, baseURL = null, model, maxTokens, temperature }) {
+    this.name = name;
+    this.model = model;
+    this.maxTokens = maxTokens;
+    this.temperature = temperature;
+    this.client = new OpenAI({ apiKey, baseURL: baseURL || undefined, maxRetries: 0 });
+  }
+
+  /**
+   * @param {Array} messages - Conversation messages
+   * @param {Array} tools - Tool definitions the model may call
+   * @param {Object} options - { signal } to abort the request
+   * @returns {Object} - Assistant message ({ content, tool_calls })
+   */
+  async complete(messages, tools, { signal } = {}) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      tools,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature
+    }, { signal });
+
+    return completion.choices[0].message;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,176 @@
+const { transaction } = require('../config/database');
+const loginEventRepository = require('../repositories/loginEventRepository');
+const { TooManyRequestsError, ValidationError } = require('../utils/errors');
+const { toDbTimestamp, fromDbTimestamp } = require('../utils/dates');
+
+const MAX_FAILURES_PER_USERNAME = parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10);
+const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS || '60', 10);
+const MAX_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_MAX_LOCKOUT_SECONDS || '3600', 10);
+const MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_IP_MAX_FAILURES || '20', 10);
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES || '15', 10);
+const RETENTION_DAYS = parseInt(process.env.LOGIN_EVENT_RETENTION_DAYS || '90', 10);
+
+// Failures older than this no longer count towards a username lockout
+const USERNAME_WINDOW_HOURS = 24;
+
+// A login takes well under this. An attempt still pending after this long
+// was cut short (an error or restart mid-login) and no longer counts.
+const PENDING_TIMEOUT_SECONDS = 60;
+
+/**
+ * Throttles staff and guest logins and keeps the login audit trail.
+ *
+ * A username that fails MAX_FAILURES_PER_USERNAME times in a row is locked
+ * for LOCKOUT_SECONDS, doubling with every further failure up to
+ * MAX_LOCKOUT_SECONDS; a successful login resets it. Independently, an IP
+ * address that fails MAX_FAILURES_PER_IP times within IP_WINDOW_MINUTES is
+ * refused for any username, which slows down password spraying.
+ *
+ * Everything is derived from login_events, so limits survive restarts and
+ * are shared between instances. Checking the limits and recording the
+ * attempt happen in one transaction, and the attempt counts as a failure
+ * until its outcome is known (for up to PENDING_TIMEOUT_SECONDS), so
+ * parallel guesses can't all get past the check before the first one fails.
+ */
+class LoginAttemptService {
+  /**
+   * Refuse the attempt if the username or IP is locked out, otherwise
+   * record it as pending. Refusals are recorded but don't extend the
+   * lockout.
+   * @param {string} username - Username as typed
+   * @param {Object} client - { ipAddress, userAgent }
+   * @returns {number} - Attempt id for recordOutcome() or release()
+   * @throws {TooManyRequestsError} - With the number of seconds to wait
+   */
+  async assertAllowed(username, client = {}) {
+    const { wait, attemptId } = await transaction(async (tx) => {
+      await loginEventRepository.lockForCheck(tx);
+      const wait = await this.lockoutWait(username, client, tx);
+      const attemptId = await loginEventRepository.create({
+        username,
+        staffId: null,
+        ipAddress: client.ipAddress,
+        userAgent: client.userAgent,
+        success: false,
+        reason: wait > 0 ? 'locked_out' : 'pending'
+      }, tx);
+      return { wait, attemptId };
+    });
+
+    if (wait > 0) {
+      const retryAfter = Math.ceil(wait / 1000);
+      throw new TooManyRequestsError(
+        `Too many failed login attempts. Try again in ${describeWait(retryAfter)}.`,
+        retryAfter
+      );
+    }
+    return attemptId;
+  }
+
+  /**
+   * @param {string} username - Username as typed
+   * @param {Object} client - { ipAddress }
+   * @param {Object} db - Transaction executor
+   * @returns {number} - Milliseconds until the username and IP may try again (0 if they may now)
+   */
+  async lockoutWait(username, client, db) {
+    const now = Date.now();
+    const waits = [];
+    const pendingSince = toDbTimestamp(new Date(now - PENDING_TIMEOUT_SECONDS * 1000));
+
+    const { failures, last_failure: lastFailure } = await loginEventRepository.usernameFailures(
+      username,
+      toDbTimestamp(new Date(now - USERNAME_WINDOW_HOURS * 60 * 60 * 1000)),
+      pendingSince,
+      db
+    );
+    if (failures >= MAX_FAILURES_PER_USERNAME) {
+      const lockout = Math.min(
+        LOCKOUT_SECONDS * 2 ** (failures - MAX_FAILURES_PER_USERNAME),
+        MAX_LOCKOUT_SECONDS
+      );
+      waits.push(fromDbTimestamp(lastFailure).getTime() + lockout * 1000 - now);
+    }
+
+    if (client.ipAddress) {
+      const windowMs = IP_WINDOW_MINUTES * 60 * 1000;
+      const ip = await loginEventRepository.ipFailures(
+        client.ipAddress,
+        toDbTimestamp(new Date(now - windowMs)),
+        pendingSince,
+        db
+      );
+      if (ip.failures >= MAX_FAILURES_PER_IP) {
+        waits.push(fromDbTimestamp(ip.first_failure).getTime() + windowMs - now);
+      }
+    }
+
+    return Math.max(0, ...waits);
+  }
+
+  /**
+   * Record how an allowed attempt turned out
+   * @param {number} attemptId - From assertAllowed()
+   * @param {Object} outcome
+   * @param {number|null} outcome.staffId - Account that logged in
+   * @param {boolean} outcome.success - Whether the login succeeded
+   * @param {string|null} outcome.reason - Why it failed
+   */
+  async recordOutcome(attemptId, { staffId = null, success, reason = null }) {
+    await loginEventRepository.setOutcome(attemptId, { staffId, success, reason });
+
+    if (success) {
+      const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+      await loginEventRepository.deleteOlderThan(toDbTimestamp(cutoff));
+    }
+  }
+
+  /**
+   * Forget an allowed attempt that continues at another step, such as a
+   * right password waiting for its two-factor code
+   * @param {number} attemptId - From assertAllowed()
+   */
+  async release(attemptId) {
+    await loginEventRepository.delete(attemptId);
+  }
+
+  /**
+   * List recent finished login attempts for the admin view
+   * @param {Object} query
+   * @param {string} query.outcome - failed or success (default: both)
+   * @param {string} query.username - Only this username
+   * @param {string} query.ip - Only this IP
+   * @param {number|string} query.limit - Maximum rows (1-500, default 100)
+   * @returns {Array}
+   */
+  async listEvents({ outcome, username, ip, limit } = {}) {
+    if (outcome !== undefined && !['failed', 'success'].includes(outcome)) {
+      throw new ValidationError('outcome must be failed or success');
+    }
+    const max = limit === undefined ? 100 : parseInt(limit, 10);
+    if (isNaN(max) || max < 1 || max > 500) {
+      throw new ValidationError('limit must be between 1 and 500');
+    }
+
+    return loginEventRepository.list({
+      success: outcome === undefined ? undefined : outcome === 'success',
+      username,
+      ipAddress: ip,
+      limit: max
+    });
+  }
+}
+
+/**
+ * @param {number} seconds - Wait in seconds
+ * @returns {string} - "45 seconds", "3 minutes", ...
+ */
+function describeWait(seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+module.exports = new LoginAttemptService();
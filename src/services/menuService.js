@@ -0,0 +1,382 @@
+const EventEmitter = require('events');
+const { transaction } = require('../config/database');
+const menuRepository = require('../repositories/menuRepository');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const MAX_NAME_LENGTH = 255;
+const MAX_PREPARATION_TIME = 240;
+
+/**
+ * Menu administration for staff: categories, items, availability and
+ * display order.
+ *
+ * Deleting is always a soft delete, because order_items keep pointing at
+ * the menu item they were ordered from. Every change emits `changed`
+ * ({ entity, action, id }) so in-memory copies of the menu (such as the
+ * menu context AIService gives the model) can reload.
+ */
+class MenuService extends EventEmitter {
+  /**
+   * List all categories for the admin screen, including inactive ones
+   * @returns {Array}
+   */
+  async listCategories() {
+    return menuRepository.listCategoriesForAdmin();
+  }
+
+  /**
+   * List all items for the admin screen, including unavailable ones
+   * @returns {Array}
+   */
+  async listItems() {
+    return menuRepository.listItemsForAdmin();
+  }
+
+  /**
+   * Create a category
+   * @param {Object} input - name, description, isActive
+   * @returns {Object} - The new category
+   */
+  async createCategory(input) {
+    const fields = validateCategoryFields(input, { partial: false });
+
+    const id = await transaction(async (tx) => {
+      await this.assertCategoryNameFree(fields.name, null, tx);
+      return menuRepository.createCategory(fields, tx);
+    });
+
+    this.announce('category', 'created', id);
+    return menuRepository.findCategoryById(id);
+  }
+
+  /**
+   * Update a category
+   * @param {number} categoryId - Category ID
+   * @param {Object} input - Any of name, description, isActive
+   * @returns {Object} - The updated category
+   */
+  async updateCategory(categoryId, input) {
+    const fields = validateCategoryFields(input, { partial: true });
+
+    await transaction(async (tx) => {
+      if (fields.name !== undefined) {
+        await this.assertCategoryNameFree(fields.name, categoryId, tx);
+      }
+      const updated = await menuRepository.updateCategory(categoryId, fields, tx);
+      if (!updated) {
+        throw new NotFoundError('Category not found');
+      }
+    });
+
+    this.announce('category', 'updated', categoryId);
+    return menuRepository.findCategoryById(categoryId);
+  }
+
+  /**
+   * Soft-delete a category. It must be empty first.
+   * @param {number} categoryId - Category ID
+   * @throws {ConflictError} - If the category still has items
+   */
+  async deleteCategory(categoryId) {
+    await transaction(async (tx) => {
+      const category = await menuRepository.findCategoryById(categoryId, tx);
+      if (!category) {
+        throw new NotFoundError('Category not found');
+      }
+
+      const itemCount = await menuRepository.countItemsInCategory(category.id, tx);
+      if (itemCount > 0) {
+        throw new ConflictError('Move or delete the items in this category first', { itemCount });
+      }
+
+      await menuRepository.softDeleteCategory(category.id, tx);
+    });
+
+    this.announce('category', 'deleted', categoryId);
+  }
+
+  /**
+   * Put categories in the given display order
+   * @param {Array<number>} ids - Every category ID, in display order
+   */
+  async reorderCategories(ids) {
+    await transaction(async (tx) => {
+      const categories = await menuRepository.listCategoriesForAdmin(tx);
+      const order = assertSameIds(ids, categories.map(category => category.id), 'category');
+      await menuRepository.reorderCategories(order, tx);
+    });
+
+    this.announce('category', 'reordered', null);
+  }
+
+  /**
+   * Create a menu item
+   * @param {Object} input - categoryId, name, description, price, imageUrl, isAvailable, preparationTime
+   * @returns {Object} - The new item
+   */
+  async createItem(input) {
+    const fields = validateItemFields(input, { partial: false });
+
+    const id = await transaction(async (tx) => {
+      await this.assertCategoryExists(fields.categoryId, tx);
+      await this.assertItemNameFree(fields.name, null, tx);
+      return menuRepository.createItem(fields, tx);
+    });
+
+    this.announce('item', 'created', id);
+    return menuRepository.findItemById(id);
+  }
+
+  /**
+   * Update a menu item
+   * @param {number} itemId - Menu item ID
+   * @param {Object} input - Any of the fields accepted by createItem
+   * @returns {Object} - The updated item
+   */
+  async updateItem(itemId, input) {
+    const fields = validateItemFields(input, { partial: true });
+
+    await transaction(async (tx) => {
+      if (fields.categoryId !== undefined) {
+        await this.assertCategoryExists(fields.categoryId, tx);
+      }
+      if (fields.name !== undefined) {
+        await this.assertItemNameFree(fields.name, itemId, tx);
+      }
+      const updated = await menuRepository.updateItem(itemId, fields, tx);
+      if (!updated) {
+        throw new NotFoundError('Menu item not found');
+      }
+    });
+
+    this.announce('item', 'updated', itemId);
+    return menuRepository.findItemById(itemId);
+  }
+
+  /**
+   * Mark an item available or unavailable ("86" it)
+   * @param {number} itemId - Menu item ID
+   * @param {boolean} available - New availability
+   * @returns {Object} - The updated item
+   */
+  async setItemAvailability(itemId, available) {
+    if (typeof available !== 'boolean') {
+      throw new ValidationError('available must be true or false');
+    }
+    return this.updateItem(itemId, { isAvailable: available });
+  }
+
+  /**
+   * Soft-delete a menu item
+   * @param {number} itemId - Menu item ID
+   */
+  async deleteItem(itemId) {
+    const deleted = await menuRepository.softDeleteItem(itemId);
+    if (!deleted) {
+      throw new NotFoundError('Menu item not found');
+    }
+
+    this.announce('item', 'deleted', itemId);
+  }
+
+  /**
+   * Put a category's items in the given display order
+   * @param {number} categoryId - Category ID
+   * @param {Array<number>} ids - Every item ID in the category, in display order
+   */
+  async reorderItems(categoryId, ids) {
+    await transaction(async (tx) => {
+      const category = await menuRepository.findCategoryById(categoryId, tx);
+      if (!category) {
+        throw new NotFoundError('Category not found');
+      }
+      const items = (await menuRepository.listItemsForAdmin(tx))
+        .filter(item => item.category_id === category.id);
+      const order = assertSameIds(ids, items.map(item => item.id), 'item');
+      await menuRepository.reorderItems(category.id, order, tx);
+    });
+
+    this.announce('item', 'reordered', null);
+  }
+
+  /**
+   * @param {number} categoryId - Category ID
+   * @param {Object} tx - Transaction executor
+   * @throws {ValidationError} - If the category doesn't exist
+   */
+  async assertCategoryExists(categoryId, tx) {
+    const category = await menuRepository.findCategoryById(categoryId, tx);
+    if (!category) {
+      throw new ValidationError('Category does not exist');
+    }
+  }
+
+  /**
+   * @param {string} name - Proposed category name
+   * @param {number|null} categoryId - Category being renamed, if any
+   * @param {Object} tx - Transaction executor
+   * @throws {ConflictError} - If another category already has the name
+   */
+  async assertCategoryNameFree(name, categoryId, tx) {
+    const existing = await menuRepository.findCategoryByName(name, tx);
+    if (existing && existing.id !== Number(categoryId)) {
+      throw new ConflictError(`A category named "${existing.name}" already exists`);
+    }
+  }
+
+  /**
+   * Item names must be unique because guests order by name over the phone
+   * @param {string} name - Proposed item name
+   * @param {number|null} itemId - Item being renamed, if any
+   * @param {Object} tx - Transaction executor
+   * @throws {ConflictError} - If another item already has the name
+   */
+  async assertItemNameFree(name, itemId, tx) {
+    const existing = await menuRepository.findItemByName(name, tx);
+    if (existing && existing.id !== Number(itemId)) {
+      throw new ConflictError(`A menu item named "${existing.name}" already exists`);
+    }
+  }
+
+  /**
+   * Tell listeners the menu changed
+   * @param {string} entity - category or item
+   * @param {string} action - created, updated, deleted or reordered
+   * @param {number|null} id - Affected row, if a single one
+   */
+  announce(entity, action, id) {
+    this.emit('changed', { entity, action, id: id === null ? null : Number(id) });
+  }
+}
+
+/**
+ * Validate and normalize category input
+ * @param {Object} input - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Allow missing fields (for updates)
+ * @returns {Object} - name, description, isActive (undefined when not given)
+ */
+function validateCategoryFields(input = {}, { partial }) {
+  const fields = {
+    name: optionalName(input.name, 'Category name', partial),
+    description: optionalText(input.description),
+    isActive: optionalBoolean(input.isActive, 'isActive')
+  };
+
+  if (partial && Object.values(fields).every(value => value === undefined)) {
+    throw new ValidationError('Nothing to update');
+  }
+  return fields;
+}
+
+/**
+ * Validate and normalize menu item input
+ * @param {Object} input - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Allow missing fields (for updates)
+ * @returns {Object} - Fields for menuRepository.createItem/updateItem
+ */
+function validateItemFields(input = {}, { partial }) {
+  const fields = {
+    categoryId: undefined,
+    name: optionalName(input.name, 'Item name', partial),
+    description: optionalText(input.description),
+    price: undefined,
+    imageUrl: optionalText(input.imageUrl),
+    isAvailable: optionalBoolean(input.isAvailable, 'isAvailable'),
+    preparationTime: undefined
+  };
+
+  if (input.categoryId !== undefined || !partial) {
+    fields.categoryId = Number(input.categoryId);
+    if (!Number.isInteger(fields.categoryId)) {
+      throw new ValidationError('Category is required');
+    }
+  }
+
+  if (input.price !== undefined || !partial) {
+    const price = Number(input.price);
+    if (input.price === null || input.price === '' || !Number.isFinite(price) || price < 0) {
+      throw new ValidationError('Price must be a number of zero or more');
+    }
+    if (Math.abs(Math.round(price * 100) - price * 100) > 1e-6) {
+      throw new ValidationError('Price can have at most two decimal places');
+    }
+    fields.price = Math.round(price * 100) / 100;
+  }
+
+  if (input.preparationTime !== undefined) {
+    const minutes = Number(input.preparationTime);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_PREPARATION_TIME) {
+      throw new ValidationError(`Preparation time must be a whole number of minutes between 1 and ${MAX_PREPARATION_TIME}`);
+    }
+    fields.preparationTime = minutes;
+  }
+
+  if (partial && Object.values(fields).every(value => value === undefined)) {
+    throw new ValidationError('Nothing to update');
+  }
+  return fields;
+}
+
+/**
+ * Trim a required name; on partial updates it may be left out
+ */
+function optionalName(value, label, partial) {
+  if (value === undefined && partial) return undefined;
+
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name) {
+    throw new ValidationError(`${label} is required`);
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new ValidationError(`${label} must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return name;
+}
+
+/**
+ * Trim optional text, storing blanks as NULL
+ */
+function optionalText(value) {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  return String(value).trim() || null;
+}
+
+/**
+ * Accept only real booleans so "false" strings aren't read as true
+ */
+function optionalBoolean(value, label) {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'boolean') {
+    throw new ValidationError(`${label} must be true or false`);
+  }
+  return value;
+}
+
+/**
+ * Check that a reorder request lists exactly the existing rows
+ * @param {Array} ids - Requested order
+ * @param {Array<number>} existingIds - IDs that must all appear once
+ * @param {string} label - category or item, for the error message
+ * @returns {Array<number>} - The requested IDs as numbers
+ */
+function assertSameIds(ids, existingIds, label) {
+  if (!Array.isArray(ids)) {
+    throw new ValidationError('ids must be an array');
+  }
+
+  const requested = ids.map(Number);
+  const expected = new Set(existingIds);
+  const valid = requested.length === expected.size &&
+    new Set(requested).size === requested.length &&
+    requested.every(id => expected.has(id));
+
+  if (!valid) {
+    throw new ValidationError(`ids must list every ${label} exactly once`, { expected: existingIds });
+  }
+  return requested;
+}
+
+module.exports = new MenuService();
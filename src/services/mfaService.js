@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { transaction } = require('../config/database');
+const { requiresMfa } = require('../config/permissions');
+const staffRepository = require('../repositories/staffRepository');
+const recoveryCodeRepository = require('../repositories/recoveryCodeRepository');
+const authService = require('./authService');
+const totp = require('../utils/totp');
+const secretBox = require('../utils/secretBox');
+const { ValidationError, NotFoundError, ConflictError, UnauthorizedError } = require('../utils/errors');
+
+const ISSUER = process.env.HOTEL_NAME || 'Hotel Room Service';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * TOTP two-factor authentication for staff.
+ *
+ * Enrollment is two steps: setup stores a new secret and returns it (as
+ * an otpauth:// URL for the QR code), then enable confirms the first code
+ * from the app and hands out single-use recovery codes. Until then the
+ * account logs in with its password alone.
+ *
+ * Roles listed in MFA_REQUIRED_ROLES (config/permissions.js) can log in
+ * without it, but every permission-checked route refuses them until they
+ * enroll.
+ */
+class MfaService {
+  /**
+   * Two-factor status for the settings screen
+   * @param {number} staffId - Staff ID
+   * @returns {Object} - { enabled, required, recoveryCodesRemaining }
+   */
+  async getStatus(staffId) {
+    const staff = await this.findStaff(staffId);
+    return {
+      enabled: !!staff.totp_enabled,
+      required: requiresMfa(staff.role),
+      recoveryCodesRemaining: staff.totp_enabled ? await recoveryCodeRepository.countUnused(staffId) : 0
+    };
+  }
+
+  /**
+   * Start enrollment: generate and store a new secret
+   * @param {number} staffId - Staff ID
+   * @returns {Object} - { secret, otpauthUrl }
+   * @throws {ConflictError} - If two-factor login is already on
+   */
+  async beginEnrollment(staffId) {
+    const staff = await this.findStaff(staffId);
+    if (staff.totp_enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    await staffRepository.setTotpSecret(staffId, secretBox.seal(secret));
+
+    return {
+      secret,
+      otpauthUrl: totp.otpauthUrl({ secret, account: staff.username, issuer: ISSUER })
+    };
+  }
+
+  /**
+   * Finish enrollment with the first code from the authenticator app
+   * @param {number} staffId - Staff ID
+   * @param {string} code - 6-digit code
+   * @returns {Object} - { recoveryCodes } (shown once)
+   */
+  async completeEnrollment(staffId, code) {
+    const staff = await this.findStaff(staffId);
+    if (staff.totp_enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+    if (!staff.totp_secret) {
+      throw new ConflictError('Start two-factor setup first');
+    }
+
+    const step = totp.verifyCode(secretBox.open(staff.totp_secret), code);
+    if (step === null) {
+      throw new ValidationError('That code is not valid. Check the time on your device and try again.');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await transaction(async (tx) => {
+      await staffRepository.enableTotp(staffId, step, tx);
+      await recoveryCodeRepository.replaceAll(staffId, recoveryCodes.map(hashCode), tx);
+      await staffRepository.addAuditEntry({ staffId, actorId: staffId, action: 'mfa_enabled' }, tx);
+    });
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Turn two-factor login off. Needs the password and a current code (or
+   * a recovery code). Roles that require it will have to enroll again
+   * before they can do anything else.
+   * @param {number} staffId - Staff ID
+   * @param {Object} proof - { password, code, recoveryCode }
+   */
+  async disable(staffId, { password, code, recoveryCode } = {}) {
+    const staff = await this.findStaff(staffId);
+    if (!staff.totp_enabled) {
+      throw new ConflictError('Two-factor authentication is not enabled');
+    }
+    if (!password || !await bcrypt.compare(String(password), staff.password_hash)) {
+      throw new UnauthorizedError('Password is incorrect', 'INVALID_PASSWORD');
+    }
+    if (!await this.verifySecondFactor(staff, { code, recoveryCode })) {
+      throw new UnauthorizedError('Invalid authentication code', 'INVALID_MFA_CODE');
+    }
+
+    await transaction(async (tx) => {
+      await staffRepository.disableTotp(staffId, tx);
+      await recoveryCodeRepository.deleteAll(staffId, tx);
+      await staffRepository.addAuditEntry({ staffId, actorId: staffId, action: 'mfa_disabled' }, tx);
+    });
+  }
+
+  /**
+   * Replace the recovery codes, invalidating the old ones
+   * @param {number} staffId - Staff ID
+   * @param {string} code - Current TOTP code
+   * @returns {Object} - { recoveryCodes } (shown once)
+   */
+  async regenerateRecoveryCodes(staffId, code) {
+    const staff = await this.findStaff(staffId);
+    if (!staff.totp_enabled) {
+      throw new ConflictError('Two-factor authentication is not enabled');
+    }
+    if (!await this.verifySecondFactor(staff, { code })) {
+      throw new UnauthorizedError('Invalid authentication code', 'INVALID_MFA_CODE');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await transaction(async (tx) => {
+      await recoveryCodeRepository.replaceAll(staffId, recoveryCodes.map(hashCode), tx);
+      await staffRepository.addAuditEntry({ staffId, actorId: staffId, action: 'mfa_recovery_codes_regenerated' }, tx);
+    });
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Remove another staff member's second factor (lost phone, no recovery
+   * codes) and log them out everywhere
+   * @param {number} staffId - Staff ID
+   * @param {number} actorId - Admin making the change
+   */
+  async reset(staffId, actorId) {
+    if (Number(staffId) === Number(actorId)) {
+      throw new ConflictError('Use your own two-factor settings to change your second factor');
+    }
+
+    await transaction(async (tx) => {
+      await this.findStaff(staffId, tx);
+      await staffRepository.disableTotp(staffId, tx);
+      await recoveryCodeRepository.deleteAll(staffId, tx);
+      await staffRepository.addAuditEntry({ staffId, actorId, action: 'mfa_reset' }, tx);
+    });
+
+    await authService.logoutAll(staffId);
+  }
+
+  /**
+   * Check a TOTP code or recovery code. Each TOTP code and each recovery
+   * code works only once.
+   * @param {Object} staff - Staff row with two-factor login enabled
+   * @param {Object} proof - { code, recoveryCode }
+   * @returns {boolean}
+   */
+  async verifySecondFactor(staff, { code, recoveryCode } = {}) {
+    if (recoveryCode) {
+      return recoveryCodeRepository.consume(staff.id, hashCode(recoveryCode));
+    }
+
+    const step = totp.verifyCode(secretBox.open(staff.totp_secret), code);
+    return step !== null && staffRepository.claimTotpStep(staff.id, step);
+  }
+
+  /**
+   * @param {number} staffId - Staff ID
+   * @param {Object} tx - Optional transaction executor
+   * @returns {Object} - Full staff row
+   * @throws {NotFoundError}
+   */
+  async findStaff(staffId, tx) {
+    const staff = await staffRepository.findById(staffId, tx);
+    if (!staff) {
+      throw new NotFoundError('Staff member not found');
+    }
+    return staff;
+  }
+}
+
+/**
+ * @returns {Array<string>} - Codes like "3f9a-c21e-77b0"
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+  );
+}
+
+/**
+ * Recovery codes are random enough that a plain SHA-256 is sufficient
+ * @param {string} code - Recovery code as typed (dashes and case ignored)
+ * @returns {string} - Hex digest
+ */
+function hashCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = new MfaService();
@@ -1,5 +1,8 @@
 const twilio = require('twilio');
-const { db } = require('../config/database');
+const orderRepository = require('../repositories/orderRepository');
+const notificationRepository = require('../repositories/notificationRepository');
+const orderService = require('./orderService');
+const escalationService = require('./escalationService');
 
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
@@ -13,6 +16,15 @@ const client = twilio(accountSid, authToken);
 class NotificationService {
   constructor() {
     this.notificationHistory = new Map(); // Cache for notification history
+
+    // Alert staff once an order has been committed, and the guest on
+    // every recorded status change
+    orderService.on('orderCreated', (order) => this.sendNewOrderAlert(order.id));
+    orderService.on('statusChanged', ({ transition }) =>
+      this.sendOrderStatusNotification(transition.orderId, transition.toStatus, { reason: transition.reason }));
+
+    // Tell the front desk when a guest is waiting for a call back
+    escalationService.on('callbackRequested', (task) => this.sendCallbackAlert(task));
   }
 
   /**
@@ -80,6 +92,25 @@ class NotificationService {
     }
   }
 
+  /**
+   * Alert staff to a guest waiting for a call back
+   * @param {Object} task - Callback task
+   */
+  async sendCallbackAlert(task) {
+    try {
+      const phone = process.env.FRONT_DESK_ALERT_PHONE || process.env.STAFF_ALERT_PHONE;
+      if (!phone) return;
+
+      const guest = task.room_number ? `room ${task.room_number}${task.guest_name ? ` (${task.guest_name})` : ''}` : task.phone_number;
+      const message = `📞 Callback needed for ${guest} via ${task.channel}: ${task.reason.replace(/_/g, ' ')}. Call ${task.phone_number || 'the room'}.`;
+      await this.sendSMS(phone, message);
+      console.log(`Callback alert sent for task ${task.id}`);
+
+    } catch (error) {
+      console.error('Error sending callback alert:', error);
+    }
+  }
+
   /**
    * Send delivery reminder
    * @param {number} orderId - Order ID
@@ -147,10 +178,10 @@ class NotificationService {
         break;
 
       case 'delivered':
-        // Send completion confirmation
+        // Send completion confirmation; a pending one doesn't keep the process alive
         setTimeout(() => {
           this.sendOrderCompletionConfirmation(orderId);
-        }, 5 * 60 * 1000); // 5 minutes after delivery
+        }, 5 * 60 * 1000).unref(); // 5 minutes after delivery
         break;
 
       case 'cancelled':
@@ -183,8 +214,10 @@ class NotificationService {
       'confirmed': `✅ Order #${orderId} confirmed! Estimated preparation time: ${options.estimatedTime || '30 minutes'}.`,
       'preparing': `👨‍🍳 Order #${orderId} is being prepared. We'll notify you when ready.`,
       'ready': `🚚 Order #${orderId} is ready for delivery! Our staff will bring it to your room shortly.`,
+      'out_for_delivery': `🚚 Order #${orderId} is on its way to your room.`,
       'delivered': `✅ Order #${orderId} has been delivered. Enjoy your meal!`,
-      'cancelled': `❌ Order #${orderId} has been cancelled. Please contact us if you have questions.`
+      'cancelled': `❌ Order #${orderId} has been cancelled.${options.reason ? ` Reason: ${options.reason}.` : ''} Please contact us if you have questions.`,
+      'refunded': `💳 Order #${orderId} has been refunded. The charge will be removed from your room bill.`
     };
 
     return messages[status] || `📋 Order #${orderId} status: ${status}`;
@@ -222,19 +255,7 @@ class NotificationService {
    * @returns {Object|null} - Order details or null
    */
   async getOrderDetails(orderId) {
-    return new Promise((resolve, reject) => {
-      db.get(`
-        SELECT
-          o.id, o.total_amount, o.status,
-          r.room_number, r.guest_name, r.phone_number as room_phone
-        FROM orders o
-        JOIN rooms r ON o.room_id = r.id
-        WHERE o.id = ?
-      `, [orderId], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    return orderRepository.findWithRoom(orderId);
   }
 
   /**
@@ -246,15 +267,7 @@ class NotificationService {
    * @param {string} recipient - Recipient contact info
    */
   async logNotification(orderId, type, status, message, recipient) {
-    return new Promise((resolve, reject) => {
-      db.run(`
-        INSERT INTO notifications (order_id, type, status, message, recipient, sent_at)
-        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      `, [orderId, type, status, message, recipient], function(err) {
-        if (err) reject(err);
-        else resolve(this.lastID);
-      });
-    });
+    return notificationRepository.create({ orderId, type, status, message, recipient });
   }
 
   /**
@@ -263,16 +276,7 @@ class NotificationService {
    * @returns {Array} - Notification history
    */
   async getNotificationHistory(orderId) {
-    return new Promise((resolve, reject) => {
-      db.all(`
-        SELECT * FROM notifications
-        WHERE order_id = ?
-        ORDER BY sent_at DESC
-      `, [orderId], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    return notificationRepository.listByOrder(orderId);
   }
 
   /**
@@ -0,0 +1,46 @@
+/**
+ * Order lifecycle:
+ *
+ *   pending → confirmed → preparing → ready → out_for_delivery → delivered
+ *
+ * Orders can be cancelled until they leave the kitchen, and a delivered
+ * order can be refunded. Cancelled and refunded are terminal.
+ */
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['preparing', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['out_for_delivery', 'cancelled'],
+  out_for_delivery: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+/**
+ * Statuses an order can move to from its current status
+ * @param {string} status - Current status
+ * @returns {Array<string>}
+ */
+function allowedTransitions(status) {
+  return ORDER_TRANSITIONS[status] || [];
+}
+
+/**
+ * Whether an order may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return allowedTransitions(from).includes(to);
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  allowedTransitions,
+  canTransition
+};
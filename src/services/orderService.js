@@ -0,0 +1,384 @@
+const EventEmitter = require('events');
+const { transaction } = require('../config/database');
+const menuRepository = require('../repositories/menuRepository');
+const notificationRepository = require('../repositories/notificationRepository');
+const orderRepository = require('../repositories/orderRepository');
+const roomRepository = require('../repositories/roomRepository');
+const staffRepository = require('../repositories/staffRepository');
+const stayRepository = require('../repositories/stayRepository');
+const { ORDER_STATUSES, allowedTransitions, canTransition } = require('./orderLifecycle');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { parseDateParam } = require('../utils/dates');
+
+const ORDER_CHANNELS = ['api', 'voice', 'sms'];
+const MAX_ITEM_QUANTITY = parseInt(process.env.MAX_ITEM_QUANTITY || '10', 10);
+const MAX_ORDER_LINES = parseInt(process.env.MAX_ORDER_LINES || '25', 10);
+const LIST_SORT_FIELDS = ['created_at', 'updated_at', 'total_amount'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Creates orders for every channel (REST API, voice, SMS).
+ *
+ * Orders can only be placed for rooms with a guest checked in, and are
+ * linked to that guest's stay.
+ *
+ * Prices always come from menu_items: any price sent by the client or
+ * extracted by the AI is ignored. The order and all of its items are
+ * written in one transaction, and the `orderCreated` event is emitted
+ * with the stored order only after it commits, so listeners never see a
+ * half-written order.
+ *
+ * Status changes follow the lifecycle in orderLifecycle.js. Each one is
+ * recorded in order_status_history and announced with a `statusChanged`
+ * event after commit.
+ */
+class OrderService extends EventEmitter {
+  /**
+   * Create an order with its items
+   * @param {Object} request
+   * @param {number} request.roomId - Room ID (or give roomNumber)
+   * @param {string} request.roomNumber - Room number (or give roomId)
+   * @param {Array} request.items - Items with id/menuItemId and quantity
+   * @param {string} request.specialInstructions - Order-level instructions
+   * @param {string} request.channel - api, voice or sms
+   * @returns {Object} - The stored order with its items
+   */
+  async createOrder({ roomId, roomNumber, items, specialInstructions = '', channel = 'api' }) {
+    if (!roomId && !roomNumber) {
+      throw new ValidationError('Room ID or room number is required');
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('At least one item is required');
+    }
+    if (items.length > MAX_ORDER_LINES) {
+      throw new ValidationError(`An order can have at most ${MAX_ORDER_LINES} lines`);
+    }
+    if (!ORDER_CHANNELS.includes(channel)) {
+      throw new ValidationError(`Invalid channel. Must be one of: ${ORDER_CHANNELS.join(', ')}`);
+    }
+
+    const requestedLines = items.map(item => ({
+      menuItemId: Number(item.menuItemId || item.id),
+      quantity: Number(item.quantity),
+      specialInstructions: item.specialInstructions
+    }));
+
+    const orderId = await transaction(async (tx) => {
+      const room = roomId
+        ? await roomRepository.findById(roomId, tx)
+        : await roomRepository.findByNumber(roomNumber, tx);
+      if (!room) {
+        throw new NotFoundError('Room not found');
+      }
+
+      const stay = await stayRepository.findOpenByRoom(room.id, tx);
+      if (!stay) {
+        throw new ConflictError(`Room ${room.room_number} has no guest checked in`, { reason: 'room_vacant' });
+      }
+
+      const lines = await this.priceLines(requestedLines, tx);
+      const subtotal = Math.round(lines.reduce((sum, line) => sum + line.lineTotal * 100, 0)) / 100;
+
+      const newOrderId = await orderRepository.create({
+        roomId: room.id,
+        stayId: stay.id,
+        subtotal,
+        totalAmount: subtotal,
+        specialInstructions,
+        channel
+      }, tx);
+
+      for (const line of lines) {
+        await orderRepository.addItem(newOrderId, line, tx);
+      }
+
+      await orderRepository.recordStatusChange({
+        orderId: newOrderId,
+        fromStatus: null,
+        toStatus: 'pending',
+        source: channel
+      }, tx);
+
+      return newOrderId;
+    });
+
+    const order = await orderRepository.findOrderWithItems(orderId);
+    this.emit('orderCreated', order);
+
+    return order;
+  }
+
+  /**
+   * Move an order to a new status
+   * @param {number} orderId - Order ID
+   * @param {string} status - Requested status
+   * @param {Object} options
+   * @param {number} options.changedBy - Staff ID making the change
+   * @param {string} options.source - staff, guest or system
+   * @param {string} options.reason - Why (e.g. cancellation reason)
+   * @returns {Object} - { order, transition }
+   * @throws {ConflictError} - If the lifecycle doesn't allow the change
+   */
+  async updateStatus(orderId, status, { changedBy = null, source = 'staff', reason = null } = {}) {
+    if (!ORDER_STATUSES.includes(status)) {
+      throw new ValidationError(`Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`);
+    }
+
+    const transition = await transaction(async (tx) => {
+      const order = await orderRepository.findById(orderId, tx);
+      if (!order) {
+        throw new NotFoundError('Order not found');
+      }
+
+      if (!canTransition(order.status, status)) {
+        throw new ConflictError(`Cannot change order from ${order.status} to ${status}`, {
+          currentStatus: order.status,
+          requestedStatus: status,
+          allowedStatuses: allowedTransitions(order.status)
+        });
+      }
+
+      const updated = await orderRepository.updateStatus(order.id, status, order.status, tx);
+      if (!updated) {
+        throw new ConflictError('Order was updated by someone else, please reload');
+      }
+
+      const historyId = await orderRepository.recordStatusChange({
+        orderId: order.id,
+        fromStatus: order.status,
+        toStatus: status,
+        changedBy,
+        source,
+        reason
+      }, tx);
+
+      return { id: historyId, orderId: order.id, fromStatus: order.status, toStatus: status, changedBy, source, reason };
+    });
+
+    const order = await orderRepository.findOrderWithItems(transition.orderId);
+    this.emit('statusChanged', { order, transition });
+
+    return { order, transition };
+  }
+
+  /**
+   * List orders for the staff dashboard
+   * @param {Object} query - Query string parameters
+   * @param {string} query.status - Comma-separated statuses
+   * @param {string} query.room - Room number
+   * @param {string} query.channel - api, voice or sms
+   * @param {string} query.assignedTo - Staff ID
+   * @param {string} query.from - Created on/after this date or time
+   * @param {string} query.to - Created before this time (a bare date includes the whole day)
+   * @param {string} query.q - Search text for special instructions
+   * @param {string} query.sort - created_at, updated_at or total_amount
+   * @param {string} query.order - asc or desc
+   * @param {string} query.limit - Page size (max 100)
+   * @param {string} query.cursor - nextCursor from the previous page
+   * @returns {Object} - { orders, nextCursor }
+   */
+  async listOrders(query = {}) {
+    const sort = query.sort || 'created_at';
+    if (!LIST_SORT_FIELDS.includes(sort)) {
+      throw new ValidationError(`Invalid sort. Must be one of: ${LIST_SORT_FIELDS.join(', ')}`);
+    }
+
+    const direction = (query.order || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(direction)) {
+      throw new ValidationError('Invalid order. Must be asc or desc');
+    }
+
+    const limit = query.limit ? parseInt(query.limit, 10) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new ValidationError(`Limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const statuses = query.status ? String(query.status).split(',').map(st => st.trim()) : [];
+    const unknown = statuses.filter(st => !ORDER_STATUSES.includes(st));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown status: ${unknown.join(', ')}`);
+    }
+
+    if (query.channel && !ORDER_CHANNELS.includes(query.channel)) {
+      throw new ValidationError(`Invalid channel. Must be one of: ${ORDER_CHANNELS.join(', ')}`);
+    }
+
+    const filter = {
+      roomNumber: query.room,
+      statuses,
+      channel: query.channel,
+      assignedStaffId: query.assignedTo ? parseInt(query.assignedTo, 10) : null,
+      from: query.from ? parseDateParam(query.from, 'from') : null,
+      to: query.to ? parseDateParam(query.to, 'to', { endOfDay: true }) : null,
+      search: query.q ? String(query.q).trim() : null
+    };
+
+    const page = { sort, direction, limit, after: query.cursor ? decodeCursor(query.cursor) : null };
+    const { orders, hasMore, last } = await orderRepository.listOrders(filter, page);
+
+    return {
+      orders,
+      nextCursor: hasMore && last ? encodeCursor(last) : null
+    };
+  }
+
+  /**
+   * Get everything staff need to see about one order
+   * @param {number} orderId - Order ID
+   * @returns {Object} - Order with items, room, guest, status and notification history
+   */
+  async getOrderDetails(orderId) {
+    const order = await orderRepository.findOrderWithItems(orderId);
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    const [statusHistory, notifications] = await Promise.all([
+      orderRepository.listStatusHistory(order.id),
+      notificationRepository.listByOrder(order.id)
+    ]);
+
+    return {
+      ...order,
+      allowed_transitions: allowedTransitions(order.status),
+      status_history: statusHistory,
+      notifications
+    };
+  }
+
+  /**
+   * List the orders placed during one guest stay, newest first
+   * @param {number} stayId - Stay ID
+   * @returns {Array} - Orders with items
+   */
+  async listGuestOrders(stayId) {
+    const { orders } = await orderRepository.listOrders({ stayId }, { limit: MAX_PAGE_SIZE });
+    return orders;
+  }
+
+  /**
+   * Get an order for a guest, hiding orders from other stays
+   * @param {number} orderId - Order ID
+   * @param {number} stayId - The guest's stay
+   * @returns {Object} - Order with items
+   * @throws {NotFoundError} - If the order doesn't exist or isn't theirs
+   */
+  async getGuestOrder(orderId, stayId) {
+    const order = await orderRepository.findOrderWithItems(orderId);
+    if (!order || order.stay_id !== stayId) {
+      throw new NotFoundError('Order not found');
+    }
+    return order;
+  }
+
+  /**
+   * Assign an order to a staff member
+   * @param {number} orderId - Order ID
+   * @param {number|null} staffId - Staff ID, or null to unassign
+   * @throws {ValidationError|NotFoundError}
+   */
+  async assignOrder(orderId, staffId) {
+    let assigneeId = null;
+    if (staffId !== undefined && staffId !== null && staffId !== '') {
+      assigneeId = Number(staffId);
+      if (!Number.isInteger(assigneeId) || assigneeId < 1) {
+        throw new ValidationError('Invalid staffId');
+      }
+      const staff = await staffRepository.findById(assigneeId);
+      if (!staff) {
+        throw new NotFoundError('Staff member not found');
+      }
+      if (!staff.is_active) {
+        throw new ValidationError('Orders cannot be assigned to a deactivated staff member');
+      }
+    }
+
+    const assigned = await orderRepository.assign(orderId, assigneeId);
+    if (!assigned) {
+      throw new NotFoundError('Order not found');
+    }
+  }
+
+  /**
+   * Validate requested lines against the menu and attach authoritative prices
+   * @param {Array} requestedLines - Lines with menuItemId and quantity
+   * @param {Object} tx - Transaction executor
+   * @returns {Array} - Lines with unitPrice and lineTotal
+   * @throws {ValidationError} - Listing every line that cannot be ordered
+   */
+  async priceLines(requestedLines, tx) {
+    const ids = [...new Set(requestedLines
+      .map(line => line.menuItemId)
+      .filter(id => Number.isInteger(id)))];
+    const menuItems = new Map(
+      (await menuRepository.findItemsByIds(ids, tx)).map(item => [item.id, item])
+    );
+
+    const problems = [];
+    const lines = requestedLines.map((line, index) => {
+      const menuItem = menuItems.get(line.menuItemId);
+      let reason = null;
+
+      if (!Number.isInteger(line.menuItemId)) {
+        reason = 'Menu item ID is required';
+      } else if (!menuItem) {
+        reason = 'Menu item does not exist';
+      } else if (menuItem.deleted_at) {
+        reason = `${menuItem.name} is no longer on the menu`;
+      } else if (!menuItem.is_available || !menuItem.category_active) {
+        reason = `${menuItem.name} is currently unavailable`;
+      } else if (!Number.isInteger(line.quantity) || line.quantity < 1 || line.quantity > MAX_ITEM_QUANTITY) {
+        reason = `Quantity must be a whole number between 1 and ${MAX_ITEM_QUANTITY}`;
+      }
+
+      if (reason) {
+        problems.push({ line: index, menuItemId: line.menuItemId || null, reason });
+        return null;
+      }
+
+      // Work in cents so totals don't pick up floating point noise
+      const unitCents = Math.round(menuItem.price * 100);
+      return {
+        ...line,
+        name: menuItem.name,
+        unitPrice: unitCents / 100,
+        lineTotal: (unitCents * line.quantity) / 100
+      };
+    });
+
+    if (problems.length > 0) {
+      throw new ValidationError('Some items cannot be ordered', { lines: problems });
+    }
+
+    return lines;
+  }
+}
+
+/**
+ * Encode the position of the last row on a page as an opaque cursor
+ * @param {Array} position - [sortValue, id], the sort value as text from the database
+ * @returns {string}
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Array} - [sortValue, id]
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(position) && position.length === 2 && Number.isInteger(position[1])) {
+      return position;
+    }
+  } catch (error) {
+    // Fall through to the validation error below
+  }
+  throw new ValidationError('Invalid cursor');
+}
+
+module.exports = new OrderService();
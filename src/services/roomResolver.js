@@ -0,0 +1,259 @@
+const { isUniqueViolation } = require('../config/database');
+const roomRepository = require('../repositories/roomRepository');
+const roomPhoneMappingRepository = require('../repositories/roomPhoneMappingRepository');
+const stayRepository = require('../repositories/stayRepository');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const MAPPING_KINDS = ['caller_id', 'did', 'extension'];
+const DEFAULT_STRATEGIES = 'mapping,stay_phone,sip_extension';
+const EXTENSION_PATTERN = new RegExp(process.env.ROOM_EXTENSION_PATTERN || '^(\\d{3,5})$');
+const CALLER_ID_PREFIX = process.env.ROOM_CALLER_ID_PREFIX || '';
+const LAST_DIGITS = parseInt(process.env.ROOM_LAST_DIGITS || '4', 10);
+
+/**
+ * Ways of getting from a call or text to a room number. Each takes the
+ * Twilio From/To values and returns a candidate room number, or null.
+ */
+const STRATEGIES = {
+  // Explicit caller ID, extension or dialled-number mappings (room_phone_mappings)
+  async mapping({ from, to }) {
+    const lookups = [
+      ['caller_id', normalizeNumber(from)],
+      ['extension', sipUser(from)],
+      ['did', normalizeNumber(to)]
+    ];
+    for (const [kind, value] of lookups) {
+      if (!value) continue;
+      const mapping = await roomPhoneMappingRepository.find(kind, value);
+      if (mapping) return mapping.room_number;
+    }
+    return null;
+  },
+
+  // The guest's own phone, as recorded at check-in (mainly for SMS)
+  async stay_phone({ from }) {
+    if (!normalizeNumber(from)) return null;
+    const stays = await stayRepository.listOpenWithPhone();
+    const stay = stays.find(candidate => sameNumber(candidate.phone_number, from));
+    return stay ? stay.room_number : null;
+  },
+
+  // SIP trunk from the PBX: the extension in sip:1204@pbx... is the room,
+  // as picked out by ROOM_EXTENSION_PATTERN
+  async sip_extension({ from }) {
+    const extension = sipUser(from);
+    const match = extension && EXTENSION_PATTERN.exec(extension);
+    return match ? (match[1] || match[0]) : null;
+  },
+
+  // Legacy: the last ROOM_LAST_DIGITS digits of caller IDs that start with
+  // ROOM_CALLER_ID_PREFIX (the hotel's own number block)
+  async last_digits({ from }) {
+    const number = normalizeNumber(from);
+    if (!number || !number.startsWith(normalizeNumber(CALLER_ID_PREFIX) || '')) return null;
+    const digits = number.replace(/\D/g, '');
+    return digits.length > LAST_DIGITS ? digits.slice(-LAST_DIGITS) : null;
+  }
+};
+
+/**
+ * Works out which room a guest is calling or texting from.
+ *
+ * The strategies listed in ROOM_RESOLUTION_STRATEGIES (comma-separated)
+ * are tried in order, and a candidate only counts if the room exists and
+ * has a guest checked in, so an outside number that happens to look like
+ * a room is never taken for one. When nothing matches, voice callers
+ * enter their room number on the keypad and confirm the guest's last
+ * name instead.
+ */
+class RoomResolver {
+  constructor() {
+    this.strategies = parseStrategies(process.env.ROOM_RESOLUTION_STRATEGIES || DEFAULT_STRATEGIES);
+    if (this.strategies.includes('last_digits') && !CALLER_ID_PREFIX) {
+      console.warn('⚠️  Room strategy last_digits without ROOM_CALLER_ID_PREFIX treats any caller ID as a possible room');
+    }
+  }
+
+  /**
+   * Find the occupied room a call or text comes from
+   * @param {Object} call
+   * @param {string} call.from - Twilio From (caller ID or SIP URI)
+   * @param {string} call.to - Twilio To (number or SIP URI dialled)
+   * @returns {Object|null} - { roomNumber, guestName, stayId, source }
+   */
+  async resolve({ from, to } = {}) {
+    for (const name of this.strategies) {
+      const candidate = await STRATEGIES[name]({ from, to });
+      if (!candidate) continue;
+
+      const occupant = await this.verifyRoom(candidate);
+      if (occupant) {
+        return { ...occupant, source: name };
+      }
+      console.log(`Room ${candidate} from ${name} for ${from} is unknown or has no guest checked in`);
+    }
+    return null;
+  }
+
+  /**
+   * Check that a room exists and has a guest checked in
+   * @param {string} roomNumber - Room number
+   * @returns {Object|null} - { roomNumber, guestName, stayId }
+   */
+  async verifyRoom(roomNumber) {
+    const room = await roomRepository.findByNumber(String(roomNumber).trim());
+    const stay = room ? await stayRepository.findOpenByRoom(room.id) : null;
+    if (!stay) {
+      return null;
+    }
+    return { roomNumber: room.room_number, guestName: stay.guest_name, stayId: stay.id };
+  }
+
+  /**
+   * Whether what the caller said contains the guest's last name
+   * @param {string} spoken - Speech result
+   * @param {string} guestName - Name on the stay
+   * @returns {boolean}
+   */
+  matchesGuestName(spoken, guestName) {
+    const lastName = nameWords(guestName).pop();
+    if (!lastName) {
+      return false;
+    }
+
+    // Speech recognition may split "McDonald" into "Mc Donald"
+    const words = nameWords(spoken);
+    return words.some((word, i) => word === lastName || word + (words[i + 1] || '') === lastName);
+  }
+
+  /**
+   * List phone mappings
+   * @param {Object} query
+   * @param {string} query.room - Only mappings for this room number
+   * @returns {Array}
+   */
+  async listMappings({ room } = {}) {
+    if (!room) {
+      return roomPhoneMappingRepository.list();
+    }
+    const found = await roomRepository.findByNumber(room);
+    if (!found) {
+      throw new NotFoundError('Room not found');
+    }
+    return roomPhoneMappingRepository.list({ roomId: found.id });
+  }
+
+  /**
+   * Map a caller ID, dialled number or extension to a room
+   * @param {Object} input - kind, value, roomNumber
+   * @param {number} staffId - Staff member adding the mapping
+   * @returns {Object} - The new mapping
+   */
+  async addMapping({ kind, value, roomNumber } = {}, staffId = null) {
+    if (!MAPPING_KINDS.includes(kind)) {
+      throw new ValidationError(`Invalid kind. Must be one of: ${MAPPING_KINDS.join(', ')}`);
+    }
+    const normalized = kind === 'extension' ? normalizeExtension(value) : normalizeNumber(value);
+    if (!normalized) {
+      throw new ValidationError(kind === 'extension' ? 'Extension is required' : 'A phone number is required');
+    }
+    const room = roomNumber ? await roomRepository.findByNumber(roomNumber) : null;
+    if (!room) {
+      throw new NotFoundError('Room not found');
+    }
+
+    try {
+      const id = await roomPhoneMappingRepository.create({ kind, value: normalized, roomId: room.id, createdBy: staffId });
+      return roomPhoneMappingRepository.findById(id);
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        throw new ConflictError(`${normalized} is already mapped to a room`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {number} mappingId - Mapping ID
+   * @throws {NotFoundError}
+   */
+  async removeMapping(mappingId) {
+    if (!await roomPhoneMappingRepository.delete(mappingId)) {
+      throw new NotFoundError('Mapping not found');
+    }
+  }
+}
+
+/**
+ * @param {string} list - Comma-separated strategy names
+ * @returns {Array<string>}
+ * @throws {Error} - On unknown names, so a typo fails at startup
+ */
+function parseStrategies(list) {
+  const names = list.split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = names.filter(name => !STRATEGIES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ROOM_RESOLUTION_STRATEGIES: ${unknown.join(', ')}. Must be from: ${Object.keys(STRATEGIES).join(', ')}`);
+  }
+  return names;
+}
+
+/**
+ * @param {string} value - Twilio From/To
+ * @returns {string|null} - User part of a sip: URI, e.g. "1204" for sip:1204@pbx.example.com
+ */
+function sipUser(value) {
+  const match = /^sips?:([^@;]+)@/i.exec(String(value || '').trim());
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * @param {string} value - Phone number, possibly formatted or inside a sip: URI
+ * @returns {string|null} - Digits, with a leading + kept
+ */
+function normalizeNumber(value) {
+  const raw = (sipUser(value) || String(value || '')).trim();
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) return null;
+  return raw.startsWith('+') ? `+${digits}` : digits;
+}
+
+/**
+ * @param {string} value - Extension as typed, or a sip: URI
+ * @returns {string|null}
+ */
+function normalizeExtension(value) {
+  const extension = (sipUser(value) || String(value || '')).trim();
+  return extension || null;
+}
+
+/**
+ * Compare phone numbers typed in different formats. Numbers of 10 or
+ * more digits match on their last 10, so "+1 555 010 1234" and
+ * "(555) 010-1234" are the same.
+ * @param {string} a - Phone number
+ * @param {string} b - Phone number
+ * @returns {boolean}
+ */
+function sameNumber(a, b) {
+  const x = String(a || '').replace(/\D/g, '');
+  const y = String(b || '').replace(/\D/g, '');
+  if (!x || !y) return false;
+  if (x.length >= 10 && y.length >= 10) return x.slice(-10) === y.slice(-10);
+  return x === y;
+}
+
+/**
+ * @param {string} text - Name or speech
+ * @returns {Array<string>} - Lowercase words without accents, apostrophes or punctuation
+ */
+function nameWords(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f'’]/g, '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+}
+
+module.exports = new RoomResolver();
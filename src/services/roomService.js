@@ -0,0 +1,182 @@
+const { transaction, isUniqueViolation } = require('../config/database');
+const roomRepository = require('../repositories/roomRepository');
+const stayRepository = require('../repositories/stayRepository');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { toDbTimestamp } = require('../utils/dates');
+
+const ROOM_STATUSES = ['available', 'occupied'];
+const MAX_ROOMS_PER_REQUEST = 500;
+const ROOM_NUMBER_PATTERN = /^[A-Za-z0-9-]{1,20}$/;
+
+/**
+ * Rooms and the guests staying in them.
+ *
+ * A check-in opens a row in `stays` and a check-out closes it; the room
+ * row carries a copy of the current occupant so orders and notifications
+ * can read it without a join. A room with no open stay is vacant and
+ * cannot order.
+ */
+class RoomService {
+  /**
+   * List rooms with their current occupant
+   * @param {Object} query
+   * @param {string} query.status - available or occupied
+   * @returns {Array}
+   */
+  async listRooms({ status } = {}) {
+    if (status && !ROOM_STATUSES.includes(status)) {
+      throw new ValidationError(`Invalid status. Must be one of: ${ROOM_STATUSES.join(', ')}`);
+    }
+    return roomRepository.list({ status });
+  }
+
+  /**
+   * Create rooms in bulk. Room numbers that already exist are skipped.
+   * @param {Array<string>} roomNumbers - Room numbers to create
+   * @returns {Object} - { created: [room numbers], skipped: [room numbers] }
+   */
+  async createRooms(roomNumbers) {
+    if (!Array.isArray(roomNumbers) || roomNumbers.length === 0) {
+      throw new ValidationError('rooms must be a non-empty array of room numbers');
+    }
+    if (roomNumbers.length > MAX_ROOMS_PER_REQUEST) {
+      throw new ValidationError(`At most ${MAX_ROOMS_PER_REQUEST} rooms can be created at once`);
+    }
+
+    const normalized = [...new Set(roomNumbers.map(number => String(number).trim()))];
+    const invalid = normalized.filter(number => !ROOM_NUMBER_PATTERN.test(number));
+    if (invalid.length > 0) {
+      throw new ValidationError('Room numbers may only contain letters, digits and dashes', { invalid });
+    }
+
+    return transaction(async (tx) => {
+      const created = [];
+      const skipped = [];
+
+      for (const roomNumber of normalized) {
+        if (await roomRepository.findByNumber(roomNumber, tx)) {
+          skipped.push(roomNumber);
+        } else {
+          await roomRepository.create(roomNumber, tx);
+          created.push(roomNumber);
+        }
+      }
+
+      return { created, skipped };
+    });
+  }
+
+  /**
+   * Get a room and its open stay
+   * @param {string} roomNumber - Room number
+   * @returns {Object} - { room, stay } where stay is null for a vacant room
+   */
+  async getOccupancy(roomNumber) {
+    const room = await this.findRoom(roomNumber);
+    const stay = await stayRepository.findOpenByRoom(room.id);
+    return { room, stay };
+  }
+
+  /**
+   * Check a guest in
+   * @param {string} roomNumber - Room number
+   * @param {Object} guest
+   * @param {string} guest.guestName - Guest name
+   * @param {string} guest.phoneNumber - Guest phone number for SMS updates
+   * @param {string} guest.expectedCheckOut - Planned check-out date/time
+   * @param {string} guest.notes - Front desk notes
+   * @param {number|null} staffId - Staff member checking the guest in
+   * @returns {Object} - The new stay
+   * @throws {ConflictError} - If the room is already occupied
+   */
+  async checkIn(roomNumber, { guestName, phoneNumber, expectedCheckOut, notes } = {}, staffId = null) {
+    const name = typeof guestName === 'string' ? guestName.trim() : '';
+    if (!name) {
+      throw new ValidationError('Guest name is required');
+    }
+
+    let checkOutAt = null;
+    if (expectedCheckOut) {
+      const date = new Date(expectedCheckOut);
+      if (isNaN(date.getTime())) {
+        throw new ValidationError('Invalid expected check-out date');
+      }
+      checkOutAt = toDbTimestamp(date);
+    }
+
+    try {
+      return await transaction(async (tx) => {
+        const room = await this.findRoom(roomNumber, tx);
+        if (await stayRepository.findOpenByRoom(room.id, tx)) {
+          throw new ConflictError(`Room ${room.room_number} is already occupied`);
+        }
+
+        const stayId = await stayRepository.create({
+          roomId: room.id,
+          guestName: name,
+          phoneNumber: phoneNumber ? String(phoneNumber).trim() : null,
+          expectedCheckOut: checkOutAt,
+          checkedInBy: staffId,
+          notes
+        }, tx);
+
+        const stay = await stayRepository.findById(stayId, tx);
+        await roomRepository.setOccupant(room.id, stay, tx);
+        return stay;
+      });
+    } catch (error) {
+      // Two check-ins racing on PostgreSQL: the partial unique index wins
+      if (isUniqueViolation(error)) {
+        throw new ConflictError(`Room ${roomNumber} is already occupied`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check the current guest out
+   * @param {string} roomNumber - Room number
+   * @param {number|null} staffId - Staff member checking the guest out
+   * @returns {Object} - The closed stay
+   * @throws {ConflictError} - If the room is vacant
+   */
+  async checkOut(roomNumber, staffId = null) {
+    return transaction(async (tx) => {
+      const room = await this.findRoom(roomNumber, tx);
+      const stay = await stayRepository.findOpenByRoom(room.id, tx);
+      if (!stay) {
+        throw new ConflictError(`Room ${room.room_number} is not occupied`);
+      }
+
+      await stayRepository.close(stay.id, staffId, tx);
+      await roomRepository.setOccupant(room.id, null, tx);
+      return stayRepository.findById(stay.id, tx);
+    });
+  }
+
+  /**
+   * List past and current stays for a room
+   * @param {string} roomNumber - Room number
+   * @returns {Array}
+   */
+  async listStays(roomNumber) {
+    const room = await this.findRoom(roomNumber);
+    return stayRepository.listByRoom(room.id);
+  }
+
+  /**
+   * @param {string} roomNumber - Room number
+   * @param {Object} tx - Optional transaction executor
+   * @returns {Object} - Room
+   * @throws {NotFoundError} - If there is no such room
+   */
+  async findRoom(roomNumber, tx) {
+    const room = await roomRepository.findByNumber(roomNumber, tx);
+    if (!room) {
+      throw new NotFoundError('Room not found');
+    }
+    return room;
+  }
+}
+
+module.exports = new RoomService();
@@ -0,0 +1,72 @@
+const conversationSessionRepository = require('../../repositories/conversationSessionRepository');
+const { toDbTimestamp, fromDbTimestamp } = require('../../utils/dates');
+
+/**
+ * Conversation sessions in the conversation_sessions table. Shared by
+ * every instance and survives restarts; the default backend.
+ */
+class DatabaseStore {
+  /**
+   * @param {string} key - Session key
+   * @returns {Object|null} - Session, or null if missing or expired
+   */
+  async load(key) {
+    const row = await conversationSessionRepository.findActive(key, toDbTimestamp());
+    return row ? fromRow(row) : null;
+  }
+
+  /**
+   * @param {Object} session - Session to write (expiresAt already set)
+   */
+  async save(session) {
+    await conversationSessionRepository.upsert({
+      sessionKey: session.key,
+      channel: session.channel,
+      callSid: session.callSid,
+      phoneNumber: session.phoneNumber,
+      roomNumber: session.roomNumber,
+      guestName: session.guestName,
+      history: JSON.stringify(session.history),
+      cart: JSON.stringify(session.cart),
+      state: session.state ? JSON.stringify(session.state) : null,
+      expiresAt: toDbTimestamp(session.expiresAt)
+    });
+  }
+
+  /**
+   * @param {string} key - Session key
+   */
+  async delete(key) {
+    await conversationSessionRepository.delete(key);
+  }
+
+  /**
+   * @returns {number} - Sessions removed
+   */
+  async purgeExpired() {
+    return conversationSessionRepository.deleteExpired(toDbTimestamp());
+  }
+}
+
+/**
+ * @param {Object} row - conversation_sessions row
+ * @returns {Object} - Session
+ */
+function fromRow(row) {
+  return {
+    key: row.session_key,
+    channel: row.channel,
+    callSid: row.call_sid,
+    phoneNumber: row.phone_number,
+    roomNumber: row.room_number,
+    guestName: row.guest_name,
+    history: JSON.parse(row.history),
+    cart: JSON.parse(row.cart),
+    state: row.state ? JSON.parse(row.state) : {},
+    createdAt: fromDbTimestamp(row.created_at),
+    updatedAt: fromDbTimestamp(row.updated_at),
+    expiresAt: fromDbTimestamp(row.expires_at)
+  };
+}
+
+module.exports = DatabaseStore;
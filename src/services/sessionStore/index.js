@@ -0,0 +1,142 @@
+const DatabaseStore = require('./databaseStore');
+const MemoryStore = require('./memoryStore');
+
+const BACKENDS = {
+  database: DatabaseStore,
+  memory: MemoryStore
+};
+
+const TTL_MINUTES = parseInt(process.env.CONVERSATION_TTL_MINUTES || '60', 10);
+const HISTORY_LIMIT = parseInt(process.env.CONVERSATION_HISTORY_LIMIT || '20', 10);
+
+// Expired sessions are swept at most this often, piggybacking on saves
+const PURGE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Voice and SMS conversation sessions: who the guest is, what has been
+ * said and what is in their cart.
+ *
+ * Sessions are keyed by call SID for voice ("voice:CA...") and by phone
+ * number for SMS ("sms:+1..."), and expire CONVERSATION_TTL_MINUTES after
+ * the last save. The backend is chosen with SESSION_STORE: "database"
+ * (default) keeps them in conversation_sessions so calls survive restarts
+ * and work across instances; "memory" is for tests.
+ *
+ * Loaded sessions are plain objects. Change them, then call save().
+ */
+class SessionStore {
+  /**
+   * @param {Object} backend - Object with load, save, delete and purgeExpired
+   */
+  constructor(backend) {
+    this.backend = backend;
+    this.lastPurge = 0;
+  }
+
+  /**
+   * @param {string} callSid - Twilio call SID
+   * @returns {string}
+   */
+  voiceKey(callSid) {
+    return `voice:${callSid}`;
+  }
+
+  /**
+   * @param {string} phoneNumber - Guest's phone number
+   * @returns {string}
+   */
+  smsKey(phoneNumber) {
+    return `sms:${phoneNumber}`;
+  }
+
+  /**
+   * Load a session
+   * @param {string} key - Session key
+   * @returns {Object|null} - Session, or null if missing or expired
+   */
+  async get(key) {
+    return this.backend.load(key);
+  }
+
+  /**
+   * Start a new session, replacing any existing one with the same key
+   * @param {string} key - Session key
+   * @param {Object} attributes - channel, callSid, phoneNumber, roomNumber, guestName
+   * @returns {Object} - The saved session
+   */
+  async start(key, { channel, callSid = null, phoneNumber = null, roomNumber = null, guestName = null } = {}) {
+    const session = {
+      key,
+      channel,
+      callSid,
+      phoneNumber,
+      roomNumber,
+      guestName,
+      history: [],
+      cart: [],
+      state: {}
+    };
+    await this.save(session);
+    return session;
+  }
+
+  /**
+   * Append a message to the session history, keeping the most recent
+   * CONVERSATION_HISTORY_LIMIT entries. Not saved until save() is called.
+   * @param {Object} session - Session
+   * @param {string} role - user or assistant
+   * @param {string} content - Message text
+   */
+  addTurn(session, role, content) {
+    session.history.push({ role, content });
+    if (session.history.length > HISTORY_LIMIT) {
+      session.history = session.history.slice(-HISTORY_LIMIT);
+    }
+  }
+
+  /**
+   * Persist a session and push its expiry out by the TTL
+   * @param {Object} session - Session
+   */
+  async save(session) {
+    session.expiresAt = new Date(Date.now() + TTL_MINUTES * 60 * 1000);
+    await this.backend.save(session);
+
+    if (Date.now() - this.lastPurge > PURGE_INTERVAL_MS) {
+      this.lastPurge = Date.now();
+      try {
+        const removed = await this.backend.purgeExpired();
+        if (removed > 0) {
+          console.log(`Purged ${removed} expired conversation session(s)`);
+        }
+      } catch (error) {
+        console.error('Failed to purge expired conversation sessions:', error.message);
+      }
+    }
+  }
+
+  /**
+   * End a session
+   * @param {string} key - Session key
+   */
+  async end(key) {
+    await this.backend.delete(key);
+  }
+}
+
+/**
+ * @param {string} name - Backend name from SESSION_STORE
+ * @returns {Object}
+ */
+function createBackend(name = 'database') {
+  const Backend = BACKENDS[name];
+  if (!Backend) {
+    throw new Error(`Unknown SESSION_STORE "${name}". Must be one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  if (name === 'memory') {
+    console.warn('⚠️  Conversation sessions are kept in memory (SESSION_STORE=memory); they will not survive a restart');
+  }
+  return new Backend();
+}
+
+module.exports = new SessionStore(createBackend(process.env.SESSION_STORE || 'database'));
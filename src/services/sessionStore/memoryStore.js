@@ -0,0 +1,66 @@
+/**
+ * Conversation sessions in a process-local Map. Nothing survives a
+ * restart and instances don't share sessions, so this is for tests and
+ * single-process development only.
+ *
+ * Sessions are copied in and out, so changes only stick once saved, the
+ * same as with the database store.
+ */
+class MemoryStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  /**
+   * @param {string} key - Session key
+   * @returns {Object|null} - Session, or null if missing or expired
+   */
+  async load(key) {
+    const session = this.sessions.get(key);
+    if (!session) {
+      return null;
+    }
+    if (session.expiresAt <= new Date()) {
+      this.sessions.delete(key);
+      return null;
+    }
+    return structuredClone(session);
+  }
+
+  /**
+   * @param {Object} session - Session to write (expiresAt already set)
+   */
+  async save(session) {
+    const now = new Date();
+    const existing = this.sessions.get(session.key);
+    this.sessions.set(session.key, structuredClone({
+      ...session,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    }));
+  }
+
+  /**
+   * @param {string} key - Session key
+   */
+  async delete(key) {
+    this.sessions.delete(key);
+  }
+
+  /**
+   * @returns {number} - Sessions removed
+   */
+  async purgeExpired() {
+    const now = new Date();
+    let removed = 0;
+    for (const [key, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { transaction, isUniqueViolation } = require('../config/database');
+const { STAFF_ROLES } = require('../config/permissions');
+const staffRepository = require('../repositories/staffRepository');
+const authService = require('./authService');
+const { assertPasswordAllowed } = require('../utils/passwordPolicy');
+const { ValidationError, NotFoundError, ConflictError, UnauthorizedError } = require('../utils/errors');
+
+const BCRYPT_ROUNDS = 10;
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,50}$/;
+const MAX_NAME_LENGTH = 255;
+
+/**
+ * Staff account administration: creating accounts, changing names and
+ * roles, deactivation and passwords.
+ *
+ * Accounts created or reset by an administrator get a temporary password
+ * that must be changed at first login. Every change is written to
+ * staff_audit_log with the staff member who made it. Deactivating an
+ * account or resetting its password ends all of its sessions.
+ */
+class StaffService {
+  /**
+   * List staff accounts
+   * @param {Object} query
+   * @param {boolean|string} query.includeInactive - Include deactivated accounts
+   * @returns {Array}
+   */
+  async listStaff({ includeInactive } = {}) {
+    return staffRepository.list({
+      includeInactive: includeInactive === true || includeInactive === 'true'
+    });
+  }
+
+  /**
+   * Get one staff account
+   * @param {number} staffId - Staff ID
+   * @returns {Object}
+   * @throws {NotFoundError}
+   */
+  async getStaff(staffId) {
+    const staff = await staffRepository.findPublicById(staffId);
+    if (!staff) {
+      throw new NotFoundError('Staff member not found');
+    }
+    return staff;
+  }
+
+  /**
+   * Create a staff account with a temporary password
+   * @param {Object} input - username, password, name, role
+   * @param {number|null} actorId - Staff member creating the account
+   * @returns {Object} - The new account
+   */
+  async createStaff({ username, password, name, role } = {}, actorId = null) {
+    const login = typeof username === 'string' ? username.trim() : '';
+    if (!USERNAME_PATTERN.test(login)) {
+      throw new ValidationError('Username must be 3-50 letters, digits, dots, dashes or underscores');
+    }
+    const displayName = validateName(name);
+    const staffRole = role === undefined || role === null ? 'front_desk' : validateRole(role);
+    assertPasswordAllowed(password, { username: login });
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    try {
+      const id = await transaction(async (tx) => {
+        if (await staffRepository.findByUsername(login, tx)) {
+          throw new ConflictError('Username already exists');
+        }
+
+        const staffId = await staffRepository.create({
+          username: login,
+          passwordHash,
+          name: displayName,
+          role: staffRole,
+          mustChangePassword: true
+        }, tx);
+
+        await staffRepository.addAuditEntry({
+          staffId,
+          actorId,
+          action: 'created',
+          details: { username: login, name: displayName, role: staffRole }
+        }, tx);
+
+        return staffId;
+      });
+
+      return staffRepository.findPublicById(id);
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        throw new ConflictError('Username already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change a staff member's name and/or role
+   * @param {number} staffId - Staff ID
+   * @param {Object} input - name, role
+   * @param {number} actorId - Staff member making the change
+   * @returns {Object} - The updated account
+   */
+  async updateStaff(staffId, { name, role } = {}, actorId) {
+    const fields = {};
+    if (name !== undefined) fields.name = validateName(name);
+    if (role !== undefined) fields.role = validateRole(role);
+    if (Object.keys(fields).length === 0) {
+      throw new ValidationError('Nothing to update: provide name and/or role');
+    }
+
+    await transaction(async (tx) => {
+      const staff = await this.findStaff(staffId, tx);
+
+      const changes = {};
+      for (const [field, value] of Object.entries(fields)) {
+        if (staff[field] !== value) changes[field] = { from: staff[field], to: value };
+      }
+      if (Object.keys(changes).length === 0) {
+        return;
+      }
+
+      if (changes.role && staff.role === 'admin') {
+        if (Number(staffId) === Number(actorId)) {
+          throw new ConflictError('You cannot change your own admin role');
+        }
+        await this.assertAnotherActiveAdmin(staff, tx);
+      }
+
+      await staffRepository.updateProfile(staffId, fields, tx);
+      await staffRepository.addAuditEntry({ staffId, actorId, action: 'updated', details: changes }, tx);
+    });
+
+    return staffRepository.findPublicById(staffId);
+  }
+
+  /**
+   * Deactivate an account and end all of its sessions
+   * @param {number} staffId - Staff ID
+   * @param {number} actorId - Staff member making the change
+   * @returns {Object} - The updated account
+   */
+  async deactivateStaff(staffId, actorId) {
+    if (Number(staffId) === Number(actorId)) {
+      throw new ConflictError('You cannot deactivate your own account');
+    }
+
+    const changed = await transaction(async (tx) => {
+      const staff = await this.findStaff(staffId, tx);
+      if (!staff.is_active) {
+        return false;
+      }
+      if (staff.role === 'admin') {
+        await this.assertAnotherActiveAdmin(staff, tx);
+      }
+
+      await staffRepository.setActive(staffId, false, tx);
+      await staffRepository.addAuditEntry({ staffId, actorId, action: 'deactivated' }, tx);
+      return true;
+    });
+
+    if (changed) {
+      await authService.logoutAll(staffId);
+    }
+    return staffRepository.findPublicById(staffId);
+  }
+
+  /**
+   * Reactivate a deactivated account
+   * @param {number} staffId - Staff ID
+   * @param {number} actorId - Staff member making the change
+   * @returns {Object} - The updated account
+   */
+  async reactivateStaff(staffId, actorId) {
+    await transaction(async (tx) => {
+      const staff = await this.findStaff(staffId, tx);
+      if (staff.is_active) {
+        return;
+      }
+
+      await staffRepository.setActive(staffId, true, tx);
+      await staffRepository.addAuditEntry({ staffId, actorId, action: 'reactivated' }, tx);
+    });
+
+    return staffRepository.findPublicById(staffId);
+  }
+
+  /**
+   * Give an account a temporary password that must be changed at next
+   * login, and end all of its sessions. A password is generated when
+   * none is given.
+   * @param {number} staffId - Staff ID
+   * @param {string} password - Temporary password (optional)
+   * @param {number} actorId - Staff member making the change
+   * @returns {Object} - { temporaryPassword } when one was generated, otherwise {}
+   */
+  async resetPassword(staffId, password, actorId) {
+    const generated = password === undefined || password === null || password === '';
+    const temporaryPassword = generated ? generatePassword() : password;
+
+    await transaction(async (tx) => {
+      const staff = await this.findStaff(staffId, tx);
+      assertPasswordAllowed(temporaryPassword, { username: staff.username });
+
+      await staffRepository.setPassword(staffId, await bcrypt.hash(temporaryPassword, BCRYPT_ROUNDS), true, tx);
+      await staffRepository.addAuditEntry({ staffId, actorId, action: 'password_reset' }, tx);
+    });
+
+    await authService.logoutAll(staffId);
+    return generated ? { temporaryPassword } : {};
+  }
+
+  /**
+   * Change your own password. Every other session is logged out.
+   * @param {number} staffId - Staff ID of the caller
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @returns {Object} - The updated staff row (for starting a new session)
+   * @throws {UnauthorizedError} - If the current password is wrong
+   */
+  async changePassword(staffId, currentPassword, newPassword) {
+    if (!currentPassword || !newPassword) {
+      throw new ValidationError('Current and new passwords are required');
+    }
+
+    await transaction(async (tx) => {
+      const staff = await this.findStaff(staffId, tx);
+      if (!await bcrypt.compare(String(currentPassword), staff.password_hash)) {
+        throw new UnauthorizedError('Current password is incorrect', 'INVALID_PASSWORD');
+      }
+      if (currentPassword === newPassword) {
+        throw new ValidationError('New password must be different from the current one');
+      }
+      assertPasswordAllowed(newPassword, { username: staff.username });
+
+      await staffRepository.setPassword(staffId, await bcrypt.hash(newPassword, BCRYPT_ROUNDS), false, tx);
+      await staffRepository.addAuditEntry({ staffId, actorId: staffId, action: 'password_changed' }, tx);
+    });
+
+    await authService.logoutAll(staffId);
+    return staffRepository.findById(staffId);
+  }
+
+  /**
+   * List audit entries, newest first
+   * @param {Object} query
+   * @param {number} query.staffId - Only entries about this account
+   * @param {number|string} query.limit - Maximum entries (1-500, default 100)
+   * @returns {Array}
+   */
+  async listAuditLog({ staffId, limit } = {}) {
+    const max = limit === undefined ? 100 : parseInt(limit, 10);
+    if (isNaN(max) || max < 1 || max > 500) {
+      throw new ValidationError('limit must be between 1 and 500');
+    }
+    if (staffId !== undefined) {
+      await this.getStaff(staffId);
+    }
+    return staffRepository.listAuditEntries({ staffId, limit: max });
+  }
+
+  /**
+   * Demoting or deactivating an admin must leave at least one active admin
+   * @param {Object} staff - The admin being changed
+   * @param {Object} tx - Transaction executor
+   * @throws {ConflictError}
+   */
+  async assertAnotherActiveAdmin(staff, tx) {
+    if (staff.is_active && await staffRepository.countActiveWithRole('admin', tx) <= 1) {
+      throw new ConflictError('At least one active admin account is required');
+    }
+  }
+
+  /**
+   * @param {number} staffId - Staff ID
+   * @param {Object} tx - Optional transaction executor
+   * @returns {Object} - Full staff row
+   * @throws {NotFoundError}
+   */
+  async findStaff(staffId, tx) {
+    const staff = await staffRepository.findById(staffId, tx);
+    if (!staff) {
+      throw new NotFoundError('Staff member not found');
+    }
+    return staff;
+  }
+}
+
+/**
+ * @param {*} name - Display name from the request
+ * @returns {string} - Trimmed name
+ * @throws {ValidationError}
+ */
+function validateName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+    throw new ValidationError(`Name is required and must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * @param {*} role - Role from the request
+ * @returns {string}
+ * @throws {ValidationError}
+ */
+function validateRole(role) {
+  if (!STAFF_ROLES.includes(role)) {
+    throw new ValidationError(`Invalid role. Must be one of: ${STAFF_ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+/**
+ * Temporary password that satisfies the password policy
+ * @returns {string}
+ */
+function generatePassword() {
+  const letters = crypto.randomBytes(9).toString('base64url').replace(/[^A-Za-z]/g, '').slice(0, 8).padEnd(8, 'x');
+  const digits = String(crypto.randomInt(1000, 10000));
+  return `${letters}${digits}`;
+}
+
+module.exports = new StaffService();
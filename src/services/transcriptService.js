@@ -0,0 +1,156 @@
+const { transaction } = require('../config/database');
+const conversationRepository = require('../repositories/conversationRepository');
+const { cartTotal, cartStatus } = require('./cart');
+const { parseDateParam } = require('../utils/dates');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const CHANNELS = ['voice', 'sms'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Permanent transcripts of voice calls and SMS threads.
+ *
+ * The first recorded turn of a session creates its conversation row and
+ * stores the ID in session.state.conversationId, so the caller must save
+ * the session afterwards. Each turn also copies the session's cart onto
+ * the conversation, so staff can see what a guest was ordering after the
+ * session has gone. Recording never fails the call: errors are
+ * logged and the guest carries on.
+ */
+class TranscriptService {
+  /**
+   * Record one exchange of a conversation
+   * @param {Object} session - Conversation session (see services/sessionStore)
+   * @param {Object} turn
+   * @param {string|null} turn.guestText - What the guest said or wrote
+   * @param {number|string|null} turn.speechConfidence - Twilio's Confidence parameter
+   * @param {string|null} turn.aiText - What the guest was told
+   * @param {Array|null} turn.extractedOrder - Tool calls the AI made (see AIService.processMessage)
+   * @param {number|null} turn.orderId - Order placed on this turn
+   * @param {number|null} turn.latencyMs - Time spent producing the reply
+   */
+  async recordTurn(session, { guestText = null, speechConfidence = null, aiText = null, extractedOrder = null, orderId = null, latencyMs = null } = {}) {
+    try {
+      const confidence = parseFloat(speechConfidence);
+
+      await transaction(async (tx) => {
+        const conversationId = await conversationIdFor(session, tx);
+
+        await conversationRepository.addTurn(conversationId, {
+          guestText,
+          speechConfidence: isNaN(confidence) ? null : confidence,
+          aiText,
+          extractedOrder,
+          orderId,
+          latencyMs: latencyMs === null ? null : Math.round(latencyMs)
+        }, tx);
+
+        const cart = session.cart || [];
+        await conversationRepository.saveCart(conversationId, {
+          lines: cart,
+          total: cartTotal(cart),
+          status: cartStatus(session)
+        }, tx);
+
+        session.state.conversationId = conversationId;
+      });
+    } catch (error) {
+      console.error(`Failed to record conversation turn for ${session.key}:`, error.message);
+    }
+  }
+
+  /**
+   * The session's conversation, started now if nothing has been recorded yet
+   * @param {Object} session - Conversation session (see services/sessionStore)
+   * @returns {number} - Conversation ID
+   */
+  async ensureConversation(session) {
+    session.state.conversationId = await conversationIdFor(session);
+    return session.state.conversationId;
+  }
+
+  /**
+   * Search transcripts, newest first
+   * @param {Object} query - room, orderId, callSid, phone, channel, from, to, q, escalated, openCart, limit, cursor
+   * @returns {Object} - { conversations, nextCursor }
+   */
+  async search(query = {}) {
+    const limit = query.limit ? parseInt(query.limit, 10) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new ValidationError(`Limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    if (query.channel && !CHANNELS.includes(query.channel)) {
+      throw new ValidationError(`Invalid channel. Must be one of: ${CHANNELS.join(', ')}`);
+    }
+
+    const orderId = query.orderId ? parseInt(query.orderId, 10) : null;
+    if (query.orderId && (isNaN(orderId) || orderId < 1)) {
+      throw new ValidationError('Invalid orderId');
+    }
+    const before = query.cursor ? parseInt(query.cursor, 10) : null;
+    if (query.cursor && (isNaN(before) || before < 1)) {
+      throw new ValidationError('Invalid cursor');
+    }
+
+    const filter = {
+      roomNumber: query.room,
+      orderId,
+      callSid: query.callSid,
+      phoneNumber: query.phone,
+      channel: query.channel,
+      from: query.from ? parseDateParam(query.from, 'from') : null,
+      to: query.to ? parseDateParam(query.to, 'to', { endOfDay: true }) : null,
+      search: query.q ? String(query.q).trim() : null,
+      escalated: query.escalated === 'true',
+      openCart: query.openCart === 'true'
+    };
+
+    const { conversations, hasMore } = await conversationRepository.search(filter, { limit, before });
+    const last = conversations[conversations.length - 1];
+    return {
+      conversations,
+      nextCursor: hasMore && last ? String(last.id) : null
+    };
+  }
+
+  /**
+   * A conversation with every turn, in order
+   * @param {number} conversationId - Conversation ID
+   * @returns {Object} - Conversation with `turns` and the `order_ids` it placed
+   * @throws {NotFoundError}
+   */
+  async getTranscript(conversationId) {
+    const conversation = await conversationRepository.findById(conversationId);
+    if (!conversation) {
+      throw new NotFoundError('Conversation not found');
+    }
+
+    const turns = await conversationRepository.listTurns(conversation.id);
+    return {
+      ...conversation,
+      order_ids: turns.filter(turn => turn.order_id).map(turn => turn.order_id),
+      turns
+    };
+  }
+}
+
+/**
+ * @param {Object} session - Conversation session
+ * @param {Object} db - Optional transaction executor
+ * @returns {number} - The session's conversation ID, creating the row if needed
+ */
+async function conversationIdFor(session, db) {
+  if (session.state.conversationId) {
+    return session.state.conversationId;
+  }
+  return conversationRepository.create({
+    channel: session.channel,
+    callSid: session.callSid,
+    phoneNumber: session.phoneNumber,
+    roomNumber: session.roomNumber,
+    guestName: session.guestName
+  }, db);
+}
+
+module.exports = new TranscriptService();
@@ -0,0 +1,48 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Format a date the way timestamps are stored in the database: UTC,
+ * "YYYY-MM-DD HH:MM:SS". Comparing against values in this format works
+ * the same on SQLite (text) and PostgreSQL (TIMESTAMP).
+ * @param {Date} date - Date to format (defaults to now)
+ * @returns {string}
+ */
+function toDbTimestamp(date = new Date()) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Read a timestamp column back as a Date. SQLite returns the stored UTC
+ * text without a zone, which `new Date()` would take as local time.
+ * @param {string|Date|null} value - Column value
+ * @returns {Date|null}
+ */
+function fromDbTimestamp(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  return new Date(String(value).replace(' ', 'T') + (/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? '' : 'Z'));
+}
+
+/**
+ * Normalize a date/time query parameter to the format stored in the
+ * database (UTC, "YYYY-MM-DD HH:MM:SS")
+ * @param {string} value - Date or ISO timestamp
+ * @param {string} name - Parameter name for error messages
+ * @param {Object} options
+ * @param {boolean} options.endOfDay - Treat a bare date as the end of that day
+ * @returns {string}
+ */
+function parseDateParam(value, name, { endOfDay = false } = {}) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${name} date`);
+  }
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+
+  return toDbTimestamp(date);
+}
+
+module.exports = { toDbTimestamp, fromDbTimestamp, parseDateParam };
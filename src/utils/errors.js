@@ -0,0 +1,83 @@
+/**
+ * Error with an HTTP status, so routes can turn service failures into
+ * the right response without string matching
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {number} status - HTTP status code
+   * @param {string} code - Machine-readable error code
+   * @param {Object} details - Extra data included in the response body
+   */
+  constructor(message, status = 500, code = 'INTERNAL_ERROR', details = undefined) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, details) {
+    super(message, 400, 'VALIDATION_ERROR', details);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED') {
+    super(message, 401, code);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found') {
+    super(message, 404, 'NOT_FOUND');
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, details) {
+    super(message, 409, 'CONFLICT', details);
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {number} retryAfter - Seconds until the caller may try again
+   */
+  constructor(message, retryAfter) {
+    super(message, 429, 'TOO_MANY_ATTEMPTS', { retryAfter });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Send an error response. AppErrors use their own status and code;
+ * anything else is logged and reported as a 500.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error to report
+ * @param {string} logMessage - Prefix for the server log
+ */
+function sendError(res, error, logMessage = 'Request failed') {
+  if (error instanceof AppError) {
+    const body = { error: error.message, code: error.code };
+    if (error.details !== undefined) body.details = error.details;
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.status).json(body);
+  }
+
+  console.error(`${logMessage}:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  sendError
+};
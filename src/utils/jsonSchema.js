@@ -0,0 +1,59 @@
+/**
+ * Check a value against the subset of JSON Schema used for AI tool
+ * arguments: object (properties, required, additionalProperties: false),
+ * string (enum, maxLength), integer and number (minimum, maximum) and
+ * boolean.
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {string} path - Name of the value in problem messages
+ * @returns {Array<string>} - Empty if the value matches
+ */
+function validateSchema(schema, value, path = 'arguments') {
+  switch (schema.type) {
+    case 'object':
+      return validateObject(schema, value, path);
+    case 'string':
+      if (typeof value !== 'string') return [`${path} must be a string`];
+      if (schema.enum && !schema.enum.includes(value)) return [`${path} must be one of: ${schema.enum.join(', ')}`];
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return [`${path} must be at most ${schema.maxLength} characters`];
+      }
+      return [];
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+        return [`${path} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`];
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) return [`${path} must be at least ${schema.minimum}`];
+      if (schema.maximum !== undefined && value > schema.maximum) return [`${path} must be at most ${schema.maximum}`];
+      return [];
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [`${path} must be true or false`];
+    default:
+      return [];
+  }
+}
+
+function validateObject(schema, value, path) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return [`${path} must be an object`];
+  }
+
+  const properties = schema.properties || {};
+  const problems = (schema.required || [])
+    .filter(name => value[name] === undefined)
+    .map(name => `${path}.${name} is required`);
+
+  for (const [name, propertyValue] of Object.entries(value)) {
+    if (!properties[name]) {
+      if (schema.additionalProperties === false) {
+        problems.push(`${path}.${name} is not allowed`);
+      }
+      continue;
+    }
+    problems.push(...validateSchema(properties[name], propertyValue, `${path}.${name}`));
+  }
+  return problems;
+}
+
+module.exports = { validateSchema };
@@ -0,0 +1,57 @@
+const { ValidationError } = require('./errors');
+
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '10', 10);
+const MAX_LENGTH = 128;
+
+// Passwords that meet the length rules but are guessed first
+const COMMON_PASSWORDS = new Set([
+  'admin123', 'password', 'password1', 'password123', 'passw0rd', 'qwerty123',
+  '1234567890', '12345678910', 'letmein123', 'welcome123', 'changeme123',
+  'iloveyou123', 'abcdefghij', 'hotel12345', 'roomservice'
+]);
+
+/**
+ * List the ways a password breaks the policy
+ * @param {string} password - Proposed password
+ * @param {Object} account
+ * @param {string} account.username - The account's username, which the password must not contain
+ * @returns {Array<string>} - Empty if the password is acceptable
+ */
+function checkPassword(password, { username } = {}) {
+  if (typeof password !== 'string') {
+    return ['Password is required'];
+  }
+
+  const problems = [];
+  if (password.length < MIN_LENGTH) {
+    problems.push(`Password must be at least ${MIN_LENGTH} characters`);
+  }
+  if (password.length > MAX_LENGTH) {
+    problems.push(`Password must be at most ${MAX_LENGTH} characters`);
+  }
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    problems.push('Password must contain both letters and numbers');
+  }
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+    problems.push('Password is too common');
+  }
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    problems.push('Password must not contain the username');
+  }
+  return problems;
+}
+
+/**
+ * Throw if a password breaks the policy
+ * @param {string} password - Proposed password
+ * @param {Object} account - { username }
+ * @throws {ValidationError} - With the list of problems in details
+ */
+function assertPasswordAllowed(password, account) {
+  const problems = checkPassword(password, account);
+  if (problems.length > 0) {
+    throw new ValidationError(problems[0], { problems });
+  }
+}
+
+module.exports = { checkPassword, assertPasswordAllowed, MIN_LENGTH };
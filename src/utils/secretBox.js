@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+/**
+ * Encrypt small secrets (such as TOTP seeds) before they go into the
+ * database, with AES-256-GCM under a key derived from
+ * SECRET_ENCRYPTION_KEY (falling back to JWT_SECRET).
+ *
+ * Sealed values look like "v1:<iv>:<tag>:<ciphertext>", base64url.
+ */
+
+const VERSION = 'v1';
+
+/**
+ * @returns {Buffer} - 256-bit key
+ */
+function key() {
+  const material = process.env.SECRET_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key';
+  return crypto.createHash('sha256').update(material).digest();
+}
+
+/**
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} - Sealed value
+ */
+function seal(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (typeof part === 'string' ? part : part.toString('base64url')))
+    .join(':');
+}
+
+/**
+ * @param {string} sealed - Value from seal()
+ * @returns {string} - The original secret
+ * @throws {Error} - If the value was tampered with or the key changed
+ */
+function open(sealed) {
+  const [version, iv, tag, ciphertext] = String(sealed).split(':');
+  if (version !== VERSION || !ciphertext) {
+    throw new Error('Unrecognized sealed secret');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+module.exports = { seal, open };
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) as used by Google
+ * Authenticator, 1Password, Authy and friends: HMAC-SHA1, 6 digits,
+ * 30-second steps, base32-encoded secrets.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Unpadded base32
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * @param {string} text - Base32 (case, spaces and padding are ignored)
+ * @returns {Buffer}
+ * @throws {Error} - On characters outside the base32 alphabet
+ */
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new shared secret
+ * @returns {string} - 160-bit secret, base32
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * @param {number} time - Unix time in milliseconds
+ * @returns {number} - Time step number
+ */
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Compute the code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step number
+ * @returns {string} - Zero-padded code
+ */
+function generateCode(secret, step = timeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} options
+ * @param {number} options.window - Steps of drift allowed (default 1)
+ * @param {number} options.time - Current time in milliseconds
+ * @returns {number|null} - The matching time step, or null
+ */
+function verifyCode(secret, code, { window = 1, time = Date.now() } = {}) {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(digits)) {
+    return null;
+  }
+
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.account - Account name shown in the app
+ * @param {string} params.issuer - Service name shown in the app
+ * @returns {string}
+ */
+function otpauthUrl({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  otpauthUrl,
+  timeStep,
+  base32Encode,
+  base32Decode
+};
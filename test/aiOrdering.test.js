@@ -0,0 +1,139 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, checkIn, menuItem, closeDatabase } = require('./helpers');
+const llm = require('../src/services/llm');
+const aiService = require('../src/services/aiService');
+const orderRepository = require('../src/repositories/orderRepository');
+
+const model = llm.primary;
+let salad;
+let coffee;
+
+before(async () => {
+  await setupDatabase();
+  await checkIn('601', 'Ann Lee');
+  salad = await menuItem('Caesar Salad');
+  coffee = await menuItem('Coffee');
+});
+
+after(closeDatabase);
+
+let nextCallId = 1;
+
+// An assistant message calling the given tools: [name, args] pairs
+function toolCalls(...calls) {
+  return {
+    role: 'assistant',
+    content: null,
+    tool_calls: calls.map(([name, args = {}]) => ({
+      id: `call_${nextCallId++}`,
+      type: 'function',
+      function: { name, arguments: JSON.stringify(args) }
+    }))
+  };
+}
+
+function say(content) {
+  return { role: 'assistant', content };
+}
+
+function newSession() {
+  return { key: 'sms:+15550001111', channel: 'sms', roomNumber: '601', guestName: 'Ann Lee', history: [], cart: [], state: {} };
+}
+
+// One guest turn, with the model's replies for it
+async function converse(session, message, replies) {
+  model.reset();
+  model.script(replies);
+  return aiService.processMessage(message, session);
+}
+
+// What the model was told a tool returned, by tool call id
+function toolResult(request, callId) {
+  const message = request.messages.find(candidate => candidate.role === 'tool' && candidate.tool_call_id === callId);
+  return JSON.parse(message.content);
+}
+
+test('builds a cart over several turns, reads it back and orders on a yes', async () => {
+  const session = newSession();
+
+  const first = await converse(session, 'Two Caesar salads please', [
+    toolCalls(['add_to_cart', { menu_item_id: salad.id, quantity: 2 }]),
+    say('Two Caesar salads. Anything else?')
+  ]);
+  assert.equal(first.text, 'Two Caesar salads. Anything else?');
+  assert.equal(first.order, null);
+  assert.deepEqual(first.toolCalls.map(call => call.name), ['add_to_cart']);
+  assert.equal(session.cart.length, 1);
+
+  const second = await converse(session, "And a coffee, that's all", [
+    toolCalls(['add_to_cart', { menu_item_id: coffee.id, quantity: 1 }], ['review_order']),
+    say('Sure.')
+  ]);
+  assert.equal(second.readBack, "That's 2 Caesar Salad and 1 Coffee. Your total is $29.97. Shall I place the order?");
+  assert.equal(second.order, null);
+
+  // The model sees the cart waiting for confirmation on the next turn
+  const confirm = toolCalls(['confirm_order']);
+  const third = await converse(session, 'Yes please', [confirm, say('Thank you!')]);
+  assert.ok(third.order);
+  assert.equal(third.order.total_amount, 29.97);
+  assert.equal(third.needsHuman, false);
+  assert.deepEqual(session.cart, []);
+  assert.match(model.requests[0].messages.map(message => message.content).join('\n'), /waiting for them to confirm/);
+  assert.equal(toolResult(model.requests[1], confirm.tool_calls[0].id).order_id, third.order.id);
+
+  const stored = await orderRepository.findOrderWithItems(third.order.id);
+  assert.equal(stored.channel, 'sms');
+  assert.deepEqual(
+    Object.fromEntries(stored.items.map(item => [item.menu_item_id, item.quantity])),
+    { [salad.id]: 2, [coffee.id]: 1 }
+  );
+});
+
+test('confirm_order does nothing when the model jumps ahead', async () => {
+  const session = newSession();
+
+  // Adding, reading back and confirming in one turn
+  const rushed = toolCalls(['add_to_cart', { menu_item_id: coffee.id, quantity: 1 }], ['review_order'], ['confirm_order']);
+  const first = await converse(session, 'A coffee, yes', [rushed, say('Done.')]);
+  assert.equal(first.order, null);
+  assert.match(toolResult(model.requests[1], rushed.tool_calls[2].id).error, /has not heard the cart/);
+
+  // Confirming when the guest asked a question instead
+  const premature = toolCalls(['confirm_order']);
+  const second = await converse(session, 'How much is the coffee?', [premature, say('It is $3.99.')]);
+  assert.equal(second.order, null);
+  assert.match(toolResult(model.requests[1], premature.tool_calls[0].id).error, /has not confirmed/);
+  assert.equal(session.cart.length, 1);
+});
+
+test('bad tool arguments go back to the model instead of failing the turn', async () => {
+  const session = newSession();
+
+  const bad = toolCalls(['add_to_cart', { menu_item_id: coffee.id, quantity: 500 }]);
+  const result = await converse(session, '500 coffees', [bad, say('At most ten, I am afraid.')]);
+
+  assert.equal(result.text, 'At most ten, I am afraid.');
+  assert.equal(result.toolCalls[0].error, 'Invalid arguments');
+  assert.deepEqual(session.cart, []);
+});
+
+test('a failing model escalates and forgets a read-back the guest never heard', async () => {
+  const session = newSession();
+  const result = await converse(session, 'A coffee please', [
+    toolCalls(['add_to_cart', { menu_item_id: coffee.id, quantity: 1 }], ['review_order']),
+    Object.assign(new Error('invalid api key'), { status: 401 })
+  ]);
+  assert.equal(result.needsHuman, true);
+  assert.equal(result.escalationReason, 'ai_error');
+  assert.equal(result.readBack, null);
+  assert.equal(session.state.cartReadBack, undefined);
+});
+
+test('stops after too many rounds of tool calls', async () => {
+  const session = newSession();
+  const result = await converse(session, 'What do you have?', Array.from({ length: 10 }, () => toolCalls(['view_menu'])));
+  assert.equal(result.escalationReason, 'ai_error');
+  assert.equal(model.requests.length, 4);
+});
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, checkIn, menuItem, closeDatabase } = require('./helpers');
+const conciergeTools = require('../src/services/conciergeTools');
+const orderRepository = require('../src/repositories/orderRepository');
+
+let salad;
+let coffee;
+
+before(async () => {
+  await setupDatabase();
+  await checkIn('501', 'Ann Lee');
+  salad = await menuItem('Caesar Salad');
+  coffee = await menuItem('Coffee');
+});
+
+after(closeDatabase);
+
+function newSession() {
+  return { key: 'voice:CA-test', channel: 'voice', roomNumber: '501', history: [], cart: [], state: {} };
+}
+
+/**
+ * Run one tool call as part of a guest turn
+ * @returns {Object} - { result, outcome }
+ */
+async function turn(session, guestMessage, name, args = {}) {
+  const outcome = { order: null, readBack: null, humanReason: null };
+  const result = await conciergeTools.run(name, JSON.stringify(args), { session, guestMessage, outcome });
+  return { result, outcome };
+}
+
+test('an order is only placed after the cart is read back and the guest says yes', async () => {
+  const session = newSession();
+
+  const added = await turn(session, 'two caesar salads please', 'add_to_cart', { menu_item_id: salad.id, quantity: 2 });
+  assert.equal(added.result.cart.status, 'building');
+  assert.equal(added.result.cart.total, 25.98);
+
+  const early = await turn(session, 'yes', 'confirm_order');
+  assert.match(early.result.error, /has not heard the cart/);
+  assert.equal(early.outcome.order, null);
+
+  // Reading back and confirming in the same turn doesn't count
+  const sameTurn = { order: null, readBack: null, humanReason: null };
+  await conciergeTools.run('review_order', '{}', { session, guestMessage: 'yes', outcome: sameTurn });
+  assert.equal(sameTurn.readBack, "That's 2 Caesar Salad. Your total is $25.98. Shall I place the order?");
+  const sameTurnConfirm = await conciergeTools.run('confirm_order', '{}', { session, guestMessage: 'yes', outcome: sameTurn });
+  assert.match(sameTurnConfirm.error, /has not heard the cart/);
+
+  const placed = await turn(session, 'Yes please, go ahead.', 'confirm_order');
+  assert.ok(placed.outcome.order);
+  assert.equal(placed.result.total, 25.98);
+  assert.deepEqual(session.cart, []);
+  assert.equal(session.state.cartReadBack, undefined);
+
+  const stored = await orderRepository.findOrderWithItems(placed.outcome.order.id);
+  assert.equal(stored.channel, 'voice');
+  assert.equal(stored.room_number, '501');
+  assert.deepEqual(stored.items.map(item => [item.menu_item_id, item.quantity]), [[salad.id, 2]]);
+});
+
+test('anything but a plain yes leaves the order unplaced', async () => {
+  const session = newSession();
+  await turn(session, 'a coffee', 'add_to_cart', { menu_item_id: coffee.id, quantity: 1 });
+  await turn(session, "that's all", 'review_order');
+
+  for (const message of ['yes, no sugar', 'sure, wait', 'is that right?', 'no', 'yes but make it two']) {
+    const { result, outcome } = await turn(session, message, 'confirm_order');
+    assert.match(result.error, /has not confirmed/, message);
+    assert.equal(outcome.order, null, message);
+  }
+  assert.equal(session.cart.length, 1);
+});
+
+test('changing the cart after the read-back needs a new read-back', async () => {
+  const session = newSession();
+  await turn(session, 'a coffee', 'add_to_cart', { menu_item_id: coffee.id, quantity: 1 });
+  await turn(session, "that's all", 'review_order');
+
+  const changed = await turn(session, 'actually make it two', 'update_cart_item', { menu_item_id: coffee.id, quantity: 2 });
+  assert.equal(changed.result.cart.status, 'building');
+
+  const refused = await turn(session, 'yes', 'confirm_order');
+  assert.match(refused.result.error, /has not heard the cart/);
+
+  const reviewed = await turn(session, 'read it back', 'review_order');
+  assert.equal(reviewed.outcome.readBack, "That's 2 Coffee. Your total is $7.98. Shall I place the order?");
+  const placed = await turn(session, 'yes', 'confirm_order');
+  assert.equal(placed.result.total, 7.98);
+});
+
+test('tool arguments are checked before anything runs', async () => {
+  const session = newSession();
+
+  const { result } = await turn(session, 'fifty coffees', 'add_to_cart', { menu_item_id: coffee.id, quantity: 50 });
+  assert.equal(result.error, 'Invalid arguments');
+
+  const unknown = await turn(session, 'the special', 'add_to_cart', { menu_item_id: 99999, quantity: 1 });
+  assert.match(unknown.result.error, /no menu item/);
+  assert.deepEqual(session.cart, []);
+});
@@ -0,0 +1,142 @@
+// Transfer calls to a front desk number and speak with Twilio's voice
+process.env.ESCALATION_TRANSFER_TO = '+15550009999';
+process.env.ELEVENLABS_API_KEY = '';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const twilio = require('twilio');
+const { setupDatabase, startApp, createStaff, checkIn, closeDatabase } = require('./helpers');
+const roomService = require('../src/services/roomService');
+const sessionStore = require('../src/services/sessionStore');
+const transcriptService = require('../src/services/transcriptService');
+const escalationService = require('../src/services/escalationService');
+
+const GUEST_PHONE = '+15550109020';
+let app;
+let frontDesk;
+let nextCall = 1;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+  frontDesk = await createStaff('front_desk');
+  await checkIn('901', 'Ann Lee');
+  await roomService.createRooms(['902']);
+  await roomService.checkIn('902', { guestName: 'Bo Chen', phoneNumber: GUEST_PHONE });
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+// A signed Twilio webhook; resolves to the response body
+async function webhook(path, params) {
+  const signature = twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, `${app.baseUrl}${path}`, params);
+  const response = await app.request('POST', path, { form: params, headers: { 'X-Twilio-Signature': signature } });
+  assert.equal(response.status, 200);
+  return response.body;
+}
+
+// A call from room 901's phone, past the greeting
+async function newCall() {
+  const callSid = `CA${String(nextCall++).padStart(32, '0')}`;
+  await webhook('/twilio/voice', { CallSid: callSid, From: 'sip:901@pbx.example.com', To: '+15550000000' });
+  return callSid;
+}
+
+function say(callSid, speech) {
+  return webhook(`/twilio/conversation?callSid=${callSid}`, { CallSid: callSid, SpeechResult: speech });
+}
+
+async function callSession(callSid) {
+  return sessionStore.get(sessionStore.voiceKey(callSid));
+}
+
+function openCallbacks() {
+  return app.request('GET', '/api/callbacks', { token: frontDesk.token });
+}
+
+test('a caller who asks for a person is put through to the front desk', async () => {
+  const callSid = await newCall();
+
+  const transfer = await say(callSid, 'Can I speak to a person please');
+  assert.match(transfer, /Please hold while I connect you/);
+  assert.match(transfer, /<Dial timeout="20" action="\/twilio\/escalation\/dial-status"><Number>\+15550009999<\/Number><\/Dial>/);
+
+  const answered = await webhook('/twilio/escalation/dial-status', { CallSid: callSid, DialCallStatus: 'completed' });
+  assert.match(answered, /<Hangup\/>/);
+
+  const { conversations: [conversation] } = await transcriptService.search({ callSid });
+  assert.deepEqual([conversation.escalation_reason, conversation.escalation_status], ['guest_request', 'connected']);
+  assert.equal((await openCallbacks()).body.length, 0);
+});
+
+test('an unanswered transfer opens one callback task and the promise is made once', async () => {
+  const callSid = await newCall();
+  await say(callSid, 'Transfer me to the front desk');
+
+  const unanswered = await webhook('/twilio/escalation/dial-status', { CallSid: callSid, DialCallStatus: 'no-answer' });
+  assert.match(unanswered, /nobody at the front desk could take your call\. I've asked the front desk to call you back/);
+  assert.match(unanswered, /<Gather input="speech"/);
+
+  // Asking again neither transfers nor repeats the promise
+  const again = await say(callSid, 'I want to talk to a person');
+  assert.doesNotMatch(again, /<Dial/);
+  assert.doesNotMatch(again, /call you back/);
+
+  const callbacks = (await openCallbacks()).body;
+  assert.equal(callbacks.length, 1);
+  assert.deepEqual([callbacks[0].room_number, callbacks[0].reason, callbacks[0].reason_label], ['901', 'no_answer', 'Nobody answered the transfer']);
+  assert.equal((await callSession(callSid)).state.escalation.status, 'callback');
+});
+
+test('a caller who hangs up in the queue is called back', async () => {
+  const callSid = await newCall();
+  await say(callSid, 'Put me through to reception');
+
+  const hungUp = await webhook('/twilio/escalation/queue-status', { CallSid: callSid, QueueResult: 'hangup' });
+  assert.doesNotMatch(hungUp, /<Say>/);
+
+  const callbacks = (await openCallbacks()).body;
+  assert.ok(callbacks.some(task => task.reason === 'abandoned'));
+
+  const holding = await webhook('/twilio/escalation/hold', { QueueTime: '30' });
+  assert.match(holding, /<Play>/);
+  const tooLong = await webhook('/twilio/escalation/hold', { QueueTime: String(escalationService.maxHoldSeconds) });
+  assert.match(tooLong, /<Leave\/>/);
+});
+
+test('texts ask for a call back, promised only on the first request', async () => {
+  const text = Body => webhook('/twilio/sms', { From: GUEST_PHONE, To: '+15550000000', Body });
+  const openTasks = async () => (await openCallbacks()).body.filter(task => task.room_number === '902');
+
+  await text('I want to talk to a real person');
+  await text('Get me a human please');
+
+  const { conversations: [found] } = await transcriptService.search({ phone: GUEST_PHONE });
+  const { turns } = await transcriptService.getTranscript(found.id);
+  assert.deepEqual(turns.map(turn => turn.ai_text.endsWith('A staff member will contact you shortly.')), [true, false]);
+
+  const tasks = await openTasks();
+  assert.equal(tasks.length, 1);
+  assert.deepEqual([tasks[0].channel, tasks[0].phone_number, tasks[0].reason], ['sms', GUEST_PHONE, 'guest_request']);
+
+  // Closing it lets the next request open a new task with a new promise
+  const close = body => app.request('PUT', `/api/callbacks/${tasks[0].id}/status`, { token: frontDesk.token, body });
+  assert.equal((await close({ status: 'open' })).status, 400);
+  const closed = await close({ status: 'done', notes: ' Called back, sent up towels ' });
+  assert.equal(closed.status, 200);
+  assert.equal(closed.body.notes, 'Called back, sent up towels');
+  assert.equal((await close({ status: 'cancelled' })).status, 409);
+  assert.equal((await openTasks()).length, 0);
+});
+
+test('only staff who handle callbacks see them', async () => {
+  const kitchen = await createStaff('kitchen');
+  assert.equal((await app.request('GET', '/api/callbacks', { token: kitchen.token })).status, 403);
+
+  assert.equal((await app.request('GET', '/api/callbacks?status=late', { token: frontDesk.token })).status, 400);
+  assert.ok((await app.request('GET', '/api/callbacks?status=all', { token: frontDesk.token })).body.length >= 3);
+  assert.equal((await app.request('PUT', '/api/callbacks/99999/status', { token: frontDesk.token, body: { status: 'done' } })).status, 404);
+});
@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, startApp, createStaff, checkIn, menuItem, closeDatabase } = require('./helpers');
+const orderService = require('../src/services/orderService');
+const roomService = require('../src/services/roomService');
+const loginAttemptService = require('../src/services/loginAttemptService');
+
+let app;
+let salad;
+let neighbourOrder;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+  await checkIn('401', 'Ann Lee');
+  await checkIn('402', 'Bo Chen');
+  salad = await menuItem('Caesar Salad');
+  neighbourOrder = await orderService.createOrder({ roomNumber: '402', items: [{ menuItemId: salad.id, quantity: 1 }] });
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+async function guestLogin(roomNumber, lastName) {
+  return app.request('POST', '/auth/guest', { body: { roomNumber, lastName } });
+}
+
+test('guests log in with the last name on the open stay', async () => {
+  assert.equal((await guestLogin('401', 'lee')).status, 200);
+  assert.equal((await guestLogin('401', 'Chen')).status, 401);
+  assert.equal((await guestLogin('499', 'Lee')).status, 401);
+});
+
+test('guests always order for their own room', async () => {
+  const { body: { token } } = await guestLogin('401', 'Lee');
+
+  const created = await app.request('POST', '/api/orders', {
+    token,
+    body: { roomNumber: '402', items: [{ menuItemId: salad.id, quantity: 2 }] }
+  });
+  assert.equal(created.status, 201);
+
+  const order = await app.request('GET', `/api/orders/${created.body.orderId}`, { token });
+  assert.equal(order.status, 200);
+  assert.equal(order.body.room_number, '401');
+});
+
+test("guests can't see other rooms' orders or the staff order list", async () => {
+  const { body: { token } } = await guestLogin('401', 'Lee');
+
+  assert.equal((await app.request('GET', `/api/orders/${neighbourOrder.id}`, { token })).status, 404);
+  assert.equal((await app.request('GET', '/api/orders', { token })).status, 403);
+  assert.equal((await app.request('PUT', `/api/orders/${neighbourOrder.id}/status`, {
+    token,
+    body: { status: 'cancelled' }
+  })).status, 403);
+  assert.equal((await app.request('GET', '/api/rooms', { token })).status, 403);
+});
+
+test("a guest's token stops working at check-out, even if the room is let again", async () => {
+  await checkIn('403', 'Cy Diaz');
+  const { body: { token } } = await guestLogin('403', 'Diaz');
+  const order = await orderService.createOrder({ roomNumber: '403', items: [{ menuItemId: salad.id, quantity: 1 }] });
+
+  await roomService.checkOut('403');
+  await roomService.checkIn('403', { guestName: 'Di Evans' });
+
+  assert.equal((await app.request('GET', `/api/orders/${order.id}`, { token })).status, 401);
+
+  const next = await guestLogin('403', 'Evans');
+  assert.equal((await app.request('GET', `/api/orders/${order.id}`, { token: next.body.token })).status, 404);
+});
+
+test('staff still see every order', async () => {
+  const frontDesk = await createStaff('front_desk');
+  const order = await app.request('GET', `/api/orders/${neighbourOrder.id}`, { token: frontDesk.token });
+  assert.equal(order.status, 200);
+  assert.equal(order.body.room_number, '402');
+});
+
+test('wrong last names lock the room out and are recorded', async () => {
+  await checkIn('404', 'Ed Fox');
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.equal((await guestLogin('404', `Guess${attempt}`)).status, 401);
+  }
+
+  const locked = await guestLogin('404', 'Fox');
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.code, 'TOO_MANY_ATTEMPTS');
+  assert.ok(locked.body.details.retryAfter > 0);
+
+  // Other rooms are unaffected
+  assert.equal((await guestLogin('401', 'Lee')).status, 200);
+
+  const events = await loginAttemptService.listEvents({ username: 'room:404' });
+  assert.deepEqual(events.map(event => event.reason), ['locked_out', ...Array(5).fill('invalid_credentials')]);
+  assert.ok((await loginAttemptService.listEvents({ username: 'room:401', outcome: 'success' })).length > 0);
+});
@@ -0,0 +1,141 @@
+/**
+ * Shared setup for the test suite. Require this before anything from
+ * src/: it points the app at an in-memory SQLite database, in-memory
+ * conversation sessions and the mock AI provider, unless a test file has
+ * already set those variables itself.
+ *
+ * node --test runs every file in its own process, so each file gets a
+ * fresh database.
+ */
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  DATABASE_PATH: ':memory:',
+  SESSION_STORE: 'memory',
+  AI_PROVIDER: 'mock',
+  JWT_SECRET: 'test-secret',
+  TWILIO_ACCOUNT_SID: 'AC00000000000000000000000000000000',
+  TWILIO_AUTH_TOKEN: 'test-token',
+  ELEVENLABS_API_KEY: 'test-key'
+};
+
+for (const [name, value] of Object.entries(TEST_ENV)) {
+  if (process.env[name] === undefined) {
+    process.env[name] = value;
+  }
+}
+
+const database = require('../src/config/database');
+const menuRepository = require('../src/repositories/menuRepository');
+const staffRepository = require('../src/repositories/staffRepository');
+const authService = require('../src/services/authService');
+const roomService = require('../src/services/roomService');
+const { requiresMfa } = require('../src/config/permissions');
+const totp = require('../src/utils/totp');
+const secretBox = require('../src/utils/secretBox');
+
+/**
+ * Run migrations and seed the default menu
+ */
+async function setupDatabase() {
+  await database.initDatabase();
+}
+
+/**
+ * Start the app on a free port
+ * @returns {Object} - { baseUrl, request(method, path, { token, body, form, headers }), close() }
+ */
+async function startApp() {
+  const app = require('../src/app');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+
+    /**
+     * Send a JSON body, or form parameters as Twilio does
+     * @returns {Object} - { status, body } with JSON bodies parsed and others (TwiML) as text
+     */
+    async request(method, path, { token, body, form, headers = {} } = {}) {
+      const requestHeaders = { ...headers };
+      if (token) requestHeaders.Authorization = `Bearer ${token}`;
+      if (body !== undefined) requestHeaders['Content-Type'] = 'application/json';
+
+      const response = await fetch(baseUrl + path, {
+        method,
+        headers: requestHeaders,
+        body: form !== undefined ? new URLSearchParams(form) : body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await response.text();
+      const isJson = (response.headers.get('content-type') || '').includes('json');
+      return { status: response.status, body: text ? (isJson ? JSON.parse(text) : text) : null };
+    },
+
+    close() {
+      // fetch keeps connections alive, which would hold the server open
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Create a staff account that can work straight away. Roles that need
+ * two-factor login are enrolled, with the secret returned.
+ * @param {string} role - Staff role
+ * @returns {Object} - { staff, token, refreshToken, totpSecret }
+ */
+async function createStaff(role) {
+  const id = await staffRepository.create({
+    username: `${role}-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    passwordHash: 'not-used',
+    name: `Test ${role}`,
+    role
+  });
+
+  let totpSecret = null;
+  if (requiresMfa(role)) {
+    totpSecret = totp.generateSecret();
+    await staffRepository.setTotpSecret(id, secretBox.seal(totpSecret));
+    await staffRepository.enableTotp(id, totp.timeStep() - 2);
+  }
+
+  const staff = await staffRepository.findById(id);
+  const session = await authService.startSession(staff);
+  return { staff, token: session.token, refreshToken: session.refreshToken, totpSecret };
+}
+
+/**
+ * Create a room and check a guest into it
+ * @param {string} roomNumber - Room number
+ * @param {string} guestName - Guest name
+ * @returns {Object} - The open stay
+ */
+async function checkIn(roomNumber, guestName) {
+  await roomService.createRooms([roomNumber]);
+  return roomService.checkIn(roomNumber, { guestName });
+}
+
+/**
+ * @param {string} name - Seeded menu item name, e.g. "Caesar Salad"
+ * @returns {Object} - Menu item row
+ */
+async function menuItem(name) {
+  const items = await menuRepository.listAvailableItems();
+  const item = items.find(candidate => candidate.name === name);
+  if (!item) {
+    throw new Error(`No menu item called ${name}`);
+  }
+  return item;
+}
+
+module.exports = {
+  setupDatabase,
+  startApp,
+  createStaff,
+  checkIn,
+  menuItem,
+  closeDatabase: database.closeDatabase
+};
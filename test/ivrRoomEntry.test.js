@@ -0,0 +1,104 @@
+// Speak with Twilio's voice rather than calling ElevenLabs
+process.env.ELEVENLABS_API_KEY = '';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const twilio = require('twilio');
+const { setupDatabase, startApp, checkIn, closeDatabase } = require('./helpers');
+const roomService = require('../src/services/roomService');
+const sessionStore = require('../src/services/sessionStore');
+
+const CALLER = '+15558880000';
+let app;
+let nextCall = 1;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+  await checkIn('801', 'Ann Lee');
+  await checkIn('802', 'Bo McDonald');
+  await roomService.createRooms(['803']);
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+// A signed Twilio webhook; resolves to the TwiML sent back
+async function webhook(path, params) {
+  const signature = twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, `${app.baseUrl}${path}`, params);
+  const response = await app.request('POST', path, { form: params, headers: { 'X-Twilio-Signature': signature } });
+  assert.equal(response.status, 200);
+  return response.body;
+}
+
+async function newCall(from = CALLER) {
+  const callSid = `CA${String(nextCall++).padStart(32, '0')}`;
+  return { callSid, twiml: await webhook('/twilio/voice', { CallSid: callSid, From: from, To: '+15550000000' }) };
+}
+
+function enterRoom(callSid, digits) {
+  return webhook('/twilio/room-input', { CallSid: callSid, From: CALLER, Digits: digits });
+}
+
+function sayName(callSid, name) {
+  return webhook('/twilio/room-verify', { CallSid: callSid, From: CALLER, SpeechResult: name });
+}
+
+test('a caller the resolver can place goes straight to the conversation', async () => {
+  const { callSid, twiml } = await newCall('sip:801@pbx.example.com');
+  assert.match(twiml, /<Redirect>\/twilio\/conversation\?callSid=CA\d+<\/Redirect>/);
+  assert.doesNotMatch(twiml, /room number/);
+
+  const session = await sessionStore.get(sessionStore.voiceKey(callSid));
+  assert.deepEqual([session.roomNumber, session.guestName], ['801', 'Ann Lee']);
+});
+
+test('other callers enter their room number and confirm the last name', async () => {
+  const { callSid, twiml } = await newCall();
+  assert.match(twiml, /<Gather input="dtmf"[^>]*action="\/twilio\/room-input"/);
+
+  const askName = await enterRoom(callSid, '802');
+  assert.match(askName, /Room 802\. To confirm/);
+  assert.match(askName, /action="\/twilio\/room-verify"/);
+
+  const verified = await sayName(callSid, 'Mc Donald.');
+  assert.match(verified, /<Redirect>\/twilio\/conversation\?callSid=/);
+
+  const session = await sessionStore.get(sessionStore.voiceKey(callSid));
+  assert.deepEqual([session.roomNumber, session.guestName, session.state.ivr], ['802', 'Bo McDonald', undefined]);
+});
+
+test('a wrong or missing room number is asked again, up to three times', async () => {
+  const { callSid } = await newCall();
+
+  assert.match(await enterRoom(callSid, ''), /receive a room number/);
+  // A room without a guest is no better than one that doesn't exist
+  assert.match(await enterRoom(callSid, '803'), /could not find a checked-in guest/);
+
+  const ended = await enterRoom(callSid, '999');
+  assert.match(ended, /could not find your room/);
+  assert.match(ended, /<Hangup\/>/);
+});
+
+test('wrong names end the call, even when the caller tries another room', async () => {
+  const { callSid } = await newCall();
+
+  await enterRoom(callSid, '801');
+  assert.match(await sayName(callSid, 'Smith'), /does not match our records\. Please say/);
+
+  await enterRoom(callSid, '802');
+  const ended = await sayName(callSid, 'Jones');
+  assert.match(ended, /does not match our records/);
+  assert.match(ended, /<Hangup\/>/);
+});
+
+test('a name given before any room number sends the caller back to the keypad', async () => {
+  const { callSid } = await newCall();
+  assert.match(await sayName(callSid, 'Lee'), /Please enter your room number/);
+
+  // Steps for a call whose session has gone start it again
+  const restarted = await enterRoom('CA99999999999999999999999999999999', '801');
+  assert.match(restarted, /Room 801\. To confirm/);
+});
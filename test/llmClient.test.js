@@ -0,0 +1,135 @@
+// Mock primary and fallback with short timeouts, set before the client is built
+process.env.AI_PROVIDER = 'mock';
+process.env.AI_FALLBACK_PROVIDER = 'mock';
+process.env.AI_TIMEOUT_MS = '100';
+process.env.AI_MAX_RETRIES = '1';
+process.env.AI_RETRY_DELAY_MS = '5';
+process.env.AI_FAILOVER_COOLDOWN_SECONDS = '60';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const llm = require('../src/services/llm');
+
+const { primary, fallback } = llm;
+const MESSAGES = [{ role: 'user', content: 'Hello' }];
+
+function reply(content) {
+  return { role: 'assistant', content };
+}
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+// A provider that never answers in time, but stops when the client gives up
+function hang(messages, tools, { signal }) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+}
+
+beforeEach(() => {
+  primary.reset();
+  fallback.reset();
+  llm.primaryDownUntil = 0;
+});
+
+test('retries the primary after a retryable error', async () => {
+  primary.script([httpError(503), reply('second try')]);
+
+  assert.equal((await llm.complete(MESSAGES, [])).content, 'second try');
+  assert.equal(primary.requests.length, 2);
+  assert.equal(fallback.requests.length, 0);
+  assert.equal(llm.primaryDownUntil, 0);
+});
+
+test('fails over once the retries are used up', async () => {
+  primary.script([httpError(429), httpError(500)]);
+  fallback.script([reply('from the fallback')]);
+
+  assert.equal((await llm.complete(MESSAGES, [])).content, 'from the fallback');
+  assert.equal(primary.requests.length, 2);
+});
+
+test('fails over straight away on errors a retry will not fix', async () => {
+  primary.script([httpError(401)]);
+  fallback.script([reply('from the fallback')]);
+
+  assert.equal((await llm.complete(MESSAGES, [])).content, 'from the fallback');
+  assert.equal(primary.requests.length, 1);
+});
+
+test('a primary that times out is not retried when there is a fallback', async () => {
+  primary.script([hang]);
+  fallback.script([reply('from the fallback')]);
+
+  assert.equal((await llm.complete(MESSAGES, [])).content, 'from the fallback');
+  assert.equal(primary.requests.length, 1);
+});
+
+test('the fallback goes first while the primary cools down', async () => {
+  primary.script([httpError(401)]);
+  await llm.complete(MESSAGES, []);
+  assert.ok(llm.primaryDownUntil > Date.now());
+
+  primary.reset();
+  fallback.reset();
+  fallback.script([reply('still the fallback')]);
+  assert.equal((await llm.complete(MESSAGES, [])).content, 'still the fallback');
+  assert.equal(primary.requests.length, 0);
+
+  // If the fallback fails too, the primary gets another chance
+  fallback.script([httpError(400)]);
+  primary.script([reply('primary is back')]);
+  assert.equal((await llm.complete(MESSAGES, [])).content, 'primary is back');
+  assert.equal(llm.primaryDownUntil, 0);
+});
+
+test('the primary goes first again once the cooldown is over', async () => {
+  llm.primaryDownUntil = Date.now() - 1;
+  primary.script([reply('primary')]);
+
+  assert.equal((await llm.complete(MESSAGES, [])).content, 'primary');
+  assert.equal(fallback.requests.length, 0);
+});
+
+test('throws the last error when every provider fails', async () => {
+  primary.script([httpError(401)]);
+  fallback.script([httpError(403)]);
+
+  await assert.rejects(llm.complete(MESSAGES, []), error => error.status === 403);
+});
+
+test('gives up at the deadline, across retries and failover', async () => {
+  primary.script([hang, hang]);
+  fallback.script([hang, hang]);
+
+  const startedAt = Date.now();
+  await assert.rejects(
+    llm.complete(MESSAGES, [], { deadline: Date.now() + 150 }),
+    error => error.code === 'ETIMEDOUT'
+  );
+  const elapsed = Date.now() - startedAt;
+  assert.ok(elapsed >= 140 && elapsed < 1000, `took ${elapsed} ms`);
+  assert.equal(primary.requests.length, 1);
+  assert.equal(fallback.requests.length, 1);
+});
+
+test('starts nothing once the deadline has passed', async () => {
+  await assert.rejects(
+    llm.complete(MESSAGES, [], { deadline: Date.now() - 1 }),
+    error => error.code === 'ETIMEDOUT'
+  );
+  assert.equal(primary.requests.length, 0);
+  assert.equal(fallback.requests.length, 0);
+});
+
+test('the mock provider only keeps its latest requests', async () => {
+  for (let request = 0; request < 105; request++) {
+    await primary.complete([{ role: 'user', content: `message ${request}` }], []);
+  }
+
+  assert.equal(primary.requests.length, 100);
+  assert.equal(primary.requests[0].messages[0].content, 'message 5');
+});
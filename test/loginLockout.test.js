@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, startApp, closeDatabase } = require('./helpers');
+const database = require('../src/config/database');
+const staffService = require('../src/services/staffService');
+const loginAttemptService = require('../src/services/loginAttemptService');
+const loginEventRepository = require('../src/repositories/loginEventRepository');
+
+const PASSWORD = 'Tide42Harbor';
+let app;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+  for (const username of ['ana.cook', 'bo.runner', 'cy.desk', 'di.desk']) {
+    await staffService.createStaff({ username, password: PASSWORD, name: username, role: 'kitchen' });
+  }
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+function login(username, password) {
+  return app.request('POST', '/auth/login', { body: { username, password } });
+}
+
+// Move every recorded attempt into the past, as if time had gone by
+async function ageAttempts(minutes) {
+  await database.run(`UPDATE login_events SET created_at = datetime(created_at, '-${minutes} minutes')`);
+}
+
+test('locks a username after five failures in a row, even for the right password', async () => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.equal((await login('ana.cook', 'wrong-password1')).status, 401);
+  }
+
+  const locked = await login('ana.cook', PASSWORD);
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.code, 'TOO_MANY_ATTEMPTS');
+  assert.ok(locked.body.details.retryAfter > 55 && locked.body.details.retryAfter <= 60);
+
+  // Other accounts are unaffected
+  assert.equal((await login('bo.runner', PASSWORD)).status, 200);
+
+  const events = await loginAttemptService.listEvents({ username: 'ana.cook' });
+  assert.deepEqual(events.map(event => event.reason), ['locked_out', ...Array(5).fill('invalid_credentials')]);
+});
+
+test('the lockout doubles with each further failure and a success resets it', async () => {
+  await ageAttempts(2);
+
+  assert.equal((await login('ana.cook', 'wrong-password1')).status, 401);
+  const longer = await login('ana.cook', PASSWORD);
+  assert.equal(longer.status, 429);
+  assert.ok(longer.body.details.retryAfter > 115 && longer.body.details.retryAfter <= 120);
+
+  await ageAttempts(3);
+  assert.equal((await login('ana.cook', PASSWORD)).status, 200);
+  assert.equal((await login('ana.cook', 'wrong-password1')).status, 401);
+  assert.equal((await login('ana.cook', PASSWORD)).status, 200);
+});
+
+test('parallel guesses cannot get past the limit together', async () => {
+  const responses = await Promise.all(
+    Array.from({ length: 10 }, () => login('cy.desk', 'wrong-password1'))
+  );
+  const statuses = responses.map(response => response.status).sort();
+
+  assert.deepEqual(statuses, [...Array(5).fill(401), ...Array(5).fill(429)]);
+});
+
+test('an attempt left pending by an error stops counting and is not listed', async () => {
+  await ageAttempts(20);
+
+  const stale = await loginEventRepository.create({ username: 'di.desk', success: false, reason: 'pending' });
+  await database.run(`UPDATE login_events SET created_at = datetime(created_at, '-2 minutes') WHERE id = ?`, [stale]);
+  for (let attempt = 0; attempt < 4; attempt++) {
+    assert.equal((await login('di.desk', 'wrong-password1')).status, 401);
+  }
+
+  assert.equal((await login('di.desk', PASSWORD)).status, 200);
+  const events = await loginAttemptService.listEvents({ username: 'di.desk' });
+  assert.ok(events.every(event => event.reason !== 'pending'));
+  assert.equal(events.length, 5);
+});
+
+test('an IP with too many failures is refused for every username', async () => {
+  await ageAttempts(20);
+
+  for (let attempt = 0; attempt < 20; attempt++) {
+    assert.equal((await login(`nobody-${attempt}`, 'wrong-password1')).status, 401);
+  }
+
+  const refused = await login('bo.runner', PASSWORD);
+  assert.equal(refused.status, 429);
+  assert.equal((await loginAttemptService.listEvents({ outcome: 'failed', username: 'bo.runner' }))[0].reason, 'locked_out');
+});
+
+test('refuses bad filters for the login event list', async () => {
+  await assert.rejects(loginAttemptService.listEvents({ outcome: 'maybe' }), { status: 400 });
+  await assert.rejects(loginAttemptService.listEvents({ limit: '0' }), { status: 400 });
+  assert.equal((await loginAttemptService.listEvents({ limit: '3' })).length, 3);
+});
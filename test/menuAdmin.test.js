@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, startApp, createStaff, closeDatabase } = require('./helpers');
+const menuService = require('../src/services/menuService');
+
+let app;
+let manager;
+let kitchen;
+let runner;
+const changes = [];
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+  manager = await createStaff('manager');
+  kitchen = await createStaff('kitchen');
+  runner = await createStaff('runner');
+  menuService.on('changed', change => changes.push(change));
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+function menuRequest(method, path, body, token = manager.token) {
+  return app.request(method, `/api/menu${path}`, { token, body });
+}
+
+async function guestMenuNames() {
+  return (await app.request('GET', '/api/menu')).body.map(item => item.name);
+}
+
+test('creates categories and items and shows them on the guest menu', async () => {
+  const category = await menuRequest('POST', '/categories', { name: '  Late Night  ', description: 'After 10pm' });
+  assert.equal(category.status, 201);
+  assert.equal(category.body.name, 'Late Night');
+
+  const item = await menuRequest('POST', '/items', {
+    categoryId: category.body.id,
+    name: 'Grilled Cheese',
+    price: '8.5',
+    preparationTime: 10
+  });
+  assert.equal(item.status, 201);
+  assert.equal(item.body.price, 8.5);
+  assert.ok((await guestMenuNames()).includes('Grilled Cheese'));
+  assert.deepEqual(changes.slice(-2), [
+    { entity: 'category', action: 'created', id: category.body.id },
+    { entity: 'item', action: 'created', id: item.body.id }
+  ]);
+});
+
+test('refuses invalid or duplicate menu input', async () => {
+  const [category] = (await menuRequest('GET', '/categories')).body;
+
+  const refused = [
+    ['POST', '/categories', { name: '   ' }, 400],
+    ['POST', '/categories', { name: category.name.toUpperCase() }, 409],
+    ['POST', '/items', { categoryId: category.id, name: 'Free Lunch', price: -1 }, 400],
+    ['POST', '/items', { categoryId: category.id, name: 'Cheap Lunch', price: 1.005 }, 400],
+    ['POST', '/items', { categoryId: 99999, name: 'Lost Lunch', price: 5 }, 400],
+    ['POST', '/items', { categoryId: category.id, name: 'caesar salad', price: 5 }, 409],
+    ['POST', '/items', { categoryId: category.id, name: 'Slow Lunch', price: 5, preparationTime: 500 }, 400],
+    ['PUT', '/items/99999', { price: 5 }, 404],
+    ['PUT', `/categories/${category.id}`, {}, 400]
+  ];
+  for (const [method, path, body, status] of refused) {
+    assert.equal((await menuRequest(method, path, body)).status, status, `${method} ${path} ${JSON.stringify(body)}`);
+  }
+});
+
+test('86ing an item takes it off the guest menu until it is back', async () => {
+  const item = (await menuRequest('GET', '/items')).body.find(candidate => candidate.name === 'Grilled Cheese');
+
+  const off = await menuRequest('PUT', `/items/${item.id}/availability`, { available: false }, kitchen.token);
+  assert.equal(off.status, 200);
+  assert.ok(!off.body.is_available);
+  assert.ok(!(await guestMenuNames()).includes('Grilled Cheese'));
+
+  assert.equal((await menuRequest('PUT', `/items/${item.id}/availability`, { available: 'false' }, kitchen.token)).status, 400);
+  assert.equal((await menuRequest('PUT', `/items/${item.id}/availability`, { available: true }, kitchen.token)).status, 200);
+  assert.ok((await guestMenuNames()).includes('Grilled Cheese'));
+});
+
+test('a category can only be deleted once it is empty', async () => {
+  const category = (await menuRequest('GET', '/categories')).body.find(candidate => candidate.name === 'Late Night');
+  const item = (await menuRequest('GET', '/items')).body.find(candidate => candidate.name === 'Grilled Cheese');
+
+  const blocked = await menuRequest('DELETE', `/categories/${category.id}`);
+  assert.equal(blocked.status, 409);
+  assert.equal(blocked.body.details.itemCount, 1);
+
+  assert.equal((await menuRequest('DELETE', `/items/${item.id}`)).status, 200);
+  assert.equal((await menuRequest('DELETE', `/categories/${category.id}`)).status, 200);
+  assert.ok(!(await guestMenuNames()).includes('Grilled Cheese'));
+  assert.ok(!(await menuRequest('GET', '/categories')).body.some(candidate => candidate.id === category.id));
+
+  // Deleted names can be used again
+  assert.equal((await menuRequest('POST', '/categories', { name: 'Late Night' })).status, 201);
+});
+
+test('reorders categories only when every one is listed once', async () => {
+  const ids = (await menuRequest('GET', '/categories')).body.map(category => category.id);
+  const reversed = [...ids].reverse();
+
+  assert.equal((await menuRequest('PUT', '/categories/order', { ids: reversed })).status, 200);
+  assert.deepEqual((await menuRequest('GET', '/categories')).body.map(category => category.id), reversed);
+
+  const missing = await menuRequest('PUT', '/categories/order', { ids: reversed.slice(1) });
+  assert.equal(missing.status, 400);
+  assert.deepEqual([...missing.body.details.expected].sort(), [...ids].sort());
+  assert.equal((await menuRequest('PUT', '/categories/order', { ids: [...reversed, reversed[0]] })).status, 400);
+});
+
+test('only roles with menu permissions can change the menu', async () => {
+  const [item] = (await menuRequest('GET', '/items')).body;
+
+  assert.equal((await menuRequest('POST', '/categories', { name: 'Kitchen Specials' }, kitchen.token)).status, 403);
+  assert.equal((await menuRequest('PUT', `/items/${item.id}/availability`, { available: false }, runner.token)).status, 403);
+  assert.equal((await menuRequest('GET', '/items', undefined, runner.token)).status, 200);
+  assert.equal((await app.request('GET', '/api/menu/items')).status, 401);
+});
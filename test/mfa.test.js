@@ -0,0 +1,170 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, startApp, createStaff, closeDatabase } = require('./helpers');
+const database = require('../src/config/database');
+const staffService = require('../src/services/staffService');
+const totp = require('../src/utils/totp');
+
+const PASSWORD = 'Tide42Harbor';
+let app;
+let session;
+let secret;
+let recoveryCodes;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+  await staffService.createStaff({ username: 'mo.cook', password: PASSWORD, name: 'Mo Cook', role: 'kitchen' });
+  session = (await login()).body;
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+function login(password = PASSWORD) {
+  return app.request('POST', '/auth/login', { body: { username: 'mo.cook', password } });
+}
+
+function secondStep(mfaToken, proof) {
+  return app.request('POST', '/auth/login/mfa', { body: { mfaToken, ...proof } });
+}
+
+// A valid code the account hasn't used yet: the clock may still be in the step just used
+function nextCode() {
+  return totp.generateCode(secret, totp.timeStep() + 1);
+}
+
+// Let the next code through again, as if 30 seconds had passed
+async function forgetUsedCodes() {
+  await database.run("UPDATE staff SET totp_last_step = NULL WHERE username = 'mo.cook'");
+}
+
+test('matches the RFC 6238 test vectors and allows one step of drift', () => {
+  const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+  assert.equal(rfcSecret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(totp.generateCode(rfcSecret, totp.timeStep(59 * 1000)), '287082');
+  assert.equal(totp.generateCode(rfcSecret, totp.timeStep(1111111109 * 1000)), '081804');
+
+  const time = 1111111109 * 1000;
+  const step = totp.timeStep(time);
+  assert.equal(totp.verifyCode(rfcSecret, '081 804', { time }), step);
+  assert.equal(totp.verifyCode(rfcSecret, totp.generateCode(rfcSecret, step + 1), { time }), step + 1);
+  assert.equal(totp.verifyCode(rfcSecret, totp.generateCode(rfcSecret, step + 2), { time }), null);
+  assert.equal(totp.verifyCode(rfcSecret, 'abcdef', { time }), null);
+
+  const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253]);
+  assert.deepEqual(totp.base32Decode(totp.base32Encode(bytes)), bytes);
+});
+
+test('enrolls with a first code and hands out recovery codes once', async () => {
+  const setup = await app.request('POST', '/auth/mfa/setup', { token: session.token });
+  assert.equal(setup.status, 200);
+  secret = setup.body.secret;
+  assert.match(setup.body.otpauthUrl, /^otpauth:\/\/totp\/.*mo\.cook\?secret=/);
+
+  const wrong = await app.request('POST', '/auth/mfa/enable', { token: session.token, body: { code: '000000' } });
+  assert.equal(wrong.status, 400);
+
+  const enabled = await app.request('POST', '/auth/mfa/enable', {
+    token: session.token,
+    body: { code: totp.generateCode(secret) }
+  });
+  assert.equal(enabled.status, 200);
+  recoveryCodes = enabled.body.recoveryCodes;
+  assert.equal(recoveryCodes.length, 10);
+  assert.equal(new Set(recoveryCodes).size, 10);
+
+  const status = await app.request('GET', '/auth/mfa', { token: session.token });
+  assert.deepEqual(status.body, { enabled: true, required: false, recoveryCodesRemaining: 10 });
+  assert.equal((await app.request('POST', '/auth/mfa/setup', { token: session.token })).status, 409);
+});
+
+test('the password alone no longer starts a session, and each code works once', async () => {
+  const first = await login();
+  assert.equal(first.body.mfaRequired, true);
+  assert.equal(first.body.token, undefined);
+
+  const wrong = await secondStep(first.body.mfaToken, { code: '000000' });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.code, 'INVALID_MFA_CODE');
+
+  const code = nextCode();
+  const signedIn = await secondStep(first.body.mfaToken, { code });
+  assert.equal(signedIn.status, 200);
+  assert.ok(signedIn.body.token);
+  assert.equal(signedIn.body.user.mfaEnabled, true);
+
+  assert.equal((await secondStep((await login()).body.mfaToken, { code })).status, 401);
+  assert.equal((await secondStep('not-a-ticket', { code: nextCode() })).status, 401);
+});
+
+test('recovery codes work once each, in any format', async () => {
+  const [recoveryCode] = recoveryCodes;
+
+  const { body: { mfaToken } } = await login();
+  assert.equal((await secondStep(mfaToken, { recoveryCode: recoveryCode.toUpperCase().replace(/-/g, ' ') })).status, 200);
+  assert.equal((await secondStep(mfaToken, { recoveryCode })).status, 401);
+
+  const status = await app.request('GET', '/auth/mfa', { token: session.token });
+  assert.equal(status.body.recoveryCodesRemaining, 9);
+});
+
+test('new recovery codes replace the old ones', async () => {
+  await forgetUsedCodes();
+  const regenerated = await app.request('POST', '/auth/mfa/recovery-codes', { token: session.token, body: { code: nextCode() } });
+  assert.equal(regenerated.status, 200);
+  assert.equal(regenerated.body.recoveryCodes.length, 10);
+
+  const { body: { mfaToken } } = await login();
+  assert.equal((await secondStep(mfaToken, { recoveryCode: recoveryCodes[1] })).status, 401);
+  assert.equal((await secondStep(mfaToken, { recoveryCode: regenerated.body.recoveryCodes[0] })).status, 200);
+  recoveryCodes = regenerated.body.recoveryCodes.slice(1);
+});
+
+test('turning it off needs the password and a second factor', async () => {
+  const disable = body => app.request('POST', '/auth/mfa/disable', { token: session.token, body });
+
+  assert.equal((await disable({ password: 'wrong-password1', recoveryCode: recoveryCodes[0] })).status, 401);
+  assert.equal((await disable({ password: PASSWORD, code: '000000' })).status, 401);
+  assert.equal((await disable({ password: PASSWORD, recoveryCode: recoveryCodes[0] })).status, 200);
+
+  const again = await login();
+  assert.ok(again.body.token);
+  assert.equal(again.body.mfaRequired, undefined);
+  session = again.body;
+});
+
+test('an admin can remove a lost second factor, which logs the account out', async () => {
+  secret = (await app.request('POST', '/auth/mfa/setup', { token: session.token })).body.secret;
+  await app.request('POST', '/auth/mfa/enable', { token: session.token, body: { code: totp.generateCode(secret) } });
+  const admin = await createStaff('admin');
+
+  const reset = await app.request('POST', `/api/staff/${session.user.id}/reset-mfa`, { token: admin.token });
+  assert.equal(reset.status, 200);
+  assert.equal((await app.request('GET', '/auth/mfa', { token: session.token })).status, 401);
+  assert.ok((await login()).body.token);
+
+  assert.equal((await app.request('POST', `/api/staff/${admin.staff.id}/reset-mfa`, { token: admin.token })).status, 409);
+});
+
+test('admins are told to enroll, and wrong codes count towards the lockout', async () => {
+  await staffService.createStaff({ username: 'al.admin', password: PASSWORD, name: 'Al Admin', role: 'admin' });
+  await database.run("UPDATE staff SET must_change_password = FALSE WHERE username = 'al.admin'");
+  const adminLogin = () => app.request('POST', '/auth/login', { body: { username: 'al.admin', password: PASSWORD } });
+
+  const unenrolled = await adminLogin();
+  assert.equal(unenrolled.body.user.mfaEnrollmentRequired, true);
+  const status = await app.request('GET', '/auth/mfa', { token: unenrolled.body.token });
+  assert.equal(status.body.required, true);
+
+  secret = (await app.request('POST', '/auth/mfa/setup', { token: unenrolled.body.token })).body.secret;
+  await app.request('POST', '/auth/mfa/enable', { token: unenrolled.body.token, body: { code: totp.generateCode(secret) } });
+
+  const { body: { mfaToken } } = await adminLogin();
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.equal((await secondStep(mfaToken, { code: '000000' })).status, 401);
+  }
+  assert.equal((await secondStep(mfaToken, { code: nextCode() })).status, 429);
+});
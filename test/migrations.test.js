@@ -0,0 +1,91 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { closeDatabase } = require('./helpers');
+const database = require('../src/config/database');
+const { Migrator } = require('../src/config/migrator');
+
+const { migrator } = database;
+
+after(closeDatabase);
+
+// Every table with its columns, to compare schemas
+async function schema() {
+  const tables = await database.all(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+    ORDER BY name
+  `);
+  const result = {};
+  for (const { name } of tables) {
+    result[name] = (await database.all(`PRAGMA table_info(${name})`)).map(column => column.name).sort();
+  }
+  return result;
+}
+
+test('applies every migration in order and records it', async () => {
+  const applied = await migrator.migrate();
+  const versions = applied.map(migration => migration.version);
+
+  assert.ok(versions.length > 0);
+  assert.deepEqual(versions, [...versions].sort((a, b) => Number(a) - Number(b)));
+  assert.ok((await migrator.status()).every(migration => migration.applied));
+  assert.deepEqual(await migrator.migrate(), []);
+});
+
+test('every migration rolls back cleanly and applies again', async () => {
+  const migrated = await schema();
+  const count = (await migrator.status()).length;
+
+  const rolledBack = await migrator.rollback({ steps: count });
+  assert.equal(rolledBack.length, count);
+  assert.deepEqual(Object.keys(await schema()), ['schema_migrations']);
+  assert.ok((await migrator.status()).every(migration => !migration.applied));
+
+  await migrator.migrate();
+  assert.deepEqual(await schema(), migrated);
+});
+
+test('migrates up to a version and rolls back one step at a time', async () => {
+  const versions = (await migrator.status()).map(migration => migration.version);
+  await migrator.rollback({ steps: versions.length });
+
+  await migrator.migrate({ to: versions[2] });
+  assert.deepEqual(
+    (await migrator.status()).filter(migration => migration.applied).map(migration => migration.version),
+    versions.slice(0, 3)
+  );
+
+  const [last] = await migrator.rollback();
+  assert.equal(last.version, versions[2]);
+
+  await migrator.migrate();
+  assert.ok((await migrator.status()).every(migration => migration.applied));
+});
+
+test('a failing migration leaves nothing behind', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  fs.writeFileSync(path.join(directory, '900_broken.js'), `
+    module.exports = {
+      async up({ query }) {
+        await query('CREATE TABLE half_done (id INTEGER PRIMARY KEY)');
+        throw new Error('boom');
+      },
+      async down({ query }) {
+        await query('DROP TABLE half_done');
+      }
+    };
+  `);
+
+  try {
+    const broken = new Migrator({ withClient: database.withClient, isPostgres: false, directory });
+    await assert.rejects(broken.migrate(), /boom/);
+
+    assert.equal((await schema()).half_done, undefined);
+    assert.ok(!await database.get('SELECT version FROM schema_migrations WHERE version = ?', ['900']));
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, startApp, createStaff, checkIn, menuItem, closeDatabase } = require('./helpers');
+const orderService = require('../src/services/orderService');
+
+let app;
+let manager;
+let kitchen;
+let salad;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+  manager = await createStaff('manager');
+  kitchen = await createStaff('kitchen');
+  await checkIn('301', 'Ann Lee');
+  salad = await menuItem('Caesar Salad');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+async function newOrder() {
+  return orderService.createOrder({ roomNumber: '301', items: [{ menuItemId: salad.id, quantity: 1 }] });
+}
+
+function setStatus(orderId, status, token = manager.token) {
+  return app.request('PUT', `/api/orders/${orderId}/status`, { token, body: { status } });
+}
+
+test('moves an order through the whole lifecycle and records each step', async () => {
+  const order = await newOrder();
+
+  for (const status of ['confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'refunded']) {
+    const response = await setStatus(order.id, status);
+    assert.equal(response.status, 200, `${status}: ${JSON.stringify(response.body)}`);
+    assert.equal(response.body.status, status);
+  }
+
+  const details = await app.request('GET', `/api/orders/${order.id}`, { token: manager.token });
+  assert.deepEqual(
+    details.body.status_history.map(entry => entry.to_status),
+    ['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'refunded']
+  );
+});
+
+test('answers 409 with the allowed statuses for an illegal move', async () => {
+  const order = await newOrder();
+
+  const response = await setStatus(order.id, 'delivered');
+  assert.equal(response.status, 409);
+  assert.equal(response.body.details.currentStatus, 'pending');
+  assert.deepEqual(response.body.details.allowedStatuses, ['confirmed', 'cancelled']);
+});
+
+test('cancelled orders cannot move again', async () => {
+  const order = await newOrder();
+  assert.equal((await setStatus(order.id, 'cancelled')).status, 200);
+
+  for (const status of ['pending', 'confirmed', 'cancelled']) {
+    const response = await setStatus(order.id, status);
+    assert.equal(response.status, 409, status);
+    assert.deepEqual(response.body.details.allowedStatuses, []);
+  }
+});
+
+test('orders cannot be cancelled once they are out for delivery', async () => {
+  const order = await newOrder();
+  for (const status of ['confirmed', 'preparing', 'ready', 'out_for_delivery']) {
+    await setStatus(order.id, status);
+  }
+
+  assert.equal((await setStatus(order.id, 'cancelled')).status, 409);
+});
+
+test('roles can only make the moves they handle', async () => {
+  const order = await newOrder();
+
+  assert.equal((await setStatus(order.id, 'confirmed', kitchen.token)).status, 200);
+  assert.equal((await setStatus(order.id, 'cancelled', kitchen.token)).status, 403);
+  assert.equal((await setStatus(order.id, 'bogus')).status, 400);
+  assert.equal((await setStatus(999999, 'confirmed')).status, 404);
+});
@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, startApp, createStaff, checkIn, menuItem, closeDatabase } = require('./helpers');
+const orderService = require('../src/services/orderService');
+const staffRepository = require('../src/repositories/staffRepository');
+
+let app;
+let manager;
+let kitchen;
+let coffee;
+const placed = [];
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+  manager = await createStaff('manager');
+  kitchen = await createStaff('kitchen');
+  await checkIn('701', 'Ann Lee');
+  await checkIn('702', 'Bob Ray');
+  coffee = await menuItem('Coffee');
+
+  const instructions = ['100% oat milk', '100 percent oat milk', 'no_ice', 'no ice', 'back\\door'];
+  for (const [index, specialInstructions] of instructions.entries()) {
+    placed.push(await orderService.createOrder({
+      roomNumber: index % 2 === 0 ? '701' : '702',
+      items: [{ menuItemId: coffee.id, quantity: 1 }],
+      specialInstructions
+    }));
+  }
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+function list(query = '') {
+  return app.request('GET', `/api/orders${query}`, { token: manager.token });
+}
+
+function assign(orderId, staffId) {
+  return app.request('PUT', `/api/orders/${orderId}/assignee`, { token: manager.token, body: { staffId } });
+}
+
+test('pages through every order with the cursor, newest first', async () => {
+  const seen = [];
+  let cursor = null;
+  do {
+    const response = await list(`?limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(response.status, 200);
+    assert.ok(response.body.orders.length <= 2);
+    seen.push(...response.body.orders.map(order => order.id));
+    cursor = response.body.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(seen, placed.map(order => order.id).reverse());
+});
+
+test('filters by room and status', async () => {
+  await orderService.updateStatus(placed[0].id, 'confirmed');
+
+  const byRoom = await list('?room=702');
+  assert.deepEqual(byRoom.body.orders.map(order => order.id).sort(), [placed[1].id, placed[3].id].sort());
+
+  const byStatus = await list('?status=confirmed&room=701');
+  assert.deepEqual(byStatus.body.orders.map(order => order.id), [placed[0].id]);
+});
+
+test('search treats %, _ and \\ as plain characters', async () => {
+  const search = async q => (await list(`?q=${encodeURIComponent(q)}`)).body.orders.map(order => order.id);
+
+  assert.deepEqual(await search('100%'), [placed[0].id]);
+  assert.deepEqual(await search('no_ice'), [placed[2].id]);
+  assert.deepEqual(await search('k\\d'), [placed[4].id]);
+  assert.deepEqual((await search('OAT')).sort(), [placed[0].id, placed[1].id].sort());
+});
+
+test('refuses bad list parameters', async () => {
+  for (const query of ['?limit=0', '?limit=101', '?sort=guest_name', '?order=sideways', '?status=lost', '?cursor=nonsense']) {
+    assert.equal((await list(query)).status, 400, query);
+  }
+});
+
+test('assigns and unassigns orders', async () => {
+  const order = placed[1];
+
+  assert.equal((await assign(order.id, kitchen.staff.id)).status, 200);
+  const assigned = await list(`?assignedTo=${kitchen.staff.id}`);
+  assert.deepEqual(assigned.body.orders.map(o => o.id), [order.id]);
+  assert.equal(assigned.body.orders[0].assigned_staff_name, kitchen.staff.name);
+
+  assert.equal((await assign(order.id, null)).status, 200);
+  assert.deepEqual((await list(`?assignedTo=${kitchen.staff.id}`)).body.orders, []);
+});
+
+test('refuses assignments to unknown, invalid or deactivated staff', async () => {
+  const order = placed[2];
+  const leaver = await createStaff('runner');
+  await staffRepository.setActive(leaver.staff.id, false);
+
+  assert.equal((await assign(order.id, 99999)).status, 404);
+  assert.equal((await assign(order.id, 'abc')).status, 400);
+  assert.equal((await assign(order.id, leaver.staff.id)).status, 400);
+  assert.equal((await assign(99999, kitchen.staff.id)).status, 404);
+
+  const frontDesk = await createStaff('front_desk');
+  const forbidden = await app.request('PUT', `/api/orders/${order.id}/assignee`, {
+    token: frontDesk.token,
+    body: { staffId: kitchen.staff.id }
+  });
+  assert.equal(forbidden.status, 403);
+});
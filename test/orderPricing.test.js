@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, checkIn, menuItem, closeDatabase } = require('./helpers');
+const menuService = require('../src/services/menuService');
+const orderService = require('../src/services/orderService');
+const roomService = require('../src/services/roomService');
+const { ValidationError, NotFoundError, ConflictError } = require('../src/utils/errors');
+
+let salad;
+let coffee;
+
+before(async () => {
+  await setupDatabase();
+  await checkIn('201', 'Ann Lee');
+  salad = await menuItem('Caesar Salad');
+  coffee = await menuItem('Coffee');
+});
+
+after(closeDatabase);
+
+test('prices orders from the menu, ignoring prices sent by the client', async () => {
+  const order = await orderService.createOrder({
+    roomNumber: '201',
+    items: [
+      { menuItemId: salad.id, quantity: 3, price: 0.01 },
+      { id: coffee.id, quantity: 2, unitPrice: 0 }
+    ]
+  });
+
+  assert.equal(order.subtotal, 46.95);
+  assert.equal(order.total_amount, 46.95);
+  assert.equal(order.status, 'pending');
+  assert.deepEqual(
+    order.items.map(item => [item.menu_item_id, item.quantity, item.unit_price]),
+    [[salad.id, 3, 12.99], [coffee.id, 2, 3.99]]
+  );
+});
+
+test('totals add up in cents', async () => {
+  const soda = await menuItem('Soda');
+  const order = await orderService.createOrder({
+    roomNumber: '201',
+    items: [{ menuItemId: soda.id, quantity: 3 }, { menuItemId: coffee.id, quantity: 7 }]
+  });
+
+  assert.equal(order.subtotal, 36.9);
+});
+
+test('lists every line that cannot be ordered', async () => {
+  const tiramisu = await menuItem('Tiramisu');
+  await menuService.setItemAvailability(tiramisu.id, false);
+
+  await assert.rejects(
+    orderService.createOrder({
+      roomNumber: '201',
+      items: [
+        { menuItemId: salad.id, quantity: 1 },
+        { menuItemId: 99999, quantity: 1 },
+        { menuItemId: tiramisu.id, quantity: 1 },
+        { menuItemId: coffee.id, quantity: 0 },
+        { menuItemId: coffee.id, quantity: 1.5 },
+        { quantity: 1 }
+      ]
+    }),
+    error => {
+      assert.ok(error instanceof ValidationError);
+      assert.deepEqual(error.details.lines.map(line => line.line), [1, 2, 3, 4, 5]);
+      assert.match(error.details.lines[1].reason, /currently unavailable/);
+      return true;
+    }
+  );
+});
+
+test('refuses orders without items, for unknown rooms or vacant rooms', async () => {
+  await assert.rejects(orderService.createOrder({ roomNumber: '201', items: [] }), ValidationError);
+  await assert.rejects(
+    orderService.createOrder({ roomNumber: '201', items: [{ menuItemId: salad.id, quantity: 1 }], channel: 'fax' }),
+    ValidationError
+  );
+  await assert.rejects(
+    orderService.createOrder({ roomNumber: '999', items: [{ menuItemId: salad.id, quantity: 1 }] }),
+    NotFoundError
+  );
+
+  await checkIn('202', 'Bo Chen');
+  await roomService.checkOut('202');
+  await assert.rejects(
+    orderService.createOrder({ roomNumber: '202', items: [{ menuItemId: salad.id, quantity: 1 }] }),
+    error => error instanceof ConflictError && error.details.reason === 'room_vacant'
+  );
+});
@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, startApp, createStaff, closeDatabase } = require('./helpers');
+const staffRepository = require('../src/repositories/staffRepository');
+const authService = require('../src/services/authService');
+
+let app;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+function refresh(refreshToken) {
+  return app.request('POST', '/auth/refresh', { body: { refreshToken } });
+}
+
+test('each refresh returns a new refresh token and a working access token', async () => {
+  const { refreshToken } = await createStaff('runner');
+
+  const first = await refresh(refreshToken);
+  assert.equal(first.status, 200);
+  assert.notEqual(first.body.refreshToken, refreshToken);
+  assert.equal((await app.request('GET', '/api/orders', { token: first.body.token })).status, 200);
+
+  const second = await refresh(first.body.refreshToken);
+  assert.equal(second.status, 200);
+  assert.notEqual(second.body.refreshToken, first.body.refreshToken);
+});
+
+test('reusing a rotated refresh token revokes the whole login', async () => {
+  const { refreshToken } = await createStaff('runner');
+  const rotated = await refresh(refreshToken);
+  assert.equal(rotated.status, 200);
+
+  const reused = await refresh(refreshToken);
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.code, 'INVALID_REFRESH_TOKEN');
+
+  // The thief's copy and the legitimate client's copy are both dead now
+  assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+});
+
+test("revoking one login leaves the staff member's other logins alone", async () => {
+  const first = await createStaff('runner');
+  const other = await authService.startSession(first.staff);
+
+  await refresh(first.refreshToken);
+  await refresh(first.refreshToken);
+
+  assert.equal((await refresh(other.refreshToken)).status, 200);
+});
+
+test('unknown tokens and deactivated accounts are refused', async () => {
+  assert.equal((await refresh('not-a-token')).status, 401);
+  assert.equal((await app.request('POST', '/auth/refresh', { body: {} })).status, 401);
+
+  const { staff, refreshToken } = await createStaff('runner');
+  await staffRepository.setActive(staff.id, false);
+  assert.equal((await refresh(refreshToken)).status, 401);
+});
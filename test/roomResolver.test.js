@@ -0,0 +1,97 @@
+process.env.ROOM_RESOLUTION_STRATEGIES = 'mapping,stay_phone,sip_extension,last_digits';
+process.env.ROOM_CALLER_ID_PREFIX = '+1555777';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, startApp, createStaff, checkIn, closeDatabase } = require('./helpers');
+const roomResolver = require('../src/services/roomResolver');
+const roomService = require('../src/services/roomService');
+
+let app;
+let manager;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+  manager = await createStaff('manager');
+  await checkIn('1204', "Ann O'Neil");
+  await checkIn('1205', 'Bo McDonald');
+  await roomService.createRooms(['1206', '1207']);
+  await roomService.checkIn('1206', { guestName: 'Cy Park', phoneNumber: '(555) 010-1206' });
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+function addMapping(body, token = manager.token) {
+  return app.request('POST', '/api/rooms/phone-mappings', { token, body });
+}
+
+test('finds the room from a mapped caller ID, extension or dialled number', async () => {
+  assert.equal((await addMapping({ kind: 'caller_id', value: '+1 (555) 222-1204', roomNumber: '1204' })).status, 201);
+  assert.equal((await addMapping({ kind: 'extension', value: 'sip:front-9@pbx.example.com', roomNumber: '1205' })).status, 201);
+  assert.equal((await addMapping({ kind: 'did', value: '+15553331206', roomNumber: '1206' })).status, 201);
+
+  const byCallerId = await roomResolver.resolve({ from: '+15552221204', to: '+15550000000' });
+  assert.deepEqual([byCallerId.roomNumber, byCallerId.guestName, byCallerId.source], ['1204', "Ann O'Neil", 'mapping']);
+  assert.equal((await roomResolver.resolve({ from: 'sip:front-9@pbx.example.com' })).roomNumber, '1205');
+  assert.equal((await roomResolver.resolve({ from: '+15559999999', to: '+1 555 333 1206' })).roomNumber, '1206');
+});
+
+test('falls back to the phone on the stay, the PBX extension and the number block', async () => {
+  const byStayPhone = await roomResolver.resolve({ from: '+15550101206' });
+  assert.deepEqual([byStayPhone.roomNumber, byStayPhone.source], ['1206', 'stay_phone']);
+
+  const byExtension = await roomResolver.resolve({ from: 'sip:1205@pbx.example.com;transport=udp' });
+  assert.deepEqual([byExtension.roomNumber, byExtension.source], ['1205', 'sip_extension']);
+
+  const byDigits = await roomResolver.resolve({ from: '+15557771204' });
+  assert.deepEqual([byDigits.roomNumber, byDigits.source], ['1204', 'last_digits']);
+  assert.equal(await roomResolver.resolve({ from: '+15558881204' }), null);
+});
+
+test('only rooms with a guest checked in count', async () => {
+  assert.equal(await roomResolver.resolve({ from: 'sip:1207@pbx.example.com' }), null);
+  assert.equal(await roomResolver.resolve({ from: 'sip:9999@pbx.example.com' }), null);
+  assert.equal(await roomResolver.resolve({ from: 'anonymous' }), null);
+  assert.equal(await roomResolver.resolve(), null);
+
+  assert.equal(await roomResolver.verifyRoom('1207'), null);
+  assert.equal((await roomResolver.verifyRoom(' 1204 ')).guestName, "Ann O'Neil");
+});
+
+test('matches the last name however speech recognition writes it', () => {
+  assert.ok(roomResolver.matchesGuestName('It is oneil', "Ann O'Neil"));
+  assert.ok(roomResolver.matchesGuestName('Mc Donald', 'Bo McDonald'));
+  assert.ok(roomResolver.matchesGuestName('Muller', 'Jo Müller'));
+  assert.ok(!roomResolver.matchesGuestName('Ann', "Ann O'Neil"));
+  assert.ok(!roomResolver.matchesGuestName(undefined, 'Bo McDonald'));
+  assert.ok(!roomResolver.matchesGuestName('anything', ''));
+});
+
+test('manages phone mappings', async () => {
+  const refused = [
+    [{ kind: 'fax', value: '+15554441204', roomNumber: '1204' }, 400],
+    [{ kind: 'caller_id', value: 'no digits', roomNumber: '1204' }, 400],
+    [{ kind: 'extension', value: '  ', roomNumber: '1204' }, 400],
+    [{ kind: 'caller_id', value: '+15554441204', roomNumber: '9999' }, 404],
+    [{ kind: 'caller_id', value: '+1 555 222 1204', roomNumber: '1205' }, 409]
+  ];
+  for (const [body, status] of refused) {
+    assert.equal((await addMapping(body)).status, status, JSON.stringify(body));
+  }
+
+  const runner = await createStaff('runner');
+  assert.equal((await addMapping({ kind: 'caller_id', value: '+15554441204', roomNumber: '1204' }, runner.token)).status, 403);
+
+  const listed = await app.request('GET', '/api/rooms/phone-mappings?room=1205', { token: runner.token });
+  assert.deepEqual(listed.body.map(mapping => [mapping.kind, mapping.value]), [['extension', 'front-9']]);
+  assert.equal((await app.request('GET', '/api/rooms/phone-mappings?room=9999', { token: runner.token })).status, 404);
+
+  const removed = await app.request('DELETE', `/api/rooms/phone-mappings/${listed.body[0].id}`, { token: manager.token });
+  assert.equal(removed.status, 200);
+  assert.equal((await app.request('DELETE', `/api/rooms/phone-mappings/${listed.body[0].id}`, { token: manager.token })).status, 404);
+  assert.equal(await roomResolver.resolve({ from: 'sip:front-9@pbx.example.com' }), null);
+});
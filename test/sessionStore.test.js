@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, closeDatabase } = require('./helpers');
+const sessionStore = require('../src/services/sessionStore');
+const DatabaseStore = require('../src/services/sessionStore/databaseStore');
+const MemoryStore = require('../src/services/sessionStore/memoryStore');
+
+before(setupDatabase);
+
+after(closeDatabase);
+
+function session(key, minutesLeft = 60) {
+  return {
+    key,
+    channel: 'voice',
+    callSid: 'CA123',
+    phoneNumber: '+15550001111',
+    roomNumber: '101',
+    guestName: 'Ann Lee',
+    history: [{ role: 'user', content: 'Hello' }],
+    cart: [{ menuItemId: 1, quantity: 2 }],
+    state: { awaitingRoom: false },
+    expiresAt: new Date(Date.now() + minutesLeft * 60 * 1000)
+  };
+}
+
+for (const Backend of [DatabaseStore, MemoryStore]) {
+  test(`${Backend.name} saves, loads, replaces and deletes sessions`, async () => {
+    const backend = new Backend();
+    assert.equal(await backend.load('voice:missing'), null);
+
+    await backend.save(session('voice:CA123'));
+    const loaded = await backend.load('voice:CA123');
+    assert.equal(loaded.roomNumber, '101');
+    assert.deepEqual(loaded.history, [{ role: 'user', content: 'Hello' }]);
+    assert.deepEqual(loaded.cart, [{ menuItemId: 1, quantity: 2 }]);
+    assert.deepEqual(loaded.state, { awaitingRoom: false });
+    assert.ok(loaded.createdAt instanceof Date);
+
+    // Changes only stick once saved
+    loaded.cart.push({ menuItemId: 2, quantity: 1 });
+    assert.equal((await backend.load('voice:CA123')).cart.length, 1);
+    await backend.save({ ...loaded, roomNumber: '102' });
+    const saved = await backend.load('voice:CA123');
+    assert.equal(saved.roomNumber, '102');
+    assert.equal(saved.cart.length, 2);
+
+    await backend.delete('voice:CA123');
+    assert.equal(await backend.load('voice:CA123'), null);
+  });
+
+  test(`${Backend.name} hides and purges expired sessions`, async () => {
+    const backend = new Backend();
+    await backend.save(session('sms:+15550002222', -1));
+    await backend.save(session('sms:+15550003333', 30));
+
+    assert.equal(await backend.purgeExpired(), 1);
+    assert.equal(await backend.load('sms:+15550002222'), null);
+    assert.ok(await backend.load('sms:+15550003333'));
+
+    await backend.save(session('sms:+15550002222', -1));
+    assert.equal(await backend.load('sms:+15550002222'), null);
+  });
+}
+
+test('database sessions survive a restart and are shared between instances', async () => {
+  await new DatabaseStore().save(session('voice:CA999'));
+
+  const afterRestart = await new DatabaseStore().load('voice:CA999');
+  assert.equal(afterRestart.guestName, 'Ann Lee');
+  assert.ok(afterRestart.expiresAt > new Date());
+});
+
+test('starts fresh sessions, keeps recent history and ends them', async () => {
+  const key = sessionStore.smsKey('+15550004444');
+  assert.equal(key, 'sms:+15550004444');
+  assert.equal(sessionStore.voiceKey('CA1'), 'voice:CA1');
+
+  const started = await sessionStore.start(key, { channel: 'sms', phoneNumber: '+15550004444', roomNumber: '101' });
+  assert.deepEqual([started.history, started.cart, started.state], [[], [], {}]);
+
+  for (let turn = 0; turn < 25; turn++) {
+    sessionStore.addTurn(started, 'user', `message ${turn}`);
+  }
+  assert.equal(started.history.length, 20);
+  assert.equal(started.history[0].content, 'message 5');
+  await sessionStore.save(started);
+
+  const loaded = await sessionStore.get(key);
+  assert.equal(loaded.history[19].content, 'message 24');
+  assert.ok(loaded.expiresAt - Date.now() > 59 * 60 * 1000);
+
+  // Starting again replaces the old session
+  const restarted = await sessionStore.start(key, { channel: 'sms', roomNumber: '202' });
+  assert.deepEqual(restarted.history, []);
+  assert.equal((await sessionStore.get(key)).roomNumber, '202');
+
+  await sessionStore.end(key);
+  assert.equal(await sessionStore.get(key), null);
+});
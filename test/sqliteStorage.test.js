@@ -0,0 +1,42 @@
+// A real file in a directory that doesn't exist yet, set before the database module loads
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hotelagent-'));
+const databasePath = path.join(tmpDir, 'nested', 'hotelagent.db');
+process.env.DATABASE_PATH = databasePath;
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const { setupDatabase, closeDatabase } = require('./helpers');
+const database = require('../src/config/database');
+
+before(setupDatabase);
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('creates the database file and its directory', () => {
+  assert.ok(fs.existsSync(databasePath));
+});
+
+test('runs in WAL mode with a busy timeout', async () => {
+  assert.equal((await database.get('PRAGMA journal_mode')).journal_mode, 'wal');
+  assert.equal((await database.get('PRAGMA busy_timeout')).timeout, 5000);
+  assert.equal((await database.get('PRAGMA foreign_keys')).foreign_keys, 1);
+});
+
+test('keeps data after the connection is closed and reopened', async () => {
+  await database.run('INSERT INTO rooms (room_number) VALUES (?)', ['K-1']);
+  await closeDatabase();
+
+  // A new process, as after a restart
+  const output = execFileSync(process.execPath, ['-e', `
+    const database = require(${JSON.stringify(require.resolve('../src/config/database'))});
+    database.get('SELECT room_number FROM rooms WHERE room_number = ?', ['K-1'])
+      .then(row => { process.stdout.write(JSON.stringify(row)); return database.closeDatabase(); });
+  `], { env: { ...process.env, DATABASE_PATH: databasePath }, encoding: 'utf8' });
+
+  assert.deepEqual(JSON.parse(output.trim().split('\n').pop()), { room_number: 'K-1' });
+});
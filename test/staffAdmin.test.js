@@ -0,0 +1,167 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, startApp, createStaff, closeDatabase } = require('./helpers');
+const authService = require('../src/services/authService');
+const staffService = require('../src/services/staffService');
+const staffRepository = require('../src/repositories/staffRepository');
+const { checkPassword } = require('../src/utils/passwordPolicy');
+
+let app;
+let admin;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+  admin = await createStaff('admin');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+function staffRequest(method, path, body, token = admin.token) {
+  return app.request(method, `/api/staff${path}`, { token, body });
+}
+
+function login(username, password) {
+  return app.request('POST', '/auth/login', { body: { username, password } });
+}
+
+test('the password policy lists every problem', () => {
+  assert.deepEqual(checkPassword('Tide42Harbor', { username: 'jdoe' }), []);
+  assert.deepEqual(checkPassword('short1'), ['Password must be at least 10 characters']);
+  assert.deepEqual(checkPassword('onlyletterslong'), ['Password must contain both letters and numbers']);
+  assert.deepEqual(checkPassword('Password123'), ['Password is too common']);
+  assert.deepEqual(checkPassword('jdoe-2024-pass', { username: 'JDoe' }), ['Password must not contain the username']);
+  assert.deepEqual(checkPassword(undefined), ['Password is required']);
+  assert.equal(checkPassword('a1'.repeat(65)).length, 1);
+});
+
+test('creates accounts that must change their password first', async () => {
+  const created = await staffRequest('POST', '', {
+    username: 'kim.lopez',
+    password: 'Tide42Harbor',
+    name: 'Kim Lopez',
+    role: 'front_desk'
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.username, 'kim.lopez');
+  assert.ok(created.body.must_change_password);
+  assert.equal(created.body.password_hash, undefined);
+
+  const session = await login('kim.lopez', 'Tide42Harbor');
+  assert.equal(session.status, 200);
+  assert.equal(session.body.user.mustChangePassword, true);
+
+  const blocked = await app.request('GET', '/api/orders', { token: session.body.token });
+  assert.equal(blocked.status, 403);
+  assert.equal(blocked.body.code, 'PASSWORD_CHANGE_REQUIRED');
+
+  const change = (currentPassword, newPassword) => app.request('POST', '/auth/password', {
+    token: session.body.token,
+    body: { currentPassword, newPassword }
+  });
+  assert.equal((await change('wrong-password1', 'Anchor77Reef')).status, 401);
+  assert.equal((await change('Tide42Harbor', 'Tide42Harbor')).status, 400);
+  assert.equal((await change('Tide42Harbor', 'kim.lopez99x')).status, 400);
+
+  const changed = await change('Tide42Harbor', 'Anchor77Reef');
+  assert.equal(changed.status, 200);
+  assert.equal((await app.request('GET', '/api/orders', { token: changed.body.token })).status, 200);
+  assert.equal((await app.request('GET', '/api/orders', { token: session.body.token })).status, 401);
+});
+
+test('refuses bad or duplicate accounts', async () => {
+  const refused = [
+    [{ username: 'ab', password: 'Tide42Harbor', name: 'Short' }, 400],
+    [{ username: 'has space', password: 'Tide42Harbor', name: 'Space' }, 400],
+    [{ username: 'new.cook', password: 'password123', name: 'Cook' }, 400],
+    [{ username: 'new.cook', password: 'Tide42Harbor', name: 'Cook', role: 'chef' }, 400],
+    [{ username: 'new.cook', password: 'Tide42Harbor', name: '   ' }, 400],
+    [{ username: 'kim.lopez', password: 'Tide42Harbor', name: 'Kim Again' }, 409]
+  ];
+  for (const [body, status] of refused) {
+    assert.equal((await staffRequest('POST', '', body)).status, status, JSON.stringify(body));
+  }
+
+  const weak = await staffRequest('POST', '', { username: 'new.cook', password: 'short', name: 'Cook' });
+  assert.deepEqual(weak.body.details.problems, [
+    'Password must be at least 10 characters',
+    'Password must contain both letters and numbers'
+  ]);
+});
+
+test('changes roles and records who changed what', async () => {
+  const target = await createStaff('runner');
+
+  const updated = await staffRequest('PUT', `/${target.staff.id}`, { role: 'kitchen', name: 'Pat Cook' });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.role, 'kitchen');
+  assert.equal((await staffRequest('PUT', `/${target.staff.id}`, {})).status, 400);
+  assert.equal((await staffRequest('PUT', '/99999', { role: 'kitchen' })).status, 404);
+
+  const audit = await staffRequest('GET', `/${target.staff.id}/audit`);
+  const [entry] = audit.body;
+  assert.equal(entry.action, 'updated');
+  assert.equal(entry.actor_id, admin.staff.id);
+  assert.deepEqual(entry.details.role, { from: 'runner', to: 'kitchen' });
+});
+
+test('deactivating an account ends its sessions until it is reactivated', async () => {
+  const target = await createStaff('kitchen');
+
+  const deactivated = await staffRequest('POST', `/${target.staff.id}/deactivate`);
+  assert.ok(!deactivated.body.is_active);
+  assert.equal((await app.request('GET', '/api/orders', { token: target.token })).status, 401);
+  assert.equal((await app.request('POST', '/auth/refresh', { body: { refreshToken: target.refreshToken } })).status, 401);
+
+  const listed = await staffRequest('GET', '');
+  assert.ok(!listed.body.some(staff => staff.id === target.staff.id));
+  assert.ok((await staffRequest('GET', '?includeInactive=true')).body.some(staff => staff.id === target.staff.id));
+
+  const reactivated = await staffRequest('POST', `/${target.staff.id}/reactivate`);
+  assert.ok(reactivated.body.is_active);
+});
+
+test('a password reset logs the account out and forces a new password', async () => {
+  await staffRequest('POST', '', { username: 'lee.park', password: 'Tide42Harbor', name: 'Lee Park' });
+  const first = await login('lee.park', 'Tide42Harbor');
+
+  const reset = await staffRequest('POST', `/${first.body.user.id}/reset-password`);
+  assert.equal(reset.status, 200);
+  assert.equal(typeof reset.body.temporaryPassword, 'string');
+  assert.deepEqual(checkPassword(reset.body.temporaryPassword, { username: 'lee.park' }), []);
+
+  assert.equal((await app.request('GET', '/auth/verify', { token: first.body.token })).status, 401);
+  assert.equal((await login('lee.park', 'Tide42Harbor')).status, 401);
+
+  const next = await login('lee.park', reset.body.temporaryPassword);
+  assert.equal(next.status, 200);
+  assert.equal(next.body.user.mustChangePassword, true);
+
+  assert.equal((await staffRequest('POST', `/${first.body.user.id}/reset-password`, { password: 'weak' })).status, 400);
+});
+
+test('admins keep their own account and at least one admin stays active', async () => {
+  assert.equal((await staffRequest('POST', `/${admin.staff.id}/deactivate`)).status, 409);
+  assert.equal((await staffRequest('PUT', `/${admin.staff.id}`, { role: 'manager' })).status, 409);
+
+  // Leave this test's admin as the only active one
+  const others = (await staffRepository.list()).filter(staff => staff.role === 'admin' && staff.id !== admin.staff.id);
+  for (const other of others) {
+    assert.equal((await staffRequest('POST', `/${other.id}/deactivate`)).status, 200);
+  }
+  await assert.rejects(staffService.deactivateStaff(admin.staff.id, null), { status: 409 });
+});
+
+test('only admins who have set up two-factor login manage staff', async () => {
+  const manager = await createStaff('manager');
+  assert.equal((await staffRequest('GET', '', undefined, manager.token)).status, 403);
+
+  const unenrolledId = await staffRepository.create({ username: 'new.admin', passwordHash: 'x', name: 'New Admin', role: 'admin' });
+  const unenrolled = await authService.startSession(await staffRepository.findById(unenrolledId));
+  const refused = await staffRequest('GET', '', undefined, unenrolled.token);
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.code, 'MFA_ENROLLMENT_REQUIRED');
+});
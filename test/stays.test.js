@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, startApp, createStaff, menuItem, closeDatabase } = require('./helpers');
+const orderService = require('../src/services/orderService');
+const orderRepository = require('../src/repositories/orderRepository');
+
+let app;
+let frontDesk;
+let coffee;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+  frontDesk = await createStaff('front_desk');
+  coffee = await menuItem('Coffee');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+function roomRequest(method, path, body, token = frontDesk.token) {
+  return app.request(method, `/api/rooms${path}`, { token, body });
+}
+
+test('creates rooms in bulk, skipping ones that exist', async () => {
+  const manager = await createStaff('manager');
+
+  const first = await roomRequest('POST', '', { rooms: ['801', ' 802 ', '801'] }, manager.token);
+  assert.equal(first.status, 201);
+  assert.deepEqual(first.body, { created: ['801', '802'], skipped: [] });
+
+  const again = await roomRequest('POST', '', { rooms: ['802', '803'] }, manager.token);
+  assert.deepEqual(again.body, { created: ['803'], skipped: ['802'] });
+
+  assert.equal((await roomRequest('POST', '', { rooms: ['8 01'] }, manager.token)).status, 400);
+  assert.equal((await roomRequest('POST', '', { rooms: [] }, manager.token)).status, 400);
+  assert.equal((await roomRequest('POST', '', { rooms: ['804'] })).status, 403);
+});
+
+test('checks a guest in and refuses a second guest in the same room', async () => {
+  const stay = await roomRequest('POST', '/801/check-in', { guestName: 'Ann Lee', phoneNumber: '+15550008011' });
+  assert.equal(stay.status, 201);
+  assert.equal(stay.body.guest_name, 'Ann Lee');
+  assert.equal(stay.body.checked_in_by, frontDesk.staff.id);
+
+  const occupant = await roomRequest('GET', '/801/occupant');
+  assert.equal(occupant.body.id, stay.body.id);
+  assert.equal((await roomRequest('GET', '/801')).body.status, 'occupied');
+
+  const second = await roomRequest('POST', '/801/check-in', { guestName: 'Bob Ray' });
+  assert.equal(second.status, 409);
+
+  assert.equal((await roomRequest('POST', '/802/check-in', { guestName: '  ' })).status, 400);
+  assert.equal((await roomRequest('POST', '/802/check-in', { guestName: 'Bob Ray', expectedCheckOut: 'soon' })).status, 400);
+  assert.equal((await roomRequest('POST', '/999/check-in', { guestName: 'Bob Ray' })).status, 404);
+});
+
+test('lists rooms by status', async () => {
+  const occupied = await roomRequest('GET', '?status=occupied');
+  assert.deepEqual(occupied.body.map(room => room.room_number), ['801']);
+  assert.ok((await roomRequest('GET', '?status=available')).body.some(room => room.room_number === '802'));
+  assert.equal((await roomRequest('GET', '?status=dirty')).status, 400);
+});
+
+test('orders keep their guest after check-out, and the next guest starts fresh', async () => {
+  const order = await orderService.createOrder({ roomNumber: '801', items: [{ menuItemId: coffee.id, quantity: 1 }] });
+
+  const checkOut = await roomRequest('POST', '/801/check-out');
+  assert.equal(checkOut.status, 200);
+  assert.ok(checkOut.body.checked_out_at);
+  assert.equal((await roomRequest('GET', '/801/occupant')).status, 404);
+  assert.equal((await roomRequest('GET', '/801')).body.status, 'available');
+  assert.equal((await roomRequest('POST', '/801/check-out')).status, 409);
+
+  const afterCheckOut = await orderRepository.findWithRoom(order.id);
+  assert.equal(afterCheckOut.guest_name, 'Ann Lee');
+  assert.equal(afterCheckOut.room_phone, '+15550008011');
+
+  await roomRequest('POST', '/801/check-in', { guestName: 'Cal Poe', phoneNumber: '+15550008012' });
+  const details = await app.request('GET', `/api/orders/${order.id}`, { token: frontDesk.token });
+  assert.equal(details.body.guest_name, 'Ann Lee');
+  assert.equal(details.body.room_phone, '+15550008011');
+
+  const listed = await app.request('GET', '/api/orders?room=801', { token: frontDesk.token });
+  assert.deepEqual(listed.body.orders.map(o => o.guest_name), ['Ann Lee']);
+
+  const stays = await roomRequest('GET', '/801/stays');
+  assert.deepEqual(stays.body.map(stay => stay.guest_name).sort(), ['Ann Lee', 'Cal Poe']);
+});
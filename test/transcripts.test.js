@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, startApp, createStaff, checkIn, menuItem, closeDatabase } = require('./helpers');
+const orderService = require('../src/services/orderService');
+const transcriptService = require('../src/services/transcriptService');
+const { markReadBack } = require('../src/services/cart');
+
+let app;
+let frontDesk;
+let salad;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+  frontDesk = await createStaff('front_desk');
+  await checkIn('501', 'Ann Lee');
+  salad = await menuItem('Caesar Salad');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+function session(key, fields = {}) {
+  return { key, channel: 'voice', history: [], cart: [], state: {}, ...fields };
+}
+
+function search(query = '', token = frontDesk.token) {
+  return app.request('GET', `/api/conversations${query}`, { token });
+}
+
+test('records every turn of a call with the cart and the orders it placed', async () => {
+  const call = session('voice:CA501', { callSid: 'CA501', phoneNumber: '+15550005010', roomNumber: '501', guestName: 'Ann Lee' });
+
+  await transcriptService.recordTurn(call, { aiText: 'Hello, room service.' });
+  const conversationId = call.state.conversationId;
+  assert.ok(conversationId);
+
+  call.cart = [{ menuItemId: salad.id, name: salad.name, price: salad.price, quantity: 2 }];
+  markReadBack(call);
+  await transcriptService.recordTurn(call, {
+    guestText: 'Two caesar salads',
+    speechConfidence: '0.91',
+    aiText: 'Two Caesar Salads. Shall I place the order?',
+    extractedOrder: [{ name: 'add_to_cart', arguments: { menuItemId: salad.id, quantity: 2 } }],
+    latencyMs: 812.6
+  });
+
+  let transcript = (await app.request('GET', `/api/conversations/${conversationId}`, { token: frontDesk.token })).body;
+  assert.equal(transcript.turn_count, 2);
+  assert.equal(transcript.cart_status, 'read_back');
+  assert.equal(transcript.cart_total, Math.round(salad.price * 2 * 100) / 100);
+  assert.equal(transcript.turns[1].speech_confidence, 0.91);
+  assert.equal(transcript.turns[1].latency_ms, 813);
+  assert.equal(transcript.turns[1].extracted_order[0].name, 'add_to_cart');
+
+  const order = await orderService.createOrder({ roomNumber: '501', items: [{ menuItemId: salad.id, quantity: 2 }] });
+  call.cart = [];
+  await transcriptService.recordTurn(call, { guestText: 'Yes', speechConfidence: 'n/a', aiText: 'Your order is placed.', orderId: order.id });
+
+  transcript = (await app.request('GET', `/api/conversations/${conversationId}`, { token: frontDesk.token })).body;
+  assert.deepEqual(transcript.turns.map(turn => turn.guest_text), [null, 'Two caesar salads', 'Yes']);
+  assert.equal(transcript.turns[2].speech_confidence, null);
+  assert.deepEqual(transcript.order_ids, [order.id]);
+  assert.equal(transcript.cart, null);
+  assert.equal(transcript.cart_status, null);
+});
+
+test('a failure to record never reaches the guest', async () => {
+  const broken = session('sms:+15550005011', { channel: 'sms', state: { conversationId: 999999 } });
+  await transcriptService.recordTurn(broken, { guestText: 'Hello' });
+
+  assert.equal((await app.request('GET', '/api/conversations/999999', { token: frontDesk.token })).status, 404);
+});
+
+test('searches by room, channel, text and open cart, newest first', async () => {
+  const text = session('sms:+15550005020', { channel: 'sms', phoneNumber: '+15550005020', roomNumber: '502' });
+  await transcriptService.recordTurn(text, { guestText: 'Any vegan desserts?', aiText: 'We have a sorbet.' });
+  text.cart = [{ menuItemId: salad.id, name: salad.name, price: salad.price, quantity: 1 }];
+  await transcriptService.recordTurn(text, { guestText: 'A salad then', aiText: 'Anything else?' });
+
+  assert.deepEqual((await search('?room=502')).body.conversations.map(found => found.id), [text.state.conversationId]);
+  assert.ok((await search('?channel=sms')).body.conversations.every(found => found.channel === 'sms'));
+  assert.equal((await search('?q=SORBET')).body.conversations[0].id, text.state.conversationId);
+  assert.equal((await search('?q=lobster')).body.conversations.length, 0);
+  assert.equal((await search('?callSid=CA501')).body.conversations[0].order_count, 1);
+
+  const openCarts = (await search('?openCart=true')).body.conversations;
+  assert.deepEqual(openCarts.map(found => [found.room_number, found.cart_status]), [['502', 'building']]);
+
+  const all = (await search()).body.conversations;
+  assert.deepEqual(all.map(found => found.id), [...all.map(found => found.id)].sort((a, b) => b - a));
+});
+
+test('pages with a cursor', async () => {
+  for (let call = 0; call < 3; call++) {
+    await transcriptService.recordTurn(session(`voice:CA60${call}`, { callSid: `CA60${call}`, roomNumber: '503' }), { aiText: 'Hello' });
+  }
+
+  const first = (await search('?room=503&limit=2')).body;
+  assert.equal(first.conversations.length, 2);
+  assert.ok(first.nextCursor);
+
+  const second = (await search(`?room=503&limit=2&cursor=${first.nextCursor}`)).body;
+  assert.equal(second.conversations.length, 1);
+  assert.equal(second.nextCursor, null);
+  assert.ok(second.conversations[0].id < first.conversations[1].id);
+});
+
+test('refuses bad parameters and staff without access', async () => {
+  for (const query of ['?limit=0', '?limit=101', '?channel=fax', '?orderId=abc', '?cursor=-1', '?from=yesterday']) {
+    assert.equal((await search(query)).status, 400, query);
+  }
+
+  const kitchen = await createStaff('kitchen');
+  assert.equal((await search('', kitchen.token)).status, 403);
+  assert.equal((await app.request('GET', '/api/conversations')).status, 401);
+});
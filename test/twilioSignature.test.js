@@ -0,0 +1,81 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const twilio = require('twilio');
+const { setupDatabase, startApp, closeDatabase } = require('./helpers');
+
+const CALL_ENDED = { CallSid: 'CA00000000000000000000000000000001', CallStatus: 'completed' };
+let app;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+});
+
+afterEach(() => {
+  delete process.env.PUBLIC_BASE_URL;
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+function sign(url, params) {
+  return twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, url, params);
+}
+
+function webhook(path, params, headers = {}) {
+  return app.request('POST', path, { form: params, headers });
+}
+
+test('accepts a request signed for the URL and parameters it was sent with', async () => {
+  const response = await webhook('/twilio/call-status', CALL_ENDED, {
+    'X-Twilio-Signature': sign(`${app.baseUrl}/twilio/call-status`, CALL_ENDED)
+  });
+  assert.equal(response.status, 204);
+});
+
+test('rejects unsigned, wrongly signed and altered requests', async () => {
+  const url = `${app.baseUrl}/twilio/sms`;
+  const sent = { From: '+15550001111', To: '+15550009999', Body: 'Ten lobsters to room 101' };
+
+  const unsigned = await webhook('/twilio/sms', sent);
+  assert.equal(unsigned.status, 403);
+  assert.equal(unsigned.body, 'Forbidden');
+
+  assert.equal((await webhook('/twilio/sms', sent, { 'X-Twilio-Signature': 'bm90IGEgc2lnbmF0dXJl' })).status, 403);
+
+  const signedForOther = sign(url, { ...sent, Body: 'A coffee' });
+  assert.equal((await webhook('/twilio/sms', sent, { 'X-Twilio-Signature': signedForOther })).status, 403);
+
+  const wrongKey = twilio.getExpectedTwilioSignature('another-token', url, sent);
+  assert.equal((await webhook('/twilio/sms', sent, { 'X-Twilio-Signature': wrongKey })).status, 403);
+});
+
+test('the query string is part of what is signed', async () => {
+  const signature = sign(`${app.baseUrl}/twilio/call-status?attempt=1`, CALL_ENDED);
+
+  assert.equal((await webhook('/twilio/call-status?attempt=1', CALL_ENDED, { 'X-Twilio-Signature': signature })).status, 204);
+  assert.equal((await webhook('/twilio/call-status?attempt=2', CALL_ENDED, { 'X-Twilio-Signature': signature })).status, 403);
+});
+
+test('accepts the public URL a proxy reports', async () => {
+  const signature = sign('https://hotel.example.com/twilio/call-status', CALL_ENDED);
+
+  const proxied = await webhook('/twilio/call-status', CALL_ENDED, {
+    'X-Twilio-Signature': signature,
+    'X-Forwarded-Proto': 'https',
+    'X-Forwarded-Host': 'hotel.example.com'
+  });
+  assert.equal(proxied.status, 204);
+});
+
+test('with PUBLIC_BASE_URL set only that URL is accepted', async () => {
+  process.env.PUBLIC_BASE_URL = 'https://rooms.example.com/';
+
+  const configured = sign('https://rooms.example.com/twilio/call-status', CALL_ENDED);
+  assert.equal((await webhook('/twilio/call-status', CALL_ENDED, { 'X-Twilio-Signature': configured })).status, 204);
+
+  const local = sign(`${app.baseUrl}/twilio/call-status`, CALL_ENDED);
+  assert.equal((await webhook('/twilio/call-status', CALL_ENDED, { 'X-Twilio-Signature': local })).status, 403);
+});